@@ -0,0 +1,28 @@
+const cloudinary = require('cloudinary').v2;
+const logger = require('../utils/logger');
+
+/**
+ * Check whether Cloudinary credentials are present
+ */
+const isConfigured = () => {
+  return !!(
+    process.env.CLOUDINARY_CLOUD_NAME &&
+    process.env.CLOUDINARY_API_KEY &&
+    process.env.CLOUDINARY_API_SECRET
+  );
+};
+
+if (isConfigured()) {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true
+  });
+  logger.info('Cloudinary configured');
+}
+
+module.exports = {
+  cloudinary,
+  isConfigured
+};
@@ -0,0 +1,68 @@
+/**
+ * OpenID Connect providers
+ *
+ * OIDC_PROVIDERS lists provider names (e.g. "google,microsoft,staff"); each
+ * one is configured with OIDC_<NAME>_* variables:
+ *   ISSUER, CLIENT_ID, CLIENT_SECRET (optional for public clients),
+ *   SCOPES (default "openid email profile"), LABEL,
+ *   ALLOWED_DOMAINS (comma-separated email domains, e.g. staff SSO),
+ *   TRUST_EMAIL ("true" to accept emails without email_verified, for
+ *   enterprise IdPs that manage addresses themselves)
+ */
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const loadProvider = (name) => {
+  const prefix = `OIDC_${name.toUpperCase()}_`;
+  const env = (key) => process.env[prefix + key];
+
+  if (!env('ISSUER') || !env('CLIENT_ID')) {
+    return null;
+  }
+
+  return {
+    name,
+    label: env('LABEL') || name.charAt(0).toUpperCase() + name.slice(1),
+    issuer: env('ISSUER').replace(/\/$/, ''),
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+    scopes: env('SCOPES') || 'openid email profile',
+    allowedDomains: parseList(env('ALLOWED_DOMAINS')).map(domain => domain.toLowerCase()),
+    trustEmail: env('TRUST_EMAIL') === 'true'
+  };
+};
+
+/**
+ * Get all configured providers keyed by name
+ */
+const getProviders = () => {
+  const providers = {};
+  for (const name of parseList(process.env.OIDC_PROVIDERS)) {
+    const provider = loadProvider(name.toLowerCase());
+    if (provider) {
+      providers[provider.name] = provider;
+    }
+  }
+  return providers;
+};
+
+/**
+ * Get a single configured provider, or null
+ */
+const getProvider = (name) => getProviders()[String(name).toLowerCase()] || null;
+
+/**
+ * Redirect URI registered with the providers (the frontend callback page)
+ */
+const getRedirectUri = () => {
+  return process.env.OIDC_REDIRECT_URI || `${process.env.FRONTEND_URL}/auth/oidc/callback`;
+};
+
+module.exports = {
+  getProviders,
+  getProvider,
+  getRedirectUri
+};
@@ -0,0 +1,85 @@
+/**
+ * Permissions registry
+ *
+ * Every permission checked by requirePermission() must be listed here.
+ * Roles (models/Role.js) are bundles of these keys; "*" grants everything.
+ */
+
+const ALL_PERMISSIONS = '*';
+
+const PERMISSIONS = {
+  'users:read': 'View user accounts',
+  'users:write': 'Change user accounts and their roles',
+  'roles:manage': 'Create and edit roles and their permissions',
+  'countries:write': 'Create, update and delete countries',
+  'visaTypes:write': 'Draft new visa types and changes, and deactivate visa types',
+  'visaTypes:approve': 'Approve other editors\' visa type drafts and roll back published content',
+  'exchangeRates:write': 'Maintain the currency exchange rates used by the fee calculator',
+  'journeys:read': 'View journey statistics across all users',
+  'journeys:read_shared': 'List journeys other users have shared',
+  'contacts:read': 'View all contact enquiries',
+  'contacts:read_assigned': 'View contact enquiries assigned to you',
+  'contacts:write': 'Update and respond to any contact enquiry',
+  'contacts:write_assigned': 'Update and respond to contact enquiries assigned to you',
+  'contacts:assign': 'Assign contact enquiries to team members',
+  'analytics:read': 'View dashboards, analytics and reports',
+  'communications:send': 'Send newsletters',
+  'system:read': 'View system health',
+  'audit:read': 'View and export the audit log'
+};
+
+// Built-in roles, created on startup if missing (existing roles are not overwritten)
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    label: 'Administrator',
+    description: 'Full access',
+    permissions: [ALL_PERMISSIONS]
+  },
+  {
+    name: 'user',
+    label: 'User',
+    description: 'Applicant using VisaMap for their own journeys',
+    permissions: []
+  },
+  {
+    name: 'counsellor',
+    label: 'Counsellor',
+    description: 'Handles assigned contact enquiries and views shared journeys',
+    permissions: ['contacts:read_assigned', 'contacts:write_assigned', 'journeys:read_shared']
+  },
+  {
+    name: 'content_editor',
+    label: 'Content Editor',
+    description: 'Maintains country and visa type content and exchange rates',
+    // Editors review each other's drafts; nobody can approve their own
+    permissions: ['countries:write', 'visaTypes:write', 'visaTypes:approve', 'exchangeRates:write']
+  },
+  {
+    name: 'support_agent',
+    label: 'Support Agent',
+    description: 'Read-only access to user accounts',
+    permissions: ['users:read']
+  }
+];
+
+/**
+ * Check whether a set of granted permissions includes `permission`
+ */
+const hasPermission = (granted, permission) => {
+  if (!granted) return false;
+  return granted.has(ALL_PERMISSIONS) || granted.has(permission);
+};
+
+/**
+ * Check that a permission key exists (or is the wildcard)
+ */
+const isKnownPermission = (permission) => permission === ALL_PERMISSIONS || Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+module.exports = {
+  ALL_PERMISSIONS,
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  hasPermission,
+  isKnownPermission
+};
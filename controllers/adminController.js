@@ -5,8 +5,10 @@ const Country = require('../models/Country');
 const VisaType = require('../models/VisaType');
 const AppError = require('../middleware/errorHandler').AppError;
 const logger = require('../utils/logger');
+const { getConnectionStatus } = require('../config/database');
 const pdfService = require('../services/pdfService');
 const emailService = require('../services/emailService');
+const auditService = require('../services/auditService');
 
 /**
  * Admin Controller - Dashboard APIs and management functions
@@ -497,6 +499,12 @@ const generateAnalyticsReport = async (req, res, next) => {
       generatedBy: req.user.email
     });
 
+    await auditService.record(req, {
+      action: 'report.generate',
+      entityType: 'Report',
+      metadata: { reportType, timeframe, format }
+    });
+
   } catch (error) {
     logger.error('Error generating analytics report:', error);
     next(new AppError('Failed to generate analytics report', 500));
@@ -538,6 +546,12 @@ const sendNewsletter = async (req, res, next) => {
       // Send only to admin for testing
       const testRecipients = [{ firstName: req.user.firstName, email: req.user.email }];
       const result = await emailService.sendNewsletter(testRecipients, { subject, content });
+
+      await auditService.record(req, {
+        action: 'newsletter.send',
+        entityType: 'Newsletter',
+        metadata: { subject, targetAudience, testMode: true, recipients: 1 }
+      });
       
       return res.status(200).json({
         status: 'success',
@@ -559,6 +573,19 @@ const sendNewsletter = async (req, res, next) => {
       targetAudience
     });
 
+    await auditService.record(req, {
+      action: 'newsletter.send',
+      entityType: 'Newsletter',
+      metadata: {
+        subject,
+        targetAudience,
+        testMode: false,
+        recipients: recipients.length,
+        successful: result.successful,
+        failed: result.failed
+      }
+    });
+
     res.status(200).json({
       status: 'success',
       message: 'Newsletter sent successfully',
@@ -575,6 +602,88 @@ const sendNewsletter = async (req, res, next) => {
   }
 };
 
+/**
+ * List user accounts with filtering and pagination
+ * GET /api/v1/admin/users
+ */
+const getUsers = async (req, res, next) => {
+  try {
+    const { role, status, page = 1, limit = 20 } = req.query;
+
+    const filterQuery = {};
+    if (role) filterQuery.role = role;
+    if (status) filterQuery.status = status;
+    if (req.search) {
+      const pattern = new RegExp(req.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filterQuery.$or = [
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern },
+        { mobile: pattern }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [users, total] = await Promise.all([
+      User.find(filterQuery)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip(skip),
+      User.countDocuments(filterQuery)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        users: users.map(user => user.toJSON()),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalUsers: total,
+          hasNext: skip + users.length < total,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving users:', error);
+    next(new AppError('Failed to retrieve users', 500));
+  }
+};
+
+/**
+ * Get a user account with a summary of their journeys
+ * GET /api/v1/admin/users/:id
+ */
+const getUserById = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    const journeys = await Journey.find({ userId: user._id })
+      .select('originCountry destinationCountry visaType status phase progressMetrics.completionPercentage timestamps.lastActivity')
+      .sort({ 'timestamps.lastActivity': -1 })
+      .limit(20);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user: user.toJSON(),
+        journeys
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving user:', error);
+    next(new AppError('Failed to retrieve user', 500));
+  }
+};
+
 /**
  * Get system health and performance metrics
  * GET /api/v1/admin/system/health
@@ -589,7 +698,7 @@ const getSystemHealth = async (req, res, next) => {
         environment: process.env.NODE_ENV
       },
       database: {
-        status: 'connected', // We'll check this
+        status: getConnectionStatus().status,
         collections: {
           users: await User.countDocuments(),
           journeys: await Journey.countDocuments(),
@@ -659,5 +768,7 @@ module.exports = {
   getContactAnalytics,
   generateAnalyticsReport,
   sendNewsletter,
+  getUsers,
+  getUserById,
   getSystemHealth
 };
\ No newline at end of file
@@ -0,0 +1,155 @@
+const AuditLog = require('../models/AuditLog');
+const { catchAsync } = require('../middleware/errorHandler');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+// Upper bound on rows in a single export
+const EXPORT_LIMIT = parseInt(process.env.AUDIT_EXPORT_LIMIT) || 10000;
+
+/**
+ * Audit Controller - Browsing and exporting the audit log
+ */
+
+const AUDIT_FILTERS = ['actor', 'action', 'entityType', 'entityId', 'requestId', 'from', 'to'];
+
+/**
+ * Build query conditions from the audit filters in req.query
+ * An action without a verb (e.g. "contact") matches every action on that entity.
+ */
+const buildAuditFilter = (query) => {
+  const { actor, action, entityType, entityId, requestId, from, to } = query;
+  const filter = {};
+
+  if (actor) filter['actor.userId'] = actor;
+  if (action) {
+    filter.action = action.includes('.') ? action : { $regex: `^${action}\\.` };
+  }
+  if (entityType) filter.entityType = entityType;
+  if (entityId) filter.entityId = entityId;
+  if (requestId) filter.requestId = requestId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+// Filters as given, echoed in exports
+const pickFilters = (query) => Object.fromEntries(
+  AUDIT_FILTERS.filter(key => query[key] !== undefined).map(key => [key, query[key]])
+);
+
+// Quote a CSV cell, neutralising spreadsheet formulas
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  ['createdAt', entry => entry.createdAt.toISOString()],
+  ['requestId', entry => entry.requestId],
+  ['actorId', entry => entry.actor && entry.actor.userId],
+  ['actorEmail', entry => entry.actor && entry.actor.email],
+  ['actorRole', entry => entry.actor && entry.actor.role],
+  ['action', entry => entry.action],
+  ['entityType', entry => entry.entityType],
+  ['entityId', entry => entry.entityId],
+  ['ip', entry => entry.ip],
+  ['changes', entry => (entry.changes && entry.changes.length ? entry.changes : null)],
+  ['metadata', entry => entry.metadata]
+];
+
+/**
+ * List audit log entries, newest first
+ * GET /api/v1/admin/audit
+ */
+const getAuditLogs = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 50 } = req.query;
+  const filter = buildAuditFilter(req.query);
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    data: {
+      entries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    }
+  });
+});
+
+/**
+ * Export matching audit log entries as CSV or JSON
+ * GET /api/v1/admin/audit/export
+ */
+const exportAuditLogs = catchAsync(async (req, res, next) => {
+  const { format = 'csv' } = req.query;
+  const filter = buildAuditFilter(req.query);
+
+  const entries = await AuditLog.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(EXPORT_LIMIT)
+    .lean();
+
+  // Exports leave the system, so they are audited too
+  await auditService.record(req, {
+    action: 'audit.export',
+    entityType: 'AuditLog',
+    metadata: {
+      format,
+      filter: pickFilters(req.query),
+      rows: entries.length,
+      truncated: entries.length === EXPORT_LIMIT
+    }
+  });
+
+  logger.logAPI('Audit Log Exported', req.userId, { format, rows: entries.length });
+
+  const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'json') {
+    return res.status(200).json({
+      exportedAt: new Date(),
+      filter: pickFilters(req.query),
+      results: entries.length,
+      entries
+    });
+  }
+
+  const lines = [
+    CSV_COLUMNS.map(([header]) => header).join(','),
+    ...entries.map(entry => CSV_COLUMNS.map(([, read]) => toCsvCell(read(entry))).join(','))
+  ];
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.status(200).send(`${lines.join('\n')}\n`);
+});
+
+module.exports = {
+  getAuditLogs,
+  exportAuditLogs
+};
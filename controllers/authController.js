@@ -1,11 +1,31 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginToken = require('../models/LoginToken');
+const OidcAuthRequest = require('../models/OidcAuthRequest');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
-const { generateTokens } = require('../middleware/auth');
+const { generateTokens, generateMfaChallengeToken, verifyToken } = require('../middleware/auth');
 const emailService = require('../services/emailService');
 const smsService = require('../services/smsService');
+const oidcService = require('../services/oidcService');
+const oidcConfig = require('../config/oidc');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
 
+/**
+ * Respond with a 2FA challenge instead of tokens (password step passed)
+ */
+const sendMfaChallenge = (user, res, message) => {
+  res.status(200).json({
+    status: 'success',
+    message,
+    data: {
+      mfaRequired: true,
+      mfaToken: generateMfaChallengeToken(user._id),
+      expiresIn: process.env.MFA_CHALLENGE_EXPIRE || '5m'
+    }
+  });
+};
+
 /**
  * Register a new user
  */
@@ -58,7 +78,7 @@ const register = catchAsync(async (req, res, next) => {
   }
 
   // Generate tokens
-  const tokens = generateTokens(user._id);
+  const tokens = await generateTokens(user._id, req);
 
   logger.logAPI('User Registered', user._id, {
     email: user.email,
@@ -113,6 +133,12 @@ const login = catchAsync(async (req, res, next) => {
     await user.resetLoginAttempts();
   }
 
+  // Second step required: exchange the challenge at /auth/login/2fa
+  if (user.twoFactor.enabled) {
+    logger.logAPI('Login MFA Challenge Issued', user._id, { ip: req.ip });
+    return sendMfaChallenge(user, res, 'Two-factor authentication required');
+  }
+
   // Update last login
   user.lastLogin = new Date();
   user.metadata.lastLoginIP = req.ip;
@@ -120,7 +146,7 @@ const login = catchAsync(async (req, res, next) => {
   await user.save({ validateBeforeSave: false });
 
   // Generate tokens
-  const tokens = generateTokens(user._id);
+  const tokens = await generateTokens(user._id, req);
 
   logger.logAPI('User Login', user._id, {
     email: user.email,
@@ -137,14 +163,392 @@ const login = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Complete a login with a TOTP code or recovery code
+ */
+const verifyTwoFactorLogin = catchAsync(async (req, res, next) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  const decoded = verifyToken(mfaToken, process.env.JWT_SECRET);
+
+  if (decoded.type !== 'mfa_challenge') {
+    return next(new AppError('Invalid token type', 401));
+  }
+
+  const user = await User.findOne({ _id: decoded.userId, status: 'active' })
+    .select('+loginAttempts +lockUntil +passwordChangedAt +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+  if (!user || !user.twoFactor.enabled || user.changedPasswordAfter(decoded.iat)) {
+    return next(new AppError('Invalid or expired challenge. Please log in again', 401));
+  }
+
+  if (user.isLocked) {
+    return next(new AppError('Account temporarily locked due to too many failed login attempts', 423));
+  }
+
+  const verified = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+
+  if (!verified) {
+    await user.incLoginAttempts();
+    logger.logAPI('Failed 2FA Attempt', user._id, {
+      ip: req.ip,
+      method: code ? 'totp' : 'recovery_code',
+      attempts: user.loginAttempts + 1
+    });
+    return next(new AppError('Invalid authentication code', 401));
+  }
+
+  if (user.loginAttempts && user.loginAttempts > 0) {
+    await user.resetLoginAttempts();
+  }
+
+  // Update last login (also persists the used step / recovery code)
+  user.lastLogin = new Date();
+  user.metadata.lastLoginIP = req.ip;
+  user.metadata.userAgent = req.get('User-Agent');
+  await user.save({ validateBeforeSave: false });
+
+  const tokens = await generateTokens(user._id, req);
+
+  logger.logAPI('User Login', user._id, {
+    email: user.email,
+    ip: req.ip,
+    mfa: code ? 'totp' : 'recovery_code'
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Login successful',
+    data: {
+      user: user.toJSON(),
+      ...tokens,
+      ...(recoveryCode && !code && { recoveryCodesRemaining: user.getRemainingRecoveryCodes() })
+    }
+  });
+});
+
+/**
+ * Finish a passwordless login: 2FA challenge if enabled, otherwise tokens
+ */
+const completePasswordlessLogin = async (user, req, res, method) => {
+  if (user.twoFactor.enabled) {
+    logger.logAPI('Login MFA Challenge Issued', user._id, { ip: req.ip, method });
+    return sendMfaChallenge(user, res, 'Two-factor authentication required');
+  }
+
+  user.lastLogin = new Date();
+  user.metadata.lastLoginIP = req.ip;
+  user.metadata.userAgent = req.get('User-Agent');
+  await user.save({ validateBeforeSave: false });
+
+  const tokens = await generateTokens(user._id, req);
+
+  logger.logAPI('User Login', user._id, {
+    email: user.email,
+    ip: req.ip,
+    method
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Login successful',
+    data: {
+      user: user.toJSON(),
+      ...tokens
+    }
+  });
+};
+
+/**
+ * Request a passwordless login OTP by SMS
+ */
+const requestLoginOTP = catchAsync(async (req, res, next) => {
+  const { mobile, dialingCode } = req.body;
+  const identifier = LoginToken.buildIdentifier('sms', { mobile, dialingCode });
+  const genericResponse = {
+    status: 'success',
+    message: 'If the number is registered and verified, a login code has been sent'
+  };
+
+  if (await LoginToken.isRequestLimitReached(identifier)) {
+    return next(new AppError('Too many login codes requested. Try again in 15 minutes', 429));
+  }
+
+  const user = await User.findOne({ mobile, dialingCode, status: 'active' });
+
+  // Only verified numbers can be used to sign in; don't reveal which exist
+  if (!user || !user.isMobileVerified) {
+    return res.status(200).json(genericResponse);
+  }
+
+  const otp = await LoginToken.issue(user, 'sms', identifier, req.ip);
+
+  try {
+    await smsService.sendOTP(identifier, otp);
+    logger.logAPI('Login OTP Sent', user._id, { mobile: identifier });
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    logger.logError(error, req, 'SMS Service Failed');
+    return next(new AppError('Failed to send OTP. Please try again later.', 500));
+  }
+});
+
+/**
+ * Exchange a login OTP for tokens
+ */
+const verifyLoginOTP = catchAsync(async (req, res, next) => {
+  const { mobile, dialingCode, otp } = req.body;
+  const identifier = LoginToken.buildIdentifier('sms', { mobile, dialingCode });
+
+  const loginToken = await LoginToken.consumeOTP(identifier, otp);
+
+  if (!loginToken) {
+    logger.logAPI('Failed Passwordless Login', null, { mobile: identifier, ip: req.ip });
+    return next(new AppError('Invalid or expired OTP', 400));
+  }
+
+  const user = await User.findOne({ _id: loginToken.userId, status: 'active' }).select('+lockUntil');
+
+  if (!user) {
+    return next(new AppError('Invalid or expired OTP', 400));
+  }
+
+  if (user.isLocked) {
+    return next(new AppError('Account temporarily locked due to too many failed login attempts', 423));
+  }
+
+  await completePasswordlessLogin(user, req, res, 'sms_otp');
+});
+
+/**
+ * Request a passwordless login link by email
+ */
+const requestMagicLink = catchAsync(async (req, res, next) => {
+  const { email } = req.body;
+  const identifier = LoginToken.buildIdentifier('email', { email });
+  const genericResponse = {
+    status: 'success',
+    message: 'If the email is registered, a sign-in link has been sent'
+  };
+
+  if (await LoginToken.isRequestLimitReached(identifier)) {
+    return next(new AppError('Too many sign-in links requested. Try again in 15 minutes', 429));
+  }
+
+  const user = await User.findOne({ email: identifier, status: 'active' });
+
+  if (!user) {
+    // Don't reveal if email exists for security
+    return res.status(200).json(genericResponse);
+  }
+
+  const token = await LoginToken.issue(user, 'email', identifier, req.ip);
+
+  try {
+    await emailService.sendMagicLink(user.email, user.firstName, token);
+    logger.logAPI('Magic Link Sent', user._id, { email: user.email });
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    logger.logError(error, req, 'Magic Link Email Failed');
+    return next(new AppError('Failed to send sign-in link. Please try again later.', 500));
+  }
+});
+
+/**
+ * Exchange a magic link token for tokens
+ */
+const verifyMagicLink = catchAsync(async (req, res, next) => {
+  const { token } = req.body;
+
+  const loginToken = await LoginToken.consumeMagicLink(token);
+
+  if (!loginToken) {
+    return next(new AppError('Invalid or expired sign-in link', 400));
+  }
+
+  const user = await User.findOne({ _id: loginToken.userId, status: 'active' }).select('+lockUntil');
+
+  if (!user) {
+    return next(new AppError('Invalid or expired sign-in link', 400));
+  }
+
+  if (user.isLocked) {
+    return next(new AppError('Account temporarily locked due to too many failed login attempts', 423));
+  }
+
+  // Opening the link proves the user controls the address
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    await user.save({ validateBeforeSave: false });
+  }
+
+  await completePasswordlessLogin(user, req, res, 'magic_link');
+});
+
+/**
+ * List configured OpenID Connect providers
+ */
+const getOidcProviders = catchAsync(async (req, res, next) => {
+  const providers = Object.values(oidcConfig.getProviders()).map(({ name, label }) => ({ name, label }));
+
+  res.status(200).json({
+    status: 'success',
+    results: providers.length,
+    data: {
+      providers
+    }
+  });
+});
+
+/**
+ * Start an OpenID Connect login: returns the provider authorization URL
+ */
+const startOidcLogin = catchAsync(async (req, res, next) => {
+  const provider = oidcConfig.getProvider(req.params.provider);
+
+  if (!provider) {
+    return next(new AppError('Sign-in provider not found', 404));
+  }
+
+  const state = oidcService.generateRandomValue();
+  const nonce = oidcService.generateRandomValue();
+  const { codeVerifier, codeChallenge } = oidcService.createPkcePair();
+  const redirectUri = oidcConfig.getRedirectUri();
+
+  let authorizationUrl;
+  try {
+    authorizationUrl = await oidcService.buildAuthorizationUrl(provider, { state, nonce, codeChallenge, redirectUri });
+  } catch (error) {
+    logger.logError(error, req, 'OIDC Discovery Failed');
+    return next(new AppError('Sign-in provider is unavailable. Please try again later.', 502));
+  }
+
+  await OidcAuthRequest.create({
+    state,
+    provider: provider.name,
+    nonce,
+    codeVerifier,
+    redirectUri,
+    requestedByIp: req.ip
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      authorizationUrl,
+      state
+    }
+  });
+});
+
+/**
+ * Complete an OpenID Connect login with the code and state from the callback
+ * Links the identity to the User with the same verified email, then signs in.
+ * A User whose email was never verified must reset their password first.
+ */
+const completeOidcLogin = catchAsync(async (req, res, next) => {
+  const { code, state } = req.body;
+  const provider = oidcConfig.getProvider(req.params.provider);
+
+  if (!provider) {
+    return next(new AppError('Sign-in provider not found', 404));
+  }
+
+  const authRequest = await OidcAuthRequest.consume(state, provider.name);
+
+  if (!authRequest) {
+    return next(new AppError('Invalid or expired sign-in request. Please try again', 400));
+  }
+
+  let claims;
+  try {
+    claims = await oidcService.completeAuthorization(provider, {
+      code,
+      codeVerifier: authRequest.codeVerifier,
+      redirectUri: authRequest.redirectUri,
+      nonce: authRequest.nonce
+    });
+  } catch (error) {
+    logger.logError(error, req, 'OIDC Login Failed');
+    return next(new AppError(`${provider.label} sign-in failed`, 401));
+  }
+
+  let user = await User.findByIdentity(provider.name, claims.sub).select('+lockUntil');
+
+  if (!user) {
+    const email = oidcService.getVerifiedEmail(provider, claims);
+
+    if (!email) {
+      return next(new AppError(`Your ${provider.label} account has no verified email that can be used here`, 403));
+    }
+
+    user = await User.findOne({ email }).select('+lockUntil');
+
+    if (!user) {
+      return next(new AppError('No VisaMap account found for this email. Please register first', 404));
+    }
+
+    // Whoever registered an unverified address may not own it: drop their
+    // credentials and sessions, and have the owner set a password by email
+    if (!user.isEmailVerified) {
+      if (user.status !== 'active') {
+        return next(new AppError('Account is not active', 403));
+      }
+
+      user.password = undefined;
+      user.pendingEmail = undefined;
+      user.twoFactor = { enabled: false };
+      const resetToken = user.generatePasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+      await Session.revokeAllForUser(user._id, 'password_reset');
+
+      logger.logAPI('Unverified Account Reset By OIDC Login', user._id, { provider: provider.name, ip: req.ip });
+
+      try {
+        await emailService.sendPasswordReset(user.email, user.firstName, resetToken);
+      } catch (error) {
+        logger.logError(error, req, 'Password Reset Email Failed');
+        return next(new AppError('Failed to send reset email. Please try again later.', 500));
+      }
+
+      return next(new AppError('This email was never verified. We have sent a link to set a new password; sign in again once it is set', 403));
+    }
+  }
+
+  if (user.status !== 'active') {
+    return next(new AppError('Account is not active', 403));
+  }
+
+  if (!user.linkIdentity(provider.name, claims.sub, claims.email)) {
+    return next(new AppError(`A different ${provider.label} account is already linked to this user`, 409));
+  }
+
+  if (user.isLocked) {
+    return next(new AppError('Account temporarily locked due to too many failed login attempts', 423));
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  logger.logAPI('OIDC Identity Used', user._id, { provider: provider.name, ip: req.ip });
+
+  await completePasswordlessLogin(user, req, res, `oidc:${provider.name}`);
+});
+
 /**
  * Logout user
  */
 const logout = catchAsync(async (req, res, next) => {
-  // In a stateless JWT setup, logout is handled on the client side
-  // But we can log the action for security purposes
+  // Revoke the current session: its refresh token and access tokens stop working
+  await Session.updateOne(
+    { _id: req.sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
+
   logger.logAPI('User Logout', req.userId, {
-    ip: req.ip
+    ip: req.ip,
+    sessionId: req.sessionId
   });
 
   res.status(200).json({
@@ -153,13 +557,84 @@ const logout = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Log out of every session (optionally keeping the current one)
+ */
+const logoutAll = catchAsync(async (req, res, next) => {
+  const keepCurrent = req.body.keepCurrent === true;
+
+  const result = await Session.revokeAllForUser(req.userId, 'logout_all', {
+    except: keepCurrent ? req.sessionId : undefined
+  });
+
+  logger.logAPI('User Logout All', req.userId, {
+    ip: req.ip,
+    revokedSessions: result.modifiedCount,
+    keepCurrent
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: keepCurrent ? 'Logged out of all other devices' : 'Logged out of all devices',
+    data: {
+      revokedSessions: result.modifiedCount
+    }
+  });
+});
+
+/**
+ * List the current user's active sessions
+ */
+const getSessions = catchAsync(async (req, res, next) => {
+  const sessions = await Session.findActiveForUser(req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        isCurrent: session._id.toString() === req.sessionId.toString()
+      }))
+    }
+  });
+});
+
+/**
+ * Revoke one of the current user's sessions (sign out a device)
+ */
+const revokeSession = catchAsync(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    userId: req.userId,
+    revokedAt: null
+  });
+
+  if (!session) {
+    return next(new AppError('Session not found', 404));
+  }
+
+  await session.revoke('revoked_by_user');
+
+  logger.logAPI('Session Revoked', req.userId, {
+    sessionId: session._id,
+    device: session.device && session.device.label,
+    ip: req.ip
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Session revoked successfully'
+  });
+});
+
 /**
  * Send email verification
  */
 const sendEmailVerification = catchAsync(async (req, res, next) => {
   const user = await User.findById(req.userId);
 
-  if (user.isEmailVerified) {
+  if (user.isEmailVerified && !user.pendingEmail) {
     return next(new AppError('Email is already verified', 400));
   }
 
@@ -167,11 +642,14 @@ const sendEmailVerification = catchAsync(async (req, res, next) => {
   const emailToken = user.generateEmailVerificationToken();
   await user.save({ validateBeforeSave: false });
 
+  // A requested email change is verified at the new address
+  const email = user.pendingEmail || user.email;
+
   // Send verification email
   try {
-    await emailService.sendEmailVerification(user.email, user.firstName, emailToken);
+    await emailService.sendEmailVerification(email, user.firstName, emailToken);
     
-    logger.logAPI('Email Verification Resent', user._id, { email: user.email });
+    logger.logAPI('Email Verification Resent', user._id, { email });
 
     res.status(200).json({
       status: 'success',
@@ -199,8 +677,24 @@ const verifyEmail = catchAsync(async (req, res, next) => {
     return next(new AppError('Invalid or expired verification token', 400));
   }
 
-  // Mark email as verified
-  user.isEmailVerified = true;
+  if (user.pendingEmail) {
+    // The address may have been registered since the change was requested
+    const existingUser = await User.findOne({ email: user.pendingEmail });
+    if (existingUser) {
+      user.pendingEmail = undefined;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      return next(new AppError('Email already registered', 400));
+    }
+
+    logger.logAPI('Email Changed', user._id, { from: user.email, to: user.pendingEmail });
+    user.confirmPendingEmail();
+  } else {
+    // Mark email as verified
+    user.isEmailVerified = true;
+  }
+
   user.emailVerificationToken = undefined;
   user.emailVerificationExpires = undefined;
   await user.save({ validateBeforeSave: false });
@@ -340,8 +834,9 @@ const resetPassword = catchAsync(async (req, res, next) => {
     return next(new AppError('Invalid or expired reset token', 400));
   }
 
-  // Update password
+  // Update password; the link was emailed, so the address is proven
   user.password = password;
+  user.isEmailVerified = true;
   user.resetPasswordToken = undefined;
   user.resetPasswordExpires = undefined;
   
@@ -351,11 +846,19 @@ const resetPassword = catchAsync(async (req, res, next) => {
   
   await user.save();
 
-  // Generate new tokens
-  const tokens = generateTokens(user._id);
+  // Sign out every existing session
+  await Session.revokeAllForUser(user._id, 'password_reset');
 
   logger.logAPI('Password Reset Completed', user._id);
 
+  // A reset link alone must not bypass the second factor
+  if (user.twoFactor.enabled) {
+    return sendMfaChallenge(user, res, 'Password reset successful. Two-factor authentication required');
+  }
+
+  // Generate new tokens
+  const tokens = await generateTokens(user._id, req);
+
   res.status(200).json({
     status: 'success',
     message: 'Password reset successful',
@@ -384,11 +887,18 @@ const changePassword = catchAsync(async (req, res, next) => {
   user.password = newPassword;
   await user.save();
 
+  // Existing tokens are no longer valid; start a fresh session for this device
+  await Session.revokeAllForUser(user._id, 'password_changed');
+  const tokens = await generateTokens(user._id, req);
+
   logger.logAPI('Password Changed', user._id);
 
   res.status(200).json({
     status: 'success',
-    message: 'Password changed successfully'
+    message: 'Password changed successfully',
+    data: {
+      ...tokens
+    }
   });
 });
 
@@ -409,7 +919,18 @@ const getProfile = catchAsync(async (req, res, next) => {
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
+  requestLoginOTP,
+  verifyLoginOTP,
+  requestMagicLink,
+  verifyMagicLink,
+  getOidcProviders,
+  startOidcLogin,
+  completeOidcLogin,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
   sendEmailVerification,
   verifyEmail,
   sendMobileOTP,
@@ -1,13 +1,29 @@
 const Contact = require('../models/Contact');
 const User = require('../models/User');
+const Role = require('../models/Role');
+const { hasPermission } = require('../config/permissions');
 const AppError = require('../middleware/errorHandler').AppError;
 const logger = require('../utils/logger');
 const emailService = require('../services/emailService');
+const auditService = require('../services/auditService');
 
 /**
  * Contact Controller - Handles contact form submissions and lead management
  */
 
+/**
+ * Query conditions limiting contacts to those the user may access
+ * Without the full permission (e.g. contacts:read), only contacts assigned to the user.
+ */
+const getContactScope = (req, permission) => {
+  return hasPermission(req.permissions, permission) ? {} : { assignedTo: req.user._id };
+};
+
+/**
+ * Names of roles whose members can handle contact enquiries
+ */
+const findContactHandlerRoles = () => Role.findNamesWithPermission('contacts:write', 'contacts:write_assigned');
+
 /**
  * Submit contact form
  * POST /api/v1/contact
@@ -82,7 +98,7 @@ const submitContactForm = async (req, res, next) => {
     // Auto-assign high priority contacts
     if (contact.priority === 'urgent' || contact.leadData.leadScore >= 80) {
       const availableAgent = await User.findOne({ 
-        role: 'admin',
+        role: { $in: await findContactHandlerRoles() },
         status: 'active' 
       }).sort({ createdAt: 1 });
       
@@ -91,10 +107,8 @@ const submitContactForm = async (req, res, next) => {
       }
     }
 
-    // Schedule initial follow-up
-    contact.scheduleFollowUp(1); // Follow up in 1 day
-
-    await contact.save();
+    // Schedule initial follow-up (persists the contact)
+    await contact.scheduleFollowUp(1); // Follow up in 1 day
 
     // Send confirmation email to user
     try {
@@ -167,6 +181,7 @@ const getAllContacts = async (req, res, next) => {
     if (leadScore) {
       filterQuery['leadData.leadScore'] = { $gte: parseInt(leadScore) };
     }
+    Object.assign(filterQuery, getContactScope(req, 'contacts:read'));
 
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -208,7 +223,7 @@ const getAllContacts = async (req, res, next) => {
  */
 const getContactById = async (req, res, next) => {
   try {
-    const contact = await Contact.findById(req.params.id)
+    const contact = await Contact.findOne({ _id: req.params.id, ...getContactScope(req, 'contacts:read') })
       .populate('assignedTo', 'firstName lastName email')
       .populate('responses.respondedBy', 'firstName lastName email')
       .populate('resolution.resolvedBy', 'firstName lastName email');
@@ -239,11 +254,17 @@ const updateContact = async (req, res, next) => {
     const { id } = req.params;
     const updates = req.body;
 
-    const contact = await Contact.findById(id);
+    const contact = await Contact.findOne({ _id: id, ...getContactScope(req, 'contacts:write') });
     if (!contact) {
       return next(new AppError('Contact not found', 404));
     }
 
+    if (updates.assignedTo !== undefined && !hasPermission(req.permissions, 'contacts:assign')) {
+      return next(new AppError('Access denied. Reassigning contacts requires the contacts:assign permission', 403));
+    }
+
+    const before = contact.toObject();
+
     // Update allowed fields
     const allowedUpdates = ['status', 'priority', 'assignedTo', 'tags', 'resolution'];
     allowedUpdates.forEach(field => {
@@ -260,6 +281,14 @@ const updateContact = async (req, res, next) => {
       updates: Object.keys(updates)
     });
 
+    await auditService.record(req, {
+      action: 'contact.update',
+      entityType: 'Contact',
+      entityId: contact._id,
+      before,
+      after: contact
+    });
+
     res.status(200).json({
       status: 'success',
       message: 'Contact updated successfully',
@@ -293,8 +322,15 @@ const assignContact = async (req, res, next) => {
       if (!user) {
         return next(new AppError('User not found', 404));
       }
+
+      const handlerRoles = await findContactHandlerRoles();
+      if (!handlerRoles.includes(user.role)) {
+        return next(new AppError('User cannot be assigned contacts', 400));
+      }
     }
 
+    const previousAssignee = contact.assignedTo;
+
     await contact.assignTo(assignedTo);
 
     logger.info('Contact assigned', {
@@ -303,6 +339,14 @@ const assignContact = async (req, res, next) => {
       assignedBy: req.user.email
     });
 
+    await auditService.record(req, {
+      action: 'contact.assign',
+      entityType: 'Contact',
+      entityId: contact._id,
+      before: { assignedTo: previousAssignee },
+      after: { assignedTo: contact.assignedTo }
+    });
+
     res.status(200).json({
       status: 'success',
       message: 'Contact assigned successfully',
@@ -326,11 +370,13 @@ const addContactResponse = async (req, res, next) => {
     const { id } = req.params;
     const { content, responseType = 'email', isInternal = false } = req.body;
 
-    const contact = await Contact.findById(id);
+    const contact = await Contact.findOne({ _id: id, ...getContactScope(req, 'contacts:write') });
     if (!contact) {
       return next(new AppError('Contact not found', 404));
     }
 
+    const previousStatus = contact.status;
+
     await contact.addResponse(req.user._id, content, responseType, isInternal);
 
     // Update status if this is the first response
@@ -354,6 +400,20 @@ const addContactResponse = async (req, res, next) => {
       isInternal
     });
 
+    // The response text stays on the contact; the audit entry records that it was sent
+    await auditService.record(req, {
+      action: 'contact.respond',
+      entityType: 'Contact',
+      entityId: contact._id,
+      before: { status: previousStatus },
+      after: { status: contact.status },
+      metadata: {
+        responseId: contact.responses[contact.responses.length - 1]._id,
+        responseType,
+        isInternal
+      }
+    });
+
     res.status(201).json({
       status: 'success',
       message: 'Response added successfully',
@@ -458,6 +518,7 @@ const getContactStats = async (req, res, next) => {
 const getOverdueFollowUps = async (req, res, next) => {
   try {
     const overdueContacts = await Contact.findOverdueFollowUps()
+      .where(getContactScope(req, 'contacts:read'))
       .populate('assignedTo', 'firstName lastName email')
       .limit(50);
 
@@ -482,6 +543,7 @@ const getOverdueFollowUps = async (req, res, next) => {
 const getHighPriorityContacts = async (req, res, next) => {
   try {
     const highPriorityContacts = await Contact.findHighPriorityContacts()
+      .where(getContactScope(req, 'contacts:read'))
       .populate('assignedTo', 'firstName lastName email')
       .limit(50);
 
@@ -511,20 +573,49 @@ const bulkUpdateContacts = async (req, res, next) => {
       return next(new AppError('Contact IDs are required', 400));
     }
 
+    // Only allow the same management fields as single contact updates
+    const allowedUpdates = ['status', 'priority', 'assignedTo', 'tags'];
+    const sanitizedUpdates = {};
+    allowedUpdates.forEach(field => {
+      if (updates[field] !== undefined) {
+        sanitizedUpdates[field] = updates[field];
+      }
+    });
+
+    if (Object.keys(sanitizedUpdates).length === 0) {
+      return next(new AppError(`Updates must include at least one of: ${allowedUpdates.join(', ')}`, 400));
+    }
+
+    if (sanitizedUpdates.assignedTo !== undefined && !hasPermission(req.permissions, 'contacts:assign')) {
+      return next(new AppError('Access denied. Reassigning contacts requires the contacts:assign permission', 403));
+    }
+
+    const updatedFields = Object.keys(sanitizedUpdates);
+    const previous = await Contact.find({ _id: { $in: contactIds } }).select(updatedFields.join(' ')).lean();
+
     const result = await Contact.updateMany(
       { _id: { $in: contactIds } },
       { 
-        ...updates,
+        ...sanitizedUpdates,
         lastUpdatedAt: new Date()
-      }
+      },
+      { runValidators: true }
     );
 
     logger.info('Bulk contact update', {
       updatedCount: result.modifiedCount,
       updatedBy: req.user.email,
-      updates
+      updates: sanitizedUpdates
     });
 
+    await auditService.recordMany(req, previous.map(contact => ({
+      action: 'contact.bulk_update',
+      entityType: 'Contact',
+      entityId: contact._id,
+      before: contact,
+      after: { ...contact, ...sanitizedUpdates }
+    })));
+
     res.status(200).json({
       status: 'success',
       message: `${result.modifiedCount} contacts updated successfully`,
@@ -1,6 +1,7 @@
 const Country = require('../models/Country');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const auditService = require('../services/auditService');
 
 /**
  * Get all countries with optional filtering
@@ -175,6 +176,14 @@ const createCountry = catchAsync(async (req, res, next) => {
     countryName: country.name
   });
 
+  await auditService.record(req, {
+    action: 'country.create',
+    entityType: 'Country',
+    entityId: country._id,
+    before: null,
+    after: country
+  });
+
   res.status(201).json({
     status: 'success',
     message: 'Country created successfully',
@@ -196,6 +205,12 @@ const updateCountry = catchAsync(async (req, res, next) => {
     updateData.code = updateData.code.toUpperCase();
   }
 
+  const before = await Country.findById(id);
+
+  if (!before) {
+    return next(new AppError('Country not found', 404));
+  }
+
   const country = await Country.findByIdAndUpdate(
     id,
     updateData,
@@ -215,6 +230,14 @@ const updateCountry = catchAsync(async (req, res, next) => {
     changes: Object.keys(updateData)
   });
 
+  await auditService.record(req, {
+    action: 'country.update',
+    entityType: 'Country',
+    entityId: country._id,
+    before,
+    after: country
+  });
+
   res.status(200).json({
     status: 'success',
     message: 'Country updated successfully',
@@ -236,6 +259,8 @@ const deleteCountry = catchAsync(async (req, res, next) => {
     return next(new AppError('Country not found', 404));
   }
 
+  const before = country.toObject();
+
   // Soft delete by setting status to inactive
   country.status = 'inactive';
   await country.save();
@@ -245,6 +270,14 @@ const deleteCountry = catchAsync(async (req, res, next) => {
     countryCode: country.code
   });
 
+  await auditService.record(req, {
+    action: 'country.delete',
+    entityType: 'Country',
+    entityId: country._id,
+    before,
+    after: country
+  });
+
   res.status(200).json({
     status: 'success',
     message: 'Country deleted successfully'
@@ -0,0 +1,391 @@
+const Document = require('../models/Document');
+const BankStatement = require('../models/BankStatement');
+const Journey = require('../models/Journey');
+const VisaType = require('../models/VisaType');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const uploadService = require('../services/uploadService');
+const bankStatementService = require('../services/bankStatementService');
+const logger = require('../utils/logger');
+
+/**
+ * Document Controller - Journey-scoped document upload and retrieval,
+ * and bank statement imports checked against the maintenance funds rules
+ */
+
+/**
+ * Load a journey and check the current user's access to it
+ */
+const loadJourneyForUser = async (journeyId, user, { requireEdit = false } = {}) => {
+  const journey = await Journey.findById(journeyId);
+
+  if (!journey) {
+    throw new AppError('Journey not found', 404);
+  }
+
+  if (journey.userId.toString() === user._id.toString()) {
+    return journey;
+  }
+
+  const share = journey.sharedWith.find(entry => entry.email === user.email);
+  if (!share || (requireEdit && share.permissions !== 'edit')) {
+    throw new AppError('Access denied to this journey', 403);
+  }
+
+  return journey;
+};
+
+/**
+ * Resolve a VisaType.requirements.documents entry on the journey's route
+ */
+const findRequirement = async (journey, requirementId) => {
+  const visaType = await VisaType.findOne({
+    originCountry: journey.originCountry,
+    destinationCountry: journey.destinationCountry,
+    'requirements.documents._id': requirementId
+  });
+
+  if (!visaType) {
+    throw new AppError('Document requirement not found for this journey route', 400);
+  }
+
+  const requirement = visaType.requirements.documents.id(requirementId);
+
+  return {
+    visaTypeId: visaType._id,
+    documentId: requirement._id,
+    name: requirement.name,
+    category: requirement.category
+  };
+};
+
+/**
+ * Build the API download path for a document
+ */
+const getDownloadPath = (journeyId, documentId) => {
+  const apiVersion = process.env.API_VERSION || 'v1';
+  const apiBasePath = process.env.API_BASE_URL || '/api';
+  return `${apiBasePath}/${apiVersion}/journeys/${journeyId}/documents/${documentId}/download`;
+};
+
+/**
+ * Upload a document to a journey
+ * POST /api/v1/journeys/:id/documents
+ */
+const uploadDocument = catchAsync(async (req, res, next) => {
+  const { requirementId, description } = req.body;
+  const journey = await loadJourneyForUser(req.params.id, req.user, { requireEdit: true });
+
+  const checksum = uploadService.computeChecksum(req.file.buffer);
+  const duplicate = await Document.findOne({ journeyId: journey._id, checksum });
+  if (duplicate) {
+    return next(new AppError(`This file has already been uploaded as "${duplicate.originalName}"`, 409));
+  }
+
+  const requirement = requirementId ? await findRequirement(journey, requirementId) : undefined;
+
+  const stored = await uploadService.storeFile(req.file, { folder: journey._id.toString() });
+
+  let document;
+  try {
+    document = await Document.create({
+      journeyId: journey._id,
+      userId: req.user._id,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      checksum: stored.checksum,
+      storage: stored.storage,
+      requirement,
+      description
+    });
+  } catch (error) {
+    // Don't leave orphaned files behind
+    await uploadService.removeFile(stored.storage).catch(() => {});
+    throw error;
+  }
+
+  journey.documents.push({
+    documentId: document._id,
+    name: document.originalName,
+    type: document.mimeType,
+    url: getDownloadPath(journey._id, document._id),
+    uploadedAt: document.uploadedAt,
+    size: document.size,
+    checksum: document.checksum,
+    requirementId: requirement && requirement.documentId
+  });
+  await journey.save();
+
+  logger.logAPI('Document Uploaded', req.userId, {
+    journeyId: journey._id,
+    documentId: document._id,
+    size: document.size,
+    requirementId
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Document uploaded successfully',
+    data: {
+      document
+    }
+  });
+});
+
+/**
+ * List documents of a journey
+ * GET /api/v1/journeys/:id/documents
+ */
+const getJourneyDocuments = catchAsync(async (req, res, next) => {
+  const journey = await loadJourneyForUser(req.params.id, req.user);
+
+  const documents = await Document.findByJourney(journey._id);
+
+  res.status(200).json({
+    status: 'success',
+    results: documents.length,
+    data: {
+      documents
+    }
+  });
+});
+
+/**
+ * Download a document
+ * GET /api/v1/journeys/:id/documents/:documentId/download
+ */
+const downloadDocument = catchAsync(async (req, res, next) => {
+  const journey = await loadJourneyForUser(req.params.id, req.user);
+
+  const document = await Document.findOne({ _id: req.params.documentId, journeyId: journey._id });
+  if (!document) {
+    return next(new AppError('Document not found', 404));
+  }
+
+  let stream;
+  try {
+    stream = await uploadService.getFileStream(document.storage);
+  } catch (error) {
+    logger.logError(error, req, 'Document Download Failed');
+    return next(new AppError('Document file is not available', 404));
+  }
+
+  res.setHeader('Content-Type', document.mimeType);
+  // Plain ASCII fallback plus the UTF-8 name for clients that understand it (RFC 6266)
+  const asciiName = document.originalName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encodedName = encodeURIComponent(document.originalName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  res.setHeader('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodedName}`);
+  res.setHeader('X-Checksum-SHA256', document.checksum);
+
+  stream.on('error', next);
+  stream.pipe(res);
+});
+
+/**
+ * Delete a document
+ * DELETE /api/v1/journeys/:id/documents/:documentId
+ */
+const deleteDocument = catchAsync(async (req, res, next) => {
+  const journey = await loadJourneyForUser(req.params.id, req.user, { requireEdit: true });
+
+  const document = await Document.findOne({ _id: req.params.documentId, journeyId: journey._id });
+  if (!document) {
+    return next(new AppError('Document not found', 404));
+  }
+
+  await uploadService.removeFile(document.storage);
+  await Document.deleteOne({ _id: document._id });
+
+  journey.documents = journey.documents.filter(
+    entry => !entry.documentId || entry.documentId.toString() !== document._id.toString()
+  );
+  await journey.save();
+
+  logger.logAPI('Document Deleted', req.userId, {
+    journeyId: journey._id,
+    documentId: document._id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Document deleted successfully'
+  });
+});
+
+/**
+ * Import a bank statement export (CSV or OFX) and check it against the
+ * maintenance funds requirement of the journey's visa type
+ * POST /api/v1/journeys/:id/bank-statements
+ */
+const importBankStatement = catchAsync(async (req, res, next) => {
+  const journey = await loadJourneyForUser(req.params.id, req.user, { requireEdit: true });
+
+  if (!journey.isLinkedToVisaType()) {
+    return next(new AppError('Journey is not linked to a visa type', 400));
+  }
+
+  const visaType = await VisaType.findById(journey.visaTypeId);
+  if (!visaType) {
+    return next(new AppError('Linked visa type no longer exists', 404));
+  }
+
+  const personalization = journey.personalizationData;
+  const location = req.body.location || personalization.studyLocation;
+  if (!location) {
+    return next(new AppError('A study location is required (location or personalizationData.studyLocation)', 400));
+  }
+
+  const checksum = uploadService.computeChecksum(req.file.buffer);
+  const duplicate = await BankStatement.findOne({ journeyId: journey._id, checksum });
+  if (duplicate) {
+    return next(new AppError(`This statement has already been imported as "${duplicate.fileName}"`, 409));
+  }
+
+  let parsed;
+  try {
+    parsed = bankStatementService.parseStatement(req.file.buffer, { openingBalance: req.body.openingBalance });
+  } catch (error) {
+    if (error.isInvalidStatement) {
+      return next(new AppError(error.message, 400));
+    }
+    throw error;
+  }
+
+  if (parsed.currencies.length > 1) {
+    return next(new AppError(`The statement mixes currencies (${parsed.currencies.join(', ')}); import each account separately`, 400));
+  }
+
+  const currency = parsed.currency || (req.body.currency && req.body.currency.toUpperCase());
+  if (!currency) {
+    return next(new AppError('The statement does not state its currency; provide currency', 400));
+  }
+
+  const balances = bankStatementService.toDailyBalances(parsed.transactions);
+  const checkInput = {
+    location,
+    courseMonths: req.body.courseMonths,
+    dependants: req.body.dependants !== undefined ? req.body.dependants : (personalization.hasDependent ? 1 : 0),
+    tuitionOutstanding: req.body.tuitionOutstanding,
+    applicationDate: req.body.applicationDate
+  };
+
+  let analysis;
+  try {
+    analysis = await bankStatementService.analyzeStatement(visaType, {
+      currency,
+      balances,
+      balanceBreaks: bankStatementService.findBalanceBreaks(parsed.transactions)
+    }, checkInput);
+  } catch (error) {
+    if (error.isMissingRequirement) {
+      return next(new AppError(error.message, 400));
+    }
+    throw error;
+  }
+
+  const statement = await BankStatement.create({
+    journeyId: journey._id,
+    userId: req.user._id,
+    fileName: req.file.originalname,
+    format: parsed.format,
+    checksum,
+    bankName: parsed.bankName,
+    accountNumber: parsed.accountNumber,
+    currency,
+    period: { from: balances[0].date, to: balances[balances.length - 1].date },
+    balances,
+    transactionCount: parsed.transactions.length,
+    checkInput: { ...checkInput, applicationDate: analysis.fundsCheck.applicationDate },
+    visaTypeId: visaType._id,
+    fundsCheck: analysis.fundsCheck,
+    findings: analysis.findings
+  });
+
+  logger.logAPI('Bank Statement Imported', req.userId, {
+    journeyId: journey._id,
+    statementId: statement._id,
+    format: statement.format,
+    passed: statement.passed,
+    findings: statement.findings.length
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Bank statement imported successfully',
+    data: {
+      statement
+    }
+  });
+});
+
+/**
+ * List bank statements imported to a journey (without daily balances)
+ * GET /api/v1/journeys/:id/bank-statements
+ */
+const getBankStatements = catchAsync(async (req, res, next) => {
+  const journey = await loadJourneyForUser(req.params.id, req.user);
+
+  const statements = await BankStatement.findByJourney(journey._id).select('-balances');
+
+  res.status(200).json({
+    status: 'success',
+    results: statements.length,
+    data: {
+      statements
+    }
+  });
+});
+
+/**
+ * Get a bank statement with its daily balances and funds check
+ * GET /api/v1/journeys/:id/bank-statements/:statementId
+ */
+const getBankStatement = catchAsync(async (req, res, next) => {
+  const journey = await loadJourneyForUser(req.params.id, req.user);
+
+  const statement = await BankStatement.findOne({ _id: req.params.statementId, journeyId: journey._id });
+  if (!statement) {
+    return next(new AppError('Bank statement not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      statement
+    }
+  });
+});
+
+/**
+ * Delete an imported bank statement
+ * DELETE /api/v1/journeys/:id/bank-statements/:statementId
+ */
+const deleteBankStatement = catchAsync(async (req, res, next) => {
+  const journey = await loadJourneyForUser(req.params.id, req.user, { requireEdit: true });
+
+  const statement = await BankStatement.findOneAndDelete({ _id: req.params.statementId, journeyId: journey._id });
+  if (!statement) {
+    return next(new AppError('Bank statement not found', 404));
+  }
+
+  logger.logAPI('Bank Statement Deleted', req.userId, {
+    journeyId: journey._id,
+    statementId: statement._id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Bank statement deleted successfully'
+  });
+});
+
+module.exports = {
+  uploadDocument,
+  getJourneyDocuments,
+  downloadDocument,
+  deleteDocument,
+  importBankStatement,
+  getBankStatements,
+  getBankStatement,
+  deleteBankStatement
+};
@@ -0,0 +1,181 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const auditService = require('../services/auditService');
+
+/**
+ * Exchange Rate Controller - Admin-maintained rates used by the fee calculator
+ */
+
+// Rates are unique per pair and effective date
+const duplicateRateError = () => new AppError('A rate for this currency pair already takes effect at that time', 409);
+
+/**
+ * List exchange rates, newest effective date first
+ * GET /api/v1/admin/exchange-rates
+ */
+const getExchangeRates = catchAsync(async (req, res, next) => {
+  const { base, quote, at, page = 1, limit = 50 } = req.query;
+
+  const filter = {};
+  if (base) filter.baseCurrency = base.toUpperCase();
+  if (quote) filter.quoteCurrency = quote.toUpperCase();
+  if (at) filter.effectiveFrom = { $lte: new Date(at) };
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [rates, total] = await Promise.all([
+    ExchangeRate.find(filter)
+      .sort({ effectiveFrom: -1, baseCurrency: 1, quoteCurrency: 1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    ExchangeRate.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: rates.length,
+    data: {
+      rates,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    }
+  });
+});
+
+/**
+ * Add a rate for a currency pair from a given date
+ * POST /api/v1/admin/exchange-rates
+ */
+const createExchangeRate = catchAsync(async (req, res, next) => {
+  const { baseCurrency, quoteCurrency, rate, effectiveFrom, source, note } = req.body;
+
+  let exchangeRate;
+  try {
+    exchangeRate = await ExchangeRate.create({
+      baseCurrency,
+      quoteCurrency,
+      rate,
+      effectiveFrom,
+      source,
+      note,
+      createdBy: req.userId
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(duplicateRateError());
+    }
+    throw error;
+  }
+
+  logger.logAPI('Exchange Rate Created', req.userId, {
+    pair: exchangeRate.pair,
+    rate: exchangeRate.rate,
+    effectiveFrom: exchangeRate.effectiveFrom
+  });
+
+  await auditService.record(req, {
+    action: 'exchangeRate.create',
+    entityType: 'ExchangeRate',
+    entityId: exchangeRate._id,
+    before: null,
+    after: exchangeRate
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Exchange rate created successfully',
+    data: {
+      rate: exchangeRate
+    }
+  });
+});
+
+/**
+ * Correct a rate, its effective date or notes
+ * PATCH /api/v1/admin/exchange-rates/:id
+ */
+const updateExchangeRate = catchAsync(async (req, res, next) => {
+  const exchangeRate = await ExchangeRate.findById(req.params.id);
+
+  if (!exchangeRate) {
+    return next(new AppError('Exchange rate not found', 404));
+  }
+
+  const before = exchangeRate.toObject();
+
+  ['rate', 'effectiveFrom', 'source', 'note'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      exchangeRate[field] = req.body[field];
+    }
+  });
+  exchangeRate.updatedBy = req.userId;
+
+  try {
+    await exchangeRate.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(duplicateRateError());
+    }
+    throw error;
+  }
+
+  logger.logAPI('Exchange Rate Updated', req.userId, { rateId: exchangeRate._id, pair: exchangeRate.pair });
+
+  await auditService.record(req, {
+    action: 'exchangeRate.update',
+    entityType: 'ExchangeRate',
+    entityId: exchangeRate._id,
+    before,
+    after: exchangeRate,
+    ignore: ['updatedBy']
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Exchange rate updated successfully',
+    data: {
+      rate: exchangeRate
+    }
+  });
+});
+
+/**
+ * Delete a rate entered by mistake
+ * DELETE /api/v1/admin/exchange-rates/:id
+ */
+const deleteExchangeRate = catchAsync(async (req, res, next) => {
+  const exchangeRate = await ExchangeRate.findById(req.params.id);
+
+  if (!exchangeRate) {
+    return next(new AppError('Exchange rate not found', 404));
+  }
+
+  await exchangeRate.deleteOne();
+
+  logger.logAPI('Exchange Rate Deleted', req.userId, { rateId: exchangeRate._id, pair: exchangeRate.pair });
+
+  await auditService.record(req, {
+    action: 'exchangeRate.delete',
+    entityType: 'ExchangeRate',
+    entityId: exchangeRate._id,
+    before: exchangeRate,
+    after: null
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Exchange rate deleted successfully'
+  });
+});
+
+module.exports = {
+  getExchangeRates,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate
+};
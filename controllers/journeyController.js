@@ -1,8 +1,14 @@
+const mongoose = require('mongoose');
 const Journey = require('../models/Journey');
-const User = require('../models/User');
 const Country = require('../models/Country');
 const VisaType = require('../models/VisaType');
+const User = require('../models/User');
+const BankStatement = require('../models/BankStatement');
 const AppError = require('../middleware/errorHandler').AppError;
+const timelineService = require('../services/timelineService');
+const fundsCheckService = require('../services/fundsCheckService');
+const pdfService = require('../services/pdfService');
+const passportService = require('../services/passportService');
 const logger = require('../utils/logger');
 
 /**
@@ -10,6 +16,42 @@ const logger = require('../utils/logger');
  * Integrates with frontend ProgressData interface
  */
 
+/**
+ * Resolve the VisaType a journey should be linked to
+ * An explicit visaTypeId must exist on the journey's route; a visaType code is linked when it matches one.
+ */
+const resolveVisaType = async ({ visaTypeId, visaType, originCountry, destinationCountry }) => {
+  const route = {
+    originCountry: originCountry.toUpperCase(),
+    destinationCountry: destinationCountry.toUpperCase()
+  };
+
+  if (visaTypeId) {
+    const linked = await VisaType.findOne({ _id: visaTypeId, ...route });
+    if (!linked) {
+      throw new AppError('Visa type not found for this journey route', 400);
+    }
+    return linked;
+  }
+
+  if (visaType) {
+    return VisaType.findOne({ code: visaType.toUpperCase(), ...route });
+  }
+
+  return null;
+};
+
+/**
+ * Build an AppError for step or checklist IDs that are not part of the journey's visa type
+ */
+const unknownKeysError = (journey, type, ids) => {
+  const unknown = journey.findUnknownKeys(type, ids);
+  if (unknown.length === 0) return null;
+
+  const label = type === 'steps' ? 'step' : 'checklist item';
+  return new AppError(`Unknown ${label} ID(s) for this visa type: ${unknown.join(', ')}`, 400);
+};
+
 /**
  * Create a new journey or update existing one
  * POST /api/v1/journeys
@@ -22,6 +64,7 @@ const createOrUpdateJourney = async (req, res, next) => {
       destinationCountry,
       userType,
       visaType,
+      visaTypeId,
       personalizationData,
       checklist,
       stepCompletion,
@@ -33,10 +76,10 @@ const createOrUpdateJourney = async (req, res, next) => {
       return next(new AppError('Email, origin country, and destination country are required', 400));
     }
 
-    // Find user by email
-    const user = await User.findOne({ email });
-    if (!user) {
-      return next(new AppError('User not found', 404));
+    // Journeys can only be created for the authenticated user
+    const user = req.user;
+    if (email.toLowerCase() !== user.email) {
+      return next(new AppError('Access denied to journeys of another user', 403));
     }
 
     // Validate countries exist
@@ -57,31 +100,47 @@ const createOrUpdateJourney = async (req, res, next) => {
       status: { $in: ['started', 'in_progress', 'under_review'] }
     });
 
+    const isNewJourney = !journey;
+
+    const linkedVisaType = await resolveVisaType({ visaTypeId, visaType, originCountry, destinationCountry });
+
     if (journey) {
       // Update existing journey
+      journey.userType = userType || journey.userType;
+      journey.visaType = visaType || journey.visaType;
+
+      if (linkedVisaType) {
+        journey.applyVisaType(linkedVisaType);
+      }
+
       if (personalizationData) {
-        journey.updatePersonalization(personalizationData);
+        await journey.applyPersonalization(personalizationData);
       }
-      
+
+      const keyError = unknownKeysError(journey, 'checklist', Object.keys(checklist || {})) ||
+        unknownKeysError(journey, 'steps', Object.keys(stepCompletion || {}));
+      if (keyError) {
+        return next(keyError);
+      }
+
       if (checklist) {
-        journey.updateChecklist(checklist);
+        Object.entries(checklist).forEach(([itemId, checked]) => {
+          journey.checklist.set(itemId, !!checked);
+        });
+        journey.timestamps.checklistUpdated = new Date();
       }
       
       if (stepCompletion) {
         Object.entries(stepCompletion).forEach(([stepId, completed]) => {
-          if (completed) {
-            journey.markStepCompleted(stepId);
-          }
+          journey.stepCompletion.set(stepId, !!completed);
         });
+        journey.timestamps.stepCompleted = new Date();
       }
 
       if (timestamps) {
         journey.timestamps = { ...journey.timestamps, ...timestamps };
       }
 
-      journey.userType = userType || journey.userType;
-      journey.visaType = visaType || journey.visaType;
-      
       await journey.save();
       
       logger.info(`Journey updated for user ${email}`, {
@@ -92,7 +151,7 @@ const createOrUpdateJourney = async (req, res, next) => {
       // Create new journey
       journey = new Journey({
         userId: user._id,
-        email,
+        email: user.email,
         originCountry: originCountry.toUpperCase(),
         destinationCountry: destinationCountry.toUpperCase(),
         userType: userType || 'student',
@@ -125,6 +184,16 @@ const createOrUpdateJourney = async (req, res, next) => {
         }
       });
 
+      if (linkedVisaType) {
+        journey.applyVisaType(linkedVisaType);
+
+        const keyError = unknownKeysError(journey, 'checklist', Object.keys(checklist || {})) ||
+          unknownKeysError(journey, 'steps', Object.keys(stepCompletion || {}));
+        if (keyError) {
+          return next(keyError);
+        }
+      }
+
       await journey.save();
       
       logger.info(`New journey created for user ${email}`, {
@@ -133,15 +202,18 @@ const createOrUpdateJourney = async (req, res, next) => {
       });
     }
 
-    res.status(journey.isNew ? 201 : 200).json({
+    res.status(isNewJourney ? 201 : 200).json({
       status: 'success',
-      message: journey.isNew ? 'Journey created successfully' : 'Journey updated successfully',
+      message: isNewJourney ? 'Journey created successfully' : 'Journey updated successfully',
       data: {
-        journey: journey.toObject()
+        journey: journey.toJSON()
       }
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
     logger.error('Error in createOrUpdateJourney:', error);
     next(new AppError('Failed to create or update journey', 500));
   }
@@ -191,6 +263,47 @@ const getUserJourneys = async (req, res, next) => {
   }
 };
 
+/**
+ * Get journeys other users have shared with the current user
+ * GET /api/v1/journeys/shared
+ */
+const getSharedJourneys = async (req, res, next) => {
+  try {
+    const { status, limit = 10, offset = 0 } = req.query;
+
+    const query = { 'sharedWith.email': req.user.email };
+
+    if (status) {
+      query.status = status;
+    }
+
+    const journeys = await Journey.find(query)
+      .sort({ 'timestamps.lastActivity': -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset))
+      .populate('userId', 'firstName lastName email');
+
+    const total = await Journey.countDocuments(query);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        journeys,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          hasMore: (parseInt(offset) + parseInt(limit)) < total
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getSharedJourneys:', error);
+    next(new AppError('Failed to retrieve shared journeys', 500));
+  }
+};
+
 /**
  * Get journey by ID
  * GET /api/v1/journeys/:id
@@ -218,7 +331,7 @@ const getJourneyById = async (req, res, next) => {
     res.status(200).json({
       status: 'success',
       data: {
-        journey: journey.toObject()
+        journey: journey.toJSON()
       }
     });
 
@@ -237,7 +350,11 @@ const getJourneyProgress = async (req, res, next) => {
     const { email } = req.params;
     const { originCountry, destinationCountry } = req.query;
 
-    let query = { email };
+    if (email.toLowerCase() !== req.user.email) {
+      return next(new AppError('Access denied to journeys of another user', 403));
+    }
+
+    let query = { userId: req.user._id };
     
     if (originCountry && destinationCountry) {
       query.originCountry = originCountry.toUpperCase();
@@ -276,7 +393,7 @@ const getJourneyProgress = async (req, res, next) => {
       status: 'success',
       data: {
         progress: progressData,
-        journey: journey.toObject()
+        journey: journey.toJSON()
       }
     });
 
@@ -305,6 +422,11 @@ const updateStepCompletion = async (req, res, next) => {
       return next(new AppError('Access denied to this journey', 403));
     }
 
+    const keyError = unknownKeysError(journey, 'steps', [stepId]);
+    if (keyError) {
+      return next(keyError);
+    }
+
     if (completed) {
       await journey.markStepCompleted(stepId);
     } else {
@@ -316,7 +438,7 @@ const updateStepCompletion = async (req, res, next) => {
       status: 'success',
       message: `Step ${stepId} ${completed ? 'completed' : 'marked incomplete'}`,
       data: {
-        journey: journey.toObject()
+        journey: journey.toJSON()
       }
     });
 
@@ -345,13 +467,18 @@ const updateJourneyChecklist = async (req, res, next) => {
       return next(new AppError('Access denied to this journey', 403));
     }
 
+    const keyError = unknownKeysError(journey, 'checklist', Object.keys(checklist));
+    if (keyError) {
+      return next(keyError);
+    }
+
     await journey.updateChecklist(checklist);
 
     res.status(200).json({
       status: 'success',
       message: 'Checklist updated successfully',
       data: {
-        journey: journey.toObject()
+        journey: journey.toJSON()
       }
     });
 
@@ -380,13 +507,22 @@ const updateJourneyPersonalization = async (req, res, next) => {
       return next(new AppError('Access denied to this journey', 403));
     }
 
-    await journey.updatePersonalization(personalizationData);
+    await journey.applyPersonalization(personalizationData);
+
+    // Course and CAS dates drive the planned timeline
+    if (journey.isLinkedToVisaType()) {
+      const visaType = await VisaType.findById(journey.visaTypeId);
+      const plan = visaType && timelineService.planJourney(journey, visaType);
+      journey.timeline.estimatedCompletionDate = plan ? plan.estimatedDecisionDate : undefined;
+    }
+
+    await journey.updateProgress();
 
     res.status(200).json({
       status: 'success',
       message: 'Personalization updated successfully',
       data: {
-        journey: journey.toObject()
+        journey: journey.toJSON()
       }
     });
 
@@ -396,6 +532,359 @@ const updateJourneyPersonalization = async (req, res, next) => {
   }
 };
 
+/**
+ * Move a journey to a new status and/or phase
+ * PATCH /api/v1/journeys/:id/transition
+ */
+const transitionJourney = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, phase, reason } = req.body;
+
+    const journey = await Journey.findById(id);
+
+    if (!journey) {
+      return next(new AppError('Journey not found', 404));
+    }
+
+    if (journey.userId.toString() !== req.user._id.toString()) {
+      return next(new AppError('Access denied to this journey', 403));
+    }
+
+    // Phase first so that e.g. phase "decision" and status "completed" can be sent together
+    const changes = [['phase', phase], ['status', status]]
+      .filter(([field, to]) => to && to !== journey[field]);
+
+    for (const [field, to] of changes) {
+      const blocked = journey.checkTransition(field, to);
+      if (blocked) {
+        return next(new AppError(blocked, 409));
+      }
+      journey.applyTransition(field, to, { changedBy: req.user._id, reason });
+    }
+
+    if (changes.length > 0) {
+      await journey.save();
+
+      logger.logAPI('Journey Transitioned', req.userId, {
+        journeyId: journey._id,
+        changes: Object.fromEntries(changes)
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: changes.length > 0 ? 'Journey transitioned successfully' : 'Journey already in requested state',
+      data: {
+        journey: journey.toJSON(),
+        allowedTransitions: journey.getAllowedTransitions()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in transitionJourney:', error);
+    next(new AppError('Failed to transition journey', 500));
+  }
+};
+
+/**
+ * Get the canonical steps and checklist items of a journey with their completion state
+ * GET /api/v1/journeys/:id/requirements
+ */
+const getJourneyRequirements = async (req, res, next) => {
+  try {
+    const journey = await Journey.findById(req.params.id);
+
+    if (!journey) {
+      return next(new AppError('Journey not found', 404));
+    }
+
+    if (journey.userId.toString() !== req.user._id.toString()) {
+      const hasSharedAccess = journey.sharedWith.some(
+        share => share.email === req.user.email
+      );
+
+      if (!hasSharedAccess) {
+        return next(new AppError('Access denied to this journey', 403));
+      }
+    }
+
+    if (!journey.isLinkedToVisaType()) {
+      return next(new AppError('Journey is not linked to a visa type', 400));
+    }
+
+    const visaType = await VisaType.findById(journey.visaTypeId);
+    if (!visaType) {
+      return next(new AppError('Linked visa type no longer exists', 404));
+    }
+
+    const responses = journey.personalizationData.toObject();
+    const itemId = item => item.key || item._id.toString();
+    const steps = visaType.getPersonalizedSteps(responses).map(step => ({
+      id: itemId(step),
+      stepNumber: step.stepNumber,
+      title: step.title,
+      description: step.description,
+      estimatedTime: step.estimatedTime,
+      completed: journey.stepCompletion.get(itemId(step)) === true
+    }));
+    const checklist = visaType.getConditionalDocuments(responses).map(doc => ({
+      id: itemId(doc),
+      requirementId: doc._id,
+      name: doc.name,
+      description: doc.description,
+      category: doc.category,
+      isRequired: doc.isRequired,
+      checked: journey.checklist.get(itemId(doc)) === true
+    }));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        visaType: {
+          id: visaType._id,
+          code: visaType.code,
+          name: visaType.name
+        },
+        steps,
+        checklist,
+        progressMetrics: journey.progressMetrics
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getJourneyRequirements:', error);
+    next(new AppError('Failed to retrieve journey requirements', 500));
+  }
+};
+
+/**
+ * Get the recommended timeline for a journey
+ * GET /api/v1/journeys/:id/plan
+ */
+const getJourneyPlan = async (req, res, next) => {
+  try {
+    const journey = await Journey.findById(req.params.id);
+
+    if (!journey) {
+      return next(new AppError('Journey not found', 404));
+    }
+
+    if (journey.userId.toString() !== req.user._id.toString()) {
+      const hasSharedAccess = journey.sharedWith.some(
+        share => share.email === req.user.email
+      );
+
+      if (!hasSharedAccess) {
+        return next(new AppError('Access denied to this journey', 403));
+      }
+    }
+
+    if (!journey.isLinkedToVisaType()) {
+      return next(new AppError('Journey is not linked to a visa type', 400));
+    }
+
+    const visaType = await VisaType.findById(journey.visaTypeId);
+    if (!visaType) {
+      return next(new AppError('Linked visa type no longer exists', 404));
+    }
+
+    const plan = timelineService.planJourney(journey, visaType);
+    if (!plan) {
+      return next(new AppError('A course start date (personalizationData.courseStartDate) is required to plan the timeline', 400));
+    }
+
+    // Read-only for shared viewers too; the owner's personalization updates store the estimate
+    res.status(200).json({
+      status: 'success',
+      data: {
+        plan
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in getJourneyPlan:', error);
+    next(new AppError('Failed to plan journey timeline', 500));
+  }
+};
+
+/**
+ * Check balances against the maintenance funds requirement of the linked visa type
+ * Location and dependants default to the journey's personalization answers.
+ * POST /api/v1/journeys/:id/funds-check
+ */
+const checkJourneyFunds = async (req, res, next) => {
+  try {
+    const journey = await Journey.findById(req.params.id);
+
+    if (!journey) {
+      return next(new AppError('Journey not found', 404));
+    }
+
+    if (journey.userId.toString() !== req.user._id.toString()) {
+      const hasSharedAccess = journey.sharedWith.some(
+        share => share.email === req.user.email
+      );
+
+      if (!hasSharedAccess) {
+        return next(new AppError('Access denied to this journey', 403));
+      }
+    }
+
+    if (!journey.isLinkedToVisaType()) {
+      return next(new AppError('Journey is not linked to a visa type', 400));
+    }
+
+    const visaType = await VisaType.findById(journey.visaTypeId);
+    if (!visaType) {
+      return next(new AppError('Linked visa type no longer exists', 404));
+    }
+
+    const personalization = journey.personalizationData;
+    const location = req.body.location || personalization.studyLocation;
+    if (!location) {
+      return next(new AppError('A study location is required (location or personalizationData.studyLocation)', 400));
+    }
+
+    const warnings = [];
+    if (personalization.financialSituation === 'fully_funded') {
+      warnings.push('Fully funded applicants may not need to show funds if an official sponsor covers both fees and living costs');
+    }
+
+    let result;
+    try {
+      result = await fundsCheckService.checkFunds(visaType, {
+        location,
+        courseMonths: req.body.courseMonths,
+        dependants: req.body.dependants !== undefined ? req.body.dependants : (personalization.hasDependent ? 1 : 0),
+        tuitionOutstanding: req.body.tuitionOutstanding,
+        balances: req.body.balances,
+        applicationDate: req.body.applicationDate
+      });
+    } catch (error) {
+      if (error.isMissingRequirement) {
+        return next(new AppError(error.message, 400));
+      }
+      throw error;
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        fundsCheck: result,
+        warnings
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in checkJourneyFunds:', error);
+    next(new AppError('Failed to check funds', 500));
+  }
+};
+
+/**
+ * Read a passport MRZ and check it against the applicant's profile and journey
+ * The passport details are returned but not stored.
+ * POST /api/v1/journeys/:id/passport-check
+ */
+const checkJourneyPassport = async (req, res, next) => {
+  try {
+    const journey = await Journey.findById(req.params.id);
+
+    if (!journey) {
+      return next(new AppError('Journey not found', 404));
+    }
+
+    // Owner only: checks against someone else's passport would reveal their name and nationality
+    if (journey.userId.toString() !== req.user._id.toString()) {
+      return next(new AppError('Access denied to this journey', 403));
+    }
+
+    let passport;
+    try {
+      passport = passportService.parseMrz(req.body.mrz);
+    } catch (error) {
+      if (error.isInvalidMrz) {
+        return next(new AppError(error.message, 400));
+      }
+      throw error;
+    }
+
+    const result = passportService.crossCheck(passport, {
+      user: req.user,
+      journey,
+      courseEndDate: req.body.courseEndDate
+    });
+
+    logger.logAPI('Passport Checked', req.userId, {
+      journeyId: journey._id,
+      valid: passport.valid,
+      passed: result.passed
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        passport,
+        ...result
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error in checkJourneyPassport:', error);
+    next(new AppError('Failed to check passport', 500));
+  }
+};
+
+/**
+ * Download the journey progress report as a PDF, including the findings of
+ * imported bank statements
+ * GET /api/v1/journeys/:id/report
+ */
+const downloadJourneyReport = async (req, res, next) => {
+  try {
+    const journey = await Journey.findById(req.params.id);
+
+    if (!journey) {
+      return next(new AppError('Journey not found', 404));
+    }
+
+    if (journey.userId.toString() !== req.user._id.toString()) {
+      const hasSharedAccess = journey.sharedWith.some(
+        share => share.email === req.user.email
+      );
+
+      if (!hasSharedAccess) {
+        return next(new AppError('Access denied to this journey', 403));
+      }
+    }
+
+    // The report is always written for the journey's owner
+    const [owner, bankStatements] = await Promise.all([
+      User.findById(journey.userId),
+      BankStatement.findByJourney(journey._id).select('-balances')
+    ]);
+    if (!owner) {
+      return next(new AppError('Journey owner no longer exists', 404));
+    }
+
+    const pdf = await pdfService.generateJourneyReport(journey, owner, { bankStatements });
+
+    logger.logAPI('Journey Report Downloaded', req.userId, {
+      journeyId: journey._id,
+      bankStatements: bankStatements.length
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${pdf.filename}"`);
+    res.send(pdf.buffer);
+
+  } catch (error) {
+    logger.error('Error in downloadJourneyReport:', error);
+    next(new AppError('Failed to generate journey report', 500));
+  }
+};
+
 /**
  * Share journey with others
  * POST /api/v1/journeys/:id/share
@@ -435,7 +924,7 @@ const shareJourney = async (req, res, next) => {
       status: 'success',
       message: 'Journey shared successfully',
       data: {
-        journey: journey.toObject()
+        journey: journey.toJSON()
       }
     });
 
@@ -474,7 +963,7 @@ const addJourneyNote = async (req, res, next) => {
       status: 'success',
       message: 'Note added successfully',
       data: {
-        journey: journey.toObject()
+        journey: journey.toJSON()
       }
     });
 
@@ -509,7 +998,7 @@ const getJourneyStats = async (req, res, next) => {
 
     let matchQuery = dateFilter;
     if (userId) {
-      matchQuery.userId = mongoose.Types.ObjectId(userId);
+      matchQuery.userId = new mongoose.Types.ObjectId(userId);
     }
 
     const stats = await Journey.aggregate([
@@ -601,11 +1090,18 @@ const deleteJourney = async (req, res, next) => {
 module.exports = {
   createOrUpdateJourney,
   getUserJourneys,
+  getSharedJourneys,
   getJourneyById,
   getJourneyProgress,
   updateStepCompletion,
   updateJourneyChecklist,
   updateJourneyPersonalization,
+  getJourneyRequirements,
+  transitionJourney,
+  getJourneyPlan,
+  checkJourneyFunds,
+  checkJourneyPassport,
+  downloadJourneyReport,
   shareJourney,
   addJourneyNote,
   getJourneyStats,
@@ -0,0 +1,225 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { PERMISSIONS, ALL_PERMISSIONS } = require('../config/permissions');
+const logger = require('../utils/logger');
+const auditService = require('../services/auditService');
+
+/**
+ * Role Controller - Roles (permission bundles) and role assignment
+ */
+
+/**
+ * List all known permissions
+ * GET /api/v1/admin/permissions
+ */
+const getPermissions = catchAsync(async (req, res, next) => {
+  const permissions = Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }));
+
+  res.status(200).json({
+    status: 'success',
+    results: permissions.length,
+    data: {
+      permissions
+    }
+  });
+});
+
+/**
+ * List roles with the number of users holding each
+ * GET /api/v1/admin/roles
+ */
+const getRoles = catchAsync(async (req, res, next) => {
+  const [roles, userCounts] = await Promise.all([
+    Role.find().sort({ isSystem: -1, name: 1 }),
+    User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+  ]);
+
+  const countByRole = new Map(userCounts.map(entry => [entry._id, entry.count]));
+
+  res.status(200).json({
+    status: 'success',
+    results: roles.length,
+    data: {
+      roles: roles.map(role => ({
+        ...role.toObject(),
+        userCount: countByRole.get(role.name) || 0
+      }))
+    }
+  });
+});
+
+/**
+ * Create a role
+ * POST /api/v1/admin/roles
+ */
+const createRole = catchAsync(async (req, res, next) => {
+  const { name, label, description, permissions = [] } = req.body;
+
+  if (await Role.exists({ name: name.toLowerCase() })) {
+    return next(new AppError('A role with this name already exists', 409));
+  }
+
+  const role = await Role.create({ name, label, description, permissions });
+
+  logger.logAPI('Role Created', req.userId, { role: role.name, permissions: role.permissions });
+
+  await auditService.record(req, {
+    action: 'role.create',
+    entityType: 'Role',
+    entityId: role._id,
+    before: null,
+    after: role
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Role created successfully',
+    data: {
+      role
+    }
+  });
+});
+
+/**
+ * Update a role's label, description or permissions
+ * PATCH /api/v1/admin/roles/:name
+ */
+const updateRole = catchAsync(async (req, res, next) => {
+  const role = await Role.findOne({ name: req.params.name });
+
+  if (!role) {
+    return next(new AppError('Role not found', 404));
+  }
+
+  const { label, description, permissions } = req.body;
+  const before = role.toObject();
+
+  if (permissions !== undefined) {
+    // Keep full access for admins so nobody can lock the team out
+    if (role.name === 'admin' && !permissions.includes(ALL_PERMISSIONS)) {
+      return next(new AppError('The admin role must keep all permissions', 400));
+    }
+    role.permissions = permissions;
+  }
+  if (label !== undefined) role.label = label;
+  if (description !== undefined) role.description = description;
+
+  await role.save();
+
+  logger.logAPI('Role Updated', req.userId, { role: role.name, permissions: role.permissions });
+
+  await auditService.record(req, {
+    action: 'role.update',
+    entityType: 'Role',
+    entityId: role._id,
+    before,
+    after: role
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Role updated successfully',
+    data: {
+      role
+    }
+  });
+});
+
+/**
+ * Delete a custom role that no user holds
+ * DELETE /api/v1/admin/roles/:name
+ */
+const deleteRole = catchAsync(async (req, res, next) => {
+  const role = await Role.findOne({ name: req.params.name });
+
+  if (!role) {
+    return next(new AppError('Role not found', 404));
+  }
+
+  if (role.isSystem) {
+    return next(new AppError('Built-in roles cannot be deleted', 400));
+  }
+
+  const holders = await User.countDocuments({ role: role.name });
+  if (holders > 0) {
+    return next(new AppError(`Role is assigned to ${holders} user(s). Reassign them first`, 409));
+  }
+
+  await role.deleteOne();
+
+  logger.logAPI('Role Deleted', req.userId, { role: role.name });
+
+  await auditService.record(req, {
+    action: 'role.delete',
+    entityType: 'Role',
+    entityId: role._id,
+    before: role,
+    after: null
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Role deleted successfully'
+  });
+});
+
+/**
+ * Change a user's role
+ * PATCH /api/v1/admin/users/:id/role
+ */
+const assignUserRole = catchAsync(async (req, res, next) => {
+  const { role: roleName } = req.body;
+
+  if (req.params.id === req.userId.toString()) {
+    return next(new AppError('You cannot change your own role', 400));
+  }
+
+  const [user, role] = await Promise.all([
+    User.findById(req.params.id),
+    Role.findOne({ name: roleName })
+  ]);
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  if (!role) {
+    return next(new AppError('Role not found', 404));
+  }
+
+  const previousRole = user.role;
+  user.role = role.name;
+  await user.save({ validateBeforeSave: false });
+
+  logger.logAPI('User Role Changed', req.userId, {
+    targetUserId: user._id,
+    from: previousRole,
+    to: role.name
+  });
+
+  await auditService.record(req, {
+    action: 'user.role_change',
+    entityType: 'User',
+    entityId: user._id,
+    before: { role: previousRole },
+    after: { role: user.role }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'User role updated successfully',
+    data: {
+      user: user.toJSON()
+    }
+  });
+});
+
+module.exports = {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignUserRole
+};
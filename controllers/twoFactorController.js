@@ -0,0 +1,158 @@
+const User = require('../models/User');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { buildOtpauthUri } = require('../utils/totp');
+const logger = require('../utils/logger');
+
+/**
+ * Get 2FA status for the current user
+ */
+const getTwoFactorStatus = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.userId).select('+twoFactor.recoveryCodes');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: user.requiresTwoFactor(),
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.getRemainingRecoveryCodes() : 0
+    }
+  });
+});
+
+/**
+ * Start enrollment: create a pending secret and otpauth URI
+ */
+const setupTwoFactor = catchAsync(async (req, res, next) => {
+  const { password } = req.body;
+  const user = await User.findById(req.userId).select('+password');
+
+  if (user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!(await user.comparePassword(password))) {
+    return next(new AppError('Password is incorrect', 400));
+  }
+
+  const secret = user.startTwoFactorEnrollment();
+  await user.save({ validateBeforeSave: false });
+
+  logger.logAPI('2FA Enrollment Started', user._id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    }
+  });
+});
+
+/**
+ * Confirm enrollment with a code from the app; returns recovery codes once
+ */
+const enableTwoFactor = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+  const user = await User.findById(req.userId).select('+twoFactor.pendingSecret +twoFactor.lastUsedStep');
+
+  if (user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    return next(new AppError('Start two-factor setup first', 400));
+  }
+
+  if (!user.verifyTwoFactorCode(code, { pending: true })) {
+    return next(new AppError('Invalid authentication code', 400));
+  }
+
+  user.enableTwoFactor();
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  logger.logAPI('2FA Enabled', user._id, { ip: req.ip });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+/**
+ * Disable 2FA (password and a current code or recovery code required)
+ */
+const disableTwoFactor = catchAsync(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+  const user = await User.findById(req.userId)
+    .select('+password +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+  if (!user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (user.requiresTwoFactor()) {
+    return next(new AppError('Two-factor authentication is mandatory for your role', 403));
+  }
+
+  if (!(await user.comparePassword(password))) {
+    return next(new AppError('Password is incorrect', 400));
+  }
+
+  const verified = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+  if (!verified) {
+    return next(new AppError('Invalid authentication code', 400));
+  }
+
+  user.disableTwoFactor();
+  await user.save({ validateBeforeSave: false });
+
+  logger.logAPI('2FA Disabled', user._id, { ip: req.ip });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+/**
+ * Replace all recovery codes (a current code is required)
+ */
+const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const { code } = req.body;
+  const user = await User.findById(req.userId).select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+  if (!user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!user.verifyTwoFactorCode(code)) {
+    return next(new AppError('Invalid authentication code', 400));
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  logger.logAPI('2FA Recovery Codes Regenerated', user._id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'New recovery codes generated. Previous codes no longer work',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -0,0 +1,324 @@
+const User = require('../models/User');
+const Journey = require('../models/Journey');
+const Session = require('../models/Session');
+const Notification = require('../models/Notification');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const emailService = require('../services/emailService');
+const smsService = require('../services/smsService');
+const logger = require('../utils/logger');
+
+// Profile fields a user may change directly. Email and mobile have their own
+// endpoints because they must be re-verified.
+const UPDATABLE_PROFILE_FIELDS = [
+  'firstName',
+  'lastName',
+  'preferences.language',
+  'preferences.timezone',
+  'preferences.notifications.email',
+  'preferences.notifications.sms'
+];
+
+/**
+ * Read a dotted path from a plain object
+ */
+const getPath = (obj, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+};
+
+/**
+ * Get current user's profile
+ */
+const getMyProfile = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.userId);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: user.toJSON()
+    }
+  });
+});
+
+/**
+ * Update current user's profile and preferences
+ */
+const updateMyProfile = catchAsync(async (req, res, next) => {
+  if (req.body.email !== undefined || req.body.mobile !== undefined || req.body.dialingCode !== undefined) {
+    return next(new AppError('Use /users/me/email or /users/me/mobile to change contact details', 400));
+  }
+
+  if (req.body.password !== undefined) {
+    return next(new AppError('Use /auth/change-password to change your password', 400));
+  }
+
+  const user = await User.findById(req.userId);
+  const changes = [];
+
+  UPDATABLE_PROFILE_FIELDS.forEach(path => {
+    const value = getPath(req.body, path);
+    if (value !== undefined) {
+      user.set(path, value);
+      changes.push(path);
+    }
+  });
+
+  if (changes.length === 0) {
+    return next(new AppError('No updatable fields provided', 400));
+  }
+
+  await user.save();
+
+  logger.logAPI('Profile Updated', user._id, { changes });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Profile updated successfully',
+    data: {
+      user: user.toJSON()
+    }
+  });
+});
+
+/**
+ * Change email address
+ * The new address is kept as pendingEmail until its verification link is
+ * used, so journeys shared with it stay closed until ownership is proven.
+ */
+const changeMyEmail = catchAsync(async (req, res, next) => {
+  const { email, password } = req.body;
+  const newEmail = email.toLowerCase();
+
+  const user = await User.findById(req.userId).select('+password');
+
+  if (!(await user.comparePassword(password))) {
+    return next(new AppError('Password is incorrect', 400));
+  }
+
+  if (user.email === newEmail) {
+    return next(new AppError('New email must be different from the current email', 400));
+  }
+
+  const existingUser = await User.findOne({ email: newEmail });
+  if (existingUser) {
+    return next(new AppError('Email already registered', 400));
+  }
+
+  user.pendingEmail = newEmail;
+  const emailToken = user.generateEmailVerificationToken();
+  await user.save();
+
+  try {
+    await emailService.sendEmailVerification(user.pendingEmail, user.firstName, emailToken);
+    logger.logAPI('Email Verification Sent', user._id, { email: user.pendingEmail });
+  } catch (error) {
+    logger.logError(error, req, 'Email Verification Failed');
+    // The new address can be verified later via /auth/send-email-verification
+  }
+
+  logger.logAPI('Email Change Requested', user._id, { email: user.email, pendingEmail: user.pendingEmail });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Please verify your new email address. Your email changes once it is verified.',
+    data: {
+      user: user.toJSON()
+    }
+  });
+});
+
+/**
+ * Change mobile number (requires OTP re-verification)
+ */
+const changeMyMobile = catchAsync(async (req, res, next) => {
+  const { mobile, dialingCode, password } = req.body;
+
+  const user = await User.findById(req.userId).select('+password');
+
+  if (!(await user.comparePassword(password))) {
+    return next(new AppError('Password is incorrect', 400));
+  }
+
+  if (user.mobile === mobile && user.dialingCode === dialingCode) {
+    return next(new AppError('New mobile number must be different from the current number', 400));
+  }
+
+  const existingUser = await User.findOne({ mobile, dialingCode });
+  if (existingUser) {
+    return next(new AppError('Mobile number already registered', 400));
+  }
+
+  user.mobile = mobile;
+  user.dialingCode = dialingCode;
+  user.isMobileVerified = false;
+  const otp = user.generateMobileOTP();
+  await user.save();
+
+  try {
+    await smsService.sendOTP(`${user.dialingCode}${user.mobile}`, otp);
+    logger.logAPI('Mobile OTP Sent', user._id, {
+      mobile: `${user.dialingCode}${user.mobile}`
+    });
+  } catch (error) {
+    logger.logError(error, req, 'SMS Service Failed');
+    // A new OTP can be requested via /auth/send-mobile-otp
+  }
+
+  logger.logAPI('Mobile Changed', user._id, {
+    mobile: `${user.dialingCode}${user.mobile}`
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Mobile number updated. Please verify it with the OTP sent to your phone.',
+    data: {
+      user: user.toJSON()
+    }
+  });
+});
+
+/**
+ * Get current user's journeys
+ */
+const getMyJourneys = catchAsync(async (req, res, next) => {
+  const { status, limit = 10, offset = 0 } = req.query;
+
+  const query = { userId: req.userId };
+  if (status) {
+    query.status = status;
+  }
+
+  const [journeys, total] = await Promise.all([
+    Journey.find(query)
+      .sort({ 'timestamps.lastActivity': -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset)),
+    Journey.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: journeys.length,
+    data: {
+      journeys,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: (parseInt(offset) + parseInt(limit)) < total
+      }
+    }
+  });
+});
+
+/**
+ * List current user's notifications, newest first
+ */
+const getMyNotifications = catchAsync(async (req, res, next) => {
+  const { unread, limit = 20, offset = 0 } = req.query;
+
+  const query = { userId: req.userId };
+  if (unread === 'true') {
+    query.readAt = null;
+  }
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset)),
+    Notification.countDocuments(query),
+    Notification.countUnread(req.userId)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: notifications.length,
+    data: {
+      notifications,
+      unreadCount,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: (parseInt(offset) + parseInt(limit)) < total
+      }
+    }
+  });
+});
+
+/**
+ * Mark one of current user's notifications as read
+ */
+const markNotificationRead = catchAsync(async (req, res, next) => {
+  const notification = await Notification.findOne({ _id: req.params.id, userId: req.userId });
+
+  if (!notification) {
+    return next(new AppError('Notification not found', 404));
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      notification
+    }
+  });
+});
+
+/**
+ * Mark all of current user's notifications as read
+ */
+const markAllNotificationsRead = catchAsync(async (req, res, next) => {
+  const result = await Notification.updateMany(
+    { userId: req.userId, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: `${result.modifiedCount} notification(s) marked as read`
+  });
+});
+
+/**
+ * Deactivate current user's account
+ */
+const deactivateMyAccount = catchAsync(async (req, res, next) => {
+  const { password, reason } = req.body;
+
+  const user = await User.findById(req.userId).select('+password');
+
+  if (!(await user.comparePassword(password))) {
+    return next(new AppError('Password is incorrect', 400));
+  }
+
+  user.status = 'inactive';
+  user.deactivatedAt = new Date();
+  user.deactivationReason = reason;
+  await user.save({ validateBeforeSave: false });
+
+  await Session.revokeAllForUser(user._id, 'account_deactivated');
+
+  logger.logAPI('Account Deactivated', user._id, { reason });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Account deactivated successfully'
+  });
+});
+
+module.exports = {
+  getMyProfile,
+  updateMyProfile,
+  changeMyEmail,
+  changeMyMobile,
+  getMyJourneys,
+  getMyNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deactivateMyAccount
+};
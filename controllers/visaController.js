@@ -1,7 +1,26 @@
 const VisaType = require('../models/VisaType');
+const VisaTypeRevision = require('../models/VisaTypeRevision');
 const Country = require('../models/Country');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const auditService = require('../services/auditService');
+const visaRevisionService = require('../services/visaRevisionService');
+const visaChangeNotificationService = require('../services/visaChangeNotificationService');
+const feeCalculatorService = require('../services/feeCalculatorService');
+
+/**
+ * Save through the revision history, reporting concurrent edits as 409
+ */
+const saveWithRevision = async (visaType, details) => {
+  try {
+    await visaRevisionService.saveWithRevision(visaType, details);
+  } catch (error) {
+    if (error.isConflict) {
+      throw new AppError(error.message, 409);
+    }
+    throw error;
+  }
+};
 
 /**
  * Get visa types by route
@@ -275,77 +294,196 @@ const getVisaChecklist = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Create visa type (Admin only)
+ * Delete visa type (Admin only)
  */
-const createVisaType = catchAsync(async (req, res, next) => {
-  const visaTypeData = { ...req.body };
-  
-  // Validate that origin and destination countries exist
-  const originCountry = await Country.findOne({ 
-    code: visaTypeData.originCountry,
-    isOriginCountry: true,
-    status: 'active'
+const deleteVisaType = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  const visaType = await VisaType.findById(id);
+
+  if (!visaType) {
+    return next(new AppError('Visa type not found', 404));
+  }
+
+  const before = visaType.toObject();
+  const previousSnapshot = visaRevisionService.takeSnapshot(visaType);
+
+  // Soft delete
+  visaType.status = 'inactive';
+
+  await saveWithRevision(visaType, {
+    action: 'delete',
+    author: visaRevisionService.toAuthor(req.user),
+    reason: (req.body && req.body.reason) || 'Deactivated',
+    previousSnapshot
   });
-  
-  const destinationCountry = await Country.findOne({ 
-    code: visaTypeData.destinationCountry,
-    isDestinationCountry: true,
-    status: 'active'
+
+  logger.logAPI('Visa Type Deleted', req.userId, {
+    visaTypeId: visaType._id,
+    name: visaType.name
   });
 
-  if (!originCountry) {
-    return next(new AppError('Invalid or unsupported origin country', 400));
-  }
+  await auditService.record(req, {
+    action: 'visaType.delete',
+    entityType: 'VisaType',
+    entityId: visaType._id,
+    before,
+    after: visaType,
+    metadata: { revision: visaType.revision }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Visa type deleted successfully'
+  });
+});
 
-  if (!destinationCountry) {
-    return next(new AppError('Invalid or unsupported destination country', 400));
+/**
+ * List revisions of a visa type, newest first
+ * GET /api/v1/visa-types/:id/revisions
+ */
+const getVisaTypeRevisions = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+
+  if (!(await VisaType.exists({ _id: id }))) {
+    return next(new AppError('Visa type not found', 404));
   }
 
-  const visaType = await VisaType.create(visaTypeData);
+  const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  logger.logAPI('Visa Type Created', req.userId, {
-    visaTypeId: visaType._id,
-    name: visaType.name,
-    route: `${visaType.originCountry}-${visaType.destinationCountry}`
+  const [revisions, total] = await Promise.all([
+    VisaTypeRevision.find({ visaTypeId: id })
+      .select('-snapshot')
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    VisaTypeRevision.countDocuments({ visaTypeId: id })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: revisions.length,
+    data: {
+      revisions: revisions.map(visaRevisionService.summarizeRevision),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    }
   });
+});
+
+/**
+ * Get one revision of a visa type, including its full content
+ * GET /api/v1/visa-types/:id/revisions/:revision
+ */
+const getVisaTypeRevision = catchAsync(async (req, res, next) => {
+  const revision = await VisaTypeRevision.findRevision(req.params.id, parseInt(req.params.revision));
+
+  if (!revision) {
+    return next(new AppError('Revision not found', 404));
+  }
 
-  res.status(201).json({
+  res.status(200).json({
     status: 'success',
-    message: 'Visa type created successfully',
     data: {
-      visaType
+      revision
     }
   });
 });
 
 /**
- * Update visa type (Admin only)
+ * Field-by-field diff between two revisions
+ * GET /api/v1/visa-types/:id/revisions/diff?from=2&to=5 (to defaults to the latest revision)
  */
-const updateVisaType = catchAsync(async (req, res, next) => {
+const diffVisaTypeRevisions = catchAsync(async (req, res, next) => {
   const { id } = req.params;
-  const updateData = { ...req.body };
+  const from = parseInt(req.query.from);
 
-  const visaType = await VisaType.findByIdAndUpdate(
-    id,
-    updateData,
-    {
-      new: true,
-      runValidators: true
+  const [fromRevision, toRevision] = await Promise.all([
+    VisaTypeRevision.findRevision(id, from),
+    req.query.to ? VisaTypeRevision.findRevision(id, parseInt(req.query.to)) : VisaTypeRevision.findLatest(id)
+  ]);
+
+  if (!fromRevision || !toRevision) {
+    return next(new AppError('Revision not found', 404));
+  }
+
+  const changes = visaRevisionService.diffSnapshots(fromRevision.snapshot, toRevision.snapshot);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      from: fromRevision.revision,
+      to: toRevision.revision,
+      changeCount: changes.length,
+      changes
     }
-  );
+  });
+});
+
+/**
+ * Restore the content of an earlier revision (recorded as a new revision)
+ * POST /api/v1/visa-types/:id/revisions/:revision/rollback
+ */
+const rollbackVisaType = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const [visaType, target] = await Promise.all([
+    VisaType.findById(id),
+    VisaTypeRevision.findRevision(id, parseInt(req.params.revision))
+  ]);
 
   if (!visaType) {
     return next(new AppError('Visa type not found', 404));
   }
 
-  logger.logAPI('Visa Type Updated', req.userId, {
+  if (!target) {
+    return next(new AppError('Revision not found', 404));
+  }
+
+  if (target.revision === visaType.revision) {
+    return next(new AppError('This revision is already the current version', 400));
+  }
+
+  const before = visaType.toObject();
+  const previousSnapshot = visaRevisionService.takeSnapshot(visaType);
+
+  visaRevisionService.restoreSnapshot(visaType, target.snapshot);
+
+  await saveWithRevision(visaType, {
+    action: 'rollback',
+    author: visaRevisionService.toAuthor(req.user),
+    reason,
+    previousSnapshot,
+    rolledBackTo: target.revision
+  });
+
+  logger.logAPI('Visa Type Rolled Back', req.userId, {
     visaTypeId: visaType._id,
-    changes: Object.keys(updateData)
+    rolledBackTo: target.revision,
+    revision: visaType.revision
   });
 
+  await auditService.record(req, {
+    action: 'visaType.rollback',
+    entityType: 'VisaType',
+    entityId: visaType._id,
+    before,
+    after: visaType,
+    metadata: { rolledBackTo: target.revision, reason }
+  });
+
+  visaChangeNotificationService.notifyRevisionInBackground(visaType._id, visaType.revision);
+
   res.status(200).json({
     status: 'success',
-    message: 'Visa type updated successfully',
+    message: `Visa type rolled back to revision ${target.revision}`,
     data: {
       visaType
     }
@@ -353,29 +491,48 @@ const updateVisaType = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Delete visa type (Admin only)
+ * Calculate the itemised fees of a visa type in a chosen currency
+ * GET /api/v1/visa-types/:id/fees
  */
-const deleteVisaType = catchAsync(async (req, res, next) => {
-  const { id } = req.params;
+const getVisaTypeFees = catchAsync(async (req, res, next) => {
+  const { currency, years, dependants, includeOptional, date } = req.query;
 
-  const visaType = await VisaType.findById(id);
+  const visaType = await VisaType.findById(req.params.id);
 
   if (!visaType) {
     return next(new AppError('Visa type not found', 404));
   }
 
-  // Soft delete
-  visaType.status = 'inactive';
-  await visaType.save();
+  if (visaType.status !== 'active') {
+    return next(new AppError('Visa type is not available', 400));
+  }
 
-  logger.logAPI('Visa Type Deleted', req.userId, {
-    visaTypeId: visaType._id,
-    name: visaType.name
-  });
+  let fees;
+  try {
+    fees = await feeCalculatorService.calculateFees(visaType, {
+      currency,
+      years: years !== undefined ? parseFloat(years) : 1,
+      dependants: dependants !== undefined ? parseInt(dependants) : 0,
+      includeOptional: includeOptional === 'true',
+      date: date ? new Date(date) : new Date()
+    });
+  } catch (error) {
+    if (error.isMissingRate) {
+      return next(new AppError(error.message, 400));
+    }
+    throw error;
+  }
 
   res.status(200).json({
     status: 'success',
-    message: 'Visa type deleted successfully'
+    data: {
+      visaType: {
+        id: visaType._id,
+        name: visaType.name,
+        code: visaType.code
+      },
+      fees
+    }
   });
 });
 
@@ -447,8 +604,11 @@ module.exports = {
   searchVisaTypes,
   getVisaRequirements,
   getVisaChecklist,
-  createVisaType,
-  updateVisaType,
+  getVisaTypeFees,
   deleteVisaType,
+  getVisaTypeRevisions,
+  getVisaTypeRevision,
+  diffVisaTypeRevisions,
+  rollbackVisaType,
   getVisaStats
 };
\ No newline at end of file
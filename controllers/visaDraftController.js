@@ -0,0 +1,411 @@
+const VisaType = require('../models/VisaType');
+const VisaTypeDraft = require('../models/VisaTypeDraft');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const visaPublishingService = require('../services/visaPublishingService');
+const visaRevisionService = require('../services/visaRevisionService');
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+/**
+ * Visa Draft Controller - Draft, review and publish workflow for visa types
+ */
+
+/**
+ * Save a draft loaded earlier in the request
+ * Drafts use optimistic concurrency, so a review or publish in the meantime is reported as 409.
+ */
+const saveDraft = async (draft) => {
+  try {
+    await draft.save();
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      throw new AppError('The draft was changed by someone else. Reload and try again', 409);
+    }
+    throw error;
+  }
+};
+
+// Audit entry for a workflow step
+const recordDraftAudit = (req, draft, action, metadata) => auditService.record(req, {
+  action: `visaTypeDraft.${action}`,
+  entityType: 'VisaTypeDraft',
+  entityId: draft._id,
+  metadata: { visaTypeId: draft.visaTypeId, status: draft.status, ...metadata }
+});
+
+/**
+ * Publish a claimed draft, returning it to editing if publishing fails
+ */
+const publishClaimedDraft = async (draft) => {
+  try {
+    return await visaPublishingService.publishDraft(draft);
+  } catch (error) {
+    await visaPublishingService.markPublishFailed(draft, error);
+    throw new AppError(`Publishing failed: ${error.message}`, error.isConflict ? 409 : 400);
+  }
+};
+
+/**
+ * List drafts, most recently changed first
+ * GET /api/v1/visa-type-drafts
+ */
+const getDrafts = catchAsync(async (req, res, next) => {
+  const { status, visaTypeId, mine, page = 1, limit = 20 } = req.query;
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (visaTypeId) filter.visaTypeId = visaTypeId;
+  if (mine === 'true') filter.contributors = req.user._id;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [drafts, total] = await Promise.all([
+    VisaTypeDraft.find(filter)
+      .select('-content -history')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    VisaTypeDraft.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: drafts.length,
+    data: {
+      drafts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    }
+  });
+});
+
+/**
+ * Get a draft with its changes against the published version
+ * GET /api/v1/visa-type-drafts/:id
+ */
+const getDraft = catchAsync(async (req, res, next) => {
+  const draft = await VisaTypeDraft.findById(req.params.id);
+
+  if (!draft) {
+    return next(new AppError('Draft not found', 404));
+  }
+
+  const published = draft.visaTypeId ? await VisaType.findById(draft.visaTypeId) : null;
+  const changes = visaRevisionService.diffSnapshots(
+    published ? visaRevisionService.takeSnapshot(published) : null,
+    draft.content
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      draft,
+      publishedRevision: published ? published.revision : null,
+      isOutdated: !!published && published.revision !== draft.baseRevision,
+      changes
+    }
+  });
+});
+
+/**
+ * Start a draft of a new visa type, or of changes to an existing one
+ * POST /api/v1/visa-type-drafts
+ */
+const createDraft = catchAsync(async (req, res, next) => {
+  const { visaTypeId, changes = {}, reason, publishAt } = req.body;
+  const author = visaRevisionService.toAuthor(req.user);
+
+  let content;
+  let baseRevision = 0;
+
+  if (visaTypeId) {
+    const visaType = await VisaType.findById(visaTypeId);
+    if (!visaType) {
+      return next(new AppError('Visa type not found', 404));
+    }
+    baseRevision = visaType.revision;
+    content = visaPublishingService.buildContent(visaType, changes);
+  } else {
+    content = visaPublishingService.buildContent(null, changes);
+  }
+
+  const draft = new VisaTypeDraft({
+    visaTypeId,
+    baseRevision,
+    content,
+    reason,
+    publishAt,
+    author,
+    contributors: [req.user._id]
+  });
+  draft.addHistory('created', author);
+  await draft.save();
+
+  logger.logAPI('Visa Type Draft Created', req.userId, { draftId: draft._id, visaTypeId });
+  await recordDraftAudit(req, draft, 'create');
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Draft created successfully',
+    data: {
+      draft
+    }
+  });
+});
+
+/**
+ * Edit a draft's content, reason or publish date
+ * PATCH /api/v1/visa-type-drafts/:id
+ */
+const updateDraft = catchAsync(async (req, res, next) => {
+  const draft = await VisaTypeDraft.findById(req.params.id);
+
+  if (!draft) {
+    return next(new AppError('Draft not found', 404));
+  }
+
+  if (!draft.isEditable) {
+    return next(new AppError(`A draft that is ${draft.status.replace('_', ' ')} cannot be edited`, 400));
+  }
+
+  const { changes, reason, publishAt } = req.body;
+
+  if (changes) {
+    draft.content = visaPublishingService.buildContent(draft.content, changes);
+    draft.markModified('content');
+  }
+  if (reason !== undefined) draft.reason = reason;
+  if (publishAt !== undefined) draft.publishAt = publishAt;
+
+  // Editing a rejected draft reopens it
+  draft.status = 'draft';
+  draft.publishError = undefined;
+  if (!draft.isContributor(req.user._id)) {
+    draft.contributors.push(req.user._id);
+  }
+  draft.addHistory('edited', visaRevisionService.toAuthor(req.user));
+  await saveDraft(draft);
+
+  logger.logAPI('Visa Type Draft Updated', req.userId, { draftId: draft._id });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Draft updated successfully',
+    data: {
+      draft
+    }
+  });
+});
+
+/**
+ * Submit a draft for review
+ * POST /api/v1/visa-type-drafts/:id/submit
+ */
+const submitDraft = catchAsync(async (req, res, next) => {
+  const draft = await VisaTypeDraft.findById(req.params.id);
+
+  if (!draft) {
+    return next(new AppError('Draft not found', 404));
+  }
+
+  if (!draft.isEditable) {
+    return next(new AppError(`A draft that is ${draft.status.replace('_', ' ')} cannot be submitted`, 400));
+  }
+
+  const problems = await visaPublishingService.validateContent(draft.content);
+  if (problems.length > 0) {
+    return next(new AppError('Draft is not a valid visa type', 400, true, problems));
+  }
+
+  if (draft.visaTypeId) {
+    const published = await VisaType.findById(draft.visaTypeId).select('revision');
+    if (published && published.revision !== draft.baseRevision) {
+      return next(new AppError('The visa type was changed after this draft was started. Start a new draft from the current version', 409));
+    }
+  }
+
+  draft.status = 'in_review';
+  draft.submittedAt = new Date();
+  draft.review = undefined;
+  draft.addHistory('submitted', visaRevisionService.toAuthor(req.user), req.body.comment);
+  await saveDraft(draft);
+
+  logger.logAPI('Visa Type Draft Submitted', req.userId, { draftId: draft._id });
+  await recordDraftAudit(req, draft, 'submit');
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Draft submitted for review',
+    data: {
+      draft
+    }
+  });
+});
+
+/**
+ * Approve a draft; it is published now or at its publish date
+ * POST /api/v1/visa-type-drafts/:id/approve
+ */
+const approveDraft = catchAsync(async (req, res, next) => {
+  const draft = await VisaTypeDraft.findById(req.params.id);
+
+  if (!draft) {
+    return next(new AppError('Draft not found', 404));
+  }
+
+  if (draft.status !== 'in_review') {
+    return next(new AppError('Only drafts in review can be approved', 400));
+  }
+
+  if (draft.isContributor(req.user._id)) {
+    return next(new AppError('A draft must be approved by someone who did not work on it', 403));
+  }
+
+  const reviewer = visaRevisionService.toAuthor(req.user);
+  const publishAt = req.body.publishAt ? new Date(req.body.publishAt) : draft.publishAt;
+  const isScheduled = !!publishAt && publishAt > new Date();
+
+  // Atomic so two reviewers (or a reviewer and an edit) cannot both act on it
+  const approved = await VisaTypeDraft.findOneAndUpdate(
+    { _id: draft._id, status: 'in_review' },
+    {
+      $set: {
+        status: isScheduled ? 'scheduled' : 'publishing',
+        publishAt,
+        review: {
+          reviewer,
+          decision: 'approved',
+          comment: req.body.comment,
+          reviewedAt: new Date()
+        }
+      },
+      $push: { history: { action: 'approved', by: reviewer, comment: req.body.comment, at: new Date() } },
+      $inc: { __v: 1 }
+    },
+    { new: true }
+  );
+
+  if (!approved) {
+    return next(new AppError('The draft was changed while you were reviewing it. Reload and try again', 409));
+  }
+
+  logger.logAPI('Visa Type Draft Approved', req.userId, { draftId: approved._id, publishAt });
+  await recordDraftAudit(req, approved, 'approve', { publishAt });
+
+  if (isScheduled) {
+    return res.status(200).json({
+      status: 'success',
+      message: `Draft approved and scheduled for ${publishAt.toISOString()}`,
+      data: {
+        draft: approved
+      }
+    });
+  }
+
+  const visaType = await publishClaimedDraft(approved);
+
+  await auditService.record(req, {
+    action: 'visaType.publish',
+    entityType: 'VisaType',
+    entityId: visaType._id,
+    metadata: { draftId: approved._id, revision: visaType.revision }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Draft approved and published',
+    data: {
+      draft: approved,
+      visaType
+    }
+  });
+});
+
+/**
+ * Reject a draft in review (or unschedule an approved one); it can then be edited
+ * POST /api/v1/visa-type-drafts/:id/reject
+ */
+const rejectDraft = catchAsync(async (req, res, next) => {
+  const draft = await VisaTypeDraft.findById(req.params.id);
+
+  if (!draft) {
+    return next(new AppError('Draft not found', 404));
+  }
+
+  if (!['in_review', 'scheduled'].includes(draft.status)) {
+    return next(new AppError('Only drafts in review or scheduled can be rejected', 400));
+  }
+
+  if (draft.isContributor(req.user._id)) {
+    return next(new AppError('A draft must be reviewed by someone who did not work on it', 403));
+  }
+
+  const reviewer = visaRevisionService.toAuthor(req.user);
+
+  draft.status = 'rejected';
+  draft.review = {
+    reviewer,
+    decision: 'rejected',
+    comment: req.body.comment,
+    reviewedAt: new Date()
+  };
+  draft.addHistory('rejected', reviewer, req.body.comment);
+  await saveDraft(draft);
+
+  logger.logAPI('Visa Type Draft Rejected', req.userId, { draftId: draft._id });
+  await recordDraftAudit(req, draft, 'reject', { comment: req.body.comment });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Draft rejected',
+    data: {
+      draft
+    }
+  });
+});
+
+/**
+ * Cancel an open draft
+ * POST /api/v1/visa-type-drafts/:id/cancel
+ */
+const cancelDraft = catchAsync(async (req, res, next) => {
+  const draft = await VisaTypeDraft.findById(req.params.id);
+
+  if (!draft) {
+    return next(new AppError('Draft not found', 404));
+  }
+
+  if (!draft.isOpen || draft.status === 'publishing') {
+    return next(new AppError(`A draft that is ${draft.status.replace('_', ' ')} cannot be cancelled`, 400));
+  }
+
+  draft.status = 'cancelled';
+  draft.addHistory('cancelled', visaRevisionService.toAuthor(req.user), req.body.comment);
+  await saveDraft(draft);
+
+  logger.logAPI('Visa Type Draft Cancelled', req.userId, { draftId: draft._id });
+  await recordDraftAudit(req, draft, 'cancel');
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Draft cancelled',
+    data: {
+      draft
+    }
+  });
+});
+
+module.exports = {
+  getDrafts,
+  getDraft,
+  createDraft,
+  updateDraft,
+  submitDraft,
+  approveDraft,
+  rejectDraft,
+  cancelDraft
+};
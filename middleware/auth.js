@@ -1,14 +1,20 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const { hasPermission, isKnownPermission } = require('../config/permissions');
 const { AppError, catchAsync } = require('./errorHandler');
+const { parseUserAgent } = require('../utils/userAgent');
+const jwtKeys = require('../utils/jwtKeys');
 const logger = require('../utils/logger');
 
 /**
  * Generate JWT Access Token
  */
-const generateAccessToken = (userId) => {
-  return jwt.sign(
-    { userId, type: 'access' },
+const generateAccessToken = (userId, sessionId) => {
+  return jwtKeys.sign(
+    { userId, type: 'access', sid: sessionId },
     process.env.JWT_SECRET,
     { 
       expiresIn: process.env.JWT_EXPIRE || '24h',
@@ -20,38 +26,80 @@ const generateAccessToken = (userId) => {
 /**
  * Generate JWT Refresh Token
  */
-const generateRefreshToken = (userId) => {
-  return jwt.sign(
-    { userId, type: 'refresh' },
+const generateRefreshToken = (userId, sessionId, jti) => {
+  return jwtKeys.sign(
+    { userId, type: 'refresh', sid: sessionId },
     process.env.JWT_REFRESH_SECRET,
     { 
       expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d',
+      issuer: 'visamap-api',
+      jwtid: jti
+    }
+  );
+};
+
+/**
+ * Generate a short-lived MFA challenge token
+ * Issued after the password step when 2FA is enabled; only exchangeable at /auth/login/2fa.
+ */
+const generateMfaChallengeToken = (userId) => {
+  return jwtKeys.sign(
+    { userId, type: 'mfa_challenge' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.MFA_CHALLENGE_EXPIRE || '5m',
       issuer: 'visamap-api'
     }
   );
 };
 
 /**
- * Generate both access and refresh tokens
+ * Sign an access/refresh token pair for a session
  */
-const generateTokens = (userId) => {
-  const accessToken = generateAccessToken(userId);
-  const refreshToken = generateRefreshToken(userId);
-  
+const signTokens = (userId, sessionId, jti) => {
+  const accessToken = generateAccessToken(userId, sessionId);
+  const refreshToken = generateRefreshToken(userId, sessionId, jti);
+
   return {
     accessToken,
     refreshToken,
     tokenType: 'Bearer',
-    expiresIn: process.env.JWT_EXPIRE || '24h'
+    expiresIn: process.env.JWT_EXPIRE || '24h',
+    // Expiry of the refresh token, used for the session record
+    refreshExpiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
   };
 };
 
+/**
+ * Start a new session and generate both access and refresh tokens
+ */
+const generateTokens = async (userId, req) => {
+  const jti = crypto.randomUUID();
+  const userAgent = req ? req.get('User-Agent') : undefined;
+  const session = new Session({
+    userId,
+    jti,
+    createdByIp: req && req.ip,
+    userAgent: userAgent && userAgent.substring(0, 500),
+    device: parseUserAgent(userAgent),
+    lastSeenAt: new Date(),
+    lastSeenIp: req && req.ip
+  });
+
+  const { refreshExpiresAt, ...tokens } = signTokens(userId, session._id, jti);
+
+  session.expiresAt = refreshExpiresAt;
+  await session.save();
+
+  return tokens;
+};
+
 /**
  * Verify JWT Token
  */
 const verifyToken = (token, secret) => {
   try {
-    return jwt.verify(token, secret);
+    return jwtKeys.verify(token, secret);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw new AppError('Token has expired', 401);
@@ -80,6 +128,35 @@ const extractTokenFromHeader = (authorizationHeader) => {
   return parts[1];
 };
 
+/**
+ * Load the user and session behind a verified access token
+ * Rejects revoked sessions and tokens issued before the last password change.
+ */
+const resolveAccessToken = async (decoded) => {
+  if (decoded.type !== 'access') {
+    throw new AppError('Invalid token type', 401);
+  }
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId).select('+status +passwordChangedAt'),
+    decoded.sid ? Session.findById(decoded.sid).select('userId revokedAt') : null
+  ]);
+
+  if (!user) {
+    throw new AppError('User no longer exists', 401);
+  }
+
+  if (!session || session.revokedAt || session.userId.toString() !== user._id.toString()) {
+    throw new AppError('Session has been revoked. Please log in again', 401);
+  }
+
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw new AppError('Password was changed recently. Please log in again', 401);
+  }
+
+  return { user, session };
+};
+
 /**
  * Main authentication middleware
  */
@@ -94,17 +171,8 @@ const authenticate = catchAsync(async (req, res, next) => {
   // 2) Verify token
   const decoded = verifyToken(token, process.env.JWT_SECRET);
   
-  // 3) Check if token type is access
-  if (decoded.type !== 'access') {
-    return next(new AppError('Invalid token type', 401));
-  }
-
-  // 4) Check if user still exists
-  const user = await User.findById(decoded.userId).select('+status');
-  
-  if (!user) {
-    return next(new AppError('User no longer exists', 401));
-  }
+  // 3) Check token type, user, session and password change
+  const { user, session } = await resolveAccessToken(decoded);
 
   // 5) Check if user account is active
   if (user.status !== 'active') {
@@ -119,6 +187,12 @@ const authenticate = catchAsync(async (req, res, next) => {
   // 7) Grant access to protected route
   req.user = user;
   req.userId = user._id;
+  req.sessionId = session._id;
+
+  // Record session activity without delaying the request
+  Session.touch(session._id, req.ip).catch(error => {
+    logger.error('Session activity update failed:', error);
+  });
   
   // Log the authenticated request
   logger.logAPI('Authenticated Request', user._id, {
@@ -142,14 +216,12 @@ const authenticateOptional = catchAsync(async (req, res, next) => {
 
   try {
     const decoded = verifyToken(token, process.env.JWT_SECRET);
+    const { user, session } = await resolveAccessToken(decoded);
     
-    if (decoded.type === 'access') {
-      const user = await User.findById(decoded.userId).select('+status');
-      
-      if (user && user.status === 'active' && !user.isLocked) {
-        req.user = user;
-        req.userId = user._id;
-      }
+    if (user.status === 'active' && !user.isLocked) {
+      req.user = user;
+      req.userId = user._id;
+      req.sessionId = session._id;
     }
   } catch (error) {
     // Silently ignore token errors in optional authentication
@@ -172,12 +244,71 @@ const authorize = (...roles) => {
       return next(new AppError('Access denied. Insufficient permissions', 403));
     }
 
+    if (isMissingRequiredTwoFactor(req.user)) {
+      return next(new AppError('Two-factor authentication must be enabled to access this resource', 403));
+    }
+
     next();
   };
 };
 
+/**
+ * Roles listed in TWO_FACTOR_REQUIRED_ROLES must enroll before using privileged routes
+ */
+const isMissingRequiredTwoFactor = (user) => user.requiresTwoFactor() && !user.twoFactor.enabled;
+
+/**
+ * Load the permissions of the user's role onto the request (req.permissions)
+ */
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await Role.getPermissions(req.user.role);
+  }
+  return req.permissions;
+};
+
+const buildPermissionCheck = (permissions, mode) => {
+  const unknown = permissions.filter(permission => !isKnownPermission(permission));
+  if (!permissions.length || unknown.length) {
+    throw new Error(`requirePermission: unknown permissions ${unknown.join(', ')}`);
+  }
+
+  return catchAsync(async (req, res, next) => {
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
+    }
+
+    const granted = await loadPermissions(req);
+    const allowed = mode === 'all'
+      ? permissions.every(permission => hasPermission(granted, permission))
+      : permissions.some(permission => hasPermission(granted, permission));
+
+    if (!allowed) {
+      return next(new AppError('Access denied. Insufficient permissions', 403));
+    }
+
+    if (isMissingRequiredTwoFactor(req.user)) {
+      return next(new AppError('Two-factor authentication must be enabled to access this resource', 403));
+    }
+
+    next();
+  });
+};
+
+/**
+ * Permission middleware - user's role must grant every listed permission
+ */
+const requirePermission = (...permissions) => buildPermissionCheck(permissions, 'all');
+
+/**
+ * Permission middleware - user's role must grant at least one listed permission
+ * (for routes whose controller scopes results, e.g. "all" vs "assigned" contacts)
+ */
+const requireAnyPermission = (...permissions) => buildPermissionCheck(permissions, 'any');
+
 /**
  * Refresh token middleware
+ * Rotates the refresh token; reusing an already rotated token revokes the whole session.
  */
 const refreshToken = catchAsync(async (req, res, next) => {
   const { refreshToken } = req.body;
@@ -189,10 +320,31 @@ const refreshToken = catchAsync(async (req, res, next) => {
   // Verify refresh token
   const decoded = verifyToken(refreshToken, process.env.JWT_REFRESH_SECRET);
   
-  if (decoded.type !== 'refresh') {
+  if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
     return next(new AppError('Invalid token type', 401));
   }
 
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || session.userId.toString() !== decoded.userId) {
+    return next(new AppError('Invalid refresh token', 401));
+  }
+
+  if (session.revokedAt) {
+    return next(new AppError('Session has been revoked. Please log in again', 401));
+  }
+
+  // An older token of this family was presented: assume it was stolen
+  if (session.jti !== decoded.jti) {
+    await session.revoke('reuse_detected');
+    logger.warn('Refresh token reuse detected, session revoked', {
+      userId: decoded.userId,
+      sessionId: session._id,
+      ip: req.ip
+    });
+    return next(new AppError('Refresh token has already been used. Please log in again', 401));
+  }
+
   // Check if user exists
   const user = await User.findById(decoded.userId).select('+status');
   
@@ -204,8 +356,16 @@ const refreshToken = catchAsync(async (req, res, next) => {
     return next(new AppError('Account is not active', 403));
   }
 
-  // Generate new tokens
-  const tokens = generateTokens(user._id);
+  // Rotate: the presented token stops being valid
+  const nextJti = crypto.randomUUID();
+  const { refreshExpiresAt, ...tokens } = signTokens(user._id, session._id, nextJti);
+  const rotated = await Session.rotate(session._id, decoded.jti, nextJti, refreshExpiresAt, req.ip);
+
+  if (!rotated) {
+    // Lost a race with another refresh using the same token
+    await Session.updateOne({ _id: session._id }, { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } });
+    return next(new AppError('Refresh token has already been used. Please log in again', 401));
+  }
   
   // Update last login
   user.lastLogin = new Date();
@@ -289,6 +449,8 @@ module.exports = {
   authenticate,
   authenticateOptional,
   authorize,
+  requirePermission,
+  requireAnyPermission,
   refreshToken,
   requireEmailVerification,
   requireMobileVerification,
@@ -296,5 +458,6 @@ module.exports = {
   generateTokens,
   generateAccessToken,
   generateRefreshToken,
+  generateMfaChallengeToken,
   verifyToken
 };
\ No newline at end of file
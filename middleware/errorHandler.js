@@ -220,4 +220,5 @@ const handleNotFound = (req, res, next) => {
 
 module.exports.AppError = AppError;
 module.exports.catchAsync = catchAsync;
-module.exports.handleNotFound = handleNotFound;
\ No newline at end of file
+module.exports.handleNotFound = handleNotFound;
+module.exports.handleMulterError = handleMulterError;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+// Incoming IDs are reused (e.g. from a proxy) only if they look like an ID
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * Tag every request with an ID, exposed as req.requestId and the
+ * X-Request-Id response header, so log lines and audit entries can be
+ * traced back to a single request.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+
+  req.requestId = incoming && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+
+  res.setHeader('X-Request-Id', req.requestId);
+  next();
+};
+
+module.exports = requestId;
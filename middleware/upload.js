@@ -0,0 +1,50 @@
+const multer = require('multer');
+const { handleMulterError } = require('./errorHandler');
+
+const DEFAULT_ALLOWED_FILE_TYPES = ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf'];
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+/**
+ * Allowed MIME types from ALLOWED_FILE_TYPES
+ */
+const getAllowedFileTypes = () => {
+  return process.env.ALLOWED_FILE_TYPES
+    ? process.env.ALLOWED_FILE_TYPES.split(',').map(type => type.trim())
+    : DEFAULT_ALLOWED_FILE_TYPES;
+};
+
+/**
+ * Maximum upload size in bytes from MAX_FILE_SIZE
+ */
+const getMaxFileSize = () => {
+  return parseInt(process.env.MAX_FILE_SIZE) || DEFAULT_MAX_FILE_SIZE;
+};
+
+/**
+ * Single file upload middleware
+ * Files are kept in memory so a checksum can be computed before storage.
+ */
+const uploadSingle = (fieldName = 'file') => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: getMaxFileSize(),
+      files: 1
+    }
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err && err.name === 'MulterError') {
+        return next(handleMulterError(err));
+      }
+      next(err);
+    });
+  };
+};
+
+module.exports = {
+  uploadSingle,
+  getAllowedFileTypes,
+  getMaxFileSize
+};
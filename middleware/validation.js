@@ -1,5 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { AppError } = require('./errorHandler');
+const { isKnownPermission } = require('../config/permissions');
 
 /**
  * Handle validation errors from express-validator
@@ -262,10 +263,61 @@ const userValidation = {
       .isString()
       .isLength({ min: 2, max: 50 })
       .withMessage('Last name must be between 2 and 50 characters'),
-    body('mobile')
+    body('preferences.language')
+      .optional()
+      .matches(/^[a-z]{2}(-[A-Z]{2})?$/)
+      .withMessage('Language must be an ISO 639-1 code (e.g., en or en-GB)'),
+    body('preferences.timezone')
+      .optional()
+      .custom((value) => {
+        try {
+          new Intl.DateTimeFormat('en-GB', { timeZone: value });
+          return true;
+        } catch (error) {
+          throw new Error('Timezone must be a valid IANA timezone (e.g., Europe/London)');
+        }
+      }),
+    body('preferences.notifications.email')
+      .optional()
+      .isBoolean()
+      .withMessage('Email notification preference must be a boolean'),
+    body('preferences.notifications.sms')
       .optional()
+      .isBoolean()
+      .withMessage('SMS notification preference must be a boolean')
+  ],
+  
+  changeEmail: [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email'),
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required')
+  ],
+  
+  changeMobile: [
+    body('mobile')
       .matches(/^[0-9]{7,15}$/)
-      .withMessage('Please provide a valid mobile number (7-15 digits)')
+      .withMessage('Please provide a valid mobile number (7-15 digits)'),
+    body('dialingCode')
+      .matches(/^\+\d{1,4}$/)
+      .withMessage('Please provide a valid dialing code (e.g., +91)'),
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required')
+  ],
+  
+  deactivate: [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters')
   ]
 };
 
@@ -348,6 +400,18 @@ const journeyValidation = {
       .isString()
       .isLength({ min: 1, max: 100 })
       .withMessage('Visa type must be between 1 and 100 characters'),
+    body('visaTypeId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid visa type ID'),
+    body('checklist')
+      .optional()
+      .isObject()
+      .withMessage('Checklist must be an object'),
+    body('stepCompletion')
+      .optional()
+      .isObject()
+      .withMessage('Step completion must be an object'),
     body('personalizationData.hasCAS')
       .optional()
       .isBoolean()
@@ -356,6 +420,14 @@ const journeyValidation = {
       .optional()
       .matches(/^\d{2}\/\d{2}\/\d{4}$/)
       .withMessage('CAS date must be in DD/MM/YYYY format'),
+    body('personalizationData.courseStartDate')
+      .optional()
+      .matches(/^\d{2}\/\d{2}\/\d{4}$/)
+      .withMessage('Course start date must be in DD/MM/YYYY format'),
+    body('personalizationData.courseEndDate')
+      .optional()
+      .matches(/^\d{2}\/\d{2}\/\d{4}$/)
+      .withMessage('Course end date must be in DD/MM/YYYY format'),
     body('personalizationData.hasATAS')
       .optional()
       .isBoolean()
@@ -393,7 +465,34 @@ const journeyValidation = {
     body('personalizationData.casDate')
       .optional()
       .matches(/^\d{2}\/\d{2}\/\d{4}$/)
-      .withMessage('CAS date must be in DD/MM/YYYY format')
+      .withMessage('CAS date must be in DD/MM/YYYY format'),
+    body('personalizationData.courseStartDate')
+      .optional()
+      .matches(/^\d{2}\/\d{2}\/\d{4}$/)
+      .withMessage('Course start date must be in DD/MM/YYYY format'),
+    body('personalizationData.courseEndDate')
+      .optional()
+      .matches(/^\d{2}\/\d{2}\/\d{4}$/)
+      .withMessage('Course end date must be in DD/MM/YYYY format')
+  ],
+  
+  transition: [
+    body('status')
+      .optional()
+      .isIn(['started', 'in_progress', 'under_review', 'completed', 'abandoned', 'cancelled'])
+      .withMessage('Invalid status'),
+    body('phase')
+      .optional()
+      .isIn(['selection', 'personalization', 'preparation', 'application', 'processing', 'decision'])
+      .withMessage('Invalid phase'),
+    body()
+      .custom(value => value.status !== undefined || value.phase !== undefined)
+      .withMessage('Provide a status and/or phase to transition to'),
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters')
   ],
   
   shareJourney: [
@@ -406,11 +505,107 @@ const journeyValidation = {
       .withMessage('Permissions must be view, comment, or edit')
   ],
   
+  fundsCheck: [
+    body('location')
+      .optional()
+      .isIn(['london', 'outside_london'])
+      .withMessage('Location must be london or outside_london'),
+    body('courseMonths')
+      .isInt({ min: 1, max: 120 })
+      .withMessage('Course length must be between 1 and 120 months')
+      .toInt(),
+    body('dependants')
+      .optional()
+      .isInt({ min: 0, max: 20 })
+      .withMessage('Dependants must be between 0 and 20')
+      .toInt(),
+    body('tuitionOutstanding')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Outstanding tuition must be a non-negative number')
+      .toFloat(),
+    body('applicationDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Application date must be an ISO 8601 date'),
+    body('balances')
+      .isArray({ min: 1, max: 2000 })
+      .withMessage('Balances must be an array of 1 to 2000 entries'),
+    body('balances.*.date')
+      .isISO8601()
+      .withMessage('Each balance needs an ISO 8601 date'),
+    body('balances.*.amount')
+      .isFloat()
+      .withMessage('Each balance needs a numeric amount')
+      .toFloat(),
+    body('balances.*.currency')
+      .optional()
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Currency must be a 3-letter code')
+  ],
+
   addNote: [
     body('content')
       .isString()
       .isLength({ min: 1, max: 1000 })
       .withMessage('Note content must be between 1 and 1000 characters')
+  ],
+  
+  uploadDocument: [
+    body('requirementId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid requirement ID'),
+    body('description')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters')
+  ],
+
+  passportCheck: [
+    body('mrz')
+      .isString()
+      .isLength({ min: 88, max: 200 })
+      .withMessage('MRZ must be the two 44-character lines of the passport'),
+    body('courseEndDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Course end date must be an ISO 8601 date')
+  ],
+
+  importBankStatement: [
+    body('location')
+      .optional()
+      .isIn(['london', 'outside_london'])
+      .withMessage('Location must be london or outside_london'),
+    body('courseMonths')
+      .isInt({ min: 1, max: 120 })
+      .withMessage('Course length must be between 1 and 120 months')
+      .toInt(),
+    body('dependants')
+      .optional()
+      .isInt({ min: 0, max: 20 })
+      .withMessage('Dependants must be between 0 and 20')
+      .toInt(),
+    body('tuitionOutstanding')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Outstanding tuition must be a non-negative number')
+      .toFloat(),
+    body('applicationDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Application date must be an ISO 8601 date'),
+    body('currency')
+      .optional()
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Currency must be a 3-letter code'),
+    body('openingBalance')
+      .optional()
+      .isFloat()
+      .withMessage('Opening balance must be a number')
+      .toFloat()
   ]
 };
 
@@ -589,6 +784,239 @@ const visaValidation = {
   ]
 };
 
+// Admin validation schemas
+const adminValidation = {
+  timeframe: [
+    query('timeframe')
+      .optional()
+      .isIn(['7d', '30d', '90d', '1y'])
+      .withMessage('Timeframe must be 7d, 30d, 90d or 1y')
+  ],
+  
+  userAnalytics: [
+    query('timeframe')
+      .optional()
+      .isIn(['7d', '30d', '90d', '1y'])
+      .withMessage('Timeframe must be 7d, 30d, 90d or 1y'),
+    query('groupBy')
+      .optional()
+      .isIn(['day', 'month'])
+      .withMessage('groupBy must be day or month')
+  ],
+  
+  generateReport: [
+    body('reportType')
+      .isIn(['users', 'journeys', 'contacts', 'overview'])
+      .withMessage('Report type must be users, journeys, contacts or overview'),
+    body('timeframe')
+      .optional()
+      .isIn(['7d', '30d', '90d', '1y'])
+      .withMessage('Timeframe must be 7d, 30d, 90d or 1y'),
+    body('format')
+      .optional()
+      .isIn(['pdf', 'json'])
+      .withMessage('Format must be pdf or json')
+  ],
+  
+  sendNewsletter: [
+    body('subject')
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 200 })
+      .withMessage('Subject must be between 3 and 200 characters'),
+    body('content')
+      .isString()
+      .isLength({ min: 10, max: 50000 })
+      .withMessage('Content must be between 10 and 50000 characters'),
+    body('targetAudience')
+      .optional()
+      .isIn(['all', 'verified', 'active_journeys', 'completed_journeys'])
+      .withMessage('Invalid target audience'),
+    body('testMode')
+      .optional()
+      .isBoolean()
+      .withMessage('testMode must be a boolean')
+  ],
+
+  listUsers: [
+    query('role')
+      .optional()
+      .matches(/^[a-z][a-z0-9_]{1,31}$/)
+      .withMessage('Invalid role name'),
+    query('status')
+      .optional()
+      .isIn(['active', 'inactive', 'suspended'])
+      .withMessage('Status must be active, inactive or suspended'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be greater than 0'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  createRole: [
+    body('name')
+      .matches(/^[a-z][a-z0-9_]{1,31}$/)
+      .withMessage('Role name must be 2-32 lowercase letters, digits or underscores'),
+    body('label')
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Label must be between 2 and 50 characters'),
+    body('description')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+    body('permissions')
+      .optional()
+      .isArray()
+      .withMessage('Permissions must be an array')
+      .custom(permissions => permissions.every(isKnownPermission))
+      .withMessage('Permissions contain an unknown permission')
+  ],
+
+  updateRole: [
+    param('name')
+      .matches(/^[a-z][a-z0-9_]{1,31}$/)
+      .withMessage('Invalid role name'),
+    body('label')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage('Label must be between 2 and 50 characters'),
+    body('description')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+    body('permissions')
+      .optional()
+      .isArray()
+      .withMessage('Permissions must be an array')
+      .custom(permissions => permissions.every(isKnownPermission))
+      .withMessage('Permissions contain an unknown permission')
+  ],
+
+  assignRole: [
+    body('role')
+      .matches(/^[a-z][a-z0-9_]{1,31}$/)
+      .withMessage('Invalid role name')
+  ],
+
+  auditQuery: [
+    query('actor')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid actor ID'),
+    query('action')
+      .optional()
+      .matches(/^[a-zA-Z_]+(\.[a-z_]+)?$/)
+      .withMessage('Invalid action'),
+    query('entityType')
+      .optional()
+      .isIn(['Country', 'VisaType', 'Contact', 'User', 'Role', 'Newsletter', 'Report', 'AuditLog', 'VisaTypeDraft', 'ExchangeRate'])
+      .withMessage('Invalid entity type'),
+    query('entityId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid entity ID'),
+    query('requestId')
+      .optional()
+      .isLength({ max: 128 })
+      .withMessage('Invalid request ID'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('from must be an ISO 8601 date'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('to must be an ISO 8601 date'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be greater than 0'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  auditExport: [
+    query('format')
+      .optional()
+      .isIn(['csv', 'json'])
+      .withMessage('Format must be csv or json')
+  ],
+
+  exchangeRateQuery: [
+    query(['base', 'quote'])
+      .optional()
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Currency must be a 3-letter code'),
+    query('at')
+      .optional()
+      .isISO8601()
+      .withMessage('at must be an ISO 8601 date'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be greater than 0'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  createExchangeRate: [
+    body(['baseCurrency', 'quoteCurrency'])
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Currency must be a 3-letter code'),
+    body('rate')
+      .isFloat({ gt: 0 })
+      .withMessage('Rate must be greater than zero'),
+    body('effectiveFrom')
+      .isISO8601()
+      .withMessage('effectiveFrom must be an ISO 8601 date'),
+    body('source')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Source cannot exceed 200 characters'),
+    body('note')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters')
+  ],
+
+  updateExchangeRate: [
+    body('rate')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Rate must be greater than zero'),
+    body('effectiveFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('effectiveFrom must be an ISO 8601 date'),
+    body('source')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('Source cannot exceed 200 characters'),
+    body('note')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters')
+  ]
+};
+
 module.exports = {
   handleValidationErrors,
   validateRequest,
@@ -604,5 +1032,6 @@ module.exports = {
   journeyValidation,
   contactValidation,
   countryValidation,
-  visaValidation
+  visaValidation,
+  adminValidation
 };
\ No newline at end of file
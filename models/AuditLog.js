@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * AuditLog Schema - Append-only record of who changed what
+ *
+ * Entries are written by services/auditService.js from controller
+ * mutations and are never updated or deleted by the application.
+ */
+const auditLogSchema = new mongoose.Schema({
+  // Copied at write time so entries survive user deletion or role changes
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    role: String
+  },
+  // <entity>.<verb>, e.g. country.update, contact.assign
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    required: true,
+    enum: ['Country', 'VisaType', 'Contact', 'User', 'Role', 'Newsletter', 'Report', 'AuditLog', 'VisaTypeDraft', 'ExchangeRate']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Field-level diff; paths use dot notation
+  changes: [{
+    _id: false,
+    path: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: {
+    type: String,
+    maxLength: 500
+  },
+  requestId: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+
+// Entries are immutable once written
+const rejectChange = function() {
+  throw new Error('Audit log entries cannot be modified');
+};
+
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectChange);
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], rejectChange);
+
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) {
+    rejectChange();
+  }
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
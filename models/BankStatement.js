@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+/**
+ * BankStatement Schema - An imported bank export reduced to daily balances,
+ * with the funds check that was run over it
+ *
+ * The file itself is not kept; balances and findings are enough to show a
+ * counsellor what the statement proves and where it falls short.
+ */
+const bankStatementSchema = new mongoose.Schema({
+  journeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journey',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  format: {
+    type: String,
+    required: true,
+    enum: ['csv', 'ofx']
+  },
+  // SHA-256 of the file, so the same export is not imported twice
+  checksum: {
+    type: String,
+    required: true
+  },
+  bankName: String,
+  // Last four digits only
+  accountNumber: String,
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be 3-letter code']
+  },
+  period: {
+    from: Date,
+    to: Date
+  },
+  balances: [{
+    _id: false,
+    date: { type: Date, required: true },
+    lowest: { type: Number, required: true },
+    closing: { type: Number, required: true }
+  }],
+  transactionCount: {
+    type: Number,
+    default: 0
+  },
+  // What the funds check was run with, so it can be repeated
+  checkInput: {
+    location: String,
+    courseMonths: Number,
+    dependants: Number,
+    tuitionOutstanding: Number,
+    applicationDate: Date
+  },
+  visaTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VisaType'
+  },
+  fundsCheck: mongoose.Schema.Types.Mixed,
+  findings: [{
+    _id: false,
+    type: {
+      type: String,
+      required: true,
+      enum: ['dip', 'gap', 'currency_mismatch']
+    },
+    severity: {
+      type: String,
+      required: true,
+      enum: ['error', 'warning']
+    },
+    message: {
+      type: String,
+      required: true
+    },
+    from: Date,
+    to: Date,
+    amount: Number,
+    currency: String
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+bankStatementSchema.index({ journeyId: 1, checksum: 1 }, { unique: true });
+
+// Virtual for whether the statement meets every funds rule
+bankStatementSchema.virtual('passed').get(function() {
+  return !!(this.fundsCheck && this.fundsCheck.passed);
+});
+
+// Static method to list a journey's statements, latest period first
+bankStatementSchema.statics.findByJourney = function(journeyId) {
+  return this.find({ journeyId }).sort({ 'period.to': -1, createdAt: -1 });
+};
+
+module.exports = mongoose.model('BankStatement', bankStatementSchema);
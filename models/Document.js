@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * Document Schema - Files uploaded against a journey
+ * Optionally linked to a VisaType.requirements.documents entry
+ */
+const documentSchema = new mongoose.Schema({
+  journeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journey',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // File info
+  originalName: {
+    type: String,
+    required: [true, 'Original file name is required'],
+    trim: true,
+    maxLength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number, // in bytes
+    required: true,
+    min: 0
+  },
+  checksum: {
+    type: String, // SHA-256 hex digest
+    required: true,
+    match: [/^[a-f0-9]{64}$/, 'Checksum must be a SHA-256 hex digest']
+  },
+
+  // Where the file is stored
+  storage: {
+    adapter: {
+      type: String,
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    },
+    url: String
+  },
+
+  // Link to the visa requirement this file satisfies
+  requirement: {
+    visaTypeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VisaType'
+    },
+    documentId: mongoose.Schema.Types.ObjectId, // VisaType.requirements.documents._id
+    name: String,
+    category: String
+  },
+
+  description: {
+    type: String,
+    maxLength: [500, 'Description cannot exceed 500 characters']
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+documentSchema.index({ journeyId: 1, uploadedAt: -1 });
+documentSchema.index({ journeyId: 1, checksum: 1 });
+documentSchema.index({ userId: 1 });
+documentSchema.index({ 'requirement.documentId': 1 });
+
+// Virtual for human readable size
+documentSchema.virtual('sizeDisplay').get(function() {
+  if (this.size < 1024) return `${this.size} B`;
+  if (this.size < 1024 * 1024) return `${(this.size / 1024).toFixed(1)} KB`;
+  return `${(this.size / 1024 / 1024).toFixed(1)} MB`;
+});
+
+// Static method to find documents for a journey
+documentSchema.statics.findByJourney = function(journeyId) {
+  return this.find({ journeyId }).sort({ uploadedAt: -1 });
+};
+
+// Remove storage internals from JSON output
+documentSchema.methods.toJSON = function() {
+  const documentObject = this.toObject();
+  delete documentObject.storage.key;
+  return documentObject;
+};
+
+module.exports = mongoose.model('Document', documentSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const currencyField = {
+  type: String,
+  required: true,
+  uppercase: true,
+  trim: true,
+  match: [/^[A-Z]{3}$/, 'Currency must be 3-letter code']
+};
+
+/**
+ * ExchangeRate Schema - Admin-maintained currency conversion rates
+ *
+ * One unit of baseCurrency buys `rate` units of quoteCurrency from
+ * effectiveFrom until the next rate for the same pair takes effect, so
+ * past rates stay available and future ones can be entered in advance.
+ */
+const exchangeRateSchema = new mongoose.Schema({
+  baseCurrency: currencyField,
+  quoteCurrency: currencyField,
+  rate: {
+    type: Number,
+    required: true,
+    min: [0.000001, 'Rate must be greater than zero']
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  // Where the rate came from, e.g. a bank or an official publication
+  source: {
+    type: String,
+    trim: true,
+    maxLength: [200, 'Source cannot exceed 200 characters']
+  },
+  note: {
+    type: String,
+    maxLength: [500, 'Note cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+exchangeRateSchema.index({ baseCurrency: 1, quoteCurrency: 1, effectiveFrom: -1 }, { unique: true });
+
+exchangeRateSchema.pre('validate', function(next) {
+  if (this.baseCurrency && this.baseCurrency === this.quoteCurrency) {
+    this.invalidate('quoteCurrency', 'Quote currency must differ from base currency');
+  }
+  next();
+});
+
+// Virtual for the currency pair, e.g. GBP/INR
+exchangeRateSchema.virtual('pair').get(function() {
+  return `${this.baseCurrency}/${this.quoteCurrency}`;
+});
+
+// Static method to find the rate for a pair in effect at a date
+exchangeRateSchema.statics.findEffective = function(baseCurrency, quoteCurrency, date = new Date()) {
+  return this.findOne({
+    baseCurrency: baseCurrency.toUpperCase(),
+    quoteCurrency: quoteCurrency.toUpperCase(),
+    effectiveFrom: { $lte: date }
+  }).sort({ effectiveFrom: -1 });
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -1,5 +1,37 @@
 const mongoose = require('mongoose');
 
+const ACTIVE_STATUSES = ['started', 'in_progress', 'under_review'];
+
+// Allowed status and phase moves (from -> to)
+const STATUS_TRANSITIONS = {
+  started: ['in_progress', 'abandoned', 'cancelled'],
+  in_progress: ['under_review', 'abandoned', 'cancelled'],
+  under_review: ['in_progress', 'completed', 'cancelled'],
+  abandoned: ['in_progress', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const PHASE_TRANSITIONS = {
+  selection: ['personalization'],
+  personalization: ['selection', 'preparation'],
+  preparation: ['personalization', 'application'],
+  application: ['preparation', 'processing'],
+  processing: ['decision'],
+  decision: []
+};
+
+// Paths stamped when a phase or status is entered (existing dates are kept)
+const TRANSITION_TIMESTAMPS = {
+  phase: {
+    processing: ['timeline.applicationSubmitted', 'timestamps.applicationSubmitted', 'timestamps.processingSent'],
+    decision: ['timeline.decisionReceived']
+  },
+  status: {
+    completed: ['timestamps.completed']
+  }
+};
+
 /**
  * Journey Schema - Tracks user progress through visa application process
  * Integrates with frontend ProgressData interface
@@ -41,19 +73,57 @@ const journeySchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  visaTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VisaType',
+    index: true
+  },
+
+  // Canonical step and checklist IDs derived from the linked VisaType
+  requirementKeys: {
+    steps: [String],
+    checklist: [String],
+    requiredChecklist: [String]
+  },
 
-  // Journey status
+  // Journey status (changed only through transitions, see STATUS_TRANSITIONS)
   status: {
     type: String,
-    enum: ['started', 'in_progress', 'under_review', 'completed', 'abandoned', 'cancelled'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'started'
   },
   phase: {
     type: String,
-    enum: ['selection', 'personalization', 'preparation', 'application', 'processing', 'decision'],
+    enum: Object.keys(PHASE_TRANSITIONS),
     default: 'selection'
   },
 
+  // Status and phase transition history
+  transitions: [{
+    field: {
+      type: String,
+      enum: ['status', 'phase'],
+      required: true
+    },
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // Personalization data (matches frontend interface)
   personalizationData: {
     hasCAS: {
@@ -70,6 +140,26 @@ const journeySchema = new mongoose.Schema({
         message: 'CAS date must be in DD/MM/YYYY format'
       }
     },
+    courseStartDate: {
+      type: String, // DD/MM/YYYY format to match frontend
+      validate: {
+        validator: function(v) {
+          if (!v) return true;
+          return /^\d{2}\/\d{2}\/\d{4}$/.test(v);
+        },
+        message: 'Course start date must be in DD/MM/YYYY format'
+      }
+    },
+    courseEndDate: {
+      type: String, // DD/MM/YYYY format to match frontend
+      validate: {
+        validator: function(v) {
+          if (!v) return true;
+          return /^\d{2}\/\d{2}\/\d{4}$/.test(v);
+        },
+        message: 'Course end date must be in DD/MM/YYYY format'
+      }
+    },
     hasATAS: {
       type: Boolean,
       default: false
@@ -173,7 +263,10 @@ const journeySchema = new mongoose.Schema({
     checklistUpdated: Date,
     personalizationUpdated: Date,
     applicationSubmitted: Date,
-    processingSent: Date
+    processingSent: Date,
+    statusChanged: Date,
+    phaseChanged: Date,
+    completed: Date
   },
 
   // Metadata
@@ -247,15 +340,22 @@ const journeySchema = new mongoose.Schema({
 
   // Document uploads and attachments
   documents: [{
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
+    },
     name: String,
-    type: String,
+    type: {
+      type: String // MIME type
+    },
     url: String,
     uploadedAt: {
       type: Date,
       default: Date.now
     },
     size: Number, // in bytes
-    checksum: String
+    checksum: String, // SHA-256
+    requirementId: mongoose.Schema.Types.ObjectId // VisaType.requirements.documents._id
   }],
 
   // Notes and comments
@@ -283,10 +383,12 @@ journeySchema.index({ originCountry: 1, destinationCountry: 1 });
 journeySchema.index({ 'timestamps.lastActivity': -1 });
 journeySchema.index({ status: 1, phase: 1 });
 journeySchema.index({ createdAt: -1 });
+journeySchema.index({ status: 1, 'notifications.nextReminderDue': 1 });
+journeySchema.index({ 'sharedWith.email': 1 });
 
 // Virtual fields
 journeySchema.virtual('isActive').get(function() {
-  return ['started', 'in_progress', 'under_review'].includes(this.status);
+  return ACTIVE_STATUSES.includes(this.status);
 });
 
 journeySchema.virtual('routeKey').get(function() {
@@ -304,23 +406,170 @@ journeySchema.virtual('daysSinceLastActivity').get(function() {
 });
 
 // Instance methods
-journeySchema.methods.updateProgress = function() {
-  const stepEntries = Array.from(this.stepCompletion.entries());
-  const checklistEntries = Array.from(this.checklist.entries());
-  
-  this.progressMetrics.completedSteps = stepEntries.filter(([, completed]) => completed).length;
-  this.progressMetrics.totalSteps = stepEntries.length;
-  this.progressMetrics.completedChecklistItems = checklistEntries.filter(([, completed]) => completed).length;
-  this.progressMetrics.checklistItems = checklistEntries.length;
-  
+journeySchema.methods.isLinkedToVisaType = function() {
+  return !!this.visaTypeId;
+};
+
+journeySchema.methods.calculateProgress = function() {
+  const countCompleted = (map, keys) => keys.filter(key => map.get(key) === true).length;
+
+  // Linked journeys count against the VisaType's canonical IDs, others against whatever was sent
+  const stepKeys = this.isLinkedToVisaType() ? this.requirementKeys.steps : Array.from(this.stepCompletion.keys());
+  const checklistKeys = this.isLinkedToVisaType() ? this.requirementKeys.checklist : Array.from(this.checklist.keys());
+
+  this.progressMetrics.completedSteps = countCompleted(this.stepCompletion, stepKeys);
+  this.progressMetrics.totalSteps = stepKeys.length;
+  this.progressMetrics.completedChecklistItems = countCompleted(this.checklist, checklistKeys);
+  this.progressMetrics.checklistItems = checklistKeys.length;
+
   const totalItems = this.progressMetrics.totalSteps + this.progressMetrics.checklistItems;
   const completedItems = this.progressMetrics.completedSteps + this.progressMetrics.completedChecklistItems;
   this.progressMetrics.completionPercentage = totalItems > 0 ? Math.round((completedItems / totalItems) * 100) : 0;
-  
+};
+
+journeySchema.methods.updateProgress = function() {
+  this.calculateProgress();
   this.timestamps.lastActivity = new Date();
   return this.save();
 };
 
+/**
+ * Link the journey to a VisaType and derive canonical step/checklist IDs
+ * from its personalized steps and conditional documents
+ */
+journeySchema.methods.applyVisaType = function(visaType) {
+  const responses = this.personalizationData.toObject
+    ? this.personalizationData.toObject()
+    : this.personalizationData;
+
+  const documents = visaType.getConditionalDocuments(responses);
+
+  // Items saved before the VisaType had keys were tracked by _id; carry them over to the key
+  const remapToKeys = (map, items) => {
+    items.forEach(item => {
+      const legacyId = item._id && item._id.toString();
+      if (!item.key || item.key === legacyId || !map.has(legacyId)) return;
+      if (!map.has(item.key)) {
+        map.set(item.key, map.get(legacyId));
+      }
+      map.delete(legacyId);
+    });
+  };
+  remapToKeys(this.stepCompletion, (visaType.applicationProcess && visaType.applicationProcess.steps) || []);
+  remapToKeys(this.checklist, (visaType.requirements && visaType.requirements.documents) || []);
+
+  this.visaTypeId = visaType._id;
+  this.visaType = visaType.code;
+  this.requirementKeys = {
+    steps: visaType.getPersonalizedStepIds(responses),
+    checklist: visaType.getConditionalDocumentIds(responses),
+    requiredChecklist: documents
+      .filter(doc => doc.isRequired)
+      .map(doc => doc.key || doc._id.toString())
+  };
+  this.calculateProgress();
+};
+
+/**
+ * Reload the linked VisaType and re-derive canonical IDs
+ */
+journeySchema.methods.refreshRequirements = async function() {
+  if (!this.isLinkedToVisaType()) return;
+
+  const visaType = await mongoose.model('VisaType').findById(this.visaTypeId);
+  if (visaType) {
+    this.applyVisaType(visaType);
+  }
+};
+
+/**
+ * Return the IDs in an update that are not canonical for this journey
+ * Unlinked journeys accept any ID.
+ */
+journeySchema.methods.findUnknownKeys = function(type, ids) {
+  if (!this.isLinkedToVisaType()) return [];
+
+  const known = type === 'steps' ? this.requirementKeys.steps : this.requirementKeys.checklist;
+  return ids.filter(id => !known.includes(id));
+};
+
+/**
+ * Guard conditions that must hold before entering a status or phase
+ * Returns a reason string when the move is blocked, otherwise null.
+ */
+journeySchema.methods.checkTransitionGuards = function(field, to) {
+  if (field === 'phase' && to === 'preparation' && !this.isLinkedToVisaType()) {
+    return 'A visa type must be selected before preparing documents';
+  }
+
+  if (field === 'phase' && to === 'application') {
+    const required = this.isLinkedToVisaType()
+      ? this.requirementKeys.requiredChecklist
+      : Array.from(this.checklist.keys());
+    const missing = required.filter(itemId => this.checklist.get(itemId) !== true);
+
+    if (missing.length > 0) {
+      return `All required documents must be checked before application (missing: ${missing.join(', ')})`;
+    }
+  }
+
+  if (field === 'status' && to === 'completed' && this.phase !== 'decision') {
+    return 'A journey can only be completed once a decision has been received';
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a status or phase move is allowed
+ * Returns a reason string when it is not, otherwise null.
+ */
+journeySchema.methods.checkTransition = function(field, to) {
+  const table = field === 'status' ? STATUS_TRANSITIONS : PHASE_TRANSITIONS;
+  const from = this[field];
+
+  if (!table[to]) {
+    return `Unknown ${field} "${to}"`;
+  }
+
+  if (!table[from].includes(to)) {
+    const allowed = table[from].length > 0 ? table[from].join(', ') : 'none';
+    return `Cannot change ${field} from "${from}" to "${to}" (allowed: ${allowed})`;
+  }
+
+  return this.checkTransitionGuards(field, to);
+};
+
+/**
+ * Next statuses and phases reachable from the current state (ignoring guards)
+ */
+journeySchema.methods.getAllowedTransitions = function() {
+  return {
+    status: STATUS_TRANSITIONS[this.status],
+    phase: PHASE_TRANSITIONS[this.phase]
+  };
+};
+
+/**
+ * Apply a status or phase move, stamping timestamps and recording history
+ * Callers must check the move with checkTransition first.
+ */
+journeySchema.methods.applyTransition = function(field, to, { changedBy, reason } = {}) {
+  const now = new Date();
+  const from = this[field];
+
+  this.$locals.transitioning = true;
+  this[field] = to;
+  this.transitions.push({ field, from, to, changedBy, reason, at: now });
+  this.timestamps[field === 'status' ? 'statusChanged' : 'phaseChanged'] = now;
+
+  (TRANSITION_TIMESTAMPS[field][to] || []).forEach(path => {
+    if (!this.get(path)) {
+      this.set(path, now);
+    }
+  });
+};
+
 journeySchema.methods.markStepCompleted = function(stepId) {
   this.stepCompletion.set(stepId, true);
   this.timestamps.stepCompleted = new Date();
@@ -335,17 +584,30 @@ journeySchema.methods.updateChecklist = function(checklistUpdates) {
   return this.updateProgress();
 };
 
-journeySchema.methods.updatePersonalization = function(personalizationData) {
+/**
+ * Merge personalization answers and re-derive dependent state without saving
+ */
+journeySchema.methods.applyPersonalization = async function(personalizationData) {
   this.personalizationData = { ...this.personalizationData, ...personalizationData };
   this.timestamps.personalizationUpdated = new Date();
-  
+
+  // Answers can add or remove conditional steps and documents
+  await this.refreshRequirements();
+
   // Auto-complete steps based on CAS status (matches frontend logic)
   if (personalizationData.hasCAS) {
-    this.stepCompletion.set('unconditional-offer', true);
-    this.stepCompletion.set('cas', true);
+    const casSteps = ['unconditional-offer', 'cas'];
+    casSteps
+      .filter(stepId => this.findUnknownKeys('steps', [stepId]).length === 0)
+      .forEach(stepId => this.stepCompletion.set(stepId, true));
     this.timestamps.casAutoCompleted = new Date();
   }
-  
+
+  this.calculateProgress();
+};
+
+journeySchema.methods.updatePersonalization = async function(personalizationData) {
+  await this.applyPersonalization(personalizationData);
   return this.updateProgress();
 };
 
@@ -366,7 +628,7 @@ journeySchema.methods.addNote = function(content, author = 'user') {
 journeySchema.statics.findActiveJourneys = function(userId) {
   return this.find({ 
     userId, 
-    status: { $in: ['started', 'in_progress', 'under_review'] } 
+    status: { $in: ACTIVE_STATUSES } 
   }).sort({ 'timestamps.lastActivity': -1 });
 };
 
@@ -401,22 +663,18 @@ journeySchema.statics.getJourneyStats = function() {
 
 // Pre-save middleware
 journeySchema.pre('save', function(next) {
+  // Status and phase may only change through applyTransition
+  if (!this.isNew && (this.isModified('status') || this.isModified('phase')) && !this.$locals.transitioning) {
+    return next(new Error('Journey status and phase can only be changed through a transition'));
+  }
+  this.$locals.transitioning = false;
+
   // Update last activity timestamp
   this.timestamps.lastActivity = new Date();
   
   // Auto-calculate progress if not already done
-  if (this.isModified('stepCompletion') || this.isModified('checklist')) {
-    const stepEntries = Array.from(this.stepCompletion.entries());
-    const checklistEntries = Array.from(this.checklist.entries());
-    
-    this.progressMetrics.completedSteps = stepEntries.filter(([, completed]) => completed).length;
-    this.progressMetrics.totalSteps = stepEntries.length;
-    this.progressMetrics.completedChecklistItems = checklistEntries.filter(([, completed]) => completed).length;
-    this.progressMetrics.checklistItems = checklistEntries.length;
-    
-    const totalItems = this.progressMetrics.totalSteps + this.progressMetrics.checklistItems;
-    const completedItems = this.progressMetrics.completedSteps + this.progressMetrics.completedChecklistItems;
-    this.progressMetrics.completionPercentage = totalItems > 0 ? Math.round((completedItems / totalItems) * 100) : 0;
+  if (this.isModified('stepCompletion') || this.isModified('checklist') || this.isModified('requirementKeys')) {
+    this.calculateProgress();
   }
   
   next();
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const MAX_VERIFY_ATTEMPTS = 5;
+const MAX_REQUESTS_PER_WINDOW = 3;
+const REQUEST_WINDOW_MS = 15 * 60 * 1000;
+
+const TOKEN_TTL_MS = {
+  sms: 10 * 60 * 1000, // 10 minutes
+  email: 15 * 60 * 1000 // 15 minutes
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * LoginToken Schema - Single-use passwordless login credential
+ *
+ * An SMS OTP or email magic link. Only the hash is stored; a token is
+ * consumed on first successful use and an OTP is burnt after too many
+ * wrong guesses.
+ */
+const loginTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['sms', 'email'],
+    required: true
+  },
+  // Normalised email or "+<dialingCode><mobile>", used for per-identifier limits
+  identifier: {
+    type: String,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  usedAt: Date,
+  requestedByIp: String
+}, {
+  timestamps: true
+});
+
+// Removed by MongoDB after an hour; kept past expiry so they still count towards request limits
+loginTokenSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 });
+loginTokenSchema.index({ identifier: 1, createdAt: -1 });
+loginTokenSchema.index({ tokenHash: 1 });
+
+// Static method to build an identifier for a channel
+loginTokenSchema.statics.buildIdentifier = function(channel, { email, mobile, dialingCode }) {
+  return channel === 'email' ? email.toLowerCase() : `${dialingCode}${mobile}`;
+};
+
+// Static method to check the per-identifier request limit
+loginTokenSchema.statics.isRequestLimitReached = async function(identifier) {
+  const recent = await this.countDocuments({
+    identifier,
+    createdAt: { $gt: new Date(Date.now() - REQUEST_WINDOW_MS) }
+  });
+  return recent >= MAX_REQUESTS_PER_WINDOW;
+};
+
+// Static method to issue a token, invalidating earlier unused ones; returns the plain token
+loginTokenSchema.statics.issue = async function(user, channel, identifier, ip) {
+  const token = channel === 'sms'
+    ? crypto.randomInt(100000, 1000000).toString() // 6-digit OTP
+    : crypto.randomBytes(32).toString('hex');
+
+  // Only the newest token of an identifier is valid
+  await this.updateMany(
+    { identifier, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { expiresAt: new Date() } }
+  );
+
+  await this.create({
+    userId: user._id,
+    channel,
+    identifier,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[channel]),
+    requestedByIp: ip
+  });
+
+  return token;
+};
+
+// Static method to consume an SMS OTP for an identifier; returns the token document or null
+loginTokenSchema.statics.consumeOTP = async function(identifier, otp) {
+  const active = { identifier, channel: 'sms', usedAt: null, expiresAt: { $gt: new Date() } };
+
+  const consumed = await this.findOneAndUpdate(
+    { ...active, tokenHash: hashToken(otp), attempts: { $lt: MAX_VERIFY_ATTEMPTS } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!consumed) {
+    // Count the wrong guess against the identifier's current OTP
+    await this.updateOne(active, { $inc: { attempts: 1 } });
+  }
+
+  return consumed;
+};
+
+// Static method to consume an email magic link token; returns the token document or null
+loginTokenSchema.statics.consumeMagicLink = function(token) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), channel: 'email', usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('LoginToken', loginTokenSchema);
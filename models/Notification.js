@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Notification Schema - In-app notifications shown to a user
+ */
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['visa_requirements_changed']
+  },
+  title: {
+    type: String,
+    required: true,
+    maxLength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    required: true,
+    maxLength: [2000, 'Message cannot exceed 2000 characters']
+  },
+  // Details for the client, e.g. journeyId, visaTypeId and what changed
+  data: mongoose.Schema.Types.Mixed,
+  // Identifies the event a notification is about, so it is only created once
+  dedupeKey: String,
+  readAt: Date
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: { virtuals: true }
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } });
+
+// Virtual for whether the user has seen the notification
+notificationSchema.virtual('isRead').get(function() {
+  return !!this.readAt;
+});
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ userId, readAt: null });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
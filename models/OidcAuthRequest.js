@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * OidcAuthRequest Schema - Pending OpenID Connect authorization
+ *
+ * Holds the PKCE verifier and nonce server-side between the redirect to the
+ * provider and the callback. Looked up by state and deleted on use.
+ */
+const oidcAuthRequestSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  requestedByIp: String,
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
+  }
+}, {
+  timestamps: true
+});
+
+// Abandoned requests are removed by MongoDB
+oidcAuthRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to take (and delete) a pending request, so a state works once
+oidcAuthRequestSchema.statics.consume = function(state, provider) {
+  return this.findOneAndDelete({
+    state,
+    provider,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('OidcAuthRequest', oidcAuthRequestSchema);
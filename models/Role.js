@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { DEFAULT_ROLES, isKnownPermission } = require('../config/permissions');
+
+// Role permissions are read on every permission check; cache them briefly
+const CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+/**
+ * Role Schema - Named bundle of permissions assigned to users via User.role
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{1,31}$/, 'Role name must be 2-32 lowercase letters, digits or underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Role label is required'],
+    trim: true,
+    maxLength: [50, 'Role label cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: [200, 'Role description cannot exceed 200 characters']
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: permissions => permissions.every(isKnownPermission),
+      message: props => `Unknown permissions: ${props.value.filter(permission => !isKnownPermission(permission)).join(', ')}`
+    }
+  },
+  // Built-in roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Any change to a role invalidates the cache
+roleSchema.post('save', function() {
+  permissionCache.delete(this.name);
+});
+
+roleSchema.post('deleteOne', { document: true, query: false }, function() {
+  permissionCache.delete(this.name);
+});
+
+// Static method to get a role's permissions as a Set (empty for unknown roles)
+roleSchema.statics.getPermissions = async function(name) {
+  const cached = permissionCache.get(name);
+  if (cached && cached.loadedAt > Date.now() - CACHE_TTL_MS) {
+    return cached.permissions;
+  }
+
+  const role = await this.findOne({ name }).select('permissions').lean();
+  const permissions = new Set(role ? role.permissions : []);
+  permissionCache.set(name, { permissions, loadedAt: Date.now() });
+  return permissions;
+};
+
+// Static method to find the names of roles that grant any of the given permissions
+roleSchema.statics.findNamesWithPermission = async function(...permissions) {
+  const roles = await this.find({ permissions: { $in: [...permissions, '*'] } }).select('name').lean();
+  return roles.map(role => role.name);
+};
+
+// Static method to create missing built-in roles
+roleSchema.statics.ensureDefaultRoles = async function() {
+  for (const role of DEFAULT_ROLES) {
+    await this.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, isSystem: true } },
+      { upsert: true }
+    );
+  }
+};
+
+// Static method to clear cached permissions (tests, scripts)
+roleSchema.statics.clearPermissionCache = function() {
+  permissionCache.clear();
+};
+
+module.exports = mongoose.model('Role', roleSchema);
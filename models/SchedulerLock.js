@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * SchedulerLock Schema - Lease-based locks for background jobs
+ * Ensures only one instance runs a given job at a time.
+ */
+const schedulerLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  lastRunAt: Date
+}, {
+  timestamps: true
+});
+
+// Static method to acquire (or renew) a lease, returns true when held by owner
+schedulerLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        name,
+        $or: [
+          { lockedUntil: { $lte: now } },
+          { owner }
+        ]
+      },
+      {
+        $set: {
+          owner,
+          lockedUntil: new Date(now.getTime() + ttlMs),
+          lastRunAt: now
+        }
+      },
+      { upsert: true, new: true }
+    );
+    return !!lock && lock.owner === owner;
+  } catch (error) {
+    // Duplicate key: another instance holds an unexpired lease
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Static method to release a lease held by owner
+schedulerLockSchema.statics.release = function(name, owner) {
+  return this.updateOne(
+    { name, owner },
+    { $set: { lockedUntil: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('SchedulerLock', schedulerLockSchema);
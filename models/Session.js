@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema - Server-side record of a refresh token family
+ *
+ * One session is created per login. Every refresh rotates the session's
+ * jti; presenting an older jti means the token was reused, and the whole
+ * session (token family) is revoked.
+ */
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // ID of the only refresh token currently valid for this session
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  lastRotatedAt: Date,
+  createdByIp: String,
+
+  // Device and activity, shown in the user's session list
+  userAgent: {
+    type: String,
+    maxLength: 500
+  },
+  device: {
+    browser: String,
+    os: String,
+    type: {
+      type: String,
+      enum: ['desktop', 'mobile', 'tablet', 'other'],
+      default: 'other'
+    },
+    label: String
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenIp: String,
+
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked_by_user', 'reuse_detected', 'password_changed', 'password_reset', 'account_deactivated']
+  }
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Virtual for active state
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Static method to find a user's active sessions, most recently used first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to record activity, at most once per minute per session
+sessionSchema.statics.touch = function(sessionId, ip) {
+  const now = new Date();
+  return this.updateOne(
+    { _id: sessionId, lastSeenAt: { $lt: new Date(now.getTime() - 60 * 1000) } },
+    { $set: { lastSeenAt: now, lastSeenIp: ip } }
+  );
+};
+
+// Instance method to revoke the session (and with it the token family)
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to rotate the refresh token id, only if `currentJti` is still the valid one
+sessionSchema.statics.rotate = function(sessionId, currentJti, nextJti, expiresAt, ip) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { _id: sessionId, jti: currentJti, revokedAt: null },
+    {
+      $set: { jti: nextJti, expiresAt, lastRotatedAt: now, lastSeenAt: now, lastSeenIp: ip },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Static method to revoke all active sessions of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason, { except } = {}) {
+  const query = { userId, revokedAt: null };
+  if (except) {
+    query._id = { $ne: except };
+  }
+
+  return this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+};
+
+// Never expose the refresh token id
+sessionSchema.methods.toJSON = function() {
+  const sessionObject = this.toObject();
+  delete sessionObject.jti;
+  delete sessionObject.__v;
+  return sessionObject;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
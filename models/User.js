@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -45,6 +54,13 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // New address requested via /users/me/email; replaces email once verified
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
   isMobileVerified: {
     type: Boolean,
     default: false
@@ -73,6 +89,10 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  passwordChangedAt: {
+    type: Date,
+    select: false
+  },
   lastLogin: {
     type: Date
   },
@@ -83,15 +103,70 @@ const userSchema = new mongoose.Schema({
   lockUntil: {
     type: Date
   },
+  // TOTP two-factor authentication; secrets are stored encrypted
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
+  },
+  // External OpenID Connect identities linked by verified email
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedAt: Date
+  }],
   status: {
     type: String,
     enum: ['active', 'inactive', 'suspended'],
     default: 'active'
   },
+  deactivatedAt: {
+    type: Date
+  },
+  deactivationReason: {
+    type: String,
+    maxLength: [500, 'Deactivation reason cannot exceed 500 characters']
+  },
+  // Name of a Role (models/Role.js), which defines the user's permissions
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    default: 'user',
+    match: [/^[a-z][a-z0-9_]{1,31}$/, 'Invalid role name']
   },
   profilePicture: {
     type: String,
@@ -134,6 +209,10 @@ userSchema.index({ email: 1 });
 userSchema.index({ mobile: 1, dialingCode: 1 });
 userSchema.index({ status: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 }, {
+  unique: true,
+  partialFilterExpression: { 'identities.subject': { $exists: true } }
+});
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -148,7 +227,7 @@ userSchema.virtual('isLocked').get(function() {
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
 
   try {
     // Hash the password with cost of 12
@@ -160,10 +239,19 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Pre-save middleware to record password changes (invalidates older access tokens)
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) return next();
+
+  // Back-date by a second so tokens issued right after the change stay valid
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  next();
+});
+
 // Pre-save middleware to handle email changes
 userSchema.pre('save', function(next) {
-  // If email is modified, mark as unverified
-  if (this.isModified('email') && !this.isNew) {
+  // If email is modified, mark as unverified (unless it was just verified as pendingEmail)
+  if (this.isModified('email') && !this.isNew && !this.$locals.emailVerified) {
     this.isEmailVerified = false;
     this.emailVerificationToken = undefined;
     this.emailVerificationExpires = undefined;
@@ -177,6 +265,12 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to check if the password changed after a JWT was issued
+userSchema.methods.changedPasswordAfter = function(jwtIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return jwtIssuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
 // Instance method to generate email verification token
 userSchema.methods.generateEmailVerificationToken = function() {
   const token = crypto.randomBytes(32).toString('hex');
@@ -185,6 +279,14 @@ userSchema.methods.generateEmailVerificationToken = function() {
   return token;
 };
 
+// Instance method to make a verified pendingEmail the account email
+userSchema.methods.confirmPendingEmail = function() {
+  this.email = this.pendingEmail;
+  this.pendingEmail = undefined;
+  this.isEmailVerified = true;
+  this.$locals.emailVerified = true;
+};
+
 // Instance method to generate mobile OTP
 userSchema.methods.generateMobileOTP = function() {
   const otp = Math.floor(100000 + Math.random() * 900000).toString(); // 6-digit OTP
@@ -201,6 +303,75 @@ userSchema.methods.generatePasswordResetToken = function() {
   return token;
 };
 
+// Instance method to start 2FA enrollment, returns the plain secret
+userSchema.methods.startTwoFactorEnrollment = function() {
+  const secret = totp.generateSecret();
+  this.twoFactor.pendingSecret = encrypt(secret);
+  return secret;
+};
+
+// Instance method to check a TOTP code (needs +twoFactor.secret/+twoFactor.pendingSecret and +twoFactor.lastUsedStep)
+userSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const encryptedSecret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!encryptedSecret) return false;
+
+  const step = totp.verifyTOTP(decrypt(encryptedSecret), code);
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Instance method to confirm enrollment with the pending secret
+userSchema.methods.enableTwoFactor = function() {
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+};
+
+// Instance method to turn 2FA off and drop all secrets
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor = { enabled: false };
+};
+
+// Instance method to generate new recovery codes, returns the plain codes
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => ({ hash: hashRecoveryCode(code) }));
+  return codes;
+};
+
+// Instance method to consume a recovery code (needs +twoFactor.recoveryCodes)
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = hashRecoveryCode(code);
+  const recoveryCode = (this.twoFactor.recoveryCodes || []).find(entry => entry.hash === hash && !entry.usedAt);
+  if (!recoveryCode) return false;
+
+  recoveryCode.usedAt = new Date();
+  return true;
+};
+
+// Instance method to count unused recovery codes
+userSchema.methods.getRemainingRecoveryCodes = function() {
+  return (this.twoFactor.recoveryCodes || []).filter(entry => !entry.usedAt).length;
+};
+
+// Instance method to check whether the user's role must use 2FA (TWO_FACTOR_REQUIRED_ROLES)
+userSchema.methods.requiresTwoFactor = function() {
+  const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+  return roles.includes(this.role);
+};
+
 // Instance method to handle failed login attempts
 userSchema.methods.incLoginAttempts = function() {
   // If we have a previous lock that has expired, restart at 1
@@ -239,6 +410,25 @@ userSchema.statics.findForAuthentication = function(email) {
   }).select('+password +loginAttempts +lockUntil');
 };
 
+// Static method to find a user by a linked external identity
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({
+    identities: { $elemMatch: { provider, subject } }
+  });
+};
+
+// Instance method to link an external identity (no-op if already linked)
+userSchema.methods.linkIdentity = function(provider, subject, email) {
+  const existing = this.identities.find(identity => identity.provider === provider);
+  if (existing) {
+    existing.lastUsedAt = new Date();
+    return existing.subject === subject;
+  }
+
+  this.identities.push({ provider, subject, email, lastUsedAt: new Date() });
+  return true;
+};
+
 // Static method to verify email token
 userSchema.statics.findByEmailVerificationToken = function(token) {
   const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
@@ -278,8 +468,15 @@ userSchema.methods.toJSON = function() {
   delete userObject.mobileVerificationExpires;
   delete userObject.resetPasswordToken;
   delete userObject.resetPasswordExpires;
+  delete userObject.passwordChangedAt;
   delete userObject.loginAttempts;
   delete userObject.lockUntil;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
@@ -1,4 +1,35 @@
 const mongoose = require('mongoose');
+const { matchesConditionalLogic, validateRule } = require('../utils/ruleEngine');
+
+// Reject malformed conditional logic expressions with a readable message
+const ruleValidator = {
+  validator: function(rule) {
+    if (rule === undefined || rule === null) return true;
+    const errors = validateRule(rule);
+    if (errors.length > 0) {
+      throw new Error(`Invalid conditional logic: ${errors.join('; ')}`);
+    }
+    return true;
+  },
+  // Surface the rule errors instead of the generic "Validator failed" message
+  message: props => (props.reason ? props.reason.message : 'Invalid conditional logic')
+};
+
+// How a fee scales with the length of stay and the number of dependants
+const feeScaling = {
+  // "year" fees (e.g. a health surcharge) are charged per year of stay
+  period: {
+    type: String,
+    enum: ['once', 'year'],
+    default: 'once'
+  },
+  // Share of the fee each dependant pays (1 = the same as the main applicant)
+  dependantMultiplier: {
+    type: Number,
+    min: [0, 'Dependant multiplier cannot be negative'],
+    default: 0
+  }
+};
 
 const visaTypeSchema = new mongoose.Schema({
   name: {
@@ -83,7 +114,8 @@ const visaTypeSchema = new mongoose.Schema({
         required: true,
         uppercase: true,
         match: [/^[A-Z]{3}$/, 'Currency must be 3-letter code']
-      }
+      },
+      ...feeScaling
     },
     additionalFees: [{
       name: {
@@ -105,7 +137,8 @@ const visaTypeSchema = new mongoose.Schema({
       isOptional: {
         type: Boolean,
         default: false
-      }
+      },
+      ...feeScaling
     }],
     totalEstimate: {
       amount: Number,
@@ -115,6 +148,12 @@ const visaTypeSchema = new mongoose.Schema({
   },
   requirements: {
     documents: [{
+      key: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Key can only contain lowercase letters, numbers and dashes']
+      },
       name: {
         type: String,
         required: true
@@ -135,9 +174,15 @@ const visaTypeSchema = new mongoose.Schema({
       validityPeriod: String,
       format: String,
       conditionalLogic: {
+        // Legacy single equality condition
         showIf: {
           field: String,
           value: mongoose.Schema.Types.Mixed
+        },
+        // Compound expression, see utils/ruleEngine.js
+        rule: {
+          type: mongoose.Schema.Types.Mixed,
+          validate: ruleValidator
         }
       }
     }],
@@ -152,6 +197,25 @@ const visaTypeSchema = new mongoose.Schema({
           amount: Number,
           currency: String,
           period: String
+        },
+        // Additional funds for each dependant, by study location
+        dependants: {
+          london: {
+            amount: Number,
+            currency: String,
+            period: String
+          },
+          outsideLondon: {
+            amount: Number,
+            currency: String,
+            period: String
+          }
+        },
+        // Longest course length (in months) maintenance is required for
+        maxMonths: {
+          type: Number,
+          default: 9,
+          min: 1
         }
       },
       tuitionShortfall: {
@@ -163,6 +227,12 @@ const visaTypeSchema = new mongoose.Schema({
   },
   applicationProcess: {
     steps: [{
+      key: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Key can only contain lowercase letters, numbers and dashes']
+      },
       stepNumber: {
         type: Number,
         required: true
@@ -181,14 +251,25 @@ const visaTypeSchema = new mongoose.Schema({
       },
       evidence: String,
       estimatedTime: String,
+      // Anchors the step to a computed date in the timeline planner
+      milestone: {
+        type: String,
+        enum: ['cas', 'atas', 'tb_test', 'funds', 'submission', 'biometrics', 'decision']
+      },
       isConditional: {
         type: Boolean,
         default: false
       },
       conditionalLogic: {
+        // Legacy single equality condition
         showIf: {
           field: String,
           value: mongoose.Schema.Types.Mixed
+        },
+        // Compound expression, see utils/ruleEngine.js
+        rule: {
+          type: mongoose.Schema.Types.Mixed,
+          validate: ruleValidator
         }
       }
     }],
@@ -202,6 +283,39 @@ const visaTypeSchema = new mongoose.Schema({
       default: false
     }
   },
+  // Timing rules used by the journey timeline planner
+  planning: {
+    earliestApplicationMonths: {
+      type: Number,
+      default: 6,
+      min: 0
+    },
+    casValidityMonths: {
+      type: Number,
+      default: 6,
+      min: 0
+    },
+    fundsHoldingDays: {
+      type: Number,
+      default: 28,
+      min: 0
+    },
+    fundsStatementMaxAgeDays: {
+      type: Number,
+      default: 31,
+      min: 0
+    },
+    tbTestValidityMonths: {
+      type: Number,
+      default: 6,
+      min: 0
+    },
+    submissionBufferDays: {
+      type: Number,
+      default: 14,
+      min: 0
+    }
+  },
   officialLinks: [{
     title: {
       type: String,
@@ -297,6 +411,11 @@ const visaTypeSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     index: true
+  },
+  // Number of the latest VisaTypeRevision (0 until the first tracked change)
+  revision: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true,
@@ -324,20 +443,24 @@ visaTypeSchema.virtual('processingTimeDisplay').get(function() {
   return `${min}-${max} ${unit}`;
 });
 
-// Virtual for total fee estimate
+// Virtual for total fee estimate: required fees for one applicant for one year
+// Amounts are only added within a currency; fees in other currencies are listed
+// separately (services/feeCalculatorService.js converts them)
 visaTypeSchema.virtual('totalFeeEstimate').get(function() {
-  let total = this.fees.visaFee.amount;
-  
+  const totals = new Map([[this.fees.visaFee.currency, this.fees.visaFee.amount]]);
+
   this.fees.additionalFees.forEach(fee => {
     if (!fee.isOptional) {
-      // Convert to base currency if needed (simplified)
-      total += fee.amount;
+      totals.set(fee.currency, (totals.get(fee.currency) || 0) + fee.amount);
     }
   });
-  
+
+  const [[currency, amount], ...others] = Array.from(totals, ([code, total]) => [code, Math.round(total * 100) / 100]);
+
   return {
-    amount: total,
-    currency: this.fees.visaFee.currency
+    amount,
+    currency,
+    otherCurrencies: others.map(([code, total]) => ({ amount: total, currency: code }))
   };
 });
 
@@ -385,30 +508,71 @@ visaTypeSchema.methods.getDocumentsByCategory = function(category) {
 
 // Instance method to get conditional documents
 visaTypeSchema.methods.getConditionalDocuments = function(userResponses = {}) {
-  return this.requirements.documents.filter(doc => {
-    if (!doc.conditionalLogic || !doc.conditionalLogic.showIf) {
-      return true; // Show if no conditions
-    }
-    
-    const { field, value } = doc.conditionalLogic.showIf;
-    return userResponses[field] === value;
-  });
+  return this.requirements.documents.filter(doc =>
+    matchesConditionalLogic(doc.conditionalLogic, userResponses)
+  );
 };
 
 // Instance method to get personalized steps
 visaTypeSchema.methods.getPersonalizedSteps = function(userResponses = {}) {
   return this.applicationProcess.steps.filter(step => {
-    if (!step.isConditional || !step.conditionalLogic) {
+    const hasRule = step.conditionalLogic && step.conditionalLogic.rule;
+    if (!step.isConditional && !hasRule) {
       return true; // Show if not conditional
     }
-    
-    const { field, value } = step.conditionalLogic.showIf;
-    return userResponses[field] === value;
+
+    return matchesConditionalLogic(step.conditionalLogic, userResponses);
   }).sort((a, b) => a.stepNumber - b.stepNumber);
 };
 
-// Pre-save middleware to validate processing time
-visaTypeSchema.pre('save', function(next) {
+// Canonical identifier of a step or document, used as Journey stepCompletion/checklist key
+const getItemKey = (item) => item.key || item._id.toString();
+
+// Instance method to get canonical checklist item IDs for a user's answers
+visaTypeSchema.methods.getConditionalDocumentIds = function(userResponses = {}) {
+  return this.getConditionalDocuments(userResponses).map(getItemKey);
+};
+
+// Instance method to get canonical step IDs for a user's answers
+visaTypeSchema.methods.getPersonalizedStepIds = function(userResponses = {}) {
+  return this.getPersonalizedSteps(userResponses).map(getItemKey);
+};
+
+// Slugify a title into a key
+const slugify = (text) => {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// Pre-validate middleware to assign unique keys to documents and steps
+visaTypeSchema.pre('validate', function(next) {
+  const assignKeys = (items, labelField) => {
+    const used = new Set();
+    items.forEach(item => {
+      let key = item.key || slugify(item[labelField]) || item._id.toString();
+      const base = key;
+      let suffix = 2;
+      while (used.has(key)) {
+        key = `${base}-${suffix++}`;
+      }
+      item.key = key;
+      used.add(key);
+    });
+  };
+
+  if (this.requirements && this.requirements.documents) {
+    assignKeys(this.requirements.documents, 'name');
+  }
+  if (this.applicationProcess && this.applicationProcess.steps) {
+    assignKeys(this.applicationProcess.steps, 'title');
+  }
+  next();
+});
+
+// Pre-validate middleware to check processing time, so validate() catches it before a revision is recorded
+visaTypeSchema.pre('validate', function(next) {
   if (this.processingTime.min > this.processingTime.max) {
     return next(new Error('Minimum processing time cannot be greater than maximum'));
   }
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const personSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: String,
+  name: String
+}, { _id: false });
+
+/**
+ * VisaTypeDraft Schema - Proposed visa type content awaiting review
+ *
+ * Lifecycle: draft -> in_review -> (scheduled ->) publishing -> published
+ * A reviewer may reject (back to editable) and anyone may cancel an open draft.
+ * The published VisaType is only changed when a draft is published.
+ */
+const visaTypeDraftSchema = new mongoose.Schema({
+  // Empty for a draft of a new visa type
+  visaTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VisaType',
+    index: true
+  },
+  // VisaType.revision the draft was based on; publishing fails if it has moved on
+  baseRevision: {
+    type: Number,
+    default: 0
+  },
+  // Full proposed content, in the same shape as a revision snapshot
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'A reason for the change is required'],
+    trim: true,
+    maxLength: [500, 'Reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'in_review', 'scheduled', 'publishing', 'published', 'rejected', 'cancelled'],
+    default: 'draft'
+  },
+  author: personSchema,
+  // Everyone who created or edited the draft; none of them may approve it
+  contributors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  submittedAt: Date,
+  review: {
+    reviewer: personSchema,
+    decision: {
+      type: String,
+      enum: ['approved', 'rejected']
+    },
+    comment: {
+      type: String,
+      maxLength: [1000, 'Review comment cannot exceed 1000 characters']
+    },
+    reviewedAt: Date
+  },
+  // Publish on approval when empty or in the past
+  publishAt: Date,
+  publishedAt: Date,
+  publishedRevision: Number,
+  // Why the last publish attempt failed (the draft is returned to editing)
+  publishError: String,
+  history: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['created', 'edited', 'submitted', 'approved', 'rejected', 'cancelled', 'published', 'publish_failed'],
+      required: true
+    },
+    by: personSchema,
+    comment: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  minimize: false,
+  // Workflow steps load, check and save a draft; a concurrent step makes the save fail
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true }
+});
+
+visaTypeDraftSchema.index({ status: 1, publishAt: 1 });
+visaTypeDraftSchema.index({ 'author.userId': 1, status: 1 });
+
+// Virtual for whether content can still be changed
+visaTypeDraftSchema.virtual('isEditable').get(function() {
+  return ['draft', 'rejected'].includes(this.status);
+});
+
+// Virtual for whether the draft is still in progress
+visaTypeDraftSchema.virtual('isOpen').get(function() {
+  return ['draft', 'in_review', 'scheduled', 'publishing', 'rejected'].includes(this.status);
+});
+
+// Instance method to append a workflow event
+visaTypeDraftSchema.methods.addHistory = function(action, by, comment) {
+  this.history.push({ action, by, comment, at: new Date() });
+};
+
+// Instance method to check whether a user worked on the draft
+visaTypeDraftSchema.methods.isContributor = function(userId) {
+  return this.contributors.some(contributor => contributor.equals(userId));
+};
+
+// A publish that has not finished by then is assumed to have crashed
+const PUBLISHING_STALE_MS = 10 * 60 * 1000;
+
+const claimableConditions = (now) => ({
+  $or: [
+    { status: 'scheduled', publishAt: { $lte: now } },
+    { status: 'publishing', updatedAt: { $lt: new Date(now.getTime() - PUBLISHING_STALE_MS) } }
+  ]
+});
+
+// Static method to find scheduled drafts that are due
+visaTypeDraftSchema.statics.findDue = function(now = new Date(), limit = 20) {
+  return this.find(claimableConditions(now))
+    .sort({ publishAt: 1 })
+    .limit(limit);
+};
+
+// Static method to atomically move a due draft to publishing; returns null if someone else claimed it
+visaTypeDraftSchema.statics.claimForPublishing = function(id, now = new Date()) {
+  return this.findOneAndUpdate(
+    { _id: id, ...claimableConditions(now) },
+    { $set: { status: 'publishing' }, $inc: { __v: 1 } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('VisaTypeDraft', visaTypeDraftSchema);
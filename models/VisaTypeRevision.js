@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+/**
+ * VisaTypeRevision Schema - Immutable snapshot of a VisaType after each change
+ *
+ * Revisions are numbered per visa type starting at 1. Each one stores the
+ * full content (for rollback) and its diff against the previous revision.
+ */
+const visaTypeRevisionSchema = new mongoose.Schema({
+  visaTypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VisaType',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    required: true,
+    // baseline: state of a visa type created before revisions were recorded
+    enum: ['baseline', 'create', 'update', 'delete', 'rollback']
+  },
+  // Revision whose content was restored (rollback only)
+  rolledBackTo: Number,
+  reason: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'Reason cannot exceed 500 characters']
+  },
+  author: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    name: String
+  },
+  // Reviewer who approved the draft this revision was published from
+  approvedBy: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    name: String
+  },
+  draftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VisaTypeDraft'
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Diff against the previous revision; paths use dot notation
+  changes: [{
+    _id: false,
+    path: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Also prevents two concurrent edits from claiming the same revision number
+visaTypeRevisionSchema.index({ visaTypeId: 1, revision: -1 }, { unique: true });
+
+// Revisions are immutable once written
+const rejectChange = function() {
+  throw new Error('Visa type revisions cannot be modified');
+};
+
+visaTypeRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectChange);
+visaTypeRevisionSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], rejectChange);
+
+visaTypeRevisionSchema.pre('save', function() {
+  if (!this.isNew) {
+    rejectChange();
+  }
+});
+
+// Static method to get the latest revision of a visa type
+visaTypeRevisionSchema.statics.findLatest = function(visaTypeId) {
+  return this.findOne({ visaTypeId }).sort({ revision: -1 });
+};
+
+// Static method to get one revision of a visa type
+visaTypeRevisionSchema.statics.findRevision = function(visaTypeId, revision) {
+  return this.findOne({ visaTypeId, revision });
+};
+
+module.exports = mongoose.model('VisaTypeRevision', visaTypeRevisionSchema);
@@ -1,4 +1,266 @@
 ﻿const express = require('express');
+const adminController = require('../controllers/adminController');
+const roleController = require('../controllers/roleController');
+const auditController = require('../controllers/auditController');
+const exchangeRateController = require('../controllers/exchangeRateController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { handleValidationErrors, validateObjectId, validateSearch, adminValidation } = require('../middleware/validation');
+
 const router = express.Router();
 
+// All admin routes require authentication; each route checks its own permission
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/admin/dashboard
+ * @desc    Get dashboard overview
+ * @access  Private (analytics:read)
+ * @query   timeframe
+ */
+router.get('/dashboard',
+  requirePermission('analytics:read'),
+  adminValidation.timeframe,
+  handleValidationErrors,
+  adminController.getDashboardOverview
+);
+
+/**
+ * @route   GET /api/v1/admin/analytics/users
+ * @desc    Get user analytics
+ * @access  Private (analytics:read)
+ * @query   timeframe, groupBy
+ */
+router.get('/analytics/users',
+  requirePermission('analytics:read'),
+  adminValidation.userAnalytics,
+  handleValidationErrors,
+  adminController.getUserAnalytics
+);
+
+/**
+ * @route   GET /api/v1/admin/analytics/journeys
+ * @desc    Get journey analytics
+ * @access  Private (analytics:read)
+ */
+router.get('/analytics/journeys',
+  requirePermission('analytics:read'),
+  adminValidation.timeframe,
+  handleValidationErrors,
+  adminController.getJourneyAnalytics
+);
+
+/**
+ * @route   GET /api/v1/admin/analytics/contacts
+ * @desc    Get contact analytics
+ * @access  Private (analytics:read)
+ */
+router.get('/analytics/contacts',
+  requirePermission('analytics:read'),
+  adminValidation.timeframe,
+  handleValidationErrors,
+  adminController.getContactAnalytics
+);
+
+/**
+ * @route   POST /api/v1/admin/reports/generate
+ * @desc    Generate analytics report as PDF or JSON
+ * @access  Private (analytics:read)
+ */
+router.post('/reports/generate',
+  requirePermission('analytics:read'),
+  adminValidation.generateReport,
+  handleValidationErrors,
+  adminController.generateAnalyticsReport
+);
+
+/**
+ * @route   POST /api/v1/admin/communications/newsletter
+ * @desc    Send newsletter to a target audience
+ * @access  Private (communications:send)
+ */
+router.post('/communications/newsletter',
+  requirePermission('communications:send'),
+  adminValidation.sendNewsletter,
+  handleValidationErrors,
+  adminController.sendNewsletter
+);
+
+/**
+ * @route   GET /api/v1/admin/system/health
+ * @desc    Get system health and service status
+ * @access  Private (system:read)
+ */
+router.get('/system/health',
+  requirePermission('system:read'),
+  adminController.getSystemHealth
+);
+
+/**
+ * @route   GET /api/v1/admin/users
+ * @desc    List user accounts
+ * @access  Private (users:read)
+ * @query   role, status, search, page, limit
+ */
+router.get('/users',
+  requirePermission('users:read'),
+  adminValidation.listUsers,
+  handleValidationErrors,
+  validateSearch,
+  adminController.getUsers
+);
+
+/**
+ * @route   GET /api/v1/admin/users/:id
+ * @desc    Get a user account with journey summary
+ * @access  Private (users:read)
+ */
+router.get('/users/:id',
+  requirePermission('users:read'),
+  validateObjectId('id'),
+  adminController.getUserById
+);
+
+/**
+ * @route   PATCH /api/v1/admin/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (users:write, roles:manage)
+ */
+router.patch('/users/:id/role',
+  requirePermission('users:write', 'roles:manage'),
+  validateObjectId('id'),
+  adminValidation.assignRole,
+  handleValidationErrors,
+  roleController.assignUserRole
+);
+
+/**
+ * @route   GET /api/v1/admin/permissions
+ * @desc    List all permissions
+ * @access  Private (roles:manage)
+ */
+router.get('/permissions',
+  requirePermission('roles:manage'),
+  roleController.getPermissions
+);
+
+/**
+ * @route   GET /api/v1/admin/roles
+ * @desc    List roles and their permissions
+ * @access  Private (roles:manage)
+ */
+router.get('/roles',
+  requirePermission('roles:manage'),
+  roleController.getRoles
+);
+
+/**
+ * @route   POST /api/v1/admin/roles
+ * @desc    Create a role
+ * @access  Private (roles:manage)
+ */
+router.post('/roles',
+  requirePermission('roles:manage'),
+  adminValidation.createRole,
+  handleValidationErrors,
+  roleController.createRole
+);
+
+/**
+ * @route   PATCH /api/v1/admin/roles/:name
+ * @desc    Update a role's label, description or permissions
+ * @access  Private (roles:manage)
+ */
+router.patch('/roles/:name',
+  requirePermission('roles:manage'),
+  adminValidation.updateRole,
+  handleValidationErrors,
+  roleController.updateRole
+);
+
+/**
+ * @route   DELETE /api/v1/admin/roles/:name
+ * @desc    Delete a custom role
+ * @access  Private (roles:manage)
+ */
+router.delete('/roles/:name',
+  requirePermission('roles:manage'),
+  roleController.deleteRole
+);
+
+/**
+ * @route   GET /api/v1/admin/audit
+ * @desc    List audit log entries
+ * @access  Private (audit:read)
+ * @query   actor, action, entityType, entityId, requestId, from, to, page, limit
+ */
+router.get('/audit',
+  requirePermission('audit:read'),
+  adminValidation.auditQuery,
+  handleValidationErrors,
+  auditController.getAuditLogs
+);
+
+/**
+ * @route   GET /api/v1/admin/audit/export
+ * @desc    Export audit log entries as CSV or JSON
+ * @access  Private (audit:read)
+ * @query   format, plus the filters of GET /admin/audit
+ */
+router.get('/audit/export',
+  requirePermission('audit:read'),
+  adminValidation.auditQuery,
+  adminValidation.auditExport,
+  handleValidationErrors,
+  auditController.exportAuditLogs
+);
+
+/**
+ * @route   GET /api/v1/admin/exchange-rates
+ * @desc    List exchange rates
+ * @access  Private (exchangeRates:write)
+ * @query   base, quote, at, page, limit
+ */
+router.get('/exchange-rates',
+  requirePermission('exchangeRates:write'),
+  adminValidation.exchangeRateQuery,
+  handleValidationErrors,
+  exchangeRateController.getExchangeRates
+);
+
+/**
+ * @route   POST /api/v1/admin/exchange-rates
+ * @desc    Add a rate for a currency pair from a given date
+ * @access  Private (exchangeRates:write)
+ */
+router.post('/exchange-rates',
+  requirePermission('exchangeRates:write'),
+  adminValidation.createExchangeRate,
+  handleValidationErrors,
+  exchangeRateController.createExchangeRate
+);
+
+/**
+ * @route   PATCH /api/v1/admin/exchange-rates/:id
+ * @desc    Correct an exchange rate
+ * @access  Private (exchangeRates:write)
+ */
+router.patch('/exchange-rates/:id',
+  requirePermission('exchangeRates:write'),
+  validateObjectId('id'),
+  adminValidation.updateExchangeRate,
+  handleValidationErrors,
+  exchangeRateController.updateExchangeRate
+);
+
+/**
+ * @route   DELETE /api/v1/admin/exchange-rates/:id
+ * @desc    Delete an exchange rate
+ * @access  Private (exchangeRates:write)
+ */
+router.delete('/exchange-rates/:id',
+  requirePermission('exchangeRates:write'),
+  validateObjectId('id'),
+  exchangeRateController.deleteExchangeRate
+);
+
 module.exports = router;
@@ -1,8 +1,9 @@
 ﻿const express = require('express');
 const { body, param } = require('express-validator');
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
 const { authenticate, refreshToken, authRateLimit } = require('../middleware/auth');
-const { handleValidationErrors } = require('../middleware/validation');
+const { handleValidationErrors, validateObjectId } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -43,6 +44,15 @@ const loginValidation = [
     .withMessage('Password is required'),
 ];
 
+const mobileValidation = [
+  body('mobile')
+    .matches(/^[0-9]{7,15}$/)
+    .withMessage('Please provide a valid mobile number (7-15 digits)'),
+  body('dialingCode')
+    .matches(/^\+\d{1,4}$/)
+    .withMessage('Please provide a valid dialing code (e.g., +91)'),
+];
+
 const otpValidation = [
   body('otp')
     .matches(/^\d{6}$/)
@@ -68,6 +78,28 @@ const changePasswordValidation = [
     .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number'),
 ];
 
+const totpCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be exactly 6 digits'),
+];
+
+// Either a TOTP code or a recovery code
+const secondFactorValidation = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be exactly 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('Provide an authentication code or a recovery code'),
+];
+
 // Public routes (no authentication required)
 
 /**
@@ -94,6 +126,121 @@ router.post('/login',
   authController.login
 );
 
+/**
+ * @route   POST /api/v1/auth/login/2fa
+ * @desc    Complete login with the MFA challenge token and a TOTP or recovery code
+ * @access  Public
+ */
+router.post('/login/2fa',
+  authRateLimit(5, 15 * 60 * 1000), // 5 attempts per 15 minutes
+  body('mfaToken')
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  secondFactorValidation,
+  handleValidationErrors,
+  authController.verifyTwoFactorLogin
+);
+
+/**
+ * @route   POST /api/v1/auth/passwordless/sms
+ * @desc    Request a login OTP by SMS (verified mobile numbers only)
+ * @access  Public
+ */
+router.post('/passwordless/sms',
+  authRateLimit(5, 15 * 60 * 1000), // 5 attempts per 15 minutes
+  mobileValidation,
+  handleValidationErrors,
+  authController.requestLoginOTP
+);
+
+/**
+ * @route   POST /api/v1/auth/passwordless/sms/verify
+ * @desc    Exchange a login OTP for tokens
+ * @access  Public
+ */
+router.post('/passwordless/sms/verify',
+  authRateLimit(10, 15 * 60 * 1000), // 10 attempts per 15 minutes
+  mobileValidation,
+  otpValidation,
+  handleValidationErrors,
+  authController.verifyLoginOTP
+);
+
+/**
+ * @route   POST /api/v1/auth/passwordless/email
+ * @desc    Request a sign-in link by email
+ * @access  Public
+ */
+router.post('/passwordless/email',
+  authRateLimit(5, 15 * 60 * 1000), // 5 attempts per 15 minutes
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidationErrors,
+  authController.requestMagicLink
+);
+
+/**
+ * @route   POST /api/v1/auth/passwordless/email/verify
+ * @desc    Exchange a sign-in link token for tokens
+ * @access  Public
+ */
+router.post('/passwordless/email/verify',
+  authRateLimit(10, 15 * 60 * 1000), // 10 attempts per 15 minutes
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid sign-in token'),
+  handleValidationErrors,
+  authController.verifyMagicLink
+);
+
+/**
+ * @route   GET /api/v1/auth/oidc/providers
+ * @desc    List configured OpenID Connect sign-in providers
+ * @access  Public
+ */
+router.get('/oidc/providers',
+  authController.getOidcProviders
+);
+
+/**
+ * @route   GET /api/v1/auth/oidc/:provider/authorize
+ * @desc    Start OpenID Connect sign-in (returns the authorization URL)
+ * @access  Public
+ */
+router.get('/oidc/:provider/authorize',
+  authRateLimit(20, 15 * 60 * 1000), // 20 attempts per 15 minutes
+  param('provider')
+    .matches(/^[a-z0-9_-]{1,32}$/i)
+    .withMessage('Invalid provider'),
+  handleValidationErrors,
+  authController.startOidcLogin
+);
+
+/**
+ * @route   POST /api/v1/auth/oidc/:provider/callback
+ * @desc    Complete OpenID Connect sign-in with the authorization code and state
+ * @access  Public
+ */
+router.post('/oidc/:provider/callback',
+  authRateLimit(20, 15 * 60 * 1000), // 20 attempts per 15 minutes
+  param('provider')
+    .matches(/^[a-z0-9_-]{1,32}$/i)
+    .withMessage('Invalid provider'),
+  body('code')
+    .isString()
+    .isLength({ min: 1, max: 2048 })
+    .withMessage('Authorization code is required'),
+  body('state')
+    .isString()
+    .isLength({ min: 16, max: 128 })
+    .withMessage('Invalid state'),
+  handleValidationErrors,
+  authController.completeOidcLogin
+);
+
 /**
  * @route   POST /api/v1/auth/refresh-token
  * @desc    Refresh access token using refresh token
@@ -158,6 +305,42 @@ router.post('/logout',
   authController.logout
 );
 
+/**
+ * @route   POST /api/v1/auth/logout-all
+ * @desc    Log out of every device (body.keepCurrent keeps this session)
+ * @access  Private
+ */
+router.post('/logout-all',
+  authenticate,
+  body('keepCurrent')
+    .optional()
+    .isBoolean()
+    .withMessage('keepCurrent must be a boolean'),
+  handleValidationErrors,
+  authController.logoutAll
+);
+
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    List active sessions (devices) of the current user
+ * @access  Private
+ */
+router.get('/sessions',
+  authenticate,
+  authController.getSessions
+);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @desc    Sign out a specific session
+ * @access  Private
+ */
+router.delete('/sessions/:id',
+  authenticate,
+  validateObjectId('id'),
+  authController.revokeSession
+);
+
 /**
  * @route   GET /api/v1/auth/profile
  * @desc    Get current user profile
@@ -216,6 +399,73 @@ router.post('/change-password',
   authController.changePassword
 );
 
+/**
+ * @route   GET /api/v1/auth/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa',
+  authenticate,
+  twoFactorController.getTwoFactorStatus
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/setup
+ * @desc    Start 2FA enrollment (returns secret and otpauth URI)
+ * @access  Private
+ */
+router.post('/2fa/setup',
+  authenticate,
+  authRateLimit(5, 60 * 60 * 1000), // 5 attempts per hour
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  handleValidationErrors,
+  twoFactorController.setupTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/enable
+ * @desc    Confirm enrollment with a code and receive recovery codes
+ * @access  Private
+ */
+router.post('/2fa/enable',
+  authenticate,
+  authRateLimit(5, 15 * 60 * 1000), // 5 attempts per 15 minutes
+  totpCodeValidation,
+  handleValidationErrors,
+  twoFactorController.enableTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/disable
+ * @desc    Disable 2FA (password plus code or recovery code)
+ * @access  Private
+ */
+router.post('/2fa/disable',
+  authenticate,
+  authRateLimit(5, 60 * 60 * 1000), // 5 attempts per hour
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  secondFactorValidation,
+  handleValidationErrors,
+  twoFactorController.disableTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @desc    Regenerate recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes',
+  authenticate,
+  authRateLimit(5, 60 * 60 * 1000), // 5 attempts per hour
+  totpCodeValidation,
+  handleValidationErrors,
+  twoFactorController.regenerateRecoveryCodes
+);
+
 // Test route for development
 if (process.env.NODE_ENV === 'development') {
   /**
@@ -1,545 +1,142 @@
 ﻿const express = require('express');
-const Contact = require('../models/Contact');
-const User = require('../models/User');
-const AppError = require('../middleware/errorHandler').AppError;
-const logger = require('../utils/logger');
-const emailService = require('../services/emailService');
+const { query } = require('express-validator');
+const contactController = require('../controllers/contactController');
+const { authenticate, requirePermission, requireAnyPermission, authRateLimit } = require('../middleware/auth');
+const { handleValidationErrors, validateObjectId, contactValidation } = require('../middleware/validation');
 
 const router = express.Router();
 
-/**
- * Contact Controller - Handles contact form submissions and lead management
- */
+// Public routes (no authentication required)
 
 /**
- * Submit contact form
- * POST /api/v1/contact
+ * @route   POST /api/v1/contact
+ * @desc    Submit contact form
+ * @access  Public
  */
-const submitContactForm = async (req, res, next) => {
-  try {
-    const {
-      firstName,
-      lastName,
-      email,
-      mobile,
-      dialingCode,
-      contactType,
-      priority,
-      subject,
-      message,
-      visaContext,
-      leadData,
-      preferences
-    } = req.body;
-
-    // Extract metadata from request
-    const metadata = {
-      userAgent: req.get('User-Agent'),
-      ipAddress: req.ip || req.connection.remoteAddress,
-      referrer: req.get('Referer'),
-      utmParams: {
-        source: req.query.utm_source,
-        medium: req.query.utm_medium,
-        campaign: req.query.utm_campaign,
-        term: req.query.utm_term,
-        content: req.query.utm_content
-      },
-      deviceInfo: {
-        isMobile: /mobile/i.test(req.get('User-Agent')),
-        browser: req.get('User-Agent')?.match(/(firefox|msie|chrome|safari|opera)/i)?.[0],
-        os: req.get('sec-ch-ua-platform')?.replace(/"/g, '')
-      }
-    };
-
-    // Check if user exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser && leadData) {
-      leadData.isExistingUser = true;
-    }
-
-    // Create contact
-    const contact = new Contact({
-      firstName,
-      lastName,
-      email,
-      mobile,
-      dialingCode,
-      contactType: contactType || 'general_inquiry',
-      priority: priority || 'medium',
-      subject,
-      message,
-      visaContext: visaContext || {},
-      leadData: {
-        isExistingUser: existingUser ? true : false,
-        leadSource: 'website',
-        ...leadData
-      },
-      preferences: preferences || {},
-      metadata,
-      submittedAt: new Date()
-    });
-
-    // Calculate lead score
-    contact.calculateLeadScore();
-
-    // Auto-assign high priority contacts
-    if (contact.priority === 'urgent' || contact.leadData.leadScore >= 80) {
-      const availableAgent = await User.findOne({ 
-        role: 'admin',
-        status: 'active' 
-      }).sort({ createdAt: 1 });
-      
-      if (availableAgent) {
-        contact.assignedTo = availableAgent._id;
-      }
-    }
-
-    // Schedule initial follow-up
-    contact.scheduleFollowUp(1); // Follow up in 1 day
+router.post('/',
+  authRateLimit(5, 60 * 60 * 1000), // 5 submissions per hour
+  contactValidation.submitForm,
+  handleValidationErrors,
+  contactController.submitContactForm
+);
 
-    await contact.save();
-
-    // Send confirmation email to user
-    try {
-      await emailService.sendContactConfirmation(contact);
-    } catch (emailError) {
-      logger.error('Failed to send contact confirmation email:', emailError);
-      // Don't fail the request if email fails
-    }
-
-    // Send notification to admin for high priority contacts
-    if (contact.priority === 'urgent' || contact.leadData.leadScore >= 80) {
-      try {
-        await emailService.sendAdminNotification(contact);
-      } catch (emailError) {
-        logger.error('Failed to send admin notification:', emailError);
-      }
-    }
-
-    logger.info('Contact form submitted successfully', {
-      contactId: contact._id,
-      email: contact.email,
-      contactType: contact.contactType,
-      leadScore: contact.leadData.leadScore
-    });
-
-    res.status(201).json({
-      status: 'success',
-      message: 'Thank you for contacting us. We will get back to you soon!',
-      data: {
-        contact: {
-          id: contact._id,
-          submittedAt: contact.submittedAt,
-          leadScore: contact.leadData.leadScore,
-          followUpDate: contact.followUp.nextFollowUpDate
-        }
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error submitting contact form:', error);
-    next(new AppError('Failed to submit contact form', 500));
-  }
-};
+// Protected routes (team members; counsellors only see contacts assigned to them)
+router.use(authenticate);
 
 /**
- * Get all contacts (Admin only)
- * GET /api/v1/contact
+ * @route   GET /api/v1/contact
+ * @desc    Get all contacts with filtering and pagination
+ * @access  Private (contacts:read, or contacts:read_assigned for own contacts)
+ * @query   status, contactType, priority, assignedTo, leadScore, page, limit, sortBy, sortOrder
  */
-const getAllContacts = async (req, res, next) => {
-  try {
-    const {
-      status,
-      contactType,
-      priority,
-      assignedTo,
-      leadScore,
-      page = 1,
-      limit = 20,
-      sortBy = 'submittedAt',
-      sortOrder = 'desc'
-    } = req.query;
-
-    // Build filter query
-    let filterQuery = {};
-    
-    if (status) filterQuery.status = status;
-    if (contactType) filterQuery.contactType = contactType;
-    if (priority) filterQuery.priority = priority;
-    if (assignedTo) filterQuery.assignedTo = assignedTo;
-    if (leadScore) {
-      filterQuery['leadData.leadScore'] = { $gte: parseInt(leadScore) };
-    }
-
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    // Get contacts with pagination
-    const contacts = await Contact.find(filterQuery)
-      .populate('assignedTo', 'firstName lastName email')
-      .sort(sortOptions)
-      .limit(parseInt(limit))
-      .skip(skip);
-
-    const total = await Contact.countDocuments(filterQuery);
-
-    res.status(200).json({
-      status: 'success',
-      data: {
-        contacts,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(total / parseInt(limit)),
-          totalContacts: total,
-          hasNext: skip + contacts.length < total,
-          hasPrev: parseInt(page) > 1
-        }
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error retrieving contacts:', error);
-    next(new AppError('Failed to retrieve contacts', 500));
-  }
-};
+router.get('/',
+  requireAnyPermission('contacts:read', 'contacts:read_assigned'),
+  query('status').optional().isIn(['new', 'contacted', 'in_progress', 'resolved', 'closed', 'spam']).withMessage('Invalid status'),
+  query('contactType').optional().isIn(['general_inquiry', 'visa_guidance', 'technical_support', 'partnership', 'feedback', 'complaint', 'other']).withMessage('Invalid contact type'),
+  query('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority level'),
+  query('assignedTo').optional().isMongoId().withMessage('Invalid user ID'),
+  query('leadScore').optional().isInt({ min: 0, max: 100 }).withMessage('Lead score must be between 0 and 100'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be greater than 0'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('sortBy').optional().isIn(['submittedAt', 'lastUpdatedAt', 'priority', 'status', 'leadData.leadScore']).withMessage('Invalid sort field'),
+  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc'),
+  handleValidationErrors,
+  contactController.getAllContacts
+);
 
 /**
- * Get contact by ID
- * GET /api/v1/contact/:id
+ * @route   GET /api/v1/contact/stats
+ * @desc    Get contact statistics
+ * @access  Private (contacts:read)
+ * @query   timeframe
  */
-const getContactById = async (req, res, next) => {
-  try {
-    const contact = await Contact.findById(req.params.id)
-      .populate('assignedTo', 'firstName lastName email')
-      .populate('responses.respondedBy', 'firstName lastName email')
-      .populate('resolution.resolvedBy', 'firstName lastName email');
-
-    if (!contact) {
-      return next(new AppError('Contact not found', 404));
-    }
-
-    res.status(200).json({
-      status: 'success',
-      data: {
-        contact
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error retrieving contact:', error);
-    next(new AppError('Failed to retrieve contact', 500));
-  }
-};
+router.get('/stats',
+  requirePermission('contacts:read'),
+  query('timeframe').optional().isIn(['7d', '30d', '90d', 'all']).withMessage('Timeframe must be 7d, 30d, 90d or all'),
+  handleValidationErrors,
+  contactController.getContactStats
+);
 
 /**
- * Update contact
- * PATCH /api/v1/contact/:id
+ * @route   GET /api/v1/contact/overdue
+ * @desc    Get contacts with overdue follow-ups
+ * @access  Private (contacts:read, or contacts:read_assigned for own contacts)
  */
-const updateContact = async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    const updates = req.body;
-
-    const contact = await Contact.findById(id);
-    if (!contact) {
-      return next(new AppError('Contact not found', 404));
-    }
-
-    // Update allowed fields
-    const allowedUpdates = ['status', 'priority', 'assignedTo', 'tags', 'resolution'];
-    allowedUpdates.forEach(field => {
-      if (updates[field] !== undefined) {
-        contact[field] = updates[field];
-      }
-    });
-
-    await contact.save();
-
-    logger.info('Contact updated', {
-      contactId: contact._id,
-      updatedBy: req.user.email,
-      updates: Object.keys(updates)
-    });
-
-    res.status(200).json({
-      status: 'success',
-      message: 'Contact updated successfully',
-      data: {
-        contact
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error updating contact:', error);
-    next(new AppError('Failed to update contact', 500));
-  }
-};
+router.get('/overdue',
+  requireAnyPermission('contacts:read', 'contacts:read_assigned'),
+  contactController.getOverdueFollowUps
+);
 
 /**
- * Assign contact to user
- * PATCH /api/v1/contact/:id/assign
+ * @route   GET /api/v1/contact/high-priority
+ * @desc    Get open high priority contacts
+ * @access  Private (contacts:read, or contacts:read_assigned for own contacts)
  */
-const assignContact = async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    const { assignedTo } = req.body;
-
-    const contact = await Contact.findById(id);
-    if (!contact) {
-      return next(new AppError('Contact not found', 404));
-    }
-
-    if (assignedTo) {
-      const user = await User.findById(assignedTo);
-      if (!user) {
-        return next(new AppError('User not found', 404));
-      }
-    }
-
-    await contact.assignTo(assignedTo);
-
-    logger.info('Contact assigned', {
-      contactId: contact._id,
-      assignedTo,
-      assignedBy: req.user.email
-    });
-
-    res.status(200).json({
-      status: 'success',
-      message: 'Contact assigned successfully',
-      data: {
-        contact
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error assigning contact:', error);
-    next(new AppError('Failed to assign contact', 500));
-  }
-};
+router.get('/high-priority',
+  requireAnyPermission('contacts:read', 'contacts:read_assigned'),
+  contactController.getHighPriorityContacts
+);
 
 /**
- * Add response to contact
- * POST /api/v1/contact/:id/response
+ * @route   PATCH /api/v1/contact/bulk
+ * @desc    Bulk update contacts
+ * @access  Private (contacts:write)
  */
-const addContactResponse = async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    const { content, responseType = 'email', isInternal = false } = req.body;
-
-    const contact = await Contact.findById(id);
-    if (!contact) {
-      return next(new AppError('Contact not found', 404));
-    }
-
-    await contact.addResponse(req.user._id, content, responseType, isInternal);
-
-    // Update status if this is the first response
-    if (contact.status === 'new') {
-      await contact.updateStatus('contacted');
-    }
-
-    // Send email response if not internal
-    if (!isInternal && responseType === 'email') {
-      try {
-        await emailService.sendContactResponse(contact, content);
-      } catch (emailError) {
-        logger.error('Failed to send email response:', emailError);
-      }
-    }
-
-    logger.info('Response added to contact', {
-      contactId: contact._id,
-      respondedBy: req.user.email,
-      responseType,
-      isInternal
-    });
-
-    res.status(201).json({
-      status: 'success',
-      message: 'Response added successfully',
-      data: {
-        contact
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error adding contact response:', error);
-    next(new AppError('Failed to add response', 500));
-  }
-};
+router.patch('/bulk',
+  requirePermission('contacts:write'),
+  contactValidation.bulkUpdate,
+  handleValidationErrors,
+  contactController.bulkUpdateContacts
+);
 
 /**
- * Get contact statistics
- * GET /api/v1/contact/stats
+ * @route   GET /api/v1/contact/:id
+ * @desc    Get contact by ID
+ * @access  Private (contacts:read, or contacts:read_assigned for own contacts)
  */
-const getContactStats = async (req, res, next) => {
-  try {
-    const { timeframe = '30d' } = req.query;
-
-    // Get basic stats
-    const basicStats = await Contact.getContactStats(timeframe);
-
-    // Get status distribution
-    const statusStats = await Contact.aggregate([
-      {
-        $group: {
-          _id: '$status',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-
-    // Get contact type distribution
-    const typeStats = await Contact.aggregate([
-      {
-        $group: {
-          _id: '$contactType',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-
-    // Get top routes
-    const routeStats = await Contact.aggregate([
-      {
-        $match: {
-          'visaContext.originCountry': { $exists: true },
-          'visaContext.destinationCountry': { $exists: true }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            origin: '$visaContext.originCountry',
-            destination: '$visaContext.destinationCountry'
-          },
-          count: { $sum: 1 },
-          avgLeadScore: { $avg: '$leadData.leadScore' }
-        }
-      },
-      { $sort: { count: -1 } },
-      { $limit: 10 }
-    ]);
-
-    // Get overdue follow-ups
-    const overdueFollowUps = await Contact.findOverdueFollowUps();
-
-    // Get high priority contacts
-    const highPriorityContacts = await Contact.findHighPriorityContacts();
-
-    res.status(200).json({
-      status: 'success',
-      data: {
-        overview: basicStats[0] || {
-          totalContacts: 0,
-          newContacts: 0,
-          resolvedContacts: 0,
-          averageLeadScore: 0,
-          averageResponseTime: 0
-        },
-        statusDistribution: statusStats,
-        typeDistribution: typeStats,
-        topRoutes: routeStats,
-        overdueFollowUps: overdueFollowUps.length,
-        highPriorityContacts: highPriorityContacts.length
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error getting contact stats:', error);
-    next(new AppError('Failed to retrieve contact statistics', 500));
-  }
-};
+router.get('/:id',
+  requireAnyPermission('contacts:read', 'contacts:read_assigned'),
+  validateObjectId('id'),
+  contactController.getContactById
+);
 
 /**
- * Get overdue follow-ups
- * GET /api/v1/contact/overdue
+ * @route   PATCH /api/v1/contact/:id
+ * @desc    Update contact status, priority, assignment or tags
+ * @access  Private (contacts:write, or contacts:write_assigned for own contacts; reassigning needs contacts:assign)
  */
-const getOverdueFollowUps = async (req, res, next) => {
-  try {
-    const overdueContacts = await Contact.findOverdueFollowUps()
-      .populate('assignedTo', 'firstName lastName email')
-      .limit(50);
-
-    res.status(200).json({
-      status: 'success',
-      data: {
-        overdueContacts,
-        count: overdueContacts.length
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error getting overdue follow-ups:', error);
-    next(new AppError('Failed to retrieve overdue follow-ups', 500));
-  }
-};
+router.patch('/:id',
+  requireAnyPermission('contacts:write', 'contacts:write_assigned'),
+  validateObjectId('id'),
+  contactValidation.updateContact,
+  handleValidationErrors,
+  contactController.updateContact
+);
 
 /**
- * Get high priority contacts
- * GET /api/v1/contact/high-priority
+ * @route   PATCH /api/v1/contact/:id/assign
+ * @desc    Assign contact to a team member
+ * @access  Private (contacts:assign)
  */
-const getHighPriorityContacts = async (req, res, next) => {
-  try {
-    const highPriorityContacts = await Contact.findHighPriorityContacts()
-      .populate('assignedTo', 'firstName lastName email')
-      .limit(50);
-
-    res.status(200).json({
-      status: 'success',
-      data: {
-        highPriorityContacts,
-        count: highPriorityContacts.length
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error getting high priority contacts:', error);
-    next(new AppError('Failed to retrieve high priority contacts', 500));
-  }
-};
+router.patch('/:id/assign',
+  requirePermission('contacts:assign'),
+  validateObjectId('id'),
+  contactValidation.assignContact,
+  handleValidationErrors,
+  contactController.assignContact
+);
 
 /**
- * Bulk update contacts
- * PATCH /api/v1/contact/bulk
+ * @route   POST /api/v1/contact/:id/response
+ * @desc    Add response to contact
+ * @access  Private (contacts:write, or contacts:write_assigned for own contacts)
  */
-const bulkUpdateContacts = async (req, res, next) => {
-  try {
-    const { contactIds, updates } = req.body;
-
-    if (!contactIds || !Array.isArray(contactIds) || contactIds.length === 0) {
-      return next(new AppError('Contact IDs are required', 400));
-    }
-
-    const result = await Contact.updateMany(
-      { _id: { $in: contactIds } },
-      { 
-        ...updates,
-        lastUpdatedAt: new Date()
-      }
-    );
-
-    logger.info('Bulk contact update', {
-      updatedCount: result.modifiedCount,
-      updatedBy: req.user.email,
-      updates
-    });
-
-    res.status(200).json({
-      status: 'success',
-      message: `${result.modifiedCount} contacts updated successfully`,
-      data: {
-        modifiedCount: result.modifiedCount
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error in bulk update:', error);
-    next(new AppError('Failed to update contacts', 500));
-  }
-};
-
-module.exports = router;
\ No newline at end of file
+router.post('/:id/response',
+  requireAnyPermission('contacts:write', 'contacts:write_assigned'),
+  validateObjectId('id'),
+  contactValidation.addResponse,
+  handleValidationErrors,
+  contactController.addContactResponse
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 ﻿const express = require('express');
 const { body, param, query } = require('express-validator');
 const countryController = require('../controllers/countryController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { handleValidationErrors, validateObjectId } = require('../middleware/validation');
 
 const router = express.Router();
@@ -136,11 +136,11 @@ const countryValidation = [
 /**
  * @route   POST /api/v1/countries
  * @desc    Create new country
- * @access  Private/Admin
+ * @access  Private (countries:write)
  */
 router.post('/',
   authenticate,
-  authorize('admin'),
+  requirePermission('countries:write'),
   countryValidation,
   handleValidationErrors,
   countryController.createCountry
@@ -149,11 +149,11 @@ router.post('/',
 /**
  * @route   PUT /api/v1/countries/:id
  * @desc    Update country
- * @access  Private/Admin
+ * @access  Private (countries:write)
  */
 router.put('/:id',
   authenticate,
-  authorize('admin'),
+  requirePermission('countries:write'),
   validateObjectId('id'),
   // Make all fields optional for updates
   body('code').optional().matches(/^[A-Z]{2}$/i).withMessage('Country code must be exactly 2 letters'),
@@ -177,11 +177,11 @@ router.put('/:id',
 /**
  * @route   DELETE /api/v1/countries/:id
  * @desc    Delete country (soft delete)
- * @access  Private/Admin
+ * @access  Private (countries:write)
  */
 router.delete('/:id',
   authenticate,
-  authorize('admin'),
+  requirePermission('countries:write'),
   validateObjectId('id'),
   countryController.deleteCountry
 );
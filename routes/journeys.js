@@ -1,67 +1,341 @@
 ﻿const express = require('express');
+const { param, query } = require('express-validator');
+const journeyController = require('../controllers/journeyController');
+const documentController = require('../controllers/documentController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { uploadSingle, getAllowedFileTypes, getMaxFileSize } = require('../middleware/upload');
+const { handleValidationErrors, validateObjectId, validateFileUpload, journeyValidation } = require('../middleware/validation');
+
 const router = express.Router();
 
-router.get('/test', (req, res) => {
-  res.json({ message: 'Journey routes working' });
-});
-
-router.get('/progress/:email', (req, res) => {
-  res.json({
-    status: 'success',
-    data: { progress: null }
-  });
-});
-
-router.get('/stats', (req, res) => {
-  res.json({
-    status: 'success',
-    data: { message: 'Stats working' }
-  });
-});
-
-router.post('/', (req, res) => {
-  res.json({
-    status: 'success',
-    message: 'Journey creation working'
-  });
-});
-
-router.get('/', (req, res) => {
-  res.json({
-    status: 'success',
-    data: { journeys: [] }
-  });
-});
-
-router.get('/:id', (req, res) => {
-  res.json({
-    status: 'success',
-    data: { journey: { id: req.params.id } }
-  });
-});
-
-router.delete('/:id', (req, res) => {
-  res.json({ status: 'success', message: 'Delete working' });
-});
-
-router.patch('/:id/steps/:stepId', (req, res) => {
-  res.json({ status: 'success', message: 'Step update working' });
-});
-
-router.patch('/:id/checklist', (req, res) => {
-  res.json({ status: 'success', message: 'Checklist working' });
-});
-
-router.patch('/:id/personalization', (req, res) => {
-  res.json({ status: 'success', message: 'Personalization working' });
-});
-
-router.post('/:id/share', (req, res) => {
-  res.json({ status: 'success', message: 'Share working' });
-});
-
-router.post('/:id/notes', (req, res) => {
-  res.json({ status: 'success', message: 'Notes working' });
-});
-
-module.exports = router;
\ No newline at end of file
+// Browsers and banks label CSV and OFX exports inconsistently
+const BANK_STATEMENT_FILE_TYPES = [
+  'text/csv',
+  'application/csv',
+  'application/vnd.ms-excel',
+  'text/plain',
+  'application/x-ofx',
+  'application/ofx',
+  'application/octet-stream'
+];
+const BANK_STATEMENT_MAX_SIZE = 2 * 1024 * 1024; // 2MB
+
+// All journey routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/journeys/progress/:email
+ * @desc    Load the most recent active journey in frontend ProgressData format
+ * @access  Private
+ * @query   originCountry, destinationCountry
+ */
+router.get('/progress/:email',
+  param('email').isEmail().withMessage('Please provide a valid email'),
+  query('originCountry').optional().matches(/^[A-Z]{2}$/i).withMessage('Origin country must be a 2-letter country code'),
+  query('destinationCountry').optional().matches(/^[A-Z]{2}$/i).withMessage('Destination country must be a 2-letter country code'),
+  handleValidationErrors,
+  journeyController.getJourneyProgress
+);
+
+/**
+ * @route   GET /api/v1/journeys/stats
+ * @desc    Get journey statistics
+ * @access  Private (journeys:read)
+ * @query   userId, timeframe
+ */
+router.get('/stats',
+  requirePermission('journeys:read'),
+  query('userId').optional().isMongoId().withMessage('Invalid user ID'),
+  query('timeframe').optional().isIn(['7d', '30d', '90d', 'all']).withMessage('Timeframe must be 7d, 30d, 90d or all'),
+  handleValidationErrors,
+  journeyController.getJourneyStats
+);
+
+/**
+ * @route   POST /api/v1/journeys
+ * @desc    Create a new journey or update the active one for the same route
+ * @access  Private
+ */
+router.post('/',
+  journeyValidation.createOrUpdate,
+  handleValidationErrors,
+  journeyController.createOrUpdateJourney
+);
+
+/**
+ * @route   GET /api/v1/journeys
+ * @desc    Get current user's journeys
+ * @access  Private
+ * @query   status, limit, offset
+ */
+router.get('/',
+  query('status').optional().isIn(['started', 'in_progress', 'under_review', 'completed', 'abandoned', 'cancelled']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer'),
+  handleValidationErrors,
+  journeyController.getUserJourneys
+);
+
+/**
+ * @route   GET /api/v1/journeys/shared
+ * @desc    Get journeys shared with the current user
+ * @access  Private (journeys:read_shared)
+ * @query   status, limit, offset
+ */
+router.get('/shared',
+  requirePermission('journeys:read_shared'),
+  query('status').optional().isIn(['started', 'in_progress', 'under_review', 'completed', 'abandoned', 'cancelled']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer'),
+  handleValidationErrors,
+  journeyController.getSharedJourneys
+);
+
+/**
+ * @route   GET /api/v1/journeys/:id
+ * @desc    Get journey by ID
+ * @access  Private (owner or shared)
+ */
+router.get('/:id',
+  validateObjectId('id'),
+  journeyController.getJourneyById
+);
+
+/**
+ * @route   DELETE /api/v1/journeys/:id
+ * @desc    Delete journey
+ * @access  Private (owner)
+ */
+router.delete('/:id',
+  validateObjectId('id'),
+  journeyController.deleteJourney
+);
+
+/**
+ * @route   PATCH /api/v1/journeys/:id/steps/:stepId
+ * @desc    Mark a step as completed or incomplete
+ * @access  Private (owner)
+ */
+router.patch('/:id/steps/:stepId',
+  validateObjectId('id'),
+  journeyValidation.updateStep,
+  handleValidationErrors,
+  journeyController.updateStepCompletion
+);
+
+/**
+ * @route   PATCH /api/v1/journeys/:id/checklist
+ * @desc    Update checklist items
+ * @access  Private (owner)
+ */
+router.patch('/:id/checklist',
+  validateObjectId('id'),
+  journeyValidation.updateChecklist,
+  handleValidationErrors,
+  journeyController.updateJourneyChecklist
+);
+
+/**
+ * @route   PATCH /api/v1/journeys/:id/personalization
+ * @desc    Update personalization answers
+ * @access  Private (owner)
+ */
+router.patch('/:id/personalization',
+  validateObjectId('id'),
+  journeyValidation.updatePersonalization,
+  handleValidationErrors,
+  journeyController.updateJourneyPersonalization
+);
+
+/**
+ * @route   PATCH /api/v1/journeys/:id/transition
+ * @desc    Move a journey to a new status and/or phase (409 on illegal moves)
+ * @access  Private (owner)
+ */
+router.patch('/:id/transition',
+  validateObjectId('id'),
+  journeyValidation.transition,
+  handleValidationErrors,
+  journeyController.transitionJourney
+);
+
+/**
+ * @route   GET /api/v1/journeys/:id/requirements
+ * @desc    Get canonical steps and checklist items derived from the linked visa type
+ * @access  Private (owner or shared)
+ */
+router.get('/:id/requirements',
+  validateObjectId('id'),
+  journeyController.getJourneyRequirements
+);
+
+/**
+ * @route   GET /api/v1/journeys/:id/plan
+ * @desc    Get recommended dates (apply window, funds window, TB test, per-step dates)
+ * @access  Private (owner or shared)
+ */
+router.get('/:id/plan',
+  validateObjectId('id'),
+  journeyController.getJourneyPlan
+);
+
+/**
+ * @route   POST /api/v1/journeys/:id/funds-check
+ * @desc    Check dated balances against the maintenance funds and 28-day holding rules
+ * @access  Private (owner or shared)
+ */
+router.post('/:id/funds-check',
+  validateObjectId('id'),
+  journeyValidation.fundsCheck,
+  handleValidationErrors,
+  journeyController.checkJourneyFunds
+);
+
+/**
+ * @route   POST /api/v1/journeys/:id/passport-check
+ * @desc    Read a passport MRZ (TD3) and cross-check name, nationality and expiry with the profile and journey
+ * @access  Private (owner)
+ */
+router.post('/:id/passport-check',
+  validateObjectId('id'),
+  journeyValidation.passportCheck,
+  handleValidationErrors,
+  journeyController.checkJourneyPassport
+);
+
+/**
+ * @route   GET /api/v1/journeys/:id/report
+ * @desc    Download the journey progress report PDF, including bank statement findings
+ * @access  Private (owner or shared)
+ */
+router.get('/:id/report',
+  validateObjectId('id'),
+  journeyController.downloadJourneyReport
+);
+
+/**
+ * @route   POST /api/v1/journeys/:id/share
+ * @desc    Share journey with another email
+ * @access  Private (owner)
+ */
+router.post('/:id/share',
+  validateObjectId('id'),
+  journeyValidation.shareJourney,
+  handleValidationErrors,
+  journeyController.shareJourney
+);
+
+/**
+ * @route   POST /api/v1/journeys/:id/notes
+ * @desc    Add a note to journey
+ * @access  Private (owner)
+ */
+router.post('/:id/notes',
+  validateObjectId('id'),
+  journeyValidation.addNote,
+  handleValidationErrors,
+  journeyController.addJourneyNote
+);
+
+/**
+ * @route   POST /api/v1/journeys/:id/documents
+ * @desc    Upload a document (multipart field "file"), optionally linked to a visa requirement
+ * @access  Private (owner or shared with edit)
+ */
+router.post('/:id/documents',
+  validateObjectId('id'),
+  uploadSingle('file'),
+  validateFileUpload({
+    allowedTypes: getAllowedFileTypes(),
+    maxSize: getMaxFileSize(),
+    required: true
+  }),
+  journeyValidation.uploadDocument,
+  handleValidationErrors,
+  documentController.uploadDocument
+);
+
+/**
+ * @route   GET /api/v1/journeys/:id/documents
+ * @desc    List documents uploaded to a journey
+ * @access  Private (owner or shared)
+ */
+router.get('/:id/documents',
+  validateObjectId('id'),
+  documentController.getJourneyDocuments
+);
+
+/**
+ * @route   GET /api/v1/journeys/:id/documents/:documentId/download
+ * @desc    Download a document
+ * @access  Private (owner or shared)
+ */
+router.get('/:id/documents/:documentId/download',
+  validateObjectId('id'),
+  validateObjectId('documentId'),
+  documentController.downloadDocument
+);
+
+/**
+ * @route   DELETE /api/v1/journeys/:id/documents/:documentId
+ * @desc    Delete a document
+ * @access  Private (owner or shared with edit)
+ */
+router.delete('/:id/documents/:documentId',
+  validateObjectId('id'),
+  validateObjectId('documentId'),
+  documentController.deleteDocument
+);
+
+/**
+ * @route   POST /api/v1/journeys/:id/bank-statements
+ * @desc    Import a bank statement export (multipart field "file", CSV or OFX) and check it
+ *          against the maintenance funds requirement
+ * @access  Private (owner or shared with edit)
+ */
+router.post('/:id/bank-statements',
+  validateObjectId('id'),
+  uploadSingle('file'),
+  validateFileUpload({
+    allowedTypes: BANK_STATEMENT_FILE_TYPES,
+    maxSize: BANK_STATEMENT_MAX_SIZE,
+    required: true
+  }),
+  journeyValidation.importBankStatement,
+  handleValidationErrors,
+  documentController.importBankStatement
+);
+
+/**
+ * @route   GET /api/v1/journeys/:id/bank-statements
+ * @desc    List bank statements imported to a journey with their findings
+ * @access  Private (owner or shared)
+ */
+router.get('/:id/bank-statements',
+  validateObjectId('id'),
+  documentController.getBankStatements
+);
+
+/**
+ * @route   GET /api/v1/journeys/:id/bank-statements/:statementId
+ * @desc    Get a bank statement with its daily balances and funds check
+ * @access  Private (owner or shared)
+ */
+router.get('/:id/bank-statements/:statementId',
+  validateObjectId('id'),
+  validateObjectId('statementId'),
+  documentController.getBankStatement
+);
+
+/**
+ * @route   DELETE /api/v1/journeys/:id/bank-statements/:statementId
+ * @desc    Delete an imported bank statement
+ * @access  Private (owner or shared with edit)
+ */
+router.delete('/:id/bank-statements/:statementId',
+  validateObjectId('id'),
+  validateObjectId('statementId'),
+  documentController.deleteBankStatement
+);
+
+module.exports = router;
@@ -1,4 +1,111 @@
 ﻿const express = require('express');
+const { query } = require('express-validator');
+const userController = require('../controllers/userController');
+const { authenticate, authRateLimit } = require('../middleware/auth');
+const { handleValidationErrors, validateObjectId, userValidation } = require('../middleware/validation');
+
 const router = express.Router();
 
+// All user routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/users/me
+ * @desc    Get current user's profile
+ * @access  Private
+ */
+router.get('/me', userController.getMyProfile);
+
+/**
+ * @route   PATCH /api/v1/users/me
+ * @desc    Update name, language, timezone and notification preferences
+ * @access  Private
+ */
+router.patch('/me',
+  userValidation.updateProfile,
+  handleValidationErrors,
+  userController.updateMyProfile
+);
+
+/**
+ * @route   PATCH /api/v1/users/me/email
+ * @desc    Request an email change; the new address takes effect once verified
+ * @access  Private
+ */
+router.patch('/me/email',
+  authRateLimit(3, 60 * 60 * 1000), // 3 attempts per hour
+  userValidation.changeEmail,
+  handleValidationErrors,
+  userController.changeMyEmail
+);
+
+/**
+ * @route   PATCH /api/v1/users/me/mobile
+ * @desc    Change mobile number and send a verification OTP
+ * @access  Private
+ */
+router.patch('/me/mobile',
+  authRateLimit(3, 60 * 60 * 1000), // 3 attempts per hour
+  userValidation.changeMobile,
+  handleValidationErrors,
+  userController.changeMyMobile
+);
+
+/**
+ * @route   GET /api/v1/users/me/journeys
+ * @desc    List current user's journeys
+ * @access  Private
+ * @query   status, limit, offset
+ */
+router.get('/me/journeys',
+  query('status').optional().isIn(['started', 'in_progress', 'under_review', 'completed', 'abandoned', 'cancelled']).withMessage('Invalid status'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer'),
+  handleValidationErrors,
+  userController.getMyJourneys
+);
+
+/**
+ * @route   GET /api/v1/users/me/notifications
+ * @desc    List current user's notifications
+ * @access  Private
+ * @query   unread, limit, offset
+ */
+router.get('/me/notifications',
+  query('unread').optional().isBoolean().withMessage('unread must be true or false'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer'),
+  handleValidationErrors,
+  userController.getMyNotifications
+);
+
+/**
+ * @route   POST /api/v1/users/me/notifications/read-all
+ * @desc    Mark all of current user's notifications as read
+ * @access  Private
+ */
+router.post('/me/notifications/read-all', userController.markAllNotificationsRead);
+
+/**
+ * @route   PATCH /api/v1/users/me/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.patch('/me/notifications/:id/read',
+  validateObjectId('id'),
+  userController.markNotificationRead
+);
+
+/**
+ * @route   DELETE /api/v1/users/me
+ * @desc    Deactivate current user's account
+ * @access  Private
+ */
+router.delete('/me',
+  authRateLimit(5, 60 * 60 * 1000), // 5 attempts per hour
+  userValidation.deactivate,
+  handleValidationErrors,
+  userController.deactivateMyAccount
+);
+
 module.exports = router;
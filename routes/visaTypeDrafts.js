@@ -0,0 +1,160 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const visaDraftController = require('../controllers/visaDraftController');
+const { authenticate, requirePermission, requireAnyPermission } = require('../middleware/auth');
+const { handleValidationErrors, validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Drafts are only visible to content editors and reviewers
+router.use(authenticate);
+
+// Proposed content uses the VisaType shape; completeness is checked on submit
+const changesValidation = [
+  body('changes').optional().isObject().withMessage('Changes must be an object'),
+  body('changes.name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Visa name must be between 2 and 100 characters'),
+  body('changes.code').optional().matches(/^[A-Z0-9_-]+$/).withMessage('Visa code can only contain uppercase letters, numbers, underscore and dash'),
+  body('changes.category').optional().isIn(['student', 'visitor', 'worker', 'business', 'family', 'transit']).withMessage('Invalid visa category'),
+  body('changes.originCountry').optional().matches(/^[A-Z]{2}$/).withMessage('Origin country must be a 2-letter country code'),
+  body('changes.destinationCountry').optional().matches(/^[A-Z]{2}$/).withMessage('Destination country must be a 2-letter country code'),
+  body('changes.description').optional().trim().isLength({ min: 10, max: 500 }).withMessage('Description must be between 10 and 500 characters'),
+  body('changes.overview').optional().trim().isLength({ min: 50, max: 2000 }).withMessage('Overview must be between 50 and 2000 characters'),
+  body('changes.eligibility').optional().isArray({ min: 1 }).withMessage('Eligibility must be an array with at least one item'),
+  body('changes.processingTime.min').optional().isInt({ min: 1 }).withMessage('Minimum processing time must be at least 1'),
+  body('changes.processingTime.max').optional().isInt({ min: 1 }).withMessage('Maximum processing time must be at least 1'),
+  body('changes.processingTime.unit').optional().isIn(['days', 'weeks', 'months']).withMessage('Processing time unit must be days, weeks, or months'),
+  body('changes.fees.visaFee.amount').optional().isFloat({ min: 0 }).withMessage('Visa fee amount must be a non-negative number'),
+  body('changes.fees.visaFee.currency').optional().matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter code'),
+  body(['changes.fees.visaFee.period', 'changes.fees.additionalFees.*.period']).optional().isIn(['once', 'year']).withMessage('Fee period must be once or year'),
+  body(['changes.fees.visaFee.dependantMultiplier', 'changes.fees.additionalFees.*.dependantMultiplier']).optional().isFloat({ min: 0 }).withMessage('Dependant multiplier must be a non-negative number'),
+  body('changes.fees.additionalFees').optional().isArray().withMessage('Additional fees must be an array'),
+  body('changes.requirements.documents').optional().isArray().withMessage('Documents must be an array'),
+  body('changes.applicationProcess.steps').optional().isArray({ min: 1 }).withMessage('Application process must have at least one step'),
+  body('changes.applicationProcess.applicationMethod').optional().isIn(['online', 'paper', 'biometric_center', 'embassy']).withMessage('Invalid application method'),
+  body('changes.status').optional().isIn(['active', 'inactive', 'suspended', 'coming_soon']).withMessage('Invalid status'),
+  body('changes.displayOrder').optional().isInt({ min: 0 }).withMessage('Display order must be a non-negative integer')
+];
+
+const publishAtValidation = body('publishAt')
+  .optional({ values: 'null' })
+  .isISO8601()
+  .withMessage('publishAt must be an ISO 8601 date');
+
+const commentValidation = body('comment')
+  .optional()
+  .isString()
+  .isLength({ max: 1000 })
+  .withMessage('Comment cannot exceed 1000 characters');
+
+/**
+ * @route   GET /api/v1/visa-type-drafts
+ * @desc    List visa type drafts
+ * @access  Private (visaTypes:write or visaTypes:approve)
+ * @query   status, visaTypeId, mine, page, limit
+ */
+router.get('/',
+  requireAnyPermission('visaTypes:write', 'visaTypes:approve'),
+  query('status').optional().isIn(['draft', 'in_review', 'scheduled', 'publishing', 'published', 'rejected', 'cancelled']).withMessage('Invalid status'),
+  query('visaTypeId').optional().isMongoId().withMessage('Invalid visa type ID'),
+  query('mine').optional().isBoolean().withMessage('mine must be true or false'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be greater than 0'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors,
+  visaDraftController.getDrafts
+);
+
+/**
+ * @route   GET /api/v1/visa-type-drafts/:id
+ * @desc    Get a draft and its changes against the published version
+ * @access  Private (visaTypes:write or visaTypes:approve)
+ */
+router.get('/:id',
+  requireAnyPermission('visaTypes:write', 'visaTypes:approve'),
+  validateObjectId('id'),
+  visaDraftController.getDraft
+);
+
+/**
+ * @route   POST /api/v1/visa-type-drafts
+ * @desc    Start a draft of a new visa type (no visaTypeId) or of changes to one
+ * @access  Private (visaTypes:write)
+ */
+router.post('/',
+  requirePermission('visaTypes:write'),
+  body('visaTypeId').optional().isMongoId().withMessage('Invalid visa type ID'),
+  changesValidation,
+  body('reason').isString().trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3 and 500 characters'),
+  publishAtValidation,
+  handleValidationErrors,
+  visaDraftController.createDraft
+);
+
+/**
+ * @route   PATCH /api/v1/visa-type-drafts/:id
+ * @desc    Edit a draft (reopens a rejected draft)
+ * @access  Private (visaTypes:write)
+ */
+router.patch('/:id',
+  requirePermission('visaTypes:write'),
+  validateObjectId('id'),
+  changesValidation,
+  body('reason').optional().isString().trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3 and 500 characters'),
+  publishAtValidation,
+  handleValidationErrors,
+  visaDraftController.updateDraft
+);
+
+/**
+ * @route   POST /api/v1/visa-type-drafts/:id/submit
+ * @desc    Submit a draft for review
+ * @access  Private (visaTypes:write)
+ */
+router.post('/:id/submit',
+  requirePermission('visaTypes:write'),
+  validateObjectId('id'),
+  commentValidation,
+  handleValidationErrors,
+  visaDraftController.submitDraft
+);
+
+/**
+ * @route   POST /api/v1/visa-type-drafts/:id/approve
+ * @desc    Approve another editor's draft; publishes now or at publishAt
+ * @access  Private (visaTypes:approve)
+ */
+router.post('/:id/approve',
+  requirePermission('visaTypes:approve'),
+  validateObjectId('id'),
+  commentValidation,
+  publishAtValidation,
+  handleValidationErrors,
+  visaDraftController.approveDraft
+);
+
+/**
+ * @route   POST /api/v1/visa-type-drafts/:id/reject
+ * @desc    Reject a draft in review, or unschedule an approved one
+ * @access  Private (visaTypes:approve)
+ */
+router.post('/:id/reject',
+  requirePermission('visaTypes:approve'),
+  validateObjectId('id'),
+  body('comment').isString().trim().isLength({ min: 3, max: 1000 }).withMessage('Explain the rejection in 3 to 1000 characters'),
+  handleValidationErrors,
+  visaDraftController.rejectDraft
+);
+
+/**
+ * @route   POST /api/v1/visa-type-drafts/:id/cancel
+ * @desc    Cancel an open draft
+ * @access  Private (visaTypes:write)
+ */
+router.post('/:id/cancel',
+  requirePermission('visaTypes:write'),
+  validateObjectId('id'),
+  commentValidation,
+  handleValidationErrors,
+  visaDraftController.cancelDraft
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 ﻿const express = require('express');
 const { body, param, query } = require('express-validator');
 const visaController = require('../controllers/visaController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
 const { handleValidationErrors, validateObjectId } = require('../middleware/validation');
 
 const router = express.Router();
@@ -109,126 +109,106 @@ router.post('/:id/checklist',
   visaController.getVisaChecklist
 );
 
-// Protected routes (admin only)
-
-const visaTypeValidation = [
-  body('name')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Visa name must be between 2 and 100 characters'),
-  body('code')
-    .matches(/^[A-Z0-9_-]+$/)
-    .withMessage('Visa code can only contain uppercase letters, numbers, underscore and dash'),
-  body('category')
-    .isIn(['student', 'visitor', 'worker', 'business', 'family', 'transit'])
-    .withMessage('Invalid visa category'),
-  body('originCountry')
-    .matches(/^[A-Z]{2}$/)
-    .withMessage('Origin country must be a 2-letter country code'),
-  body('destinationCountry')
-    .matches(/^[A-Z]{2}$/)
-    .withMessage('Destination country must be a 2-letter country code'),
-  body('description')
-    .trim()
-    .isLength({ min: 10, max: 500 })
-    .withMessage('Description must be between 10 and 500 characters'),
-  body('overview')
-    .trim()
-    .isLength({ min: 50, max: 2000 })
-    .withMessage('Overview must be between 50 and 2000 characters'),
-  body('eligibility')
-    .isArray({ min: 1 })
-    .withMessage('Eligibility must be an array with at least one item'),
-  body('eligibility.*')
-    .trim()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Each eligibility criterion must be between 5 and 200 characters'),
-  body('processingTime.min')
-    .isInt({ min: 1 })
-    .withMessage('Minimum processing time must be at least 1'),
-  body('processingTime.max')
-    .isInt({ min: 1 })
-    .withMessage('Maximum processing time must be at least 1'),
-  body('processingTime.unit')
-    .isIn(['days', 'weeks', 'months'])
-    .withMessage('Processing time unit must be days, weeks, or months'),
-  body('fees.visaFee.amount')
-    .isNumeric({ min: 0 })
-    .withMessage('Visa fee amount must be a non-negative number'),
-  body('fees.visaFee.currency')
-    .matches(/^[A-Z]{3}$/)
-    .withMessage('Currency must be a 3-letter code'),
-  body('requirements.documents')
-    .isArray()
-    .withMessage('Documents must be an array'),
-  body('applicationProcess.steps')
-    .isArray({ min: 1 })
-    .withMessage('Application process must have at least one step'),
-  body('applicationProcess.applicationMethod')
-    .isIn(['online', 'paper', 'biometric_center', 'embassy'])
-    .withMessage('Invalid application method'),
-  body('status')
-    .optional()
-    .isIn(['active', 'inactive', 'suspended', 'coming_soon'])
-    .withMessage('Invalid status'),
-  body('displayOrder')
-    .optional()
-    .isInt({ min: 0 })
-    .withMessage('Display order must be a non-negative integer')
-];
+/**
+ * @route   GET /api/v1/visa-types/:id/fees
+ * @desc    Get itemised fees, converted to a chosen currency
+ * @access  Public
+ * @query   currency, years, dependants, includeOptional, date
+ */
+router.get('/:id/fees',
+  validateObjectId('id'),
+  query('currency').optional().matches(/^[A-Za-z]{3}$/).withMessage('Currency must be a 3-letter code'),
+  query('years').optional().isFloat({ min: 0.1, max: 10 }).withMessage('Years must be between 0.1 and 10'),
+  query('dependants').optional().isInt({ min: 0, max: 20 }).withMessage('Dependants must be between 0 and 20'),
+  query('includeOptional').optional().isBoolean().withMessage('includeOptional must be true or false'),
+  query('date').optional().isISO8601().withMessage('Date must be an ISO 8601 date'),
+  handleValidationErrors,
+  visaController.getVisaTypeFees
+);
+
+// Protected routes
+// Visa types only hold published content. New visa types and edits go
+// through the review workflow in routes/visaTypeDrafts.js.
+
+// Every change to published content must say why
+const revisionReasonValidation = body('reason')
+  .isString()
+  .trim()
+  .isLength({ min: 3, max: 500 })
+  .withMessage('Reason must be between 3 and 500 characters');
 
 /**
- * @route   POST /api/v1/visa-types
- * @desc    Create new visa type
- * @access  Private/Admin
+ * @route   DELETE /api/v1/visa-types/:id
+ * @desc    Delete visa type (soft delete)
+ * @access  Private (visaTypes:write)
  */
-router.post('/',
+router.delete('/:id',
   authenticate,
-  authorize('admin'),
-  visaTypeValidation,
+  requirePermission('visaTypes:write'),
+  validateObjectId('id'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
   handleValidationErrors,
-  visaController.createVisaType
+  visaController.deleteVisaType
 );
 
 /**
- * @route   PUT /api/v1/visa-types/:id
- * @desc    Update visa type
- * @access  Private/Admin
+ * @route   GET /api/v1/visa-types/:id/revisions
+ * @desc    List revisions of a visa type
+ * @access  Private (visaTypes:write)
  */
-router.put('/:id',
+router.get('/:id/revisions',
   authenticate,
-  authorize('admin'),
+  requirePermission('visaTypes:write'),
   validateObjectId('id'),
-  // Make all fields optional for updates
-  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Visa name must be between 2 and 100 characters'),
-  body('code').optional().matches(/^[A-Z0-9_-]+$/).withMessage('Visa code can only contain uppercase letters, numbers, underscore and dash'),
-  body('category').optional().isIn(['student', 'visitor', 'worker', 'business', 'family', 'transit']).withMessage('Invalid visa category'),
-  body('originCountry').optional().matches(/^[A-Z]{2}$/).withMessage('Origin country must be a 2-letter country code'),
-  body('destinationCountry').optional().matches(/^[A-Z]{2}$/).withMessage('Destination country must be a 2-letter country code'),
-  body('description').optional().trim().isLength({ min: 10, max: 500 }).withMessage('Description must be between 10 and 500 characters'),
-  body('overview').optional().trim().isLength({ min: 50, max: 2000 }).withMessage('Overview must be between 50 and 2000 characters'),
-  body('processingTime.min').optional().isInt({ min: 1 }).withMessage('Minimum processing time must be at least 1'),
-  body('processingTime.max').optional().isInt({ min: 1 }).withMessage('Maximum processing time must be at least 1'),
-  body('processingTime.unit').optional().isIn(['days', 'weeks', 'months']).withMessage('Processing time unit must be days, weeks, or months'),
-  body('fees.visaFee.amount').optional().isNumeric({ min: 0 }).withMessage('Visa fee amount must be a non-negative number'),
-  body('fees.visaFee.currency').optional().matches(/^[A-Z]{3}$/).withMessage('Currency must be a 3-letter code'),
-  body('applicationProcess.applicationMethod').optional().isIn(['online', 'paper', 'biometric_center', 'embassy']).withMessage('Invalid application method'),
-  body('status').optional().isIn(['active', 'inactive', 'suspended', 'coming_soon']).withMessage('Invalid status'),
-  body('displayOrder').optional().isInt({ min: 0 }).withMessage('Display order must be a non-negative integer'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be greater than 0'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   handleValidationErrors,
-  visaController.updateVisaType
+  visaController.getVisaTypeRevisions
 );
 
 /**
- * @route   DELETE /api/v1/visa-types/:id
- * @desc    Delete visa type (soft delete)
- * @access  Private/Admin
+ * @route   GET /api/v1/visa-types/:id/revisions/diff
+ * @desc    Diff two revisions field by field
+ * @access  Private (visaTypes:write)
+ * @query   from, to (defaults to the latest revision)
  */
-router.delete('/:id',
+router.get('/:id/revisions/diff',
   authenticate,
-  authorize('admin'),
+  requirePermission('visaTypes:write'),
   validateObjectId('id'),
-  visaController.deleteVisaType
+  query('from').isInt({ min: 1 }).withMessage('from must be a revision number'),
+  query('to').optional().isInt({ min: 1 }).withMessage('to must be a revision number'),
+  handleValidationErrors,
+  visaController.diffVisaTypeRevisions
+);
+
+/**
+ * @route   GET /api/v1/visa-types/:id/revisions/:revision
+ * @desc    Get a revision with its full content
+ * @access  Private (visaTypes:write)
+ */
+router.get('/:id/revisions/:revision',
+  authenticate,
+  requirePermission('visaTypes:write'),
+  validateObjectId('id'),
+  param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive integer'),
+  handleValidationErrors,
+  visaController.getVisaTypeRevision
+);
+
+/**
+ * @route   POST /api/v1/visa-types/:id/revisions/:revision/rollback
+ * @desc    Restore an earlier revision (already reviewed content, so no draft is needed)
+ * @access  Private (visaTypes:write, visaTypes:approve)
+ */
+router.post('/:id/revisions/:revision/rollback',
+  authenticate,
+  requirePermission('visaTypes:write', 'visaTypes:approve'),
+  validateObjectId('id'),
+  param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive integer'),
+  revisionReasonValidation,
+  handleValidationErrors,
+  visaController.rollbackVisaType
 );
 
 // Development test routes
@@ -0,0 +1,77 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const VisaType = require('../models/VisaType');
+const visaRevisionService = require('../services/visaRevisionService');
+const logger = require('../utils/logger');
+
+/**
+ * Bring existing data in line with the current models
+ *
+ * Usage: node scripts/migrate.js
+ *
+ * Every migration only touches documents that still need it, so the script
+ * can be run again after each deploy.
+ */
+
+// Fees charged per year of stay and again for each dependant
+const PER_YEAR_FEE = /immigration health surcharge|\bIHS\b/i;
+
+/**
+ * Visa types created before fees had a period charged the health surcharge
+ * once and for the applicant only; tag it as a per-year, per-person fee
+ */
+const tagPerYearFees = async () => {
+  const visaTypes = await VisaType.find({ 'fees.additionalFees.name': PER_YEAR_FEE });
+  let updated = 0;
+
+  for (const visaType of visaTypes) {
+    const untagged = visaType.fees.additionalFees.filter(fee =>
+      PER_YEAR_FEE.test(fee.name) && fee.period === 'once' && !fee.dependantMultiplier
+    );
+    if (untagged.length === 0) continue;
+
+    untagged.forEach(fee => {
+      fee.period = 'year';
+      fee.dependantMultiplier = 1;
+    });
+
+    await visaRevisionService.saveWithRevision(visaType, {
+      action: 'update',
+      reason: 'Charge the Immigration Health Surcharge per year and per dependant'
+    });
+    updated += 1;
+  }
+
+  return `tagged per-year fees on ${updated} visa type(s)`;
+};
+
+const migrations = [
+  ['tag-per-year-fees', tagPerYearFees]
+];
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info('Connected to MongoDB for migrations');
+
+    for (const [name, run] of migrations) {
+      const result = await run();
+      logger.info(`Migration ${name}: ${result}`);
+      console.log(`✅ ${name}: ${result}`);
+    }
+
+    await mongoose.disconnect();
+    logger.info('Database connection closed');
+  } catch (error) {
+    logger.error('Migration failed:', error);
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  migrate();
+}
+
+module.exports = migrate;
@@ -0,0 +1,80 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const jwtKeys = require('../utils/jwtKeys');
+
+/**
+ * Generate or rotate the JWT signing keyring
+ *
+ * Usage: node scripts/rotateJwtKeys.js [--alg RS256|ES256] [--keep <n>]
+ *
+ * Adds a new active key and demotes the current one to "previous", so tokens
+ * it signed keep verifying. Only the newest <n> previous keys are kept
+ * (default 1); rotate no more often than the refresh token lifetime
+ * (JWT_REFRESH_EXPIRE) or raise --keep, otherwise live sessions are dropped.
+ */
+
+const parseArgs = (argv) => {
+  const options = { alg: 'RS256', keep: 1 };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--alg') options.alg = String(argv[++i]).toUpperCase();
+    if (argv[i] === '--keep') options.keep = parseInt(argv[++i], 10);
+  }
+
+  if (!Number.isInteger(options.keep) || options.keep < 0) {
+    throw new Error('--keep must be a non-negative integer');
+  }
+
+  return options;
+};
+
+const rotateJwtKeys = (argv = process.argv.slice(2)) => {
+  try {
+    if (process.env.JWT_KEYS) {
+      throw new Error('JWT_KEYS is set in the environment; rotate the keyring where that value is managed');
+    }
+
+    const { alg, keep } = parseArgs(argv);
+    const keysPath = jwtKeys.getKeysPath();
+
+    const keyring = fs.existsSync(keysPath)
+      ? JSON.parse(fs.readFileSync(keysPath, 'utf8'))
+      : { keys: [] };
+
+    const previousKeys = keyring.keys
+      .map(key => ({ ...key, status: 'previous' }))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const retiredKeys = previousKeys.slice(keep);
+
+    const newKey = jwtKeys.generateKeyEntry(alg);
+    const nextKeyring = { keys: [newKey, ...previousKeys.slice(0, keep)] };
+
+    // Write atomically with owner-only permissions: the file holds private keys
+    fs.mkdirSync(path.dirname(keysPath), { recursive: true });
+    const tempPath = `${keysPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(nextKeyring, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, keysPath);
+
+    console.log(`\n✅ New ${alg} signing key is active: ${newKey.kid}`);
+    console.log(`🔑 Keyring: ${keysPath}`);
+    if (nextKeyring.keys.length > 1) {
+      console.log(`↩️  Still verifying: ${nextKeyring.keys.slice(1).map(key => key.kid).join(', ')}`);
+    }
+    if (retiredKeys.length) {
+      console.log(`🗑️  Retired: ${retiredKeys.map(key => key.kid).join(', ')}`);
+    }
+
+    return newKey.kid;
+  } catch (error) {
+    console.error('❌ Key rotation failed:', error.message);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  rotateJwtKeys();
+}
+
+module.exports = rotateJwtKeys;
@@ -36,7 +36,9 @@ const visaTypes = [
           amount: 776,
           currency: 'GBP',
           description: 'Per year for students',
-          isOptional: false
+          isOptional: false,
+          period: 'year',
+          dependantMultiplier: 1
         },
         {
           name: 'Priority Processing',
@@ -157,12 +159,14 @@ const visaTypes = [
     applicationProcess: {
       steps: [
         {
+          key: 'cas',
           stepNumber: 1,
           title: 'Get Unconditional Offer and CAS',
           description: 'Receive unconditional offer from UK institution and CAS',
           action: 'Complete admission requirements and receive CAS from university',
           evidence: 'CAS document with reference number',
-          estimatedTime: '1-4 weeks'
+          estimatedTime: '1-4 weeks',
+          milestone: 'cas'
         },
         {
           stepNumber: 2,
@@ -171,6 +175,7 @@ const visaTypes = [
           action: 'Apply online at ATAS website if required',
           evidence: 'ATAS clearance certificate',
           estimatedTime: '20 working days',
+          milestone: 'atas',
           isConditional: true,
           conditionalLogic: {
             showIf: {
@@ -186,6 +191,7 @@ const visaTypes = [
           action: 'Book and attend TB test at UKVI approved clinic',
           evidence: 'TB test certificate',
           estimatedTime: '1-3 days',
+          milestone: 'tb_test',
           isConditional: true,
           conditionalLogic: {
             showIf: {
@@ -200,7 +206,8 @@ const visaTypes = [
           description: 'Gather bank statements and financial documents',
           action: 'Obtain bank statements showing maintenance funds',
           evidence: 'Bank statements for required period',
-          estimatedTime: '1 week'
+          estimatedTime: '1 week',
+          milestone: 'funds'
         },
         {
           stepNumber: 5,
@@ -208,7 +215,8 @@ const visaTypes = [
           description: 'Complete visa application online',
           action: 'Fill out Student visa application form on gov.uk',
           evidence: 'Application confirmation and payment receipt',
-          estimatedTime: '1-2 hours'
+          estimatedTime: '1-2 hours',
+          milestone: 'submission'
         },
         {
           stepNumber: 6,
@@ -224,7 +232,8 @@ const visaTypes = [
           description: 'Verify identity using UK Immigration: ID Check app or VFS',
           action: 'Use ID Check app or visit VFS center for biometrics',
           evidence: 'Identity verification confirmation',
-          estimatedTime: '1 day'
+          estimatedTime: '1 day',
+          milestone: 'biometrics'
         },
         {
           stepNumber: 8,
@@ -240,7 +249,8 @@ const visaTypes = [
           description: 'Wait for visa processing and decision',
           action: 'Monitor application status online',
           evidence: 'Decision notification email',
-          estimatedTime: '15-60 days'
+          estimatedTime: '15-60 days',
+          milestone: 'decision'
         },
         {
           stepNumber: 10,
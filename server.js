@@ -10,15 +10,21 @@ require('dotenv').config();
 // Import utilities
 const logger = require('./utils/logger');
 const { connectDB } = require('./config/database');
+const reminderService = require('./services/reminderService');
+const visaPublishingService = require('./services/visaPublishingService');
+const jwtKeys = require('./utils/jwtKeys');
+const Role = require('./models/Role');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const requestId = require('./middleware/requestId');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const countryRoutes = require('./routes/countries');
 const visaRoutes = require('./routes/visaTypes');
+const visaDraftRoutes = require('./routes/visaTypeDrafts');
 const journeyRoutes = require('./routes/journeys');
 const contactRoutes = require('./routes/contact');
 const adminRoutes = require('./routes/admin');
@@ -29,6 +35,9 @@ const app = express();
 // Trust proxy for rate limiting behind reverse proxy
 app.set('trust proxy', 1);
 
+// Request ID for log and audit correlation
+app.use(requestId);
+
 // Security middleware
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" }
@@ -50,7 +59,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 };
 
 app.use(cors(corsOptions));
@@ -114,6 +124,17 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public signing keys, so other services can verify VisaMap tokens
+// (check `type: 'access'` and issuer `visamap-api`; refresh tokens are signed with the same keys)
+app.get('/.well-known/jwks.json', (req, res, next) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(jwtKeys.getJwks());
+  } catch (error) {
+    next(error);
+  }
+});
+
 // API Routes
 const apiVersion = process.env.API_VERSION || 'v1';
 const apiBasePath = process.env.API_BASE_URL || '/api';
@@ -122,6 +143,7 @@ app.use(`${apiBasePath}/${apiVersion}/auth`, authRoutes);
 app.use(`${apiBasePath}/${apiVersion}/users`, userRoutes);
 app.use(`${apiBasePath}/${apiVersion}/countries`, countryRoutes);
 app.use(`${apiBasePath}/${apiVersion}/visa-types`, visaRoutes);
+app.use(`${apiBasePath}/${apiVersion}/visa-type-drafts`, visaDraftRoutes);
 app.use(`${apiBasePath}/${apiVersion}/journeys`, journeyRoutes);
 app.use(`${apiBasePath}/${apiVersion}/contact`, contactRoutes);
 app.use(`${apiBasePath}/${apiVersion}/admin`, adminRoutes);
@@ -165,6 +187,8 @@ app.use(errorHandler);
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  reminderService.stop();
+  visaPublishingService.stop();
   server.close(() => {
     logger.info('Process terminated');
     mongoose.connection.close();
@@ -174,6 +198,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully...');
+  reminderService.stop();
+  visaPublishingService.stop();
   server.close(() => {
     logger.info('Process terminated');
     mongoose.connection.close();
@@ -200,6 +226,9 @@ const startServer = async () => {
   try {
     // Connect to database
     await connectDB();
+
+    // Create built-in roles (admin, user, counsellor, ...) if missing
+    await Role.ensureDefaultRoles();
     
     // Start server
     const PORT = process.env.PORT || 5002;
@@ -215,6 +244,10 @@ const startServer = async () => {
 
     // Export server for graceful shutdown
     global.server = server;
+
+    // Start background jobs
+    reminderService.start();
+    visaPublishingService.start();
     
     return server;
   } catch (error) {
@@ -0,0 +1,70 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { diff, normalize } = require('../utils/diff');
+
+// Bookkeeping fields that change on every save and carry no audit value
+const IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt', 'lastUpdatedAt'];
+
+/**
+ * Build the audit entry for one change made during `req`
+ */
+const buildEntry = (req, { action, entityType, entityId, before, after, ignore = [], metadata }) => {
+  const userAgent = req.get('User-Agent');
+
+  return {
+    actor: req.user
+      ? { userId: req.user._id, email: req.user.email, role: req.user.role }
+      : {},
+    action,
+    entityType,
+    entityId,
+    changes: before !== undefined || after !== undefined
+      ? diff(before, after, { ignore: [...IGNORED_PATHS, ...ignore] })
+      : [],
+    metadata: metadata ? normalize(metadata) : undefined,
+    ip: req.ip,
+    // Truncated to the stored length, so a padded header cannot make the entry fail validation
+    userAgent: userAgent && userAgent.substring(0, 500),
+    requestId: req.requestId
+  };
+};
+
+/**
+ * Record a change made during `req`
+ * Failures are logged rather than thrown: the change itself has already been applied.
+ */
+const record = async (req, entry) => {
+  try {
+    await AuditLog.create(buildEntry(req, entry));
+  } catch (error) {
+    logger.error('Failed to write audit log entry', {
+      action: entry.action,
+      entityId: entry.entityId,
+      requestId: req.requestId,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Record several changes made during `req` (e.g. bulk updates)
+ */
+const recordMany = async (req, entries) => {
+  if (entries.length === 0) return;
+
+  try {
+    await AuditLog.insertMany(entries.map(entry => buildEntry(req, entry)), { ordered: false });
+  } catch (error) {
+    logger.error('Failed to write audit log entries', {
+      actions: [...new Set(entries.map(entry => entry.action))],
+      count: entries.length,
+      requestId: req.requestId,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  record,
+  recordMany
+};
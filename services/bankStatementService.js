@@ -0,0 +1,452 @@
+const fundsCheckService = require('./fundsCheckService');
+
+/**
+ * Bank Statement Service - Turns bank CSV/OFX exports into dated balances
+ * and checks them against a visa type's maintenance funds requirement
+ *
+ * CSV exports differ between banks, so columns are found by their header
+ * names (date, balance, amount or paid in/paid out, currency). OFX files
+ * only carry the final ledger balance, so running balances are rebuilt
+ * backwards from it. Either way the result is one running balance per
+ * transaction, reduced to the lowest and closing balance of each day.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Header rows are looked for among the first lines (banks often add account details above them)
+const HEADER_SEARCH_ROWS = 20;
+
+// Matched in this order, each header used once; debit and credit come before
+// amount so "Debit Amount" / "Credit Amount" exports are read as paid out / paid in
+const COLUMN_PATTERNS = {
+  date: /date/,
+  balance: /balance/,
+  debit: /debit|withdrawal|paid out|money out|^out$/,
+  credit: /credit|deposit|paid in|money in|^in$/,
+  amount: /amount|value/,
+  currency: /currency|ccy/
+};
+
+// Headers that name another kind of column even when they also match amount
+// (e.g. "Value Date", "Debit Amount", "Balance Amount")
+const NOT_AMOUNT = [COLUMN_PATTERNS.date, COLUMN_PATTERNS.balance, COLUMN_PATTERNS.debit, COLUMN_PATTERNS.credit];
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+const statementError = (message) => {
+  const error = new Error(message);
+  error.isInvalidStatement = true;
+  return error;
+};
+
+/**
+ * Split CSV text into rows of cells (quoted cells may contain delimiters and newlines)
+ */
+const parseCsvRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value !== ''));
+};
+
+// The most common of comma, semicolon and tab in the first lines
+const detectDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).slice(0, HEADER_SEARCH_ROWS).join('\n');
+  return [',', ';', '\t']
+    .map(delimiter => ({ delimiter, count: sample.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+/**
+ * Parse an amount such as "1,234.56", "(12.00)", "12.00 DR", "£1.234,56" or "-5"
+ */
+const parseAmount = (value) => {
+  if (value === undefined || value === null) return null;
+  let text = String(value).trim();
+  if (!text) return null;
+
+  let negative = /^-|^\(.*\)$|\bdr\.?$|-$/i.test(text);
+  if (/\bcr\.?$/i.test(text)) negative = false;
+
+  text = text.replace(/[^\d.,]/g, '');
+  if (!text) return null;
+
+  // Decimal comma (1.234,56 or 12,50)
+  if (/,\d{1,2}$/.test(text) && !/\.\d{1,2}$/.test(text)) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return null;
+  return negative ? -amount : amount;
+};
+
+const toUtcDate = (year, month, day) => {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+/**
+ * Parse a statement date
+ * Numeric dates are day-first unless `monthFirst` (detected per file) is set.
+ */
+const parseStatementDate = (value, { monthFirst = false } = {}) => {
+  const text = String(value || '').trim();
+  let match;
+
+  if ((match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text))) {
+    return toUtcDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  if ((match = /^(\d{4})(\d{2})(\d{2})/.exec(text))) {
+    return toUtcDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text))) {
+    const [first, second, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    return monthFirst ? toUtcDate(year, first, second) : toUtcDate(year, second, first);
+  }
+  if ((match = /^(\d{1,2})[\s-]([a-z]{3})[a-z]*[\s-](\d{2}|\d{4})$/i.exec(text))) {
+    const month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    return month > 0 ? toUtcDate(Number(match[3]), month, Number(match[1])) : null;
+  }
+
+  return null;
+};
+
+// Numeric dates are month-first only if some first part cannot be a month
+const detectMonthFirst = (values) => values.some(value => {
+  const match = /^(\d{1,2})[/.-](\d{1,2})[/.-]/.exec(String(value).trim());
+  return match && Number(match[2]) > 12 && Number(match[1]) <= 12;
+});
+
+/**
+ * Index of each known column in a header row, or null if it is not a header
+ */
+const matchColumns = (cells) => {
+  const headers = cells.map(cell => cell.toLowerCase());
+  const columns = {};
+
+  Object.entries(COLUMN_PATTERNS).forEach(([column, pattern]) => {
+    const index = headers.findIndex((header, position) => pattern.test(header)
+      && !Object.values(columns).includes(position)
+      && !(column === 'amount' && NOT_AMOUNT.some(other => other.test(header))));
+    if (index !== -1) columns[column] = index;
+  });
+
+  const hasValues = columns.balance !== undefined || columns.amount !== undefined
+    || (columns.debit !== undefined && columns.credit !== undefined);
+  return columns.date !== undefined && hasValues ? columns : null;
+};
+
+/**
+ * Parse a CSV export into transactions with running balances
+ */
+const parseCsv = (text, { openingBalance } = {}) => {
+  const rows = parseCsvRows(text, detectDelimiter(text));
+
+  const headerIndex = rows.slice(0, HEADER_SEARCH_ROWS).findIndex(matchColumns);
+  if (headerIndex === -1) {
+    throw statementError('Could not find a header row with a date and a balance or amount column');
+  }
+
+  const columns = matchColumns(rows[headerIndex]);
+  const dataRows = rows.slice(headerIndex + 1);
+  const monthFirst = detectMonthFirst(dataRows.map(row => row[columns.date] || ''));
+
+  let transactions = dataRows
+    .map(row => {
+      const date = parseStatementDate(row[columns.date], { monthFirst });
+      if (!date) return null;
+
+      let amount = columns.amount !== undefined ? parseAmount(row[columns.amount]) : null;
+      if (amount === null && (columns.debit !== undefined || columns.credit !== undefined)) {
+        const paidOut = Math.abs(parseAmount(row[columns.debit]) || 0);
+        const paidIn = Math.abs(parseAmount(row[columns.credit]) || 0);
+        amount = paidIn - paidOut;
+      }
+
+      return {
+        date,
+        amount,
+        balance: columns.balance !== undefined ? parseAmount(row[columns.balance]) : null,
+        currency: columns.currency !== undefined && row[columns.currency] ? row[columns.currency].toUpperCase() : undefined
+      };
+    })
+    .filter(Boolean);
+
+  if (transactions.length === 0) {
+    throw statementError('The statement has no dated transactions');
+  }
+
+  // Many banks export newest first
+  if (transactions[0].date > transactions[transactions.length - 1].date) {
+    transactions = transactions.reverse();
+  }
+
+  const hasBalances = transactions.some(transaction => transaction.balance !== null);
+  if (!hasBalances) {
+    if (openingBalance === undefined || openingBalance === null) {
+      throw statementError('The statement has no balance column; provide the opening balance');
+    }
+
+    let running = openingBalance;
+    transactions.forEach(transaction => {
+      running = roundMoney(running + (transaction.amount || 0));
+      transaction.balance = running;
+    });
+  }
+
+  const currencies = [...new Set(transactions.map(transaction => transaction.currency).filter(Boolean))];
+
+  return {
+    format: 'csv',
+    currency: currencies.length === 1 ? currencies[0] : undefined,
+    currencies,
+    transactions: transactions.filter(transaction => transaction.balance !== null)
+  };
+};
+
+/**
+ * Value of an OFX tag (SGML style without closing tags, or XML style)
+ */
+const ofxValue = (text, tag) => {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(text);
+  return match ? match[1].trim() : undefined;
+};
+
+/**
+ * Parse an OFX export, rebuilding running balances from the ledger balance
+ */
+const parseOfx = (text) => {
+  const ledger = /<LEDGERBAL>([\s\S]*?)(<\/LEDGERBAL>|<AVAILBAL>|<\/STMTRS>)/i.exec(text);
+  const ledgerBalance = ledger ? parseAmount(ofxValue(ledger[1], 'BALAMT')) : null;
+  if (ledgerBalance === null) {
+    throw statementError('The OFX file has no ledger balance');
+  }
+
+  const transactions = [];
+  const pattern = /<STMTTRN>([\s\S]*?)(<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const date = parseStatementDate(ofxValue(match[1], 'DTPOSTED'));
+    const amount = parseAmount(ofxValue(match[1], 'TRNAMT'));
+    if (date && amount !== null) {
+      transactions.push({ date, amount });
+    }
+  }
+
+  if (transactions.length === 0) {
+    throw statementError('The OFX file has no transactions');
+  }
+
+  // Stable sort keeps the bank's order within a day
+  transactions.sort((a, b) => a.date - b.date);
+
+  let running = roundMoney(ledgerBalance - transactions.reduce((total, transaction) => total + transaction.amount, 0));
+  transactions.forEach(transaction => {
+    running = roundMoney(running + transaction.amount);
+    transaction.balance = running;
+  });
+
+  const currency = ofxValue(text, 'CURDEF');
+  const accountId = ofxValue(text, 'ACCTID');
+
+  return {
+    format: 'ofx',
+    currency: currency ? currency.toUpperCase() : undefined,
+    currencies: currency ? [currency.toUpperCase()] : [],
+    bankName: ofxValue(text, 'ORG'),
+    accountNumber: accountId ? accountId.slice(-4) : undefined,
+    transactions
+  };
+};
+
+/**
+ * Parse a CSV or OFX statement file
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {Object} [options]
+ * @param {number} [options.openingBalance] - For CSV exports without a balance column
+ * Throws an Error flagged isInvalidStatement when the file cannot be read.
+ */
+const parseStatement = (buffer, { openingBalance } = {}) => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  if (/<OFX>|OFXHEADER/i.test(text)) {
+    return parseOfx(text);
+  }
+  return parseCsv(text, { openingBalance });
+};
+
+/**
+ * Lines whose balance does not follow from the previous balance and amount,
+ * which usually means transactions are missing from the export
+ */
+const findBalanceBreaks = (transactions) => {
+  const breaks = [];
+
+  for (let i = 1; i < transactions.length; i++) {
+    const { amount, balance, date } = transactions[i];
+    if (amount === null || amount === undefined) continue;
+
+    const expected = roundMoney(transactions[i - 1].balance + amount);
+    if (Math.abs(expected - balance) > 0.01) {
+      breaks.push({ from: transactions[i - 1].date, to: date, expected, balance });
+    }
+  }
+
+  return breaks;
+};
+
+/**
+ * Lowest and closing balance of each day that has transactions
+ */
+const toDailyBalances = (transactions) => {
+  const days = [];
+
+  transactions.forEach(({ date, balance }) => {
+    const last = days[days.length - 1];
+    if (last && last.date.getTime() === date.getTime()) {
+      last.lowest = Math.min(last.lowest, balance);
+      last.closing = balance;
+    } else {
+      days.push({ date, lowest: balance, closing: balance });
+    }
+  });
+
+  return days;
+};
+
+const formatDate = date => date.toISOString().slice(0, 10);
+
+/**
+ * Run the funds checker over a statement's daily balances and list what a
+ * counsellor should look at: dips below the required amount, gaps in
+ * coverage and currency mismatches
+ *
+ * @param {Object} visaType - VisaType document
+ * @param {Object} statement - { currency, balances: [{ date, lowest, closing }], balanceBreaks }
+ * @param {Object} input - Funds check input (location, courseMonths, dependants, tuitionOutstanding, applicationDate)
+ */
+const analyzeStatement = async (visaType, statement, input) => {
+  const balances = [];
+  statement.balances.forEach(day => {
+    balances.push({ date: day.date, amount: day.lowest, currency: statement.currency });
+    balances.push({ date: day.date, amount: day.closing, currency: statement.currency });
+  });
+
+  const fundsCheck = await fundsCheckService.checkFunds(visaType, { ...input, balances });
+  const { required, coverage, holdingDays, maxAgeDays } = fundsCheck;
+  const findings = [];
+  const converted = fundsCheck.rules.find(result => result.rule === 'balance_currency').passed;
+
+  if (statement.currency !== required.currency) {
+    findings.push({
+      type: 'currency_mismatch',
+      severity: converted ? 'warning' : 'error',
+      message: converted
+        ? `The statement is in ${statement.currency} but funds are required in ${required.currency}; balances were converted at the recorded exchange rates`
+        : `The statement is in ${statement.currency} and there is no exchange rate to ${required.currency}`,
+      currency: statement.currency
+    });
+  }
+
+  fundsCheck.dips.forEach(dip => {
+    findings.push({
+      type: 'dip',
+      severity: 'error',
+      message: `Balance fell to ${dip.lowest} ${required.currency}, below the required ${required.total} ${required.currency}, from ${formatDate(dip.from)} to ${formatDate(dip.to)}`,
+      from: dip.from,
+      to: dip.to,
+      amount: dip.lowest
+    });
+  });
+
+  (statement.balanceBreaks || []).forEach(gap => {
+    findings.push({
+      type: 'gap',
+      severity: 'warning',
+      message: `The balance on ${formatDate(gap.to)} does not follow from the previous line (expected ${gap.expected}, shown ${gap.balance}); transactions may be missing`,
+      from: gap.from,
+      to: gap.to
+    });
+  });
+
+  if (coverage) {
+    const coveredDays = Math.round((coverage.to - coverage.from) / (24 * 60 * 60 * 1000)) + 1;
+    if (coveredDays < holdingDays) {
+      findings.push({
+        type: 'gap',
+        severity: 'error',
+        message: `The statement covers ${coveredDays} day(s) from ${formatDate(coverage.from)} to ${formatDate(coverage.to)}; ${holdingDays} consecutive days are needed`,
+        from: coverage.from,
+        to: coverage.to
+      });
+    }
+
+    const statementAge = fundsCheck.rules.find(result => result.rule === 'statement_age');
+    if (!statementAge.passed) {
+      findings.push({
+        type: 'gap',
+        severity: 'error',
+        message: `The statement ends on ${formatDate(coverage.to)}; it must run to within ${maxAgeDays} days of the application date`,
+        from: coverage.to,
+        to: fundsCheck.applicationDate
+      });
+    }
+  } else if (converted) {
+    findings.push({
+      type: 'gap',
+      severity: 'error',
+      message: 'The statement has no balances on or before the application date'
+    });
+  }
+
+  return { fundsCheck, findings };
+};
+
+module.exports = {
+  parseAmount,
+  parseStatementDate,
+  parseStatement,
+  findBalanceBreaks,
+  toDailyBalances,
+  analyzeStatement
+};
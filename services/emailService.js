@@ -1,10 +1,11 @@
 const nodemailer = require('nodemailer');
 const logger = require('../utils/logger');
+const { escapeHtml } = require('../utils/html');
 
 // Create transporter
 const createTransporter = () => {
   if (process.env.EMAIL_SERVICE === 'gmail') {
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
       service: 'gmail',
       auth: {
         user: process.env.EMAIL_USER,
@@ -14,7 +15,7 @@ const createTransporter = () => {
   }
   
   // Default SMTP configuration
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST || 'smtp.gmail.com',
     port: process.env.EMAIL_PORT || 587,
     secure: false,
@@ -112,7 +113,309 @@ const sendPasswordReset = async (email, firstName, token) => {
   }
 };
 
+/**
+ * Send passwordless login (magic link) email
+ */
+const sendMagicLink = async (email, firstName, token) => {
+  try {
+    const transporter = createTransporter();
+    
+    const loginUrl = `${process.env.FRONTEND_URL}/magic-login/${token}`;
+    
+    const mailOptions = {
+      from: `${process.env.EMAIL_FROM_NAME || 'VisaMap'} <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Your Sign-in Link - VisaMap',
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+          <h2>Sign in to VisaMap</h2>
+          <p>Hi ${firstName},</p>
+          <p>Click the button below to sign in. No password needed.</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${loginUrl}" 
+               style="background-color: #4F46E5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+               Sign In
+            </a>
+          </div>
+          <p>Or copy and paste this link in your browser:</p>
+          <p style="word-break: break-all; color: #666;">${loginUrl}</p>
+          <p>This link can be used once and will expire in 15 minutes.</p>
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 14px;">
+            If you didn't try to sign in, you can safely ignore this email.
+          </p>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info(`Magic link email sent to: ${email}`);
+    
+  } catch (error) {
+    logger.error('Magic link email send failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send contact form confirmation to the person who submitted it
+ */
+const sendContactConfirmation = async (contact) => {
+  try {
+    const transporter = createTransporter();
+    
+    const mailOptions = {
+      from: `${process.env.EMAIL_FROM_NAME || 'VisaMap'} <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: contact.email,
+      subject: 'We received your message - VisaMap',
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+          <h2>Thanks for getting in touch, ${escapeHtml(contact.firstName)}!</h2>
+          <p>We have received your message and a member of our team will get back to you soon.</p>
+          <div style="background-color: #f8fafc; padding: 15px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0 0 10px 0;"><strong>Subject:</strong> ${escapeHtml(contact.subject)}</p>
+            <p style="margin: 0; color: #666;">${escapeHtml(contact.message)}</p>
+          </div>
+          <p>Your reference number is <strong>${contact._id}</strong>.</p>
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 14px;">
+            If you didn't contact VisaMap, please ignore this email.
+          </p>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info(`Contact confirmation sent to: ${contact.email}`);
+    
+  } catch (error) {
+    logger.error('Contact confirmation send failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Notify admin team about a high priority contact
+ */
+const sendAdminNotification = async (contact) => {
+  try {
+    const transporter = createTransporter();
+    
+    const contactUrl = `${process.env.FRONTEND_URL}/admin/contacts/${contact._id}`;
+    
+    const mailOptions = {
+      from: `${process.env.EMAIL_FROM_NAME || 'VisaMap'} <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: process.env.ADMIN_EMAIL,
+      subject: `[${contact.priority.toUpperCase()}] New contact: ${contact.subject}`,
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+          <h2>New high priority contact</h2>
+          <p><strong>From:</strong> ${escapeHtml(contact.firstName)} ${escapeHtml(contact.lastName)} (${escapeHtml(contact.email)}, ${escapeHtml(contact.dialingCode)}${escapeHtml(contact.mobile)})</p>
+          <p><strong>Type:</strong> ${escapeHtml(contact.contactType)}</p>
+          <p><strong>Priority:</strong> ${escapeHtml(contact.priority)}</p>
+          <p><strong>Lead score:</strong> ${escapeHtml(contact.leadData.leadScore)}</p>
+          <div style="background-color: #f8fafc; padding: 15px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0 0 10px 0;"><strong>${escapeHtml(contact.subject)}</strong></p>
+            <p style="margin: 0; color: #666;">${escapeHtml(contact.message)}</p>
+          </div>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${contactUrl}" 
+               style="background-color: #4F46E5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+               View Contact
+            </a>
+          </div>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info(`Admin notification sent for contact: ${contact._id}`);
+    
+  } catch (error) {
+    logger.error('Admin notification send failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send a team response to a contact
+ */
+const sendContactResponse = async (contact, content) => {
+  try {
+    const transporter = createTransporter();
+    
+    const mailOptions = {
+      from: `${process.env.EMAIL_FROM_NAME || 'VisaMap'} <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: contact.email,
+      subject: `Re: ${contact.subject} - VisaMap`,
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+          <p>Hi ${escapeHtml(contact.firstName)},</p>
+          <div style="white-space: pre-line;">${escapeHtml(content)}</div>
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 14px;">
+            Reference: ${contact._id}. Reply to this email if you have any further questions.
+          </p>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info(`Contact response sent to: ${contact.email}`);
+    
+  } catch (error) {
+    logger.error('Contact response send failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send newsletter to a list of recipients
+ */
+const sendNewsletter = async (recipients, { subject, content }) => {
+  const transporter = createTransporter();
+  const result = { successful: 0, failed: 0, errors: [] };
+
+  for (const recipient of recipients) {
+    try {
+      await transporter.sendMail({
+        from: `${process.env.EMAIL_FROM_NAME || 'VisaMap'} <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+        to: recipient.email,
+        subject,
+        html: `
+          <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+            <p>Hi ${recipient.firstName},</p>
+            ${content}
+            <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+            <p style="color: #666; font-size: 14px;">
+              You are receiving this email because you have email notifications enabled in your VisaMap account.
+            </p>
+          </div>
+        `
+      });
+      result.successful += 1;
+    } catch (error) {
+      result.failed += 1;
+      result.errors.push({ email: recipient.email, error: error.message });
+      logger.error(`Newsletter send failed for ${recipient.email}:`, error);
+    }
+  }
+
+  logger.info(`Newsletter sent: ${result.successful} successful, ${result.failed} failed`);
+  return result;
+};
+
+/**
+ * Send a journey reminder listing outstanding steps and checklist items
+ */
+const sendJourneyReminder = async (user, journey, reminder) => {
+  try {
+    const transporter = createTransporter();
+
+    const journeyUrl = `${process.env.FRONTEND_URL}/journeys/${journey._id}`;
+    const renderList = (items) => items.map(item => `<li>${escapeHtml(item.title)}</li>`).join('');
+
+    const mailOptions = {
+      from: `${process.env.EMAIL_FROM_NAME || 'VisaMap'} <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: user.email,
+      subject: `Your ${journey.originCountry} → ${journey.destinationCountry} visa journey - VisaMap`,
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+          <p>Hi ${escapeHtml(user.firstName)},</p>
+          <p>Your visa journey is ${journey.progressMetrics.completionPercentage}% complete. Here is what is still outstanding:</p>
+          ${reminder.steps.length > 0 ? `<h3>Steps</h3><ul>${renderList(reminder.steps)}</ul>` : ''}
+          ${reminder.checklist.length > 0 ? `<h3>Documents</h3><ul>${renderList(reminder.checklist)}</ul>` : ''}
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${journeyUrl}"
+               style="background-color: #4F46E5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+               Continue Your Journey
+            </a>
+          </div>
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 14px;">
+            You are receiving ${journey.notifications.reminderFrequency} reminders for this journey. You can change this in your journey settings.
+          </p>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info(`Journey reminder sent to: ${user.email}`);
+
+  } catch (error) {
+    logger.error('Journey reminder send failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Tell a user what changed in the visa type behind one of their journeys
+ */
+const sendVisaRequirementsChanged = async (user, journey, visaType, changes) => {
+  try {
+    const transporter = createTransporter();
+
+    const journeyUrl = `${process.env.FRONTEND_URL}/journeys/${journey._id}`;
+
+    const mailOptions = {
+      from: `${process.env.EMAIL_FROM_NAME || 'VisaMap'} <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: user.email,
+      subject: `${visaType.name} requirements have changed - VisaMap`,
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+          <p>Hi ${escapeHtml(user.firstName)},</p>
+          <p>The ${escapeHtml(visaType.name)} requirements for your ${journey.originCountry} → ${journey.destinationCountry} visa journey have been updated. Here is what changed for you:</p>
+          <ul>${changes.map(change => `<li>${escapeHtml(change)}</li>`).join('')}</ul>
+          <p>Your checklist and steps have been updated to match.</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${journeyUrl}"
+               style="background-color: #4F46E5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+               Review Your Journey
+            </a>
+          </div>
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
+          <p style="color: #666; font-size: 14px;">
+            You can turn off email notifications in your account settings.
+          </p>
+        </div>
+      `
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info(`Visa requirements change email sent to: ${user.email}`);
+
+  } catch (error) {
+    logger.error('Visa requirements change email send failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check that the email transport is configured and reachable
+ */
+const testConfiguration = async () => {
+  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+    return { status: 'not_configured' };
+  }
+
+  try {
+    await createTransporter().verify();
+    return { status: 'available' };
+  } catch (error) {
+    logger.error('Email configuration check failed:', error);
+    return { status: 'unavailable', error: error.message };
+  }
+};
+
 module.exports = {
   sendEmailVerification,
-  sendPasswordReset
+  sendPasswordReset,
+  sendMagicLink,
+  sendContactConfirmation,
+  sendAdminNotification,
+  sendContactResponse,
+  sendNewsletter,
+  sendJourneyReminder,
+  sendVisaRequirementsChanged,
+  testConfiguration
 };
\ No newline at end of file
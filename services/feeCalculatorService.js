@@ -0,0 +1,167 @@
+const ExchangeRate = require('../models/ExchangeRate');
+
+/**
+ * Fee Calculator Service - Itemised visa costs in any currency
+ *
+ * Each fee is scaled by the length of stay ("year" fees such as a health
+ * surcharge) and by the number of dependants (its dependantMultiplier), then
+ * converted with the ExchangeRate in effect on the calculation date.
+ * Optional fees are itemised but only added to the total when requested.
+ */
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+// Currency most rates are entered against; other pairs are converted through it
+const getPivotCurrency = () => (process.env.EXCHANGE_RATE_PIVOT_CURRENCY || 'GBP').toUpperCase();
+
+/**
+ * Stored rate converting `from` into `to` at `date`
+ * A rate for the opposite pair is inverted; the most recent of the two wins.
+ */
+const findStoredRate = async (from, to, date) => {
+  const [direct, inverse] = await Promise.all([
+    ExchangeRate.findEffective(from, to, date),
+    ExchangeRate.findEffective(to, from, date)
+  ]);
+
+  if (!direct && !inverse) return null;
+
+  const useInverse = !direct || (!!inverse && inverse.effectiveFrom > direct.effectiveFrom);
+  const stored = useInverse ? inverse : direct;
+
+  return {
+    from,
+    to,
+    rate: useInverse ? 1 / stored.rate : stored.rate,
+    effectiveFrom: stored.effectiveFrom,
+    source: stored.source,
+    inverted: useInverse
+  };
+};
+
+/**
+ * Rate converting `from` into `to` at `date`, crossing through the pivot
+ * currency when the pair has no rate of its own. Returns null when unknown.
+ */
+const getRate = async (from, to, date = new Date()) => {
+  if (from === to) {
+    return { from, to, rate: 1 };
+  }
+
+  const stored = await findStoredRate(from, to, date);
+  const pivot = getPivotCurrency();
+  if (stored || from === pivot || to === pivot) return stored;
+
+  const [toPivot, fromPivot] = await Promise.all([
+    findStoredRate(from, pivot, date),
+    findStoredRate(pivot, to, date)
+  ]);
+  if (!toPivot || !fromPivot) return null;
+
+  return {
+    from,
+    to,
+    rate: toPivot.rate * fromPivot.rate,
+    // The older of the two legs
+    effectiveFrom: toPivot.effectiveFrom < fromPivot.effectiveFrom ? toPivot.effectiveFrom : fromPivot.effectiveFrom,
+    via: [toPivot, fromPivot]
+  };
+};
+
+const pickFee = fee => ({
+  amount: fee.amount,
+  currency: fee.currency,
+  period: fee.period || 'once',
+  dependantMultiplier: fee.dependantMultiplier || 0
+});
+
+/**
+ * Fee lines of a visa type, visa fee first
+ */
+const listFees = (visaType) => {
+  const { visaFee, additionalFees = [] } = visaType.fees;
+
+  return [
+    { ...pickFee(visaFee), name: 'Visa fee', isOptional: false },
+    ...additionalFees.map(fee => ({ ...pickFee(fee), name: fee.name, description: fee.description, isOptional: !!fee.isOptional }))
+  ];
+};
+
+/**
+ * Calculate the itemised cost of a visa type
+ *
+ * @param {Object} visaType - VisaType document or snapshot
+ * @param {Object} options
+ * @param {string} [options.currency] - Currency to report in (defaults to the visa fee's)
+ * @param {number} [options.years=1] - Length of stay in years, may be fractional
+ * @param {number} [options.dependants=0] - Number of dependants applying alongside
+ * @param {boolean} [options.includeOptional=false] - Add optional fees to the total
+ * @param {Date} [options.date] - Date whose exchange rates apply (defaults to now)
+ *
+ * Throws an Error flagged isMissingRate (with the unconvertible `currencies`)
+ * when a fee cannot be converted.
+ */
+const calculateFees = async (visaType, {
+  currency,
+  years = 1,
+  dependants = 0,
+  includeOptional = false,
+  date = new Date()
+} = {}) => {
+  const target = (currency || visaType.fees.visaFee.currency).toUpperCase();
+  const fees = listFees(visaType);
+
+  // One lookup per source currency
+  const rates = new Map();
+  for (const code of new Set(fees.map(fee => fee.currency))) {
+    rates.set(code, await getRate(code, target, date));
+  }
+
+  const missing = Array.from(rates).filter(([, rate]) => !rate).map(([code]) => code);
+  if (missing.length > 0) {
+    const error = new Error(`No exchange rate from ${missing.join(', ')} to ${target} is available`);
+    error.isMissingRate = true;
+    error.currencies = missing;
+    throw error;
+  }
+
+  const items = fees.map(fee => {
+    const yearsCharged = fee.period === 'year' ? years : 1;
+    const applicants = 1 + dependants * fee.dependantMultiplier;
+    const subtotal = roundMoney(fee.amount * yearsCharged * applicants);
+
+    return {
+      name: fee.name,
+      description: fee.description,
+      period: fee.period,
+      isOptional: fee.isOptional,
+      included: !fee.isOptional || includeOptional,
+      unitAmount: fee.amount,
+      years: yearsCharged,
+      applicants,
+      original: { amount: subtotal, currency: fee.currency },
+      amount: roundMoney(subtotal * rates.get(fee.currency).rate),
+      currency: target
+    };
+  });
+
+  // Totals add the rounded item amounts so the breakdown sums exactly
+  const sum = list => roundMoney(list.reduce((total, item) => total + item.amount, 0));
+
+  return {
+    currency: target,
+    years,
+    dependants,
+    includeOptional,
+    calculatedAt: date,
+    items,
+    total: { amount: sum(items.filter(item => item.included)), currency: target },
+    optionalTotal: { amount: sum(items.filter(item => item.isOptional)), currency: target },
+    rates: Array.from(rates.values()).filter(rate => rate.from !== rate.to)
+  };
+};
+
+module.exports = {
+  getRate,
+  calculateFees
+};
@@ -0,0 +1,298 @@
+const { parseDate, startOfDay } = require('../utils/dates');
+const feeCalculatorService = require('./feeCalculatorService');
+
+/**
+ * Funds Check Service - Checks an applicant's balances against the
+ * maintenance funds requirement of a visa type
+ *
+ * The required amount is the outstanding tuition plus monthly maintenance
+ * for the applicant and each dependant, for the course length up to
+ * financialEvidence.maintenanceFunds.maxMonths. Balances must then show that
+ * amount held every day of a planning.fundsHoldingDays (28) day period
+ * ending no more than planning.fundsStatementMaxAgeDays (31) days before the
+ * application date. Balances are end-of-day figures; a day without one keeps
+ * the previous balance, and the lowest figure counts when a day has several.
+ * All dates are handled in UTC at day precision.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const daysBetween = (from, to) => Math.round((to.getTime() - from.getTime()) / DAY_MS);
+
+/**
+ * Parse a Date, ISO 8601 string or DD/MM/YYYY string into a UTC day
+ */
+const toDay = (value) => {
+  if (!value) return null;
+
+  const parsed = parseDate(value);
+  if (parsed) return parsed;
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : startOfDay(date);
+};
+
+const missingRequirementError = (message) => {
+  const error = new Error(message);
+  error.isMissingRequirement = true;
+  return error;
+};
+
+// Journey personalization uses outside_london; VisaType uses outsideLondon
+const normalizeLocation = location => (location === 'london' ? 'london' : 'outsideLondon');
+
+/**
+ * Amount of a maintenance requirement for a number of months
+ * "per year" amounts are prorated; amounts with another period are a fixed total.
+ */
+const scaleRequirement = ({ amount, period }, months) => {
+  if (!period || /month/i.test(period)) return amount * months;
+  if (/year|annum|annual/i.test(period)) return amount * months / 12;
+  return amount;
+};
+
+/**
+ * Amount an applicant must hold
+ *
+ * Throws an Error flagged isMissingRequirement when the visa type has no
+ * maintenance requirement for the location (or for dependants).
+ */
+const calculateRequiredFunds = (visaType, { location, courseMonths, dependants = 0, tuitionOutstanding = 0 }) => {
+  const funds = (visaType.requirements.financialEvidence || {}).maintenanceFunds || {};
+  const place = normalizeLocation(location);
+  const maintenance = funds[place];
+
+  if (!maintenance || !maintenance.amount) {
+    throw missingRequirementError(`${visaType.name} has no maintenance funds requirement for ${place === 'london' ? 'London' : 'outside London'}`);
+  }
+
+  const dependantMaintenance = funds.dependants && funds.dependants[place];
+  if (dependants > 0 && (!dependantMaintenance || !dependantMaintenance.amount)) {
+    throw missingRequirementError(`${visaType.name} has no maintenance funds requirement for dependants`);
+  }
+
+  const months = Math.min(courseMonths, funds.maxMonths || 9);
+  const currency = maintenance.currency || visaType.fees.visaFee.currency;
+
+  const applicantAmount = roundMoney(scaleRequirement(maintenance, months));
+  const dependantsAmount = dependants > 0 ? roundMoney(scaleRequirement(dependantMaintenance, months) * dependants) : 0;
+
+  return {
+    currency,
+    location: place,
+    months,
+    maintenance: applicantAmount,
+    dependants,
+    dependantMaintenance: dependantsAmount,
+    tuitionOutstanding: roundMoney(tuitionOutstanding),
+    total: roundMoney(tuitionOutstanding + applicantAmount + dependantsAmount)
+  };
+};
+
+/**
+ * Parse, sort and convert balances into the required currency
+ * Returns the converted balances and the currencies that could not be converted.
+ */
+const prepareBalances = async (balances, currency) => {
+  const prepared = [];
+  const conversions = new Map();
+  const unconvertible = new Set();
+
+  for (const balance of balances) {
+    const date = toDay(balance.date);
+    const from = (balance.currency || currency).toUpperCase();
+
+    let rate = 1;
+    if (from !== currency) {
+      const key = `${from}:${date.toISOString()}`;
+      if (!conversions.has(key)) {
+        conversions.set(key, await feeCalculatorService.getRate(from, currency, date));
+      }
+      const found = conversions.get(key);
+      if (!found) {
+        unconvertible.add(from);
+        continue;
+      }
+      rate = found.rate;
+    }
+
+    prepared.push({
+      date,
+      amount: roundMoney(balance.amount * rate),
+      original: from !== currency ? { amount: balance.amount, currency: from } : undefined
+    });
+  }
+
+  // Stable, so same-day balances keep their order
+  prepared.sort((a, b) => a.date - b.date);
+
+  return { balances: prepared, unconvertible: Array.from(unconvertible) };
+};
+
+/**
+ * Day-by-day balances from `from` to `to`: the lowest figure recorded that
+ * day (or the carried balance) and the figure carried into the next day.
+ * Days before the first balance are null.
+ */
+const buildDailySeries = (balances, from, to) => {
+  const series = [];
+  let index = 0;
+  let carried = null;
+
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    let lowest = null;
+    while (index < balances.length && balances[index].date <= day) {
+      const { amount, date } = balances[index];
+      if (date.getTime() === day.getTime()) {
+        lowest = lowest === null ? amount : Math.min(lowest, amount);
+      }
+      carried = amount;
+      index += 1;
+    }
+    series.push({ date: day, lowest: lowest === null ? carried : lowest, balance: carried });
+  }
+
+  return series;
+};
+
+const rule = (id, passed, message, details) => ({ rule: id, passed, message, details });
+
+/**
+ * Find the latest holding period of `holdingDays` days ending within the window
+ */
+const checkHoldingPeriod = (series, required, { holdingDays, windowStart, windowEnd }) => {
+  let run = 0;
+  let best = null;
+  let longest = { days: 0 };
+  let lowest = null;
+
+  series.forEach((day, position) => {
+    const held = day.lowest !== null && day.lowest >= required;
+    run = held ? run + 1 : 0;
+
+    if (run > longest.days) {
+      longest = { days: run, from: series[position - run + 1].date, to: day.date };
+    }
+    if (day.date >= windowStart && day.lowest !== null && (!lowest || day.lowest < lowest.amount)) {
+      lowest = { amount: day.lowest, date: day.date };
+    }
+    if (run >= holdingDays && day.date >= windowStart && day.date <= windowEnd) {
+      best = { from: addDays(day.date, -(holdingDays - 1)), to: day.date };
+    }
+  });
+
+  return { period: best, longestRun: longest.days > 0 ? longest : null, lowestBalance: lowest };
+};
+
+/**
+ * Runs of days whose lowest known balance is below the required amount
+ */
+const findDips = (series, required) => {
+  const dips = [];
+  let current = null;
+
+  series.forEach(day => {
+    if (day.lowest !== null && day.lowest < required) {
+      if (!current) {
+        current = { from: day.date, to: day.date, lowest: day.lowest };
+        dips.push(current);
+      }
+      current.to = day.date;
+      current.lowest = Math.min(current.lowest, day.lowest);
+    } else {
+      current = null;
+    }
+  });
+
+  return dips;
+};
+
+/**
+ * Check balances against a visa type's funds requirement
+ *
+ * @param {Object} visaType - VisaType document
+ * @param {Object} input
+ * @param {string} input.location - london or outside_london
+ * @param {number} input.courseMonths - Course length in months
+ * @param {number} [input.dependants=0] - Dependants applying alongside
+ * @param {number} [input.tuitionOutstanding=0] - Unpaid tuition for the first year
+ * @param {Array<{date, amount, currency}>} input.balances - Dated end-of-day balances
+ * @param {Date|string} [input.applicationDate] - Defaults to today
+ * @returns {Promise<Object>} required amount, closing balance, a pass/fail result per rule,
+ *   the dates the balances cover and any dips below the required amount in the checked window
+ */
+const checkFunds = async (visaType, input) => {
+  const required = calculateRequiredFunds(visaType, input);
+  const applicationDate = toDay(input.applicationDate) || startOfDay(new Date());
+  const { fundsHoldingDays: holdingDays = 28, fundsStatementMaxAgeDays: maxAgeDays = 31 } = visaType.planning || {};
+
+  const { balances, unconvertible } = await prepareBalances(input.balances || [], required.currency);
+  const rules = [];
+
+  rules.push(unconvertible.length === 0
+    ? rule('balance_currency', true, `All balances are in or convertible to ${required.currency}`)
+    : rule('balance_currency', false, `No exchange rate from ${unconvertible.join(', ')} to ${required.currency}; those balances were left out`, { currencies: unconvertible }));
+
+  // Balances after the application date cannot be used as evidence
+  const usable = balances.filter(balance => balance.date <= applicationDate);
+  const closing = usable.length > 0 ? usable[usable.length - 1] : null;
+  const windowStart = addDays(applicationDate, -maxAgeDays);
+  let dips = [];
+
+  if (!closing) {
+    rules.push(rule('closing_balance', false, 'No balances on or before the application date'));
+  } else {
+    const shortfall = roundMoney(required.total - closing.amount);
+    rules.push(shortfall <= 0
+      ? rule('closing_balance', true, `Closing balance covers the required ${required.total} ${required.currency}`, { amount: closing.amount, date: closing.date })
+      : rule('closing_balance', false, `Closing balance is ${shortfall} ${required.currency} short of the required ${required.total} ${required.currency}`, { amount: closing.amount, date: closing.date, shortfall }));
+  }
+
+  if (closing) {
+    const age = daysBetween(closing.date, applicationDate);
+    rules.push(age <= maxAgeDays
+      ? rule('statement_age', true, `Closing balance is dated ${age} day(s) before the application date`, { ageDays: age, maxAgeDays })
+      : rule('statement_age', false, `Closing balance is dated ${age} days before the application date; it must be within ${maxAgeDays} days`, { ageDays: age, maxAgeDays }));
+  } else {
+    rules.push(rule('statement_age', false, 'No closing balance to date'));
+  }
+
+  if (closing) {
+    // Only days that can be part of a period ending inside the window matter
+    const seriesStart = addDays(windowStart, -(holdingDays - 1));
+    const series = buildDailySeries(usable, seriesStart, closing.date);
+    const { period, longestRun, lowestBalance } = checkHoldingPeriod(series, required.total, {
+      holdingDays,
+      windowStart,
+      windowEnd: applicationDate
+    });
+    dips = findDips(series, required.total);
+
+    rules.push(period
+      ? rule('holding_period', true, `Required funds held for ${holdingDays} consecutive days from ${period.from.toISOString().slice(0, 10)} to ${period.to.toISOString().slice(0, 10)}`, { period, holdingDays })
+      : rule('holding_period', false, `Required funds were not held for ${holdingDays} consecutive days ending within ${maxAgeDays} days of the application date`, { holdingDays, longestRun, lowestBalance }));
+  } else {
+    rules.push(rule('holding_period', false, 'No balances to check'));
+  }
+
+  return {
+    passed: rules.every(result => result.passed),
+    applicationDate,
+    required,
+    closingBalance: closing ? { date: closing.date, amount: closing.amount, currency: required.currency } : null,
+    coverage: closing ? { from: usable[0].date, to: closing.date } : null,
+    holdingDays,
+    maxAgeDays,
+    rules,
+    dips
+  };
+};
+
+module.exports = {
+  toDay,
+  calculateRequiredFunds,
+  checkFunds
+};
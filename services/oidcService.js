@@ -0,0 +1,283 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+
+/**
+ * OIDC Service - Generic OpenID Connect relying party
+ * Discovery, authorization code flow with PKCE (S256) and ID token
+ * verification against the provider's JWKS.
+ */
+
+const METADATA_TTL_MS = 60 * 60 * 1000; // 1 hour
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Minimal JSON HTTP client (GET, or POST with a form body)
+ */
+const requestJson = (url, { method = 'GET', form, headers = {} } = {}) => {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const body = form ? new URLSearchParams(form).toString() : null;
+
+    const req = client.request(target, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        ...(body && {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(body)
+        }),
+        ...headers
+      },
+      timeout: 10000
+    }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        let parsed;
+        try {
+          parsed = data ? JSON.parse(data) : {};
+        } catch (error) {
+          return reject(new Error(`Invalid JSON from ${target.origin}${target.pathname}`));
+        }
+
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          const reason = parsed.error_description || parsed.error || `HTTP ${res.statusCode}`;
+          return reject(new Error(`Request to ${target.origin}${target.pathname} failed: ${reason}`));
+        }
+
+        resolve(parsed);
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request to ${target.origin} timed out`)));
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+};
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Random value for state / nonce
+ */
+const generateRandomValue = () => base64url(crypto.randomBytes(32));
+
+/**
+ * PKCE verifier and S256 challenge
+ */
+const createPkcePair = () => {
+  const codeVerifier = generateRandomValue();
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Fetch (and cache) the provider's discovery document
+ */
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.fetchedAt > Date.now() - METADATA_TTL_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await requestJson(`${provider.issuer}/.well-known/openid-configuration`);
+
+  if (metadata.issuer !== provider.issuer) {
+    throw new Error(`Discovery issuer mismatch: expected ${provider.issuer}, got ${metadata.issuer}`);
+  }
+
+  for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!metadata[field]) {
+      throw new Error(`Discovery document is missing ${field}`);
+    }
+  }
+
+  discoveryCache.set(provider.issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+};
+
+/**
+ * Fetch (and cache) a JWKS
+ */
+const getJwks = async (jwksUri, { forceRefresh = false } = {}) => {
+  const cached = jwksCache.get(jwksUri);
+  if (!forceRefresh && cached && cached.fetchedAt > Date.now() - METADATA_TTL_MS) {
+    return cached.keys;
+  }
+
+  const { keys = [] } = await requestJson(jwksUri);
+  jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+  return keys;
+};
+
+const findJwk = (keys, { kid, alg }) => {
+  const candidates = keys.filter(key => (!key.use || key.use === 'sig') && (!key.alg || key.alg === alg));
+  if (kid) {
+    return candidates.find(key => key.kid === kid);
+  }
+  return candidates.length === 1 ? candidates[0] : undefined;
+};
+
+/**
+ * Resolve the public key for a token header, refetching the JWKS once for unknown key ids (rotation)
+ */
+const getSigningKey = async (jwksUri, header) => {
+  let jwk = findJwk(await getJwks(jwksUri), header);
+
+  if (!jwk) {
+    jwk = findJwk(await getJwks(jwksUri, { forceRefresh: true }), header);
+  }
+
+  if (!jwk) {
+    throw new Error(`No signing key found for kid "${header.kid}"`);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Build the authorization URL for the code flow
+ */
+const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge, redirectUri }) => {
+  const metadata = await discover(provider);
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code at the token endpoint
+ */
+const exchangeCode = async (provider, { code, codeVerifier, redirectUri }) => {
+  const metadata = await discover(provider);
+
+  const form = {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  };
+
+  if (provider.clientSecret) {
+    form.client_secret = provider.clientSecret;
+  }
+
+  const tokens = await requestJson(metadata.token_endpoint, { method: 'POST', form });
+
+  if (!tokens.id_token) {
+    throw new Error('Token response did not include an ID token');
+  }
+
+  return tokens;
+};
+
+/**
+ * Verify an ID token's signature and claims; returns the claims
+ */
+const verifyIdToken = async (provider, idToken, { nonce }) => {
+  const metadata = await discover(provider);
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !SUPPORTED_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error('ID token is malformed or uses an unsupported algorithm');
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: SUPPORTED_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: provider.clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (error) {
+    throw new Error(`ID token verification failed: ${error.message}`);
+  }
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw new Error('ID token authorized party does not match');
+  }
+
+  if (!nonce || claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return claims;
+};
+
+/**
+ * Complete the code flow: exchange the code and verify the ID token
+ */
+const completeAuthorization = async (provider, { code, codeVerifier, redirectUri, nonce }) => {
+  const tokens = await exchangeCode(provider, { code, codeVerifier, redirectUri });
+  const claims = await verifyIdToken(provider, tokens.id_token, { nonce });
+
+  logger.info(`OIDC authorization completed for provider ${provider.name}`);
+  return claims;
+};
+
+/**
+ * Email from the claims, if the provider vouches for it (and it's in an allowed domain)
+ */
+const getVerifiedEmail = (provider, claims) => {
+  const email = claims.email && String(claims.email).toLowerCase();
+  const verified = claims.email_verified === true || claims.email_verified === 'true' || provider.trustEmail;
+
+  if (!email || !verified) {
+    return null;
+  }
+
+  if (provider.allowedDomains.length && !provider.allowedDomains.includes(email.split('@')[1])) {
+    return null;
+  }
+
+  return email;
+};
+
+/**
+ * Clear cached discovery documents and keys (tests, key rotation)
+ */
+const clearCache = () => {
+  discoveryCache.clear();
+  jwksCache.clear();
+};
+
+module.exports = {
+  generateRandomValue,
+  createPkcePair,
+  discover,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  completeAuthorization,
+  getVerifiedEmail,
+  clearCache
+};
@@ -0,0 +1,280 @@
+const { parseDate } = require('../utils/dates');
+const { toAlpha2 } = require('../utils/countryCodes');
+
+/**
+ * Passport Service - Reads the machine readable zone (MRZ) of a passport
+ * and cross-checks it against what the user told us
+ *
+ * Only the two-line TD3 format used by passports is supported (ICAO Doc
+ * 9303 part 4). Names in an MRZ are upper case A-Z with accents
+ * transliterated, so user names are compared after the same treatment.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LINE_LENGTH = 44;
+
+// ICAO transliterations that differ from simply dropping the accent
+const TRANSLITERATIONS = {
+  Ä: 'AE', Ö: 'OE', Ü: 'UE', Å: 'AA', Æ: 'AE', Ø: 'OE', ß: 'SS', ẞ: 'SS', Þ: 'TH', Œ: 'OE', Ĳ: 'IJ'
+};
+const TRANSLITERATION_PATTERN = new RegExp(`[${Object.keys(TRANSLITERATIONS).join('')}]`, 'g');
+
+const invalidMrzError = (message) => {
+  const error = new Error(message);
+  error.isInvalidMrz = true;
+  return error;
+};
+
+/**
+ * ICAO check digit: weights 7, 3, 1 over digits, A-Z as 10-35 and < as 0
+ */
+const computeCheckDigit = (value) => {
+  let total = 0;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    let number = 0;
+    if (char >= '0' && char <= '9') number = char.charCodeAt(0) - 48;
+    else if (char >= 'A' && char <= 'Z') number = char.charCodeAt(0) - 55;
+    total += number * [7, 3, 1][i % 3];
+  }
+
+  return String(total % 10);
+};
+
+// An empty optional field may use < as its check digit
+const checkDigitMatches = (value, digit) => computeCheckDigit(value) === (digit === '<' ? '0' : digit);
+
+/**
+ * Parse a YYMMDD date; `pastOnly` puts two-digit years in the past (dates of birth)
+ */
+const parseMrzDate = (value, { pastOnly = false } = {}) => {
+  if (!/^\d{6}$/.test(value)) return null;
+
+  const [yy, month, day] = [0, 2, 4].map(position => Number(value.slice(position, position + 2)));
+  const currentYY = new Date().getUTCFullYear() % 100;
+  const year = pastOnly && yy > currentYY ? 1900 + yy : 2000 + yy;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+};
+
+const readField = value => value.replace(/<+$/, '').replace(/</g, ' ').trim();
+
+/**
+ * Split MRZ text into its two lines
+ * Accepts line breaks or one 88-character string; spaces are ignored.
+ */
+const splitLines = (text) => {
+  const compact = String(text || '').toUpperCase().replace(/[ \t]/g, '');
+  let lines = compact.split(/\r?\n/).filter(Boolean);
+
+  if (lines.length === 1 && lines[0].length === LINE_LENGTH * 2) {
+    lines = [lines[0].slice(0, LINE_LENGTH), lines[0].slice(LINE_LENGTH)];
+  }
+  if (lines.length !== 2) {
+    throw invalidMrzError('MRZ must have two lines (TD3 passport format)');
+  }
+  lines.forEach((line, index) => {
+    if (line.length !== LINE_LENGTH) {
+      throw invalidMrzError(`MRZ line ${index + 1} must be ${LINE_LENGTH} characters long, found ${line.length}`);
+    }
+    if (!/^[A-Z0-9<]+$/.test(line)) {
+      throw invalidMrzError(`MRZ line ${index + 1} may only contain A-Z, 0-9 and <`);
+    }
+  });
+
+  return lines;
+};
+
+/**
+ * Parse a TD3 passport MRZ
+ *
+ * @param {string} text - The two MRZ lines
+ * @returns {Object} document fields, `checkDigits` (one result per checked field) and `valid`
+ * Throws an Error flagged isInvalidMrz when the text is not a TD3 MRZ.
+ */
+const parseMrz = (text) => {
+  const [line1, line2] = splitLines(text);
+
+  if (line1[0] !== 'P') {
+    throw invalidMrzError('MRZ is not from a passport (line 1 must start with P)');
+  }
+
+  const nameField = line1.slice(5);
+  const [surname, givenNames = ''] = nameField.split('<<');
+
+  const passportNumber = line2.slice(0, 9);
+  const birth = line2.slice(13, 19);
+  const expiry = line2.slice(21, 27);
+  const personalNumber = line2.slice(28, 42);
+
+  const checkDigits = [
+    { field: 'passportNumber', passed: checkDigitMatches(passportNumber, line2[9]) },
+    { field: 'dateOfBirth', passed: checkDigitMatches(birth, line2[19]) },
+    { field: 'expiryDate', passed: checkDigitMatches(expiry, line2[27]) },
+    { field: 'personalNumber', passed: checkDigitMatches(personalNumber, line2[42]) },
+    {
+      field: 'composite',
+      passed: checkDigitMatches(line2.slice(0, 10) + line2.slice(13, 20) + line2.slice(21, 43), line2[43])
+    }
+  ];
+
+  const issuingCode = readField(line1.slice(2, 5));
+  const nationalityCode = readField(line2.slice(10, 13));
+
+  return {
+    documentType: readField(line1.slice(0, 2)),
+    issuingCountry: { code: issuingCode, country: toAlpha2(issuingCode) },
+    surname: readField(surname),
+    givenNames: readField(givenNames),
+    // The name field is full, so the name may have been cut short
+    nameTruncated: !nameField.endsWith('<'),
+    passportNumber: readField(passportNumber),
+    nationality: { code: nationalityCode, country: toAlpha2(nationalityCode) },
+    dateOfBirth: parseMrzDate(birth, { pastOnly: true }),
+    sex: line2[20] === '<' ? 'X' : line2[20],
+    expiryDate: parseMrzDate(expiry),
+    personalNumber: readField(personalNumber) || undefined,
+    checkDigits,
+    valid: checkDigits.every(check => check.passed)
+  };
+};
+
+/**
+ * Ways a name may appear in an MRZ: accents dropped, or transliterated
+ * (Ä as AE and so on); apostrophes are left out and other punctuation splits names
+ */
+const mrzNameVariants = (name) => {
+  const toMrz = value => value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/['’]/g, '')
+    .replace(/[^A-Z]+/g, ' ')
+    .trim();
+
+  const upper = String(name || '').toUpperCase();
+  const transliterated = upper.replace(TRANSLITERATION_PATTERN, char => TRANSLITERATIONS[char]);
+
+  return [...new Set([toMrz(upper), toMrz(transliterated)])];
+};
+
+const rule = (id, passed, message, details) => ({ rule: id, passed, message, details });
+
+/**
+ * Compare the MRZ name with the user's first and last name
+ * Passports often carry middle names users leave out, which is only a warning.
+ */
+const checkName = (passport, user, warnings) => {
+  const surnames = mrzNameVariants(user.lastName);
+  const firstNames = mrzNameVariants(user.firstName);
+  const found = `${passport.surname}, ${passport.givenNames}`;
+  const expected = `${user.lastName}, ${user.firstName}`;
+
+  if (passport.nameTruncated) {
+    // Either name may be the longer one: the MRZ cut short, or the user leaving out middle names
+    const toField = (last, first) => `${last}<<${first}`.replace(/ /g, '<');
+    const field = toField(passport.surname, passport.givenNames);
+    const matches = surnames.some(last => firstNames.some(first =>
+      toField(last, first).startsWith(field) || field.startsWith(toField(last, first))));
+
+    warnings.push('The name on the passport may be cut short in the MRZ; use the full name from the photo page on your application');
+    return matches
+      ? rule('name_match', true, 'Name matches the passport (as far as the MRZ shows it)', { expected, found })
+      : rule('name_match', false, `Name on the passport (${found}) does not match your profile (${expected})`, { expected, found });
+  }
+
+  if (!surnames.includes(passport.surname)) {
+    const swapped = mrzNameVariants(user.firstName).includes(passport.surname)
+      && mrzNameVariants(user.lastName).includes(passport.givenNames);
+    return rule('name_match', false, swapped
+      ? `Your first and last names appear swapped compared with the passport (${found})`
+      : `Surname on the passport (${passport.surname}) does not match your profile (${user.lastName})`, { expected, found });
+  }
+
+  if (firstNames.includes(passport.givenNames)) {
+    return rule('name_match', true, 'Name matches the passport', { expected, found });
+  }
+
+  const extraNames = firstNames
+    .filter(first => first && `${passport.givenNames} `.startsWith(`${first} `))
+    .map(first => passport.givenNames.slice(first.length).trim());
+  if (extraNames.length > 0) {
+    warnings.push(`The passport also lists ${extraNames[0]}; give your given names exactly as on the passport in your application`);
+    return rule('name_match', true, 'Name matches the passport apart from additional given names', { expected, found });
+  }
+
+  return rule('name_match', false, `Given names on the passport (${passport.givenNames}) do not match your profile (${user.firstName})`, { expected, found });
+};
+
+const formatDate = date => date.toISOString().slice(0, 10);
+
+/**
+ * Cross-check a parsed passport against the applicant and their journey
+ *
+ * @param {Object} passport - Result of parseMrz
+ * @param {Object} context
+ * @param {Object} context.user - The applicant (firstName, lastName)
+ * @param {Object} context.journey - Journey (originCountry, personalizationData.courseEndDate)
+ * @param {Date|string} [context.courseEndDate] - Overrides the journey's course end date
+ * @param {Date} [context.today]
+ * @returns {Object} `passed`, a pass/fail result per rule and warnings
+ */
+const crossCheck = (passport, { user, journey, courseEndDate, today = new Date() }) => {
+  const rules = [];
+  const warnings = [];
+  const day = parseDate(today);
+
+  const failedDigits = passport.checkDigits.filter(check => !check.passed).map(check => check.field);
+  rules.push(failedDigits.length === 0
+    ? rule('check_digits', true, 'All MRZ check digits are valid')
+    : rule('check_digits', false, `MRZ check digits do not match for ${failedDigits.join(', ')}; check the MRZ was copied exactly`, { fields: failedDigits }));
+
+  rules.push(checkName(passport, user, warnings));
+
+  const { nationality } = passport;
+  if (!nationality.country) {
+    rules.push(rule('nationality_match', false, `Passport nationality ${nationality.code} is not a country`, { expected: journey.originCountry, found: nationality.code }));
+  } else {
+    rules.push(nationality.country === journey.originCountry
+      ? rule('nationality_match', true, `Passport nationality matches the journey's origin country (${journey.originCountry})`)
+      : rule('nationality_match', false, `Passport nationality (${nationality.country}) differs from the journey's origin country (${journey.originCountry})`, { expected: journey.originCountry, found: nationality.country }));
+  }
+
+  if (!passport.expiryDate) {
+    rules.push(rule('passport_validity', false, 'The MRZ expiry date is not a valid date'));
+  } else {
+    rules.push(passport.expiryDate >= day
+      ? rule('passport_validity', true, `Passport is valid until ${formatDate(passport.expiryDate)}`)
+      : rule('passport_validity', false, `Passport expired on ${formatDate(passport.expiryDate)}`));
+  }
+
+  const courseEnd = courseEndDate
+    ? parseDate(new Date(courseEndDate))
+    : parseDate(journey.personalizationData && journey.personalizationData.courseEndDate);
+  let courseEndCheck = null;
+
+  if (!courseEnd) {
+    warnings.push('No course end date is set (personalizationData.courseEndDate), so passport expiry was not compared with it');
+  } else if (passport.expiryDate) {
+    const daysShort = Math.round((courseEnd - passport.expiryDate) / DAY_MS);
+    courseEndCheck = { courseEndDate: courseEnd, expiresBeforeCourseEnd: daysShort > 0 };
+    if (daysShort > 0) {
+      warnings.push(`The passport expires on ${formatDate(passport.expiryDate)}, ${daysShort} day(s) before your course ends on ${formatDate(courseEnd)}; renewing before you apply avoids having to update your visa with a new passport later`);
+    }
+  }
+
+  return {
+    passed: rules.every(result => result.passed),
+    rules,
+    courseEnd: courseEndCheck,
+    warnings
+  };
+};
+
+module.exports = {
+  computeCheckDigit,
+  parseMrz,
+  crossCheck
+};
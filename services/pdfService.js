@@ -2,6 +2,8 @@ const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
+const { escapeHtml } = require('../utils/html');
+const feeCalculatorService = require('./feeCalculatorService');
 
 /**
  * PDF Generation Service
@@ -48,14 +50,16 @@ class PDFService {
 
   /**
    * Generate personalized visa checklist PDF
+   * options.currency / options.years set the fee estimate's currency and length of stay.
    */
-  async generateVisaChecklist(visaType, personalizationData, userInfo) {
+  async generateVisaChecklist(visaType, personalizationData, userInfo, options = {}) {
     try {
       await this.initialize();
       
       // Process checklist data based on personalization
       const processedSteps = this.processVisaSteps(visaType.process?.steps || [], personalizationData);
       const processedDocuments = this.processDocuments(visaType.requirements?.documents || [], personalizationData);
+      const feeTotals = await this.estimateTotalFee(visaType, personalizationData, options);
       
       const html = this.generateChecklistHTML({
         userInfo: {
@@ -68,7 +72,7 @@ class PDFService {
           route: `${visaType.originCountry} → ${visaType.destinationCountry}`,
           category: visaType.category,
           processingTime: visaType.processingTime,
-          totalFee: this.calculateTotalFee(visaType.fees, personalizationData)
+          totalFee: this.formatFeeTotals(feeTotals)
         },
         personalization: personalizationData,
         steps: processedSteps,
@@ -98,8 +102,9 @@ class PDFService {
 
   /**
    * Generate journey progress report PDF
+   * Imported bank statements (options.bankStatements) add a financial evidence section.
    */
-  async generateJourneyReport(journey, user) {
+  async generateJourneyReport(journey, user, options = {}) {
     try {
       await this.initialize();
       
@@ -129,7 +134,8 @@ class PDFService {
         stepCompletion: Object.fromEntries(journey.stepCompletion),
         checklist: Object.fromEntries(journey.checklist),
         timeline: journey.timeline,
-        notes: journey.notes
+        notes: journey.notes,
+        financialEvidence: this.processBankStatements(options.bankStatements || [])
       });
 
       const pdf = await this.generatePDFFromHTML(html, {
@@ -269,7 +275,7 @@ class PDFService {
             </div>
             <div class="info-item">
                 <div class="info-label">Total Fee</div>
-                <div class="info-value">£${data.visaInfo.totalFee}</div>
+                <div class="info-value">${data.visaInfo.totalFee}</div>
             </div>
             <div class="info-item">
                 <div class="info-label">Application Route</div>
@@ -378,6 +384,15 @@ class PDFService {
         .stat-item { background: #f8fafc; padding: 15px; border-radius: 5px; text-align: center; }
         .stat-value { font-size: 24px; font-weight: bold; color: #2563eb; }
         .stat-label { color: #6b7280; font-size: 14px; }
+        .statement { margin-bottom: 20px; padding: 15px; border: 1px solid #e5e7eb; border-radius: 5px; page-break-inside: avoid; }
+        .statement-title { font-weight: bold; color: #1f2937; margin-bottom: 8px; }
+        .statement-meta { color: #6b7280; font-size: 14px; margin-bottom: 8px; }
+        .result-passed { color: #059669; font-weight: bold; }
+        .result-failed { color: #dc2626; font-weight: bold; }
+        .rule { font-size: 14px; margin-bottom: 4px; }
+        .finding { font-size: 14px; padding: 8px; border-radius: 5px; margin-top: 6px; }
+        .finding-error { background: #fee2e2; border: 1px solid #dc2626; }
+        .finding-warning { background: #fef3c7; border: 1px solid #f59e0b; }
     </style>
 </head>
 <body>
@@ -416,6 +431,25 @@ class PDFService {
         </div>
     </div>
 
+    ${data.financialEvidence && data.financialEvidence.length > 0 ? `
+    <div class="section">
+        <div class="section-title">Financial Evidence</div>
+        ${data.financialEvidence.map(statement => `
+            <div class="statement">
+                <div class="statement-title">${statement.title}</div>
+                <div class="statement-meta">${statement.period} | ${statement.currency}${statement.required ? ` | Required: ${statement.required}` : ''}</div>
+                <div class="${statement.passed ? 'result-passed' : 'result-failed'}">${statement.passed ? 'Meets the maintenance funds rules' : 'Does not meet the maintenance funds rules'}</div>
+                ${statement.rules.map(rule => `
+                    <div class="rule">${rule.passed ? '&#10003;' : '&#10007;'} ${rule.message}</div>
+                `).join('')}
+                ${statement.findings.map(finding => `
+                    <div class="finding finding-${finding.severity}">${finding.message}</div>
+                `).join('')}
+            </div>
+        `).join('')}
+    </div>
+    ` : ''}
+
     <div class="footer">
         Generated by VisaMap.ai | Journey ID: ${data.journeyInfo.journeyId || 'N/A'}
     </div>
@@ -493,21 +527,101 @@ class PDFService {
 
   /**
    * Calculate total fee based on personalization
+   * Fees are only added within a currency, so the result is one total per
+   * currency (largest first). Accepts VisaType fees (visaFee/additionalFees,
+   * optional fees left out) or the checklist shape (base/additional with
+   * conditions, in `currency` or GBP).
    */
   calculateTotalFee(fees, personalizationData) {
-    if (!fees) return 0;
-    
-    let total = fees.base || 0;
-    
-    if (fees.additional && Array.isArray(fees.additional)) {
-      fees.additional.forEach(additionalFee => {
-        if (this.evaluateConditions(additionalFee.conditions, personalizationData)) {
-          total += additionalFee.amount;
+    if (!fees) return [];
+
+    const totals = new Map();
+    const add = (amount, currency) => {
+      totals.set(currency, (totals.get(currency) || 0) + (amount || 0));
+    };
+
+    if (fees.visaFee) {
+      add(fees.visaFee.amount, fees.visaFee.currency);
+      (fees.additionalFees || []).forEach(additionalFee => {
+        if (!additionalFee.isOptional) {
+          add(additionalFee.amount, additionalFee.currency);
         }
       });
+    } else {
+      const currency = fees.currency || 'GBP';
+      add(fees.base, currency);
+
+      if (fees.additional && Array.isArray(fees.additional)) {
+        fees.additional.forEach(additionalFee => {
+          if (this.evaluateConditions(additionalFee.conditions, personalizationData)) {
+            add(additionalFee.amount, additionalFee.currency || currency);
+          }
+        });
+      }
     }
-    
-    return total;
+
+    return Array.from(totals, ([currency, amount]) => ({ amount: Math.round(amount * 100) / 100, currency }))
+      .sort((a, b) => b.amount - a.amount);
+  }
+
+  /**
+   * Total fee for the checklist
+   * VisaType fees go through the fee calculator so they are converted into one
+   * currency; without an exchange rate (or for the checklist fee shape) the
+   * totals stay per currency.
+   */
+  async estimateTotalFee(visaType, personalizationData, { currency, years } = {}) {
+    if (!visaType.fees || !visaType.fees.visaFee) {
+      return this.calculateTotalFee(visaType.fees, personalizationData);
+    }
+
+    try {
+      const estimate = await feeCalculatorService.calculateFees(visaType, {
+        currency,
+        years,
+        dependants: personalizationData.hasDependent ? 1 : 0
+      });
+      return [estimate.total];
+    } catch (error) {
+      if (!error.isMissingRate) throw error;
+      logger.warn('Checklist fee total left unconverted', { currencies: error.currencies });
+      return this.calculateTotalFee(visaType.fees, personalizationData);
+    }
+  }
+
+  /**
+   * Format fee totals for display, e.g. "524.00 GBP + 1,500.00 INR"
+   */
+  formatFeeTotals(totals) {
+    if (!totals || totals.length === 0) return 'N/A';
+
+    return totals
+      .map(({ amount, currency }) => `${amount.toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency}`)
+      .join(' + ');
+  }
+
+  /**
+   * Summarise imported bank statements for the journey report
+   */
+  processBankStatements(statements) {
+    const formatDate = date => (date ? new Date(date).toLocaleDateString('en-GB') : 'N/A');
+
+    return statements.map(statement => {
+      const fundsCheck = statement.fundsCheck || {};
+      const required = fundsCheck.required;
+
+      return {
+        title: escapeHtml([statement.bankName, statement.accountNumber && `ending ${statement.accountNumber}`, statement.fileName]
+          .filter(Boolean)
+          .join(' | ')),
+        period: `${formatDate(statement.period && statement.period.from)} to ${formatDate(statement.period && statement.period.to)}`,
+        currency: statement.currency,
+        required: required ? this.formatFeeTotals([{ amount: required.total, currency: required.currency }]) : null,
+        passed: !!fundsCheck.passed,
+        rules: fundsCheck.rules || [],
+        findings: statement.findings || []
+      };
+    });
   }
 
   /**
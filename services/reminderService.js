@@ -0,0 +1,320 @@
+const os = require('os');
+const Journey = require('../models/Journey');
+const User = require('../models/User');
+const VisaType = require('../models/VisaType');
+const SchedulerLock = require('../models/SchedulerLock');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const logger = require('../utils/logger');
+
+/**
+ * Reminder Service - Sends periodic journey reminders
+ *
+ * State lives in Journey.notifications, so reminders survive restarts.
+ * Each run holds a SchedulerLock lease and every journey is claimed by
+ * atomically advancing nextReminderDue before sending, so running several
+ * instances never sends the same reminder twice.
+ */
+
+const LOCK_NAME = 'journey-reminders';
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const FREQUENCY_DAYS = {
+  daily: 1,
+  weekly: 7,
+  biweekly: 14
+};
+
+const getIntervalMs = () => parseInt(process.env.REMINDER_INTERVAL_MS) || 5 * 60 * 1000;
+const getBatchSize = () => parseInt(process.env.REMINDER_BATCH_SIZE) || 100;
+const getReminderHour = () => {
+  const hour = parseInt(process.env.REMINDER_HOUR);
+  return hour >= 0 && hour <= 23 ? hour : 9;
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * Offset in milliseconds between a time zone's wall clock and UTC at a given instant
+ */
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+
+  const value = type => Number(parts.find(part => part.type === type).value);
+  const wallClock = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Next reminder time: `frequency` days after `from`, at REMINDER_HOUR in the user's time zone
+ */
+const computeNextReminderDue = (from, frequency = 'weekly', timeZone = 'UTC') => {
+  let zone = timeZone;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch (error) {
+    zone = 'UTC';
+  }
+
+  // Local calendar date of `from`, moved forward by the frequency
+  const local = new Date(from.getTime() + getTimeZoneOffset(from.getTime(), zone));
+  const target = Date.UTC(
+    local.getUTCFullYear(),
+    local.getUTCMonth(),
+    local.getUTCDate() + (FREQUENCY_DAYS[frequency] || FREQUENCY_DAYS.weekly),
+    getReminderHour()
+  );
+
+  // Convert local wall-clock time to UTC (second pass handles DST changes)
+  let utc = target - getTimeZoneOffset(target, zone);
+  utc = target - getTimeZoneOffset(utc, zone);
+
+  return new Date(utc);
+};
+
+/**
+ * Outstanding steps and checklist items of a journey
+ */
+const buildReminder = (journey, visaType) => {
+  if (visaType) {
+    const responses = journey.personalizationData.toObject();
+    const itemId = item => item.key || item._id.toString();
+
+    return {
+      steps: visaType.getPersonalizedSteps(responses)
+        .filter(step => journey.stepCompletion.get(itemId(step)) !== true)
+        .map(step => ({ id: itemId(step), title: step.title })),
+      checklist: visaType.getConditionalDocuments(responses)
+        .filter(doc => journey.checklist.get(itemId(doc)) !== true)
+        .map(doc => ({ id: itemId(doc), title: doc.name }))
+    };
+  }
+
+  // Unlinked journeys only know the IDs the client has sent
+  const pending = map => Array.from(map.entries())
+    .filter(([, done]) => !done)
+    .map(([id]) => ({ id, title: id.replace(/[-_]/g, ' ') }));
+
+  return {
+    steps: pending(journey.stepCompletion),
+    checklist: pending(journey.checklist)
+  };
+};
+
+/**
+ * Short SMS version of a reminder
+ */
+const buildSmsMessage = (journey, reminder) => {
+  const next = reminder.steps[0] || reminder.checklist[0];
+  const outstanding = reminder.steps.length + reminder.checklist.length;
+
+  return `VisaMap: your ${journey.originCountry}-${journey.destinationCountry} visa journey is ` +
+    `${journey.progressMetrics.completionPercentage}% complete with ${outstanding} item(s) outstanding. ` +
+    `Next up: ${next.title}.`;
+};
+
+/**
+ * Send a reminder over the channels allowed by the journey and user preferences
+ */
+const sendReminder = async (journey, user, reminder) => {
+  const channels = [];
+  const prefs = (user.preferences && user.preferences.notifications) || {};
+
+  if (journey.notifications.emailReminders && prefs.email !== false) {
+    await emailService.sendJourneyReminder(user, journey, reminder);
+    channels.push('email');
+  }
+
+  if (journey.notifications.smsReminders && prefs.sms && user.mobile && user.isMobileVerified) {
+    await smsService.sendMessage(`${user.dialingCode}${user.mobile}`, buildSmsMessage(journey, reminder));
+    channels.push('sms');
+  }
+
+  return channels;
+};
+
+/**
+ * Atomically move a journey's nextReminderDue forward
+ * Returns false when another instance already claimed it.
+ */
+const claimJourney = async (journey, nextDue) => {
+  const result = await Journey.updateOne(
+    {
+      _id: journey._id,
+      'notifications.nextReminderDue': journey.notifications.nextReminderDue || null
+    },
+    { $set: { 'notifications.nextReminderDue': nextDue } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Give journeys with reminders enabled but no due date their first nextReminderDue
+ */
+const scheduleUnscheduledJourneys = async (now) => {
+  const journeys = await Journey.find({
+    status: { $in: ['started', 'in_progress', 'under_review'] },
+    'notifications.nextReminderDue': null,
+    $or: [
+      { 'notifications.emailReminders': true },
+      { 'notifications.smsReminders': true }
+    ]
+  }).limit(getBatchSize()).select('userId notifications');
+
+  const users = await User.find({ _id: { $in: journeys.map(journey => journey.userId) } })
+    .select('preferences.timezone');
+  const timeZones = new Map(users.map(user => [user._id.toString(), user.preferences.timezone]));
+
+  for (const journey of journeys) {
+    const nextDue = computeNextReminderDue(
+      now,
+      journey.notifications.reminderFrequency,
+      timeZones.get(journey.userId.toString())
+    );
+    await claimJourney(journey, nextDue);
+  }
+
+  return journeys.length;
+};
+
+/**
+ * Find due journeys and send their reminders
+ */
+const processDueReminders = async (now = new Date()) => {
+  const summary = { scheduled: 0, due: 0, sent: 0, skipped: 0, failed: 0 };
+
+  summary.scheduled = await scheduleUnscheduledJourneys(now);
+
+  const journeys = await Journey.find({
+    status: { $in: ['started', 'in_progress', 'under_review'] },
+    'notifications.nextReminderDue': { $lte: now },
+    $or: [
+      { 'notifications.emailReminders': true },
+      { 'notifications.smsReminders': true }
+    ]
+  }).sort({ 'notifications.nextReminderDue': 1 }).limit(getBatchSize());
+
+  summary.due = journeys.length;
+
+  const users = await User.find({ _id: { $in: journeys.map(journey => journey.userId) } });
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const visaTypes = new Map();
+
+  for (const journey of journeys) {
+    const user = usersById.get(journey.userId.toString());
+    const timeZone = user ? user.preferences.timezone : 'UTC';
+    const nextDue = computeNextReminderDue(now, journey.notifications.reminderFrequency, timeZone);
+
+    if (!(await claimJourney(journey, nextDue))) {
+      continue; // Claimed by another instance
+    }
+
+    if (!user || user.status !== 'active') {
+      summary.skipped += 1;
+      continue;
+    }
+
+    try {
+      const visaTypeKey = journey.visaTypeId && journey.visaTypeId.toString();
+      if (visaTypeKey && !visaTypes.has(visaTypeKey)) {
+        visaTypes.set(visaTypeKey, await VisaType.findById(journey.visaTypeId));
+      }
+
+      const reminder = buildReminder(journey, visaTypeKey && visaTypes.get(visaTypeKey));
+      if (reminder.steps.length === 0 && reminder.checklist.length === 0) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      const channels = await sendReminder(journey, user, reminder);
+      if (channels.length === 0) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      await Journey.updateOne(
+        { _id: journey._id },
+        { $set: { 'notifications.lastReminderSent': now } }
+      );
+
+      summary.sent += 1;
+      logger.info('Journey reminder sent', { journeyId: journey._id, channels, nextReminderDue: nextDue });
+    } catch (error) {
+      summary.failed += 1;
+      logger.error(`Journey reminder failed for ${journey._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Run one scheduler tick if this instance can take the lease
+ */
+const runOnce = async () => {
+  if (running) return null;
+  running = true;
+
+  try {
+    const acquired = await SchedulerLock.acquire(LOCK_NAME, INSTANCE_ID, getIntervalMs() * 2);
+    if (!acquired) return null;
+
+    try {
+      const summary = await processDueReminders();
+      if (summary.due > 0 || summary.scheduled > 0) {
+        logger.info('Reminder run completed', summary);
+      }
+      return summary;
+    } finally {
+      await SchedulerLock.release(LOCK_NAME, INSTANCE_ID);
+    }
+  } catch (error) {
+    logger.error('Reminder run failed:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the in-process scheduler (disable with REMINDER_SCHEDULER_ENABLED=false)
+ */
+const start = () => {
+  if (timer || process.env.REMINDER_SCHEDULER_ENABLED === 'false') {
+    return;
+  }
+
+  timer = setInterval(runOnce, getIntervalMs());
+  timer.unref();
+  logger.info(`Reminder scheduler started (every ${Math.round(getIntervalMs() / 1000)}s)`);
+};
+
+/**
+ * Stop the scheduler
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  computeNextReminderDue,
+  buildReminder,
+  processDueReminders,
+  runOnce,
+  start,
+  stop
+};
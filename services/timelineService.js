@@ -0,0 +1,223 @@
+const { parseDate, startOfDay } = require('../utils/dates');
+
+/**
+ * Timeline Service - Plans recommended dates for a journey
+ *
+ * Works from the course start date, the CAS date and the VisaType's
+ * processing time and planning rules. All dates are calculated in UTC
+ * at day precision.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const UNIT_DAYS = {
+  day: 1,
+  days: 1,
+  week: 7,
+  weeks: 7,
+  month: 30,
+  months: 30
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+};
+
+const minDate = (...dates) => new Date(Math.min(...dates.filter(Boolean).map(date => date.getTime())));
+const maxDate = (...dates) => new Date(Math.max(...dates.filter(Boolean).map(date => date.getTime())));
+
+/**
+ * Convert VisaType.processingTime.max into days
+ */
+const processingDays = (processingTime) => {
+  if (!processingTime) return 0;
+  return processingTime.max * (UNIT_DAYS[processingTime.unit] || 1);
+};
+
+/**
+ * Upper bound in days of an estimatedTime string such as "1-4 weeks" or "20 working days"
+ * Durations under a day (hours, minutes) count as zero.
+ */
+const parseEstimatedDays = (estimatedTime) => {
+  const match = /(\d+)(?:\s*-\s*(\d+))?\s*(working\s+)?(day|week|month)s?/i.exec(estimatedTime || '');
+  if (!match) return 0;
+
+  const [, low, high, working, unit] = match;
+  const amount = Number(high || low);
+  const days = amount * UNIT_DAYS[unit.toLowerCase()];
+  return working ? Math.ceil(days * 7 / 5) : days;
+};
+
+/**
+ * Compute the key application dates
+ */
+const computeKeyDates = ({ courseStartDate, casDate, visaType, today }) => {
+  const rules = visaType.planning;
+  const warnings = [];
+
+  let earliestApplyDate = addMonths(courseStartDate, -rules.earliestApplicationMonths);
+  if (casDate) {
+    // An application can only be made once the CAS has been issued
+    earliestApplyDate = maxDate(earliestApplyDate, casDate);
+  } else {
+    warnings.push('No CAS date yet: the earliest apply date assumes the CAS arrives in time');
+  }
+
+  let latestSafeSubmissionDate = addDays(
+    courseStartDate,
+    -(processingDays(visaType.processingTime) + rules.submissionBufferDays)
+  );
+  if (casDate) {
+    latestSafeSubmissionDate = minDate(latestSafeSubmissionDate, addMonths(casDate, rules.casValidityMonths));
+  }
+
+  if (latestSafeSubmissionDate < earliestApplyDate) {
+    warnings.push('The latest safe submission date is before the earliest apply date; apply as soon as possible');
+  }
+  if (latestSafeSubmissionDate < today) {
+    warnings.push('The latest safe submission date has passed');
+  }
+
+  // Aim for the earliest date that is not in the past
+  const recommendedApplyDate = maxDate(earliestApplyDate, today);
+  const estimatedDecisionDate = addDays(recommendedApplyDate, processingDays(visaType.processingTime));
+
+  if (estimatedDecisionDate > courseStartDate) {
+    warnings.push('The estimated decision date is after the course start date');
+  }
+
+  return {
+    earliestApplyDate,
+    latestSafeSubmissionDate,
+    recommendedApplyDate,
+    estimatedDecisionDate,
+    fundsWindow: {
+      // Funds must be held for fundsHoldingDays, ending no more than fundsStatementMaxAgeDays before applying
+      holdFrom: addDays(recommendedApplyDate, -rules.fundsHoldingDays),
+      holdUntil: recommendedApplyDate,
+      statementEndNotBefore: addDays(recommendedApplyDate, -rules.fundsStatementMaxAgeDays)
+    },
+    warnings
+  };
+};
+
+/**
+ * Compute the TB test window so the certificate is valid on the application date
+ */
+const computeTBTestWindow = ({ recommendedApplyDate, visaType }) => {
+  const validityMonths = visaType.planning.tbTestValidityMonths;
+  const latestTestDate = addDays(recommendedApplyDate, -7); // allow time for results
+  const earliestTestDate = addMonths(recommendedApplyDate, -validityMonths);
+
+  return {
+    earliestTestDate,
+    latestTestDate,
+    validUntil: addMonths(latestTestDate, validityMonths)
+  };
+};
+
+/**
+ * Recommended start and due dates for each personalized step
+ */
+const planSteps = ({ steps, keyDates, tbTest, casDate }) => {
+  const submissionStep = steps.find(step => step.milestone === 'submission');
+  const submissionNumber = submissionStep ? submissionStep.stepNumber : Infinity;
+  const { recommendedApplyDate, estimatedDecisionDate, fundsWindow } = keyDates;
+
+  let cursor = recommendedApplyDate;
+
+  return steps.map(step => {
+    const durationDays = parseEstimatedDays(step.estimatedTime);
+    let dueBy;
+    let startBy;
+
+    switch (step.milestone) {
+      case 'cas':
+        dueBy = casDate || keyDates.earliestApplyDate;
+        break;
+      case 'tb_test':
+        startBy = tbTest && tbTest.earliestTestDate;
+        dueBy = tbTest ? tbTest.latestTestDate : recommendedApplyDate;
+        break;
+      case 'funds':
+        startBy = fundsWindow.holdFrom;
+        dueBy = recommendedApplyDate;
+        break;
+      case 'submission':
+        startBy = keyDates.earliestApplyDate;
+        dueBy = recommendedApplyDate;
+        break;
+      case 'decision':
+        startBy = recommendedApplyDate;
+        dueBy = estimatedDecisionDate;
+        cursor = estimatedDecisionDate;
+        break;
+      default:
+        if (step.stepNumber < submissionNumber) {
+          dueBy = recommendedApplyDate;
+        } else {
+          // Steps after submission follow one another
+          startBy = cursor;
+          dueBy = addDays(cursor, durationDays);
+          cursor = dueBy;
+        }
+    }
+
+    return {
+      stepId: step.key || step._id.toString(),
+      stepNumber: step.stepNumber,
+      title: step.title,
+      milestone: step.milestone,
+      startBy: startBy || addDays(dueBy, -durationDays),
+      dueBy
+    };
+  });
+};
+
+/**
+ * Build the full timeline plan for a journey
+ */
+const planJourney = (journey, visaType, { today = new Date() } = {}) => {
+  const personalization = journey.personalizationData.toObject
+    ? journey.personalizationData.toObject()
+    : journey.personalizationData;
+
+  const courseStartDate = parseDate(personalization.courseStartDate);
+  if (!courseStartDate) {
+    return null;
+  }
+
+  const casDate = parseDate(personalization.casDate);
+  const keyDates = computeKeyDates({ courseStartDate, casDate, visaType, today: startOfDay(today) });
+  const tbTest = personalization.requiresTBTest
+    ? computeTBTestWindow({ recommendedApplyDate: keyDates.recommendedApplyDate, visaType })
+    : null;
+
+  const steps = planSteps({
+    steps: visaType.getPersonalizedSteps(personalization),
+    keyDates,
+    tbTest,
+    casDate
+  });
+
+  const { warnings, ...dates } = keyDates;
+
+  return {
+    courseStartDate,
+    casDate,
+    processingTime: visaType.processingTime,
+    ...dates,
+    tbTest,
+    steps,
+    warnings
+  };
+};
+
+module.exports = {
+  parseEstimatedDays,
+  planJourney
+};
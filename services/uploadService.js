@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const logger = require('../utils/logger');
+
+/**
+ * Upload Service - Storage adapters for uploaded documents
+ *
+ * Every adapter implements the same interface:
+ *   save(buffer, { folder, filename, mimeType }) -> { key, url }
+ *   getStream(key) -> Readable
+ *   remove(key) -> void
+ *
+ * The active adapter is chosen with UPLOAD_STORAGE (default: local).
+ */
+
+const UPLOADS_DIR = path.resolve(process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'));
+
+/**
+ * Local disk adapter - stores files under uploads/
+ */
+const localAdapter = {
+  name: 'local',
+
+  async save(buffer, { folder, filename }) {
+    const key = path.posix.join(folder, filename);
+    const filePath = localAdapter.resolvePath(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+
+    return { key, url: null };
+  },
+
+  async getStream(key) {
+    const filePath = localAdapter.resolvePath(key);
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath);
+  },
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(localAdapter.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  },
+
+  // Keep keys inside the uploads directory
+  resolvePath(key) {
+    const filePath = path.resolve(UPLOADS_DIR, key);
+    if (!filePath.startsWith(UPLOADS_DIR + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+};
+
+/**
+ * Cloudinary adapter - stores files as private raw assets
+ */
+const cloudinaryAdapter = {
+  name: 'cloudinary',
+
+  async save(buffer, { folder, filename }) {
+    const { cloudinary } = require('../config/cloudinary');
+    const publicId = filename.replace(/\.[^.]+$/, '');
+
+    const result = await new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          folder: `visamap/${folder}`,
+          public_id: publicId,
+          resource_type: 'raw',
+          type: 'authenticated',
+          overwrite: false
+        },
+        (error, uploadResult) => (error ? reject(error) : resolve(uploadResult))
+      );
+      Readable.from(buffer).pipe(uploadStream);
+    });
+
+    return { key: result.public_id, url: result.secure_url };
+  },
+
+  async getStream(key) {
+    const { cloudinary } = require('../config/cloudinary');
+    const signedUrl = cloudinary.url(key, {
+      resource_type: 'raw',
+      type: 'authenticated',
+      sign_url: true,
+      secure: true
+    });
+
+    return new Promise((resolve, reject) => {
+      https.get(signedUrl, (response) => {
+        if (response.statusCode !== 200) {
+          response.resume();
+          return reject(new Error(`Cloudinary download failed with status ${response.statusCode}`));
+        }
+        resolve(response);
+      }).on('error', reject);
+    });
+  },
+
+  async remove(key) {
+    const { cloudinary } = require('../config/cloudinary');
+    await cloudinary.uploader.destroy(key, { resource_type: 'raw', type: 'authenticated' });
+  }
+};
+
+const adapters = new Map([
+  [localAdapter.name, localAdapter],
+  [cloudinaryAdapter.name, cloudinaryAdapter]
+]);
+
+/**
+ * Register a custom storage adapter (e.g. S3)
+ */
+const registerAdapter = (adapter) => {
+  ['name', 'save', 'getStream', 'remove'].forEach(member => {
+    if (!adapter[member]) {
+      throw new Error(`Storage adapter is missing "${member}"`);
+    }
+  });
+  adapters.set(adapter.name, adapter);
+};
+
+/**
+ * Get a storage adapter by name, defaulting to UPLOAD_STORAGE
+ */
+const getAdapter = (name = process.env.UPLOAD_STORAGE || 'local') => {
+  const adapter = adapters.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown storage adapter: ${name}`);
+  }
+  if (name === 'cloudinary' && !require('../config/cloudinary').isConfigured()) {
+    throw new Error('Cloudinary storage selected but CLOUDINARY_* credentials are missing');
+  }
+  return adapter;
+};
+
+/**
+ * Compute SHA-256 checksum of a buffer
+ */
+const computeChecksum = (buffer) => {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+};
+
+/**
+ * Store an uploaded file (from multer memory storage)
+ */
+const storeFile = async (file, { folder }) => {
+  const adapter = getAdapter();
+  const extension = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const filename = `${crypto.randomUUID()}${extension}`;
+  const checksum = computeChecksum(file.buffer);
+
+  const { key, url } = await adapter.save(file.buffer, {
+    folder,
+    filename,
+    mimeType: file.mimetype
+  });
+
+  logger.info('File stored', { adapter: adapter.name, key, size: file.size });
+
+  return {
+    checksum,
+    storage: {
+      adapter: adapter.name,
+      key,
+      url
+    }
+  };
+};
+
+/**
+ * Open a read stream for a stored file
+ */
+const getFileStream = (storage) => {
+  return getAdapter(storage.adapter).getStream(storage.key);
+};
+
+/**
+ * Remove a stored file
+ */
+const removeFile = async (storage) => {
+  await getAdapter(storage.adapter).remove(storage.key);
+  logger.info('File removed', { adapter: storage.adapter, key: storage.key });
+};
+
+module.exports = {
+  registerAdapter,
+  getAdapter,
+  computeChecksum,
+  storeFile,
+  getFileStream,
+  removeFile
+};
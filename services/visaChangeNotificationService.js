@@ -0,0 +1,313 @@
+const Journey = require('../models/Journey');
+const User = require('../models/User');
+const VisaType = require('../models/VisaType');
+const VisaTypeRevision = require('../models/VisaTypeRevision');
+const Notification = require('../models/Notification');
+const emailService = require('./emailService');
+const { diff } = require('../utils/diff');
+const logger = require('../utils/logger');
+
+/**
+ * Visa Change Notification Service - Tells users when the visa type behind
+ * an active journey changes
+ *
+ * A new revision is compared with the one before it. Fee changes concern
+ * everyone on the visa type; document and step changes only concern journeys
+ * whose personalized checklist or steps include them. Every active journey
+ * gets its requirement keys refreshed, and affected ones get an in-app
+ * notification and an email. Notifications are keyed by journey and
+ * revision, so processing a revision again does not notify anyone twice.
+ */
+
+const ACTIVE_STATUSES = ['started', 'in_progress', 'under_review'];
+const BATCH_SIZE = 100;
+
+// Revision change paths that can affect a journey
+const RELEVANT_PATHS = ['fees.', 'requirements.documents', 'applicationProcess.steps'];
+
+// Most change lines spelled out in a notification; the rest are counted
+const MAX_MESSAGE_LINES = 10;
+
+const itemKey = item => item.key || item._id.toString();
+
+const formatMoney = fee => `${fee.amount} ${fee.currency}`;
+
+/**
+ * Fee lines of a visa type by name
+ */
+const listFees = (fees = {}) => {
+  const lines = new Map();
+
+  if (fees.visaFee) {
+    lines.set('Visa fee', { amount: fees.visaFee.amount, currency: fees.visaFee.currency, isOptional: false });
+  }
+  (fees.additionalFees || []).forEach(fee => {
+    lines.set(fee.name, { amount: fee.amount, currency: fee.currency, isOptional: !!fee.isOptional });
+  });
+
+  return lines;
+};
+
+/**
+ * Fee lines added, removed or changed between two versions of a visa type
+ */
+const compareFees = (previous, current) => {
+  const before = listFees(previous.fees);
+  const after = listFees(current.fees);
+  const changes = [];
+
+  after.forEach((fee, name) => {
+    const old = before.get(name);
+    if (!old) {
+      changes.push({ name, change: 'added', to: fee });
+    } else if (old.amount !== fee.amount || old.currency !== fee.currency || old.isOptional !== fee.isOptional) {
+      changes.push({ name, change: 'changed', from: old, to: fee });
+    }
+  });
+  before.forEach((fee, name) => {
+    if (!after.has(name)) {
+      changes.push({ name, change: 'removed', from: fee });
+    }
+  });
+
+  return changes;
+};
+
+const describeDocument = doc => ({ key: itemKey(doc), name: doc.name, isRequired: !!doc.isRequired });
+const describeStep = step => ({ key: itemKey(step), title: step.title, stepNumber: step.stepNumber });
+
+/**
+ * Items added, removed or edited between two personalized lists
+ * Edited items list the top-level fields that changed.
+ */
+const compareItems = (previousItems, currentItems, describe) => {
+  const before = new Map(previousItems.map(item => [itemKey(item), item]));
+  const after = new Map(currentItems.map(item => [itemKey(item), item]));
+  const result = { added: [], removed: [], changed: [] };
+
+  after.forEach((item, key) => {
+    const old = before.get(key);
+    if (!old) {
+      result.added.push(describe(item));
+      return;
+    }
+
+    const fields = [...new Set(diff(old, item, { ignore: ['_id'] }).map(change => change.path.split(/[.[]/)[0]))];
+    if (fields.length > 0) {
+      result.changed.push({ ...describe(item), fields });
+    }
+  });
+  before.forEach((item, key) => {
+    if (!after.has(key)) {
+      result.removed.push(describe(item));
+    }
+  });
+
+  return result;
+};
+
+/**
+ * What changed for one journey, given its personalization answers
+ */
+const summarizeImpact = (journey, previous, current, feeChanges) => {
+  const responses = journey.personalizationData.toObject
+    ? journey.personalizationData.toObject()
+    : journey.personalizationData;
+
+  const previousDocuments = previous.getConditionalDocuments(responses);
+  const currentDocuments = current.getConditionalDocuments(responses);
+  const wasRequired = new Set(previousDocuments.filter(doc => doc.isRequired).map(itemKey));
+
+  const documents = compareItems(previousDocuments, currentDocuments, describeDocument);
+  documents.newlyRequired = currentDocuments
+    .filter(doc => doc.isRequired && !wasRequired.has(itemKey(doc)))
+    .map(describeDocument);
+
+  return {
+    fees: feeChanges,
+    documents,
+    steps: compareItems(previous.getPersonalizedSteps(responses), current.getPersonalizedSteps(responses), describeStep)
+  };
+};
+
+const hasChanges = impact => impact.fees.length > 0
+  || ['added', 'removed', 'changed'].some(change => impact.documents[change].length > 0 || impact.steps[change].length > 0);
+
+/**
+ * One readable line per change, most important first
+ */
+const describeImpact = (impact) => {
+  const lines = [];
+  const newlyRequired = new Set(impact.documents.newlyRequired.map(doc => doc.key));
+
+  impact.documents.newlyRequired.forEach(doc => lines.push(`New required document: ${doc.name}`));
+
+  impact.fees.forEach(fee => {
+    const optional = fee.to && fee.to.isOptional ? ' (optional)' : '';
+    if (fee.change === 'added') lines.push(`New fee: ${fee.name} ${formatMoney(fee.to)}${optional}`);
+    if (fee.change === 'changed') lines.push(`${fee.name}: ${formatMoney(fee.from)} → ${formatMoney(fee.to)}${optional}`);
+    if (fee.change === 'removed') lines.push(`Fee removed: ${fee.name}`);
+  });
+
+  impact.documents.added
+    .filter(doc => !newlyRequired.has(doc.key))
+    .forEach(doc => lines.push(`New optional document: ${doc.name}`));
+  impact.documents.changed
+    .filter(doc => !newlyRequired.has(doc.key))
+    .forEach(doc => lines.push(`Updated document requirements: ${doc.name}`));
+  impact.documents.removed.forEach(doc => lines.push(`Document no longer needed: ${doc.name}`));
+
+  impact.steps.added.forEach(step => lines.push(`New step: ${step.title}`));
+  impact.steps.changed.forEach(step => lines.push(`Updated step: ${step.title}`));
+  impact.steps.removed.forEach(step => lines.push(`Step removed: ${step.title}`));
+
+  return lines;
+};
+
+const buildMessage = (lines) => {
+  const shown = lines.slice(0, MAX_MESSAGE_LINES);
+  if (lines.length > MAX_MESSAGE_LINES) {
+    shown.push(`and ${lines.length - MAX_MESSAGE_LINES} more change(s)`);
+  }
+  return shown.join('\n');
+};
+
+/**
+ * Re-derive a journey's requirement keys from the current visa type
+ * Written directly so the refresh does not count as user activity.
+ */
+const refreshJourney = async (journey, visaType) => {
+  journey.applyVisaType(visaType);
+  const { requirementKeys, progressMetrics } = journey.toObject();
+
+  await Journey.updateOne(
+    { _id: journey._id },
+    { $set: { visaType: journey.visaType, requirementKeys, progressMetrics } }
+  );
+};
+
+/**
+ * Create the in-app notification and email the user
+ * Returns false when the journey was already notified about this revision.
+ */
+const notifyJourney = async ({ journey, user, visaType, revision, impact }) => {
+  const lines = describeImpact(impact);
+  let notification;
+
+  try {
+    notification = await Notification.create({
+      userId: journey.userId,
+      type: 'visa_requirements_changed',
+      title: `Changes to the ${visaType.name} requirements`,
+      message: buildMessage(lines),
+      data: {
+        journeyId: journey._id,
+        visaTypeId: visaType._id,
+        revision,
+        hasNewRequiredDocuments: impact.documents.newlyRequired.length > 0,
+        ...impact
+      },
+      dedupeKey: `visa-change:${visaType._id}:${revision}:${journey._id}`
+    });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  const prefs = (user && user.preferences && user.preferences.notifications) || {};
+  if (user && user.status === 'active' && prefs.email !== false) {
+    try {
+      await emailService.sendVisaRequirementsChanged(user, journey, visaType, lines);
+    } catch (error) {
+      // The in-app notification still stands
+      logger.error(`Visa change email failed for journey ${journey._id}:`, error);
+    }
+  }
+
+  logger.info('Visa change notification created', {
+    notificationId: notification._id,
+    journeyId: journey._id,
+    revision
+  });
+  return true;
+};
+
+/**
+ * Refresh and notify every active journey affected by a visa type revision
+ */
+const notifyRevision = async (visaTypeId, revisionNumber) => {
+  const summary = { journeys: 0, notified: 0, skipped: 0, failed: 0 };
+
+  const [visaType, current, previous] = await Promise.all([
+    VisaType.findById(visaTypeId),
+    VisaTypeRevision.findRevision(visaTypeId, revisionNumber),
+    VisaTypeRevision.findRevision(visaTypeId, revisionNumber - 1)
+  ]);
+
+  // Nothing to compare against, or nothing a journey depends on changed
+  if (!visaType || !current || !previous) return summary;
+  if (!current.changes.some(change => RELEVANT_PATHS.some(path => change.path.startsWith(path)))) return summary;
+
+  const previousVisaType = new VisaType(previous.snapshot);
+  const currentVisaType = new VisaType(current.snapshot);
+  const feeChanges = compareFees(previousVisaType, currentVisaType);
+
+  let lastId = null;
+  for (;;) {
+    const filter = { visaTypeId, status: { $in: ACTIVE_STATUSES } };
+    if (lastId) filter._id = { $gt: lastId };
+
+    const journeys = await Journey.find(filter).sort({ _id: 1 }).limit(BATCH_SIZE);
+    if (journeys.length === 0) break;
+    lastId = journeys[journeys.length - 1]._id;
+
+    const users = await User.find({ _id: { $in: journeys.map(journey => journey.userId) } });
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    for (const journey of journeys) {
+      summary.journeys += 1;
+
+      try {
+        const impact = summarizeImpact(journey, previousVisaType, currentVisaType, feeChanges);
+        await refreshJourney(journey, visaType);
+
+        if (!hasChanges(impact)) {
+          summary.skipped += 1;
+          continue;
+        }
+
+        const notified = await notifyJourney({
+          journey,
+          user: usersById.get(journey.userId.toString()),
+          visaType,
+          revision: revisionNumber,
+          impact
+        });
+        summary[notified ? 'notified' : 'skipped'] += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.error(`Visa change notification failed for journey ${journey._id}:`, error);
+      }
+    }
+  }
+
+  logger.info('Visa change notifications processed', { visaTypeId, revision: revisionNumber, ...summary });
+  return summary;
+};
+
+/**
+ * Process a revision without holding up the request that published it
+ */
+const notifyRevisionInBackground = (visaTypeId, revisionNumber) => {
+  notifyRevision(visaTypeId, revisionNumber).catch(error => {
+    logger.error(`Visa change notifications failed for ${visaTypeId} revision ${revisionNumber}:`, error);
+  });
+};
+
+module.exports = {
+  compareFees,
+  summarizeImpact,
+  describeImpact,
+  notifyRevision,
+  notifyRevisionInBackground
+};
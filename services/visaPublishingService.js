@@ -0,0 +1,234 @@
+const os = require('os');
+const VisaType = require('../models/VisaType');
+const VisaTypeDraft = require('../models/VisaTypeDraft');
+const Country = require('../models/Country');
+const SchedulerLock = require('../models/SchedulerLock');
+const visaRevisionService = require('./visaRevisionService');
+const visaChangeNotificationService = require('./visaChangeNotificationService');
+const logger = require('../utils/logger');
+
+/**
+ * Visa Publishing Service - Builds, validates and publishes visa type drafts
+ *
+ * Publishing is the only way visa type content changes. Drafts with a
+ * future publishAt are published by an in-process scheduler that holds a
+ * SchedulerLock lease; each draft is claimed atomically (scheduled ->
+ * publishing) so it is never published twice.
+ */
+
+const LOCK_NAME = 'visa-type-publishing';
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Fields editors may not set through a draft
+const PROTECTED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'revision'];
+
+const getIntervalMs = () => parseInt(process.env.VISA_PUBLISH_INTERVAL_MS) || 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Apply `changes` (VisaType shape) to a visa type document or draft content
+ * and return the resulting content. Nested objects replace the stored
+ * value, as with a PUT. The document is not saved.
+ */
+const buildContent = (base, changes = {}) => {
+  const visaType = base instanceof VisaType ? base : new VisaType(base || {});
+  const editable = { ...changes };
+  PROTECTED_FIELDS.forEach(field => delete editable[field]);
+
+  visaType.set(editable);
+  return visaRevisionService.takeSnapshot(visaType);
+};
+
+/**
+ * Check that content is a complete, valid visa type on a supported route
+ * Returns a list of { field, message } problems (empty when valid).
+ */
+const validateContent = async (content) => {
+  const problems = [];
+
+  try {
+    await new VisaType(content).validate();
+  } catch (error) {
+    if (error.errors) {
+      problems.push(...Object.entries(error.errors).map(([field, fieldError]) => ({ field, message: fieldError.message })));
+    } else {
+      problems.push({ field: 'content', message: error.message });
+    }
+  }
+
+  const [originCountry, destinationCountry] = await Promise.all([
+    Country.findOne({ code: content.originCountry, isOriginCountry: true, status: 'active' }),
+    Country.findOne({ code: content.destinationCountry, isDestinationCountry: true, status: 'active' })
+  ]);
+
+  if (!originCountry) problems.push({ field: 'originCountry', message: 'Invalid or unsupported origin country' });
+  if (!destinationCountry) problems.push({ field: 'destinationCountry', message: 'Invalid or unsupported destination country' });
+
+  return problems;
+};
+
+const conflictError = (message) => {
+  const error = new Error(message);
+  error.isConflict = true;
+  return error;
+};
+
+/**
+ * Publish a draft that has been claimed (status "publishing")
+ * Creates or updates the VisaType with a new revision and returns it.
+ */
+const publishDraft = async (draft) => {
+  const problems = await validateContent(draft.content);
+  if (problems.length > 0) {
+    throw new Error(`Draft is not a valid visa type: ${problems.map(problem => problem.message).join('; ')}`);
+  }
+
+  let visaType;
+  let previousSnapshot;
+
+  if (draft.visaTypeId) {
+    visaType = await VisaType.findById(draft.visaTypeId);
+    if (!visaType) {
+      throw new Error('The visa type this draft changes no longer exists');
+    }
+
+    // Publishing would silently undo changes made since the draft was started
+    if (visaType.revision !== draft.baseRevision) {
+      throw conflictError(`The visa type was changed after this draft was started (now revision ${visaType.revision}, draft based on ${draft.baseRevision}). Start a new draft from the current version`);
+    }
+
+    previousSnapshot = visaRevisionService.takeSnapshot(visaType);
+    visaRevisionService.restoreSnapshot(visaType, draft.content);
+  } else {
+    visaType = new VisaType(draft.content);
+  }
+
+  await visaRevisionService.saveWithRevision(visaType, {
+    action: draft.visaTypeId ? 'update' : 'create',
+    author: draft.author ? draft.author.toObject() : undefined,
+    approvedBy: draft.review && draft.review.reviewer ? draft.review.reviewer.toObject() : undefined,
+    reason: draft.reason,
+    draftId: draft._id,
+    previousSnapshot
+  });
+
+  draft.visaTypeId = visaType._id;
+  draft.status = 'published';
+  draft.publishedAt = new Date();
+  draft.publishedRevision = visaType.revision;
+  draft.publishError = undefined;
+  draft.addHistory('published');
+  await draft.save();
+
+  logger.info('Visa type draft published', {
+    draftId: draft._id,
+    visaTypeId: visaType._id,
+    revision: visaType.revision
+  });
+
+  // Only changes to an existing visa type can affect journeys
+  if (previousSnapshot) {
+    visaChangeNotificationService.notifyRevisionInBackground(visaType._id, visaType.revision);
+  }
+
+  return visaType;
+};
+
+/**
+ * Return a draft whose publish failed to editing, keeping the reason
+ */
+const markPublishFailed = async (draft, error) => {
+  draft.status = 'draft';
+  draft.publishError = error.message;
+  draft.addHistory('publish_failed', undefined, error.message);
+  await draft.save();
+};
+
+/**
+ * Publish every scheduled draft that is due
+ */
+const publishDueDrafts = async (now = new Date()) => {
+  const summary = { due: 0, published: 0, failed: 0 };
+  const drafts = await VisaTypeDraft.findDue(now);
+
+  for (const due of drafts) {
+    const draft = await VisaTypeDraft.claimForPublishing(due._id, now);
+    if (!draft) continue;
+
+    summary.due++;
+    try {
+      await publishDraft(draft);
+      summary.published++;
+    } catch (error) {
+      summary.failed++;
+      logger.error(`Scheduled publish failed for visa type draft ${draft._id}:`, error);
+      await markPublishFailed(draft, error);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Run one scheduler tick if this instance can take the lease
+ */
+const runOnce = async () => {
+  if (running) return null;
+  running = true;
+
+  try {
+    const acquired = await SchedulerLock.acquire(LOCK_NAME, INSTANCE_ID, getIntervalMs() * 2);
+    if (!acquired) return null;
+
+    try {
+      const summary = await publishDueDrafts();
+      if (summary.due > 0) {
+        logger.info('Visa publishing run completed', summary);
+      }
+      return summary;
+    } finally {
+      await SchedulerLock.release(LOCK_NAME, INSTANCE_ID);
+    }
+  } catch (error) {
+    logger.error('Visa publishing run failed:', error);
+    return null;
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the in-process scheduler (disable with VISA_PUBLISH_SCHEDULER_ENABLED=false)
+ */
+const start = () => {
+  if (timer || process.env.VISA_PUBLISH_SCHEDULER_ENABLED === 'false') {
+    return;
+  }
+
+  timer = setInterval(runOnce, getIntervalMs());
+  timer.unref();
+  logger.info(`Visa publishing scheduler started (every ${Math.round(getIntervalMs() / 1000)}s)`);
+};
+
+/**
+ * Stop the scheduler
+ */
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  buildContent,
+  validateContent,
+  publishDraft,
+  markPublishFailed,
+  publishDueDrafts,
+  runOnce,
+  start,
+  stop
+};
@@ -0,0 +1,140 @@
+const VisaTypeRevision = require('../models/VisaTypeRevision');
+const { diff } = require('../utils/diff');
+
+// Fields maintained by the system rather than by content editors
+const SYSTEM_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'revision'];
+
+// Touched on every save, so never reported as a change
+const IGNORED_PATHS = ['metadata.lastUpdated'];
+
+/**
+ * Copy the editable content of a visa type
+ */
+const takeSnapshot = (visaType) => {
+  const snapshot = visaType.toObject({ virtuals: false, depopulate: true, versionKey: false });
+  SYSTEM_FIELDS.forEach(field => delete snapshot[field]);
+  return snapshot;
+};
+
+/**
+ * Author details stored on revisions and drafts
+ */
+const toAuthor = (user) => (user ? { userId: user._id, email: user.email, name: user.fullName } : undefined);
+
+/**
+ * Field-level changes between two snapshots (either may be null)
+ */
+const diffSnapshots = (from, to) => diff(from, to, { ignore: IGNORED_PATHS });
+
+/**
+ * Record the current (unsaved) state of `visaType` as its next revision
+ * and set visaType.revision; the caller saves the visa type afterwards.
+ * Pass previousSnapshot so visa types that predate revision history get
+ * their prior content recorded as a baseline first.
+ *
+ * Throws a duplicate key error (code 11000) if another edit claimed the
+ * revision number first.
+ */
+const recordRevision = async (visaType, { action, author, reason, previousSnapshot, rolledBackTo, approvedBy, draftId }) => {
+  let latest = await VisaTypeRevision.findLatest(visaType._id);
+
+  if (!latest && previousSnapshot) {
+    latest = await VisaTypeRevision.create({
+      visaTypeId: visaType._id,
+      revision: 1,
+      action: 'baseline',
+      reason: 'Content before revision history was recorded',
+      snapshot: previousSnapshot,
+      changes: []
+    });
+  }
+
+  const snapshot = takeSnapshot(visaType);
+  const revision = await VisaTypeRevision.create({
+    visaTypeId: visaType._id,
+    revision: latest ? latest.revision + 1 : 1,
+    action,
+    rolledBackTo,
+    reason,
+    author,
+    approvedBy,
+    draftId,
+    snapshot,
+    changes: diffSnapshots(latest ? latest.snapshot : null, snapshot)
+  });
+
+  visaType.revision = revision.revision;
+  return revision;
+};
+
+/**
+ * Validate a changed visa type, record it as a new revision, then save it
+ * New visa types are saved first so a duplicate code never leaves an orphaned revision;
+ * if saving a change fails, its revision is deleted again.
+ * The revision number is unique per visa type, so a concurrent edit fails with
+ * an error flagged isConflict.
+ */
+const saveWithRevision = async (visaType, details) => {
+  if (visaType.isNew) {
+    await visaType.save();
+  } else {
+    await visaType.validate();
+  }
+
+  const previousRevision = visaType.revision;
+  let revision;
+  try {
+    revision = await recordRevision(visaType, details);
+  } catch (error) {
+    if (error.code === 11000) {
+      const conflict = new Error('This visa type was changed by someone else. Reload it and try again');
+      conflict.isConflict = true;
+      throw conflict;
+    }
+    throw error;
+  }
+
+  try {
+    await visaType.save();
+  } catch (error) {
+    await VisaTypeRevision.deleteOne({ _id: revision._id });
+    visaType.revision = previousRevision;
+    throw error;
+  }
+};
+
+/**
+ * Replace the content of `visaType` with a revision snapshot (not saved)
+ * Fields added since the snapshot was taken are cleared.
+ */
+const restoreSnapshot = (visaType, snapshot) => {
+  Object.keys(takeSnapshot(visaType)).forEach(field => {
+    if (!Object.prototype.hasOwnProperty.call(snapshot, field)) {
+      visaType.set(field, undefined);
+    }
+  });
+
+  visaType.set(snapshot);
+};
+
+/**
+ * Summarise a revision for listings (without its snapshot)
+ */
+const summarizeRevision = (revision) => {
+  const { snapshot, changes, ...summary } = revision;
+  return {
+    ...summary,
+    changeCount: changes.length,
+    changedFields: [...new Set(changes.map(change => change.path.split(/[.[]/)[0]))]
+  };
+};
+
+module.exports = {
+  takeSnapshot,
+  toAuthor,
+  diffSnapshots,
+  recordRevision,
+  saveWithRevision,
+  restoreSnapshot,
+  summarizeRevision
+};
@@ -0,0 +1,226 @@
+const bankStatementService = require('../services/bankStatementService');
+const { day, addDays, studentVisa } = require('./helpers');
+
+const parseCsv = (lines, options) => bankStatementService.parseStatement(Buffer.from(lines.join('\r\n')), options);
+
+// One balance per day from `from` for `days` days
+const dailyBalances = (from, days, amount) => Array.from({ length: days }, (_, index) => {
+  const value = typeof amount === 'function' ? amount(index) : amount;
+  return { date: addDays(from, index), lowest: value, closing: value };
+});
+
+describe('bankStatementService', () => {
+  describe('parseAmount', () => {
+    it('reads signs, suffixes, brackets and decimal commas', () => {
+      expect(bankStatementService.parseAmount('1,234.56')).toBe(1234.56);
+      expect(bankStatementService.parseAmount('(12.00)')).toBe(-12);
+      expect(bankStatementService.parseAmount('12.00 DR')).toBe(-12);
+      expect(bankStatementService.parseAmount('100.00 CR')).toBe(100);
+      expect(bankStatementService.parseAmount('£1.234,56')).toBe(1234.56);
+      expect(bankStatementService.parseAmount('-5')).toBe(-5);
+      expect(bankStatementService.parseAmount('')).toBeNull();
+    });
+  });
+
+  describe('parseStatementDate', () => {
+    it('reads ISO, day-first, month name and OFX dates', () => {
+      expect(bankStatementService.parseStatementDate('2026-09-01')).toEqual(day('2026-09-01'));
+      expect(bankStatementService.parseStatementDate('01/09/2026')).toEqual(day('2026-09-01'));
+      expect(bankStatementService.parseStatementDate('1 Sep 2026')).toEqual(day('2026-09-01'));
+      expect(bankStatementService.parseStatementDate('20260901120000[-5:EST]')).toEqual(day('2026-09-01'));
+      expect(bankStatementService.parseStatementDate('09/01/2026', { monthFirst: true })).toEqual(day('2026-09-01'));
+    });
+
+    it('rejects impossible dates', () => {
+      expect(bankStatementService.parseStatementDate('31/02/2026')).toBeNull();
+    });
+  });
+
+  describe('parseStatement (CSV)', () => {
+    it('reads Lloyds-style Debit Amount / Credit Amount columns as paid out and paid in', () => {
+      const parsed = parseCsv([
+        'Transaction Date,Transaction Type,Sort Code,Account Number,Transaction Description,Debit Amount,Credit Amount,Balance',
+        '01/09/2026,FPI,\'30-00-00,12345678,SALARY,,1000.00,1000.00',
+        '02/09/2026,DEB,\'30-00-00,12345678,RENT,500.00,,500.00'
+      ]);
+
+      expect(parsed.transactions.map(transaction => transaction.amount)).toEqual([1000, -500]);
+      expect(parsed.transactions.map(transaction => transaction.balance)).toEqual([1000, 500]);
+      expect(bankStatementService.findBalanceBreaks(parsed.transactions)).toEqual([]);
+    });
+
+    it('builds running balances from an opening balance when there is no balance column', () => {
+      const parsed = parseCsv([
+        'Transaction Date,Transaction Description,Debit Amount,Credit Amount',
+        '01/09/2026,RENT,500.00,'
+      ], { openingBalance: 1000 });
+
+      expect(parsed.transactions[0].balance).toBe(500);
+    });
+
+    it('does not read a Value Date column as the amount', () => {
+      const parsed = parseCsv([
+        'Txn Date,Value Date,Description,Ref No./Cheque No.,Debit,Credit,Balance',
+        '01/05/2024,01/05/2024,NEFT IN,REF1,,"2,000.00","12,000.00"',
+        '02/05/2024,02/05/2024,ATM,REF2,500.00,,"11,500.00"'
+      ]);
+
+      expect(parsed.transactions.map(transaction => transaction.amount)).toEqual([2000, -500]);
+      expect(parsed.transactions.map(transaction => transaction.balance)).toEqual([12000, 11500]);
+      expect(bankStatementService.findBalanceBreaks(parsed.transactions)).toEqual([]);
+    });
+
+    it('skips account details above the header and reverses newest-first exports (Nationwide)', () => {
+      const parsed = parseCsv([
+        '"Account Name:","FlexDirect ****12345"',
+        '"Account Balance:","£1,450.00"',
+        '"Available Balance: ","£1,450.00"',
+        '',
+        '"Date","Transaction type","Description","Paid out","Paid in","Balance"',
+        '"03 Sep 2026","Visa purchase","SHOP","£50.00","","£1,450.00"',
+        '"01 Sep 2026","Bank credit","SALARY","","£1,500.00","£1,500.00"'
+      ]);
+
+      expect(parsed.transactions.map(transaction => transaction.date)).toEqual([day('2026-09-01'), day('2026-09-03')]);
+      expect(parsed.transactions.map(transaction => transaction.amount)).toEqual([1500, -50]);
+      expect(bankStatementService.findBalanceBreaks(parsed.transactions)).toEqual([]);
+    });
+
+    it('prefers the signed Amount column and reads the currency (Monzo)', () => {
+      const parsed = parseCsv([
+        'Transaction ID,Date,Time,Type,Name,Emoji,Category,Amount,Currency,Local amount,Local currency,Notes and #tags,Address,Receipt,Description,Category split,Money Out,Money In',
+        'tx_1,01/09/2026,09:00:00,Faster payment,Employer,,income,1500.00,GBP,1500.00,GBP,,,,SALARY,,,1500.00',
+        'tx_2,02/09/2026,10:00:00,Card payment,Shop,,shopping,-20.00,GBP,-20.00,GBP,,,,SHOP,,-20.00,'
+      ], { openingBalance: 0 });
+
+      expect(parsed.currency).toBe('GBP');
+      expect(parsed.transactions.map(transaction => transaction.balance)).toEqual([1500, 1480]);
+    });
+
+    it('reads Starling-style Amount (GBP) and Balance (GBP) columns', () => {
+      const parsed = parseCsv([
+        'Date,Counter Party,Reference,Type,Amount (GBP),Balance (GBP),Spending Category,Notes',
+        '01/09/2026,Employer,SALARY,FASTER PAYMENT,1500.00,1500.00,INCOME,',
+        '02/09/2026,Shop,CARD,CARD,-20.00,1480.00,SHOPPING,'
+      ]);
+
+      expect(parsed.transactions.map(transaction => transaction.amount)).toEqual([1500, -20]);
+      expect(parsed.transactions.map(transaction => transaction.balance)).toEqual([1500, 1480]);
+    });
+
+    it('asks for an opening balance when there is no balance column', () => {
+      expect(() => parseCsv(['Date;Amount', '2026-09-01;-5,00'])).toThrow(/opening balance/);
+    });
+
+    it('rejects files without a recognisable header', () => {
+      expect(() => parseCsv(['foo,bar', '1,2'])).toThrow(/header row/);
+    });
+
+    it('reports lines whose balance does not follow from the previous one', () => {
+      const parsed = parseCsv([
+        'Date,Amount,Balance',
+        '2026-09-01,100.00,1100.00',
+        '2026-09-02,-50.00,1000.00'
+      ]);
+
+      expect(bankStatementService.findBalanceBreaks(parsed.transactions)).toEqual([
+        { from: day('2026-09-01'), to: day('2026-09-02'), expected: 1050, balance: 1000 }
+      ]);
+    });
+  });
+
+  describe('parseStatement (OFX)', () => {
+    it('rebuilds running balances backwards from the ledger balance', () => {
+      const ofx = [
+        'OFXHEADER:100',
+        'DATA:OFXSGML',
+        '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>INR',
+        '<BANKACCTFROM><BANKID>1<ACCTID>987654321<ACCTTYPE>SAVINGS</BANKACCTFROM>',
+        '<BANKTRANLIST>',
+        '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260920120000[+5.5:IST]<TRNAMT>-500.00<FITID>2',
+        '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20260901<TRNAMT>1100000.00<FITID>1',
+        '</BANKTRANLIST><LEDGERBAL><BALAMT>1199500.00<DTASOF>20261001</LEDGERBAL>',
+        '</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+      ].join('\n');
+
+      const parsed = bankStatementService.parseStatement(Buffer.from(ofx));
+
+      expect(parsed.format).toBe('ofx');
+      expect(parsed.currency).toBe('INR');
+      expect(parsed.accountNumber).toBe('4321');
+      expect(parsed.transactions).toEqual([
+        { date: day('2026-09-01'), amount: 1100000, balance: 1200000 },
+        { date: day('2026-09-20'), amount: -500, balance: 1199500 }
+      ]);
+    });
+  });
+
+  describe('toDailyBalances', () => {
+    it('keeps the lowest and closing balance of each day', () => {
+      const balances = bankStatementService.toDailyBalances([
+        { date: day('2026-09-01'), balance: 100 },
+        { date: day('2026-09-01'), balance: 40 },
+        { date: day('2026-09-01'), balance: 70 },
+        { date: day('2026-09-02'), balance: 80 }
+      ]);
+
+      expect(balances).toEqual([
+        { date: day('2026-09-01'), lowest: 40, closing: 70 },
+        { date: day('2026-09-02'), lowest: 80, closing: 80 }
+      ]);
+    });
+  });
+
+  describe('analyzeStatement', () => {
+    // 9 months outside London: 10224 GBP
+    const input = { location: 'outside_london', courseMonths: 9, applicationDate: '2026-10-15' };
+
+    it('passes a statement holding the required funds for 28 days', async () => {
+      const { fundsCheck, findings } = await bankStatementService.analyzeStatement(studentVisa(), {
+        currency: 'GBP',
+        balances: dailyBalances('2026-09-01', 40, 10500)
+      }, input);
+
+      expect(fundsCheck.passed).toBe(true);
+      expect(findings).toEqual([]);
+    });
+
+    it('flags a dip below the required amount', async () => {
+      const { fundsCheck, findings } = await bankStatementService.analyzeStatement(studentVisa(), {
+        currency: 'GBP',
+        balances: dailyBalances('2026-09-01', 40, index => (index === 20 ? 9000 : 10500))
+      }, input);
+
+      expect(fundsCheck.passed).toBe(false);
+      expect(findings).toEqual([expect.objectContaining({
+        type: 'dip',
+        severity: 'error',
+        from: day('2026-09-21'),
+        to: day('2026-09-21'),
+        amount: 9000
+      })]);
+    });
+
+    it('flags a statement covering fewer than 28 days', async () => {
+      const { findings } = await bankStatementService.analyzeStatement(studentVisa(), {
+        currency: 'GBP',
+        balances: dailyBalances('2026-09-21', 20, 10500)
+      }, input);
+
+      expect(findings).toEqual([expect.objectContaining({ type: 'gap', severity: 'error' })]);
+    });
+
+    it('flags a currency with no exchange rate to the required currency', async () => {
+      const ExchangeRate = require('../models/ExchangeRate');
+      const findEffective = jest.spyOn(ExchangeRate, 'findEffective').mockResolvedValue(null);
+
+      const { findings } = await bankStatementService.analyzeStatement(studentVisa(), {
+        currency: 'USD',
+        balances: dailyBalances('2026-09-01', 40, 20000)
+      }, input);
+
+      findEffective.mockRestore();
+      expect(findings).toEqual([expect.objectContaining({ type: 'currency_mismatch', severity: 'error' })]);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const feeCalculatorService = require('../services/feeCalculatorService');
+const { day, studentVisa } = require('./helpers');
+
+// Stored rates keyed by "BASE/QUOTE"
+const useRates = (stored) => {
+  jest.spyOn(ExchangeRate, 'findEffective').mockImplementation(async (base, quote) => stored[`${base}/${quote}`] || null);
+};
+
+describe('feeCalculatorService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getRate', () => {
+    it('returns 1 for the same currency without a lookup', async () => {
+      const findEffective = jest.spyOn(ExchangeRate, 'findEffective');
+
+      expect(await feeCalculatorService.getRate('GBP', 'GBP')).toEqual({ from: 'GBP', to: 'GBP', rate: 1 });
+      expect(findEffective).not.toHaveBeenCalled();
+    });
+
+    it('uses a stored rate for the pair', async () => {
+      useRates({ 'GBP/INR': { rate: 105, effectiveFrom: day('2026-09-01'), source: 'manual' } });
+
+      expect(await feeCalculatorService.getRate('GBP', 'INR')).toMatchObject({ rate: 105, inverted: false });
+    });
+
+    it('inverts the opposite pair, preferring whichever rate is newer', async () => {
+      useRates({
+        'GBP/INR': { rate: 105, effectiveFrom: day('2026-09-01') },
+        'INR/GBP': { rate: 0.01, effectiveFrom: day('2026-10-01') }
+      });
+
+      const rate = await feeCalculatorService.getRate('GBP', 'INR');
+
+      expect(rate.inverted).toBe(true);
+      expect(rate.rate).toBeCloseTo(100);
+    });
+
+    it('crosses through the pivot currency and reports the older leg', async () => {
+      useRates({
+        'INR/GBP': { rate: 0.01, effectiveFrom: day('2026-10-01') },
+        'GBP/USD': { rate: 1.25, effectiveFrom: day('2026-09-15') }
+      });
+
+      const rate = await feeCalculatorService.getRate('INR', 'USD');
+
+      expect(rate.rate).toBeCloseTo(0.0125);
+      expect(rate.effectiveFrom).toEqual(day('2026-09-15'));
+      expect(rate.via).toHaveLength(2);
+    });
+
+    it('returns null when a leg is missing', async () => {
+      useRates({ 'INR/GBP': { rate: 0.01, effectiveFrom: day('2026-10-01') } });
+
+      expect(await feeCalculatorService.getRate('INR', 'USD')).toBeNull();
+      expect(await feeCalculatorService.getRate('GBP', 'USD')).toBeNull();
+    });
+  });
+
+  describe('calculateFees', () => {
+    beforeEach(() => {
+      useRates({ 'GBP/INR': { rate: 100, effectiveFrom: day('2026-09-01') } });
+    });
+
+    it('scales yearly fees by the stay and dependants, and leaves optional fees out of the total', async () => {
+      const fees = await feeCalculatorService.calculateFees(studentVisa(), { years: 1.5, dependants: 1 });
+      const item = name => fees.items.find(fee => fee.name === name);
+
+      expect(fees.currency).toBe('GBP');
+      expect(item('Visa fee')).toMatchObject({ applicants: 1, amount: 524, included: true });
+      expect(item('Immigration Health Surcharge')).toMatchObject({ years: 1.5, applicants: 2, amount: 2328 });
+      expect(item('TB test')).toMatchObject({ original: { amount: 5000, currency: 'INR' }, amount: 50 });
+      expect(item('Priority service')).toMatchObject({ included: false, amount: 500 });
+      expect(fees.total).toEqual({ amount: 2902, currency: 'GBP' });
+      expect(fees.optionalTotal).toEqual({ amount: 500, currency: 'GBP' });
+      expect(fees.rates).toHaveLength(1);
+    });
+
+    it('adds optional fees when requested and reports in another currency', async () => {
+      const fees = await feeCalculatorService.calculateFees(studentVisa(), { currency: 'inr', includeOptional: true });
+
+      expect(fees.currency).toBe('INR');
+      expect(fees.total).toEqual({ amount: 185000, currency: 'INR' });
+    });
+
+    it('flags currencies that cannot be converted', async () => {
+      await expect(feeCalculatorService.calculateFees(studentVisa(), { currency: 'USD' })).rejects.toMatchObject({
+        isMissingRate: true,
+        currencies: ['GBP', 'INR']
+      });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const fundsCheckService = require('../services/fundsCheckService');
+const { day, addDays, studentVisa } = require('./helpers');
+
+// One balance per day, `days` days ending on `to`
+const heldUntil = (to, days, amount) => Array.from({ length: days }, (_, index) => ({
+  date: addDays(to, index - (days - 1)),
+  amount
+}));
+
+const ruleResult = (result, id) => result.rules.find(check => check.rule === id);
+
+describe('fundsCheckService', () => {
+  describe('calculateRequiredFunds', () => {
+    it('caps the months at maxMonths and adds outstanding tuition', () => {
+      const required = fundsCheckService.calculateRequiredFunds(studentVisa(), {
+        location: 'outside_london',
+        courseMonths: 12,
+        tuitionOutstanding: 5000
+      });
+
+      expect(required).toMatchObject({ location: 'outsideLondon', months: 9, maintenance: 10224, total: 15224, currency: 'GBP' });
+    });
+
+    it('prorates yearly amounts and keeps fixed amounts as they are', () => {
+      const yearly = studentVisa({ maintenanceFunds: { london: { amount: 12000, currency: 'GBP', period: 'per year' } } });
+      const fixed = studentVisa({ maintenanceFunds: { london: { amount: 2000, currency: 'GBP', period: 'one-off' } } });
+
+      expect(fundsCheckService.calculateRequiredFunds(yearly, { location: 'london', courseMonths: 6 }).total).toBe(6000);
+      expect(fundsCheckService.calculateRequiredFunds(fixed, { location: 'london', courseMonths: 6 }).total).toBe(2000);
+    });
+
+    it('adds dependants, and flags a visa type without a dependant requirement', () => {
+      const withDependants = studentVisa({ maintenanceFunds: { dependants: { outsideLondon: { amount: 680, currency: 'GBP', period: 'per month' } } } });
+
+      expect(fundsCheckService.calculateRequiredFunds(withDependants, { location: 'outside_london', courseMonths: 9, dependants: 2 }).total).toBe(22464);
+      expect(() => fundsCheckService.calculateRequiredFunds(studentVisa(), { location: 'outside_london', courseMonths: 9, dependants: 1 }))
+        .toThrow(expect.objectContaining({ isMissingRequirement: true }));
+    });
+  });
+
+  describe('checkFunds', () => {
+    // 9 months outside London: 10224 GBP; the window opens 31 days before 15 October
+    const input = balances => ({ location: 'outside_london', courseMonths: 9, applicationDate: '2026-10-15', balances });
+
+    it('passes funds held for exactly 28 days up to the application date', async () => {
+      const result = await fundsCheckService.checkFunds(studentVisa(), input(heldUntil('2026-10-15', 28, 10224)));
+
+      expect(result.passed).toBe(true);
+      expect(ruleResult(result, 'holding_period').details.period).toEqual({ from: day('2026-09-18'), to: day('2026-10-15') });
+      expect(result.dips).toEqual([]);
+    });
+
+    it('fails funds held for 27 days', async () => {
+      const result = await fundsCheckService.checkFunds(studentVisa(), input(heldUntil('2026-10-15', 27, 10224)));
+
+      expect(result.passed).toBe(false);
+      expect(ruleResult(result, 'holding_period').details.longestRun).toMatchObject({ days: 27 });
+    });
+
+    it('accepts a period ending on the first day of the window, 31 days before applying', async () => {
+      const result = await fundsCheckService.checkFunds(studentVisa(), input(heldUntil('2026-09-14', 28, 10224)));
+
+      expect(result.passed).toBe(true);
+      expect(ruleResult(result, 'statement_age').details).toEqual({ ageDays: 31, maxAgeDays: 31 });
+      expect(ruleResult(result, 'holding_period').details.period.to).toEqual(day('2026-09-14'));
+    });
+
+    it('rejects a period ending the day before the window, 32 days before applying', async () => {
+      const result = await fundsCheckService.checkFunds(studentVisa(), input(heldUntil('2026-09-13', 28, 10224)));
+
+      expect(ruleResult(result, 'statement_age')).toMatchObject({ passed: false, details: { ageDays: 32 } });
+      expect(ruleResult(result, 'holding_period').passed).toBe(false);
+    });
+
+    it('carries balances over days without one and counts the lowest figure of a day', async () => {
+      const result = await fundsCheckService.checkFunds(studentVisa(), input([
+        { date: '2026-09-01', amount: 12000 },
+        { date: '2026-09-20', amount: 9000 },
+        { date: '2026-09-20', amount: 11000 },
+        { date: '2026-10-01', amount: 11500 }
+      ]));
+
+      expect(result.passed).toBe(false);
+      expect(result.dips).toEqual([{ from: day('2026-09-20'), to: day('2026-09-20'), lowest: 9000 }]);
+      expect(ruleResult(result, 'holding_period').details.longestRun).toEqual({ from: day('2026-09-01'), to: day('2026-09-19'), days: 19 });
+      expect(result.closingBalance).toEqual({ date: day('2026-10-01'), amount: 11500, currency: 'GBP' });
+    });
+
+    it('ignores balances dated after the application date', async () => {
+      const result = await fundsCheckService.checkFunds(studentVisa(), input([
+        ...heldUntil('2026-10-15', 28, 10224),
+        { date: '2026-10-16', amount: 0 }
+      ]));
+
+      expect(result.passed).toBe(true);
+      expect(result.coverage).toEqual({ from: day('2026-09-18'), to: day('2026-10-15') });
+    });
+
+    it('fails every balance rule without balances', async () => {
+      const result = await fundsCheckService.checkFunds(studentVisa(), input([]));
+
+      expect(result.rules.filter(check => !check.passed).map(check => check.rule))
+        .toEqual(['closing_balance', 'statement_age', 'holding_period']);
+    });
+  });
+});
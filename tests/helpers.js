@@ -0,0 +1,56 @@
+const VisaType = require('../models/VisaType');
+
+/**
+ * Shared helpers and fixtures for the service test suites
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight UTC of an ISO date such as '2026-09-01'
+ */
+const day = value => new Date(`${value}T00:00:00.000Z`);
+
+/**
+ * The day `days` days after (or before, when negative) an ISO date
+ */
+const addDays = (value, days) => new Date(day(value).getTime() + days * DAY_MS);
+
+/**
+ * Unsaved student VisaType (India to UK) with the seeded fees and funds
+ * Each option replaces that part of the fixture; maintenanceFunds is merged.
+ */
+const studentVisa = ({ additionalFees, maintenanceFunds = {}, processingTime, planning, steps = [] } = {}) => new VisaType({
+  name: 'Student',
+  code: 'STUDENT_IN_GB',
+  category: 'student',
+  originCountry: 'IN',
+  destinationCountry: 'GB',
+  processingTime: processingTime || { min: 15, max: 21, unit: 'days' },
+  fees: {
+    visaFee: { amount: 524, currency: 'GBP' },
+    additionalFees: additionalFees || [
+      { name: 'Immigration Health Surcharge', amount: 776, currency: 'GBP', period: 'year', dependantMultiplier: 1 },
+      { name: 'TB test', amount: 5000, currency: 'INR' },
+      { name: 'Priority service', amount: 500, currency: 'GBP', isOptional: true }
+    ]
+  },
+  requirements: {
+    financialEvidence: {
+      maintenanceFunds: {
+        maxMonths: 9,
+        london: { amount: 1483, currency: 'GBP', period: 'per month' },
+        outsideLondon: { amount: 1136, currency: 'GBP', period: 'per month' },
+        ...maintenanceFunds
+      }
+    }
+  },
+  planning,
+  applicationProcess: { steps }
+});
+
+module.exports = {
+  day,
+  addDays,
+  studentVisa
+};
@@ -0,0 +1,140 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Mock OpenID Connect Provider
+ * Minimal local IdP for developing and testing OIDC sign-in: discovery,
+ * JWKS, an auto-approving authorize endpoint (with PKCE) and a token endpoint.
+ *
+ * Run standalone:  node tests/mock-oidc-provider.js
+ * Then configure:  OIDC_PROVIDERS=mock
+ *                  OIDC_MOCK_ISSUER=http://localhost:4010
+ *                  OIDC_MOCK_CLIENT_ID=visamap
+ *
+ * Sign in as a specific user with ?login_hint=<email> on the authorize URL.
+ */
+
+const startMockProvider = ({
+  port = 4010,
+  clientId = 'visamap',
+  email = 'student@example.com',
+  emailVerified = true
+} = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'mock-key-1';
+  const codes = new Map();
+  let issuer = `http://localhost:${port}`;
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readForm = (req) => new Promise((resolve) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(data))));
+  });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }]
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      const params = Object.fromEntries(url.searchParams);
+
+      if (params.client_id !== clientId || params.code_challenge_method !== 'S256' || !params.code_challenge) {
+        return sendJson(res, 400, { error: 'invalid_request' });
+      }
+
+      const code = crypto.randomBytes(16).toString('hex');
+      const userEmail = params.login_hint || email;
+      codes.set(code, { ...params, email: userEmail });
+
+      const redirect = new URL(params.redirect_uri);
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.state);
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      const form = await readForm(req);
+      const grant = codes.get(form.code);
+      codes.delete(form.code);
+
+      const challenge = form.code_verifier && crypto
+        .createHash('sha256')
+        .update(form.code_verifier)
+        .digest('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+      if (!grant || form.client_id !== clientId || form.redirect_uri !== grant.redirect_uri || challenge !== grant.code_challenge) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+
+      const idToken = jwt.sign({
+        email: grant.email,
+        email_verified: emailVerified,
+        nonce: grant.nonce,
+        name: 'Mock User'
+      }, privateKey, {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer,
+        audience: clientId,
+        subject: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+        expiresIn: '5m'
+      });
+
+      return sendJson(res, 200, {
+        access_token: crypto.randomBytes(16).toString('hex'),
+        token_type: 'Bearer',
+        expires_in: 300,
+        id_token: idToken
+      });
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, () => {
+      issuer = `http://localhost:${server.address().port}`;
+      resolve({
+        issuer,
+        clientId,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+if (require.main === module) {
+  startMockProvider({ port: parseInt(process.env.MOCK_OIDC_PORT) || 4010 }).then(({ issuer }) => {
+    console.log(`Mock OIDC provider listening at ${issuer}`);
+  });
+}
+
+module.exports = {
+  startMockProvider
+};
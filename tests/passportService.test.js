@@ -0,0 +1,156 @@
+const passportService = require('../services/passportService');
+const { day } = require('./helpers');
+
+// ICAO Doc 9303 part 4 specimen
+const SPECIMEN_LINE1 = 'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<';
+const SPECIMEN_LINE2 = 'L898902C36UTO7408122F1204159ZE184226B<<<<<10';
+const SPECIMEN = `${SPECIMEN_LINE1}\n${SPECIMEN_LINE2}`;
+
+// Nationality is not covered by the composite check digit, so the specimen stays valid
+const SWEDISH = `P<SWEERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<\n${SPECIMEN_LINE2.replace('UTO', 'SWE')}`;
+
+const failedChecks = passport => passport.checkDigits.filter(check => !check.passed).map(check => check.field);
+
+describe('passportService', () => {
+  describe('computeCheckDigit', () => {
+    it('matches the specimen check digits', () => {
+      expect(passportService.computeCheckDigit('L898902C3')).toBe('6');
+      expect(passportService.computeCheckDigit('740812')).toBe('2');
+      expect(passportService.computeCheckDigit('120415')).toBe('9');
+      expect(passportService.computeCheckDigit('ZE184226B<<<<<')).toBe('1');
+    });
+  });
+
+  describe('parseMrz', () => {
+    it('reads the ICAO specimen', () => {
+      const passport = passportService.parseMrz(SPECIMEN);
+
+      expect(passport).toMatchObject({
+        documentType: 'P',
+        issuingCountry: { code: 'UTO', country: null },
+        surname: 'ERIKSSON',
+        givenNames: 'ANNA MARIA',
+        nameTruncated: false,
+        passportNumber: 'L898902C3',
+        nationality: { code: 'UTO', country: null },
+        dateOfBirth: day('1974-08-12'),
+        sex: 'F',
+        expiryDate: day('2012-04-15'),
+        personalNumber: 'ZE184226B',
+        valid: true
+      });
+      expect(failedChecks(passport)).toEqual([]);
+    });
+
+    it('accepts both lines as one 88-character string', () => {
+      expect(passportService.parseMrz(SPECIMEN_LINE1 + SPECIMEN_LINE2).valid).toBe(true);
+    });
+
+    it('reports a corrupted passport number', () => {
+      const passport = passportService.parseMrz(`${SPECIMEN_LINE1}\nL898902C46UTO7408122F1204159ZE184226B<<<<<10`);
+
+      expect(passport.valid).toBe(false);
+      expect(failedChecks(passport)).toEqual(['passportNumber', 'composite']);
+    });
+
+    it('reports a corrupted date of birth', () => {
+      const passport = passportService.parseMrz(`${SPECIMEN_LINE1}\nL898902C36UTO7408132F1204159ZE184226B<<<<<10`);
+
+      expect(failedChecks(passport)).toEqual(['dateOfBirth', 'composite']);
+    });
+
+    it('reports a wrong composite check digit', () => {
+      const passport = passportService.parseMrz(`${SPECIMEN_LINE1}\nL898902C36UTO7408122F1204159ZE184226B<<<<<19`);
+
+      expect(failedChecks(passport)).toEqual(['composite']);
+    });
+
+    it('rejects characters outside A-Z, 0-9 and < in either input shape', () => {
+      expect(() => passportService.parseMrz(`P<GBR${'é'.repeat(83)}`)).toThrow(/may only contain/);
+      expect(() => passportService.parseMrz(`${SPECIMEN_LINE1}\n${SPECIMEN_LINE2.replace('L', 'é')}`)).toThrow(/may only contain/);
+    });
+
+    it('rejects text that is not a TD3 passport MRZ', () => {
+      expect(() => passportService.parseMrz('P<UTOERIKSSON')).toThrow(/two lines/);
+      expect(() => passportService.parseMrz(`${SPECIMEN}<`)).toThrow(/44 characters/);
+      expect(() => passportService.parseMrz(SPECIMEN.replace('P<UTO', 'I<UTO'))).toThrow(/not from a passport/);
+    });
+  });
+
+  describe('crossCheck', () => {
+    const journey = { originCountry: 'SE', personalizationData: { courseEndDate: '30/06/2012' } };
+    const today = day('2010-09-01');
+    const ruleResult = (result, id) => result.rules.find(rule => rule.rule === id);
+
+    it('passes a matching applicant and warns about expiry before the course ends', () => {
+      const result = passportService.crossCheck(passportService.parseMrz(SWEDISH), {
+        user: { firstName: 'Anna Maria', lastName: 'Eriksson' },
+        journey,
+        today
+      });
+
+      expect(result.passed).toBe(true);
+      expect(result.courseEnd).toEqual({ courseEndDate: day('2012-06-30'), expiresBeforeCourseEnd: true });
+      expect(result.warnings).toEqual([expect.stringMatching(/expires on 2012-04-15, 76 day\(s\) before your course ends/)]);
+    });
+
+    it('does not warn when the passport outlasts the course', () => {
+      const result = passportService.crossCheck(passportService.parseMrz(SWEDISH), {
+        user: { firstName: 'Anna Maria', lastName: 'Eriksson' },
+        journey,
+        courseEndDate: '2012-01-31',
+        today
+      });
+
+      expect(result.courseEnd.expiresBeforeCourseEnd).toBe(false);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('accepts missing middle names with a warning', () => {
+      const result = passportService.crossCheck(passportService.parseMrz(SWEDISH), {
+        user: { firstName: 'Anna', lastName: 'Eriksson' },
+        journey,
+        today
+      });
+
+      expect(ruleResult(result, 'name_match').passed).toBe(true);
+      expect(result.warnings[0]).toMatch(/also lists MARIA/);
+    });
+
+    it('fails a different surname and a different origin country', () => {
+      const result = passportService.crossCheck(passportService.parseMrz(SWEDISH), {
+        user: { firstName: 'Anna Maria', lastName: 'Andersson' },
+        journey: { ...journey, originCountry: 'NO' },
+        today
+      });
+
+      expect(result.passed).toBe(false);
+      expect(ruleResult(result, 'name_match').passed).toBe(false);
+      expect(ruleResult(result, 'nationality_match').details).toEqual({ expected: 'NO', found: 'SE' });
+    });
+
+    it('fails invalid check digits and an expired passport', () => {
+      const corrupted = SWEDISH.replace('L898902C36', 'L898902C46');
+      const result = passportService.crossCheck(passportService.parseMrz(corrupted), {
+        user: { firstName: 'Anna Maria', lastName: 'Eriksson' },
+        journey,
+        today: day('2013-01-01')
+      });
+
+      expect(ruleResult(result, 'check_digits')).toMatchObject({ passed: false, details: { fields: ['passportNumber', 'composite'] } });
+      expect(ruleResult(result, 'passport_validity').passed).toBe(false);
+    });
+
+    it('compares transliterated names', () => {
+      const mrz = `P<DEUMUELLER<<JOERG<<<<<<<<<<<<<<<<<<<<<<<<<\n${SPECIMEN_LINE2.replace('UTO', 'D<<')}`;
+      const result = passportService.crossCheck(passportService.parseMrz(mrz), {
+        user: { firstName: 'Jörg', lastName: 'Müller' },
+        journey: { originCountry: 'DE', personalizationData: {} },
+        today
+      });
+
+      expect(result.passed).toBe(true);
+      expect(result.warnings).toEqual([expect.stringMatching(/No course end date/)]);
+    });
+  });
+});
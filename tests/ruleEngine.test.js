@@ -0,0 +1,34 @@
+const { evaluateRule } = require('../utils/ruleEngine');
+
+describe('ruleEngine', () => {
+  describe('gt / lt on dates', () => {
+    const after = value => ({ field: 'casDate', op: 'gt', value });
+
+    it('reads DD/MM/YYYY personalization dates day-first', () => {
+      expect(evaluateRule(after('2024-06-01'), { casDate: '15/07/2024' })).toBe(true);
+      expect(evaluateRule(after('2024-06-01'), { casDate: '05/07/2024' })).toBe(true);
+      expect(evaluateRule(after('2024-06-01'), { casDate: '05/05/2024' })).toBe(false);
+    });
+
+    it('compares two DD/MM/YYYY dates', () => {
+      expect(evaluateRule({ field: 'courseStartDate', op: 'lt', value: '01/09/2024' }, { courseStartDate: '31/08/2024' })).toBe(true);
+    });
+
+    it('does not match impossible dates', () => {
+      expect(evaluateRule(after('2024-06-01'), { casDate: '31/02/2024' })).toBe(false);
+    });
+  });
+
+  it('combines all, any and not', () => {
+    const rule = {
+      all: [
+        { field: 'hasDependent', op: 'eq', value: true },
+        { any: [{ field: 'studyLocation', value: 'london' }, { not: { field: 'courseLevel', op: 'exists' } }] }
+      ]
+    };
+
+    expect(evaluateRule(rule, { hasDependent: true, studyLocation: 'london', courseLevel: 'phd' })).toBe(true);
+    expect(evaluateRule(rule, { hasDependent: true, studyLocation: 'outside_london', courseLevel: '' })).toBe(true);
+    expect(evaluateRule(rule, { hasDependent: true, studyLocation: 'outside_london', courseLevel: 'phd' })).toBe(false);
+  });
+});
@@ -0,0 +1,93 @@
+const http = require('http');
+const oidcService = require('../services/oidcService');
+const { startMockProvider } = require('./mock-oidc-provider');
+
+/**
+ * OIDC Service Test Script
+ * Runs the full authorization code + PKCE flow against the local mock provider
+ */
+
+const followAuthorizeRedirect = (authorizationUrl) => new Promise((resolve, reject) => {
+  http.get(authorizationUrl, (res) => {
+    res.resume();
+    if (res.statusCode !== 302) {
+      return reject(new Error(`Authorize endpoint returned ${res.statusCode}`));
+    }
+    resolve(new URL(res.headers.location).searchParams);
+  }).on('error', reject);
+});
+
+async function testOidcFlow() {
+  const mock = await startMockProvider({ port: 0, email: 'Student@Example.com' });
+  const provider = {
+    name: 'mock',
+    label: 'Mock',
+    issuer: mock.issuer,
+    clientId: mock.clientId,
+    scopes: 'openid email profile',
+    allowedDomains: [],
+    trustEmail: false
+  };
+  const redirectUri = 'http://localhost:3000/auth/oidc/callback';
+
+  try {
+    console.log('🔍 Discovering provider...');
+    const metadata = await oidcService.discover(provider);
+    console.log(`✅ Issuer: ${metadata.issuer}`);
+
+    const state = oidcService.generateRandomValue();
+    const nonce = oidcService.generateRandomValue();
+    const { codeVerifier, codeChallenge } = oidcService.createPkcePair();
+
+    const authorizationUrl = await oidcService.buildAuthorizationUrl(provider, { state, nonce, codeChallenge, redirectUri });
+    const callback = await followAuthorizeRedirect(authorizationUrl);
+
+    if (callback.get('state') !== state) {
+      throw new Error('State was not returned unchanged');
+    }
+    console.log('✅ Authorization code received');
+
+    const claims = await oidcService.completeAuthorization(provider, {
+      code: callback.get('code'),
+      codeVerifier,
+      redirectUri,
+      nonce
+    });
+    console.log(`✅ ID token verified for subject ${claims.sub}`);
+    console.log(`✅ Verified email: ${oidcService.getVerifiedEmail(provider, claims)}`);
+
+    // A wrong nonce must be rejected
+    const replay = await followAuthorizeRedirect(authorizationUrl);
+    try {
+      await oidcService.completeAuthorization(provider, {
+        code: replay.get('code'),
+        codeVerifier,
+        redirectUri,
+        nonce: 'wrong-nonce'
+      });
+      throw new Error('Wrong nonce was accepted');
+    } catch (error) {
+      if (error.message === 'Wrong nonce was accepted') throw error;
+      console.log(`✅ Wrong nonce rejected: ${error.message}`);
+    }
+
+    // A wrong PKCE verifier must be rejected by the provider
+    const stolen = await followAuthorizeRedirect(authorizationUrl);
+    try {
+      await oidcService.exchangeCode(provider, { code: stolen.get('code'), codeVerifier: 'x'.repeat(43), redirectUri });
+      throw new Error('Wrong code verifier was accepted');
+    } catch (error) {
+      if (error.message === 'Wrong code verifier was accepted') throw error;
+      console.log(`✅ Wrong code verifier rejected: ${error.message}`);
+    }
+
+    console.log('\n🎉 OIDC flow test passed');
+  } finally {
+    await mock.close();
+  }
+}
+
+testOidcFlow().catch((error) => {
+  console.error('❌ OIDC flow test failed:', error.message);
+  process.exitCode = 1;
+});
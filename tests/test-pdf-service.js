@@ -350,7 +350,7 @@ async function testPersonalizationLogic() {
 
     // Test fee calculation
     const totalFee = pdfService.calculateTotalFee(sampleVisaType.fees, samplePersonalizationData);
-    console.log(`   ✅ Total fee calculation: £${totalFee}`);
+    console.log(`   ✅ Total fee calculation: ${pdfService.formatFeeTotals(totalFee)}`);
 
     // Test document processing
     const processedDocs = pdfService.processDocuments(
@@ -398,7 +398,7 @@ async function testHTMLGeneration() {
         route: `${sampleVisaType.originCountry} → ${sampleVisaType.destinationCountry}`,
         category: sampleVisaType.category,
         processingTime: sampleVisaType.processingTime,
-        totalFee: 1300
+        totalFee: '1,300.00 GBP'
       },
       personalization: samplePersonalizationData,
       steps: sampleVisaType.process.steps.slice(0, 3),
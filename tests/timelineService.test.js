@@ -0,0 +1,135 @@
+const timelineService = require('../services/timelineService');
+const { day, studentVisa } = require('./helpers');
+
+// Processing takes up to 21 days; planning rules are the VisaType defaults:
+// apply from 6 months before the course, submit 14 days before the latest decision,
+// CAS valid for 6 months, funds held 28 days within 31 days, TB certificate valid 6 months
+const steps = [
+  { key: 'cas', stepNumber: 1, title: 'Get CAS', milestone: 'cas' },
+  { key: 'tb-test', stepNumber: 2, title: 'TB test', milestone: 'tb_test', estimatedTime: '1 week' },
+  { key: 'funds', stepNumber: 3, title: 'Hold funds', milestone: 'funds' },
+  { key: 'documents', stepNumber: 4, title: 'Gather documents', estimatedTime: '3 days' },
+  { key: 'apply', stepNumber: 5, title: 'Apply online', milestone: 'submission', estimatedTime: '1 day' },
+  { key: 'biometrics', stepNumber: 6, title: 'Book biometrics', milestone: 'biometrics', estimatedTime: '1-2 weeks' },
+  { key: 'decision', stepNumber: 7, title: 'Wait for a decision', milestone: 'decision' }
+];
+
+const plan = (personalizationData, today, visaOptions = {}) => timelineService.planJourney(
+  { personalizationData },
+  studentVisa({ steps, ...visaOptions }),
+  { today: day(today) }
+);
+
+describe('timelineService', () => {
+  describe('parseEstimatedDays', () => {
+    it('takes the upper bound of a range in days', () => {
+      expect(timelineService.parseEstimatedDays('1-4 weeks')).toBe(28);
+      expect(timelineService.parseEstimatedDays('3 months')).toBe(90);
+      expect(timelineService.parseEstimatedDays('20 working days')).toBe(28);
+      expect(timelineService.parseEstimatedDays('2 hours')).toBe(0);
+      expect(timelineService.parseEstimatedDays(undefined)).toBe(0);
+    });
+  });
+
+  describe('planJourney', () => {
+    const personalization = { courseStartDate: '15/09/2026', casDate: '01/06/2026', requiresTBTest: true };
+
+    it('needs a course start date', () => {
+      expect(plan({ casDate: '01/06/2026' }, '2026-01-01')).toBeNull();
+      expect(plan({ courseStartDate: '31/09/2026' }, '2026-01-01')).toBeNull();
+    });
+
+    it('waits for the CAS before the earliest apply date', () => {
+      const timeline = plan(personalization, '2026-01-01');
+
+      expect(timeline).toMatchObject({
+        courseStartDate: day('2026-09-15'),
+        casDate: day('2026-06-01'),
+        earliestApplyDate: day('2026-06-01'),
+        latestSafeSubmissionDate: day('2026-08-11'),
+        recommendedApplyDate: day('2026-06-01'),
+        estimatedDecisionDate: day('2026-06-22'),
+        fundsWindow: {
+          holdFrom: day('2026-05-04'),
+          holdUntil: day('2026-06-01'),
+          statementEndNotBefore: day('2026-05-01')
+        },
+        warnings: []
+      });
+    });
+
+    it('opens six months before the course when the CAS comes earlier, and ends when the CAS expires', () => {
+      const timeline = plan({ ...personalization, casDate: '01/01/2026' }, '2026-01-01');
+
+      expect(timeline.earliestApplyDate).toEqual(day('2026-03-15'));
+      expect(timeline.latestSafeSubmissionDate).toEqual(day('2026-07-01'));
+    });
+
+    it('plans a TB test still valid on the apply date', () => {
+      expect(plan(personalization, '2026-01-01').tbTest).toEqual({
+        earliestTestDate: day('2025-12-01'),
+        latestTestDate: day('2026-05-25'),
+        validUntil: day('2026-11-25')
+      });
+      expect(plan({ ...personalization, requiresTBTest: false }, '2026-01-01').tbTest).toBeNull();
+    });
+
+    it('warns without a CAS date and falls back to the earliest apply date for the CAS step', () => {
+      const timeline = plan({ courseStartDate: '15/09/2026' }, '2026-01-01');
+
+      expect(timeline.casDate).toBeNull();
+      expect(timeline.earliestApplyDate).toEqual(day('2026-03-15'));
+      expect(timeline.latestSafeSubmissionDate).toEqual(day('2026-08-11'));
+      expect(timeline.warnings).toEqual([expect.stringMatching(/No CAS date yet/)]);
+      expect(timeline.steps[0]).toMatchObject({ stepId: 'cas', dueBy: day('2026-03-15') });
+    });
+
+    it('applies today once the earliest date has passed, and warns on the day after the latest safe date', () => {
+      const onTheDay = plan(personalization, '2026-08-11');
+      const dayAfter = plan(personalization, '2026-08-12');
+
+      expect(onTheDay.recommendedApplyDate).toEqual(day('2026-08-11'));
+      expect(onTheDay.warnings).toEqual([]);
+      expect(dayAfter.warnings).toEqual(['The latest safe submission date has passed']);
+    });
+
+    it('warns when the longest processing time ends after the course starts', () => {
+      // 25 August plus 21 days is the course start date itself
+      const lastDay = plan(personalization, '2026-08-25');
+      const tooLate = plan(personalization, '2026-08-26');
+
+      expect(lastDay.estimatedDecisionDate).toEqual(day('2026-09-15'));
+      expect(lastDay.warnings).not.toContain('The estimated decision date is after the course start date');
+      expect(tooLate.estimatedDecisionDate).toEqual(day('2026-09-16'));
+      expect(tooLate.warnings).toContain('The estimated decision date is after the course start date');
+    });
+
+    it('warns when processing is too long to fit between the earliest and latest dates', () => {
+      const timeline = plan({ courseStartDate: '15/09/2026', casDate: '01/03/2026' }, '2026-01-01', {
+        processingTime: { min: 1, max: 7, unit: 'months' }
+      });
+
+      // 7 months of 30 days plus the 14-day buffer before 15 September
+      expect(timeline.latestSafeSubmissionDate).toEqual(day('2026-02-03'));
+      expect(timeline.earliestApplyDate).toEqual(day('2026-03-15'));
+      expect(timeline.warnings).toEqual([
+        'The latest safe submission date is before the earliest apply date; apply as soon as possible',
+        'The estimated decision date is after the course start date'
+      ]);
+    });
+
+    it('anchors steps to the key dates and chains the steps after submission', () => {
+      const timeline = plan(personalization, '2026-01-01');
+
+      expect(timeline.steps.map(({ stepId, startBy, dueBy }) => ({ stepId, startBy, dueBy }))).toEqual([
+        { stepId: 'cas', startBy: day('2026-06-01'), dueBy: day('2026-06-01') },
+        { stepId: 'tb-test', startBy: day('2025-12-01'), dueBy: day('2026-05-25') },
+        { stepId: 'funds', startBy: day('2026-05-04'), dueBy: day('2026-06-01') },
+        { stepId: 'documents', startBy: day('2026-05-29'), dueBy: day('2026-06-01') },
+        { stepId: 'apply', startBy: day('2026-06-01'), dueBy: day('2026-06-01') },
+        { stepId: 'biometrics', startBy: day('2026-06-01'), dueBy: day('2026-06-15') },
+        { stepId: 'decision', startBy: day('2026-06-01'), dueBy: day('2026-06-22') }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+const VisaType = require('../models/VisaType');
+const visaChangeNotificationService = require('../services/visaChangeNotificationService');
+
+// Revision snapshot of a student visa; `changes` replaces top-level parts of it
+const snapshot = (changes = {}) => ({
+  name: 'Student',
+  code: 'student',
+  fees: {
+    visaFee: { amount: 490, currency: 'GBP' },
+    additionalFees: [
+      { name: 'Immigration Health Surcharge', amount: 776, currency: 'GBP', period: 'year' }
+    ]
+  },
+  requirements: {
+    documents: [
+      { key: 'passport', name: 'Passport', description: 'Valid passport', category: 'identity', isRequired: true },
+      { key: 'tb-test', name: 'TB test', description: 'Tuberculosis test results', category: 'medical', isRequired: false },
+      {
+        key: 'consent',
+        name: 'Parental consent',
+        description: 'Consent for applicants under 18',
+        category: 'legal',
+        isRequired: true,
+        conditionalLogic: { showIf: { field: 'isUnder18', value: true } }
+      }
+    ]
+  },
+  applicationProcess: {
+    steps: [
+      { key: 'cas', stepNumber: 1, title: 'Get CAS', description: 'Confirmation of Acceptance for Studies', action: 'wait' },
+      { key: 'apply', stepNumber: 2, title: 'Apply online', description: 'Complete the application form', action: 'apply' }
+    ]
+  },
+  ...changes
+});
+
+const withDocuments = update => snapshot({ requirements: { documents: update(snapshot().requirements.documents) } });
+
+const journey = (personalizationData = {}) => ({ personalizationData });
+
+const impactOf = (previous, current, personalizationData) => {
+  const feeChanges = visaChangeNotificationService.compareFees(previous, current);
+  return visaChangeNotificationService.summarizeImpact(journey(personalizationData), new VisaType(previous), new VisaType(current), feeChanges);
+};
+
+describe('visaChangeNotificationService', () => {
+  describe('compareFees', () => {
+    it('lists added, changed and removed fee lines', () => {
+      const previous = snapshot();
+      const current = snapshot({
+        fees: {
+          visaFee: { amount: 524, currency: 'GBP' },
+          additionalFees: [{ name: 'Priority service', amount: 500, currency: 'GBP', isOptional: true }]
+        }
+      });
+
+      expect(visaChangeNotificationService.compareFees(previous, current)).toEqual([
+        { name: 'Visa fee', change: 'changed', from: { amount: 490, currency: 'GBP', isOptional: false }, to: { amount: 524, currency: 'GBP', isOptional: false } },
+        { name: 'Priority service', change: 'added', to: { amount: 500, currency: 'GBP', isOptional: true } },
+        { name: 'Immigration Health Surcharge', change: 'removed', from: { amount: 776, currency: 'GBP', isOptional: false } }
+      ]);
+    });
+
+    it('reports nothing when the fees are the same', () => {
+      expect(visaChangeNotificationService.compareFees(snapshot(), snapshot())).toEqual([]);
+    });
+  });
+
+  describe('summarizeImpact', () => {
+    it('only reports documents in the journey\'s personalized checklist', () => {
+      const current = withDocuments(documents => documents.map(doc => (
+        doc.key === 'consent' ? { ...doc, description: 'Signed by both parents' } : doc
+      )));
+
+      const adult = impactOf(snapshot(), current, { isUnder18: false });
+      const minor = impactOf(snapshot(), current, { isUnder18: true });
+
+      expect(adult.documents).toEqual({ added: [], removed: [], changed: [], newlyRequired: [] });
+      expect(minor.documents.changed).toEqual([
+        { key: 'consent', name: 'Parental consent', isRequired: true, fields: ['description'] }
+      ]);
+    });
+
+    it('reports documents that became required, and added and removed steps', () => {
+      const current = {
+        ...withDocuments(documents => documents.map(doc => (doc.key === 'tb-test' ? { ...doc, isRequired: true } : doc))),
+        applicationProcess: {
+          steps: [
+            snapshot().applicationProcess.steps[0],
+            { key: 'biometrics', stepNumber: 2, title: 'Book biometrics', description: 'Attend a visa application centre', action: 'book' }
+          ]
+        }
+      };
+
+      const impact = impactOf(snapshot(), current, {});
+
+      expect(impact.documents.newlyRequired).toEqual([{ key: 'tb-test', name: 'TB test', isRequired: true }]);
+      expect(impact.documents.changed).toEqual([{ key: 'tb-test', name: 'TB test', isRequired: true, fields: ['isRequired'] }]);
+      expect(impact.steps.added).toEqual([{ key: 'biometrics', title: 'Book biometrics', stepNumber: 2 }]);
+      expect(impact.steps.removed).toEqual([{ key: 'apply', title: 'Apply online', stepNumber: 2 }]);
+    });
+  });
+
+  describe('describeImpact', () => {
+    it('puts newly required documents and fees first, without repeating them', () => {
+      const current = {
+        ...withDocuments(documents => [
+          ...documents.filter(doc => doc.key !== 'passport').map(doc => (doc.key === 'tb-test' ? { ...doc, isRequired: true } : doc)),
+          { key: 'cas-letter', name: 'CAS letter', description: 'Printed CAS', category: 'academic', isRequired: false }
+        ]),
+        fees: { ...snapshot().fees, visaFee: { amount: 524, currency: 'GBP' } },
+        applicationProcess: {
+          steps: snapshot().applicationProcess.steps.map(step => (step.key === 'apply' ? { ...step, description: 'Apply on GOV.UK' } : step))
+        }
+      };
+
+      expect(visaChangeNotificationService.describeImpact(impactOf(snapshot(), current, {}))).toEqual([
+        'New required document: TB test',
+        'Visa fee: 490 GBP → 524 GBP',
+        'New optional document: CAS letter',
+        'Document no longer needed: Passport',
+        'Updated step: Apply online'
+      ]);
+    });
+
+    it('marks optional fees', () => {
+      const impact = {
+        fees: [{ name: 'Priority service', change: 'added', to: { amount: 500, currency: 'GBP', isOptional: true } }],
+        documents: { added: [], removed: [], changed: [], newlyRequired: [] },
+        steps: { added: [], removed: [], changed: [] }
+      };
+
+      expect(visaChangeNotificationService.describeImpact(impact)).toEqual(['New fee: Priority service 500 GBP (optional)']);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * Date helpers for day-precision dates, calculated in UTC
+ */
+
+/**
+ * Midnight UTC of the day `date` falls on
+ */
+const startOfDay = (date) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Parse a DD/MM/YYYY string (frontend format) into a UTC date
+ * Dates are reduced to their day; anything else, including impossible dates, gives null.
+ */
+const parseDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return startOfDay(value);
+
+  const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(value);
+  if (!match) return null;
+
+  const [, day, month, year] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 ? date : null;
+};
+
+module.exports = {
+  startOfDay,
+  parseDate
+};
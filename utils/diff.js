@@ -0,0 +1,115 @@
+/**
+ * Field-level diff of documents and plain objects
+ *
+ * Nested objects are flattened into dot-notation paths. Arrays of
+ * subdocuments are matched by their `key` (or `_id`), so a change to one
+ * document in requirements.documents is reported as
+ * `requirements.documents[passport].name`; other arrays are compared whole.
+ */
+
+// Values under these keys are never copied into a diff
+const SENSITIVE_KEY = /password|secret|token|recoveryCodes/i;
+const REDACTED = '[redacted]';
+
+const isObjectId = value => value && typeof value === 'object' && typeof value.toHexString === 'function';
+
+const isPlainObject = value => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date)
+  && !Buffer.isBuffer(value)
+  && !isObjectId(value);
+
+/**
+ * Convert a value into a JSON-safe form (ObjectIds to strings, Dates to ISO strings)
+ */
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (isObjectId(value)) return value.toHexString();
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return REDACTED;
+  if (Array.isArray(value)) return value.map(normalize);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [
+      key,
+      SENSITIVE_KEY.test(key) ? REDACTED : normalize(nested)
+    ]));
+  }
+  return value;
+};
+
+const toPlainObject = (doc) => {
+  if (!doc) return {};
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true, virtuals: false }) : doc;
+};
+
+// Identity of an array item, if every item in the array has a unique one
+const getItemIds = (items) => {
+  if (items.length === 0 || !items.every(isPlainObject)) return null;
+
+  const ids = items.map(item => (item.key ? String(item.key) : item._id ? normalize(item._id) : null));
+  if (ids.some(id => !id) || new Set(ids).size !== ids.length) return null;
+  return ids;
+};
+
+/**
+ * Flatten nested values into a map of dot-notation paths
+ */
+const flatten = (value, prefix = '', result = {}) => {
+  Object.entries(value).forEach(([key, nested]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (SENSITIVE_KEY.test(key)) {
+      result[path] = REDACTED;
+      return;
+    }
+
+    if (isPlainObject(nested) && Object.keys(nested).length > 0) {
+      flatten(nested, path, result);
+      return;
+    }
+
+    const itemIds = Array.isArray(nested) ? getItemIds(nested) : null;
+    if (itemIds) {
+      nested.forEach((item, index) => flatten(item, `${path}[${itemIds[index]}]`, result));
+      return;
+    }
+
+    result[path] = normalize(nested);
+  });
+
+  return result;
+};
+
+const isIgnored = (path, ignore) => ignore.some(ignored => path === ignored
+  || path.startsWith(`${ignored}.`)
+  || path.startsWith(`${ignored}[`));
+
+/**
+ * List the paths that differ between `before` and `after`
+ * Either side may be null (creation / removal). Returns [{ path, from, to }].
+ */
+const diff = (before, after, { ignore = [] } = {}) => {
+  const beforeFlat = flatten(toPlainObject(before));
+  const afterFlat = flatten(toPlainObject(after));
+  const paths = new Set([...Object.keys(beforeFlat), ...Object.keys(afterFlat)]);
+
+  const changes = [];
+  paths.forEach(path => {
+    if (isIgnored(path, ignore)) return;
+
+    const from = beforeFlat[path] === undefined ? null : beforeFlat[path];
+    const to = afterFlat[path] === undefined ? null : afterFlat[path];
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, from, to });
+    }
+  });
+
+  return changes.sort((a, b) => a.path.localeCompare(b.path));
+};
+
+module.exports = {
+  diff,
+  normalize
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+/**
+ * Symmetric encryption for secrets stored at rest (e.g. TOTP secrets)
+ * AES-256-GCM keyed from ENCRYPTION_KEY (falls back to JWT_SECRET).
+ */
+
+const getKey = () => {
+  const material = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!material) {
+    throw new Error('ENCRYPTION_KEY or JWT_SECRET must be set to encrypt secrets');
+  }
+  return crypto.createHash('sha256').update(material).digest();
+};
+
+/**
+ * Encrypt a string, returning "iv:authTag:ciphertext" in base64
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ */
+const decrypt = (payload) => {
+  const [iv, authTag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
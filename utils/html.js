@@ -0,0 +1,21 @@
+/**
+ * HTML helpers for email and PDF templates
+ */
+
+/**
+ * Escape user-supplied text for HTML templates
+ */
+const escapeHtml = (text) => {
+  if (text === undefined || text === null) return '';
+
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+module.exports = {
+  escapeHtml
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * JWT Keyring - Asymmetric (RS256/ES256) token signing with key rotation
+ *
+ * The keyring is read from JWT_KEYS (JSON) or the file at JWT_KEYS_PATH
+ * (default keys/jwt-keys.json, written by scripts/rotateJwtKeys.js):
+ *   { "keys": [{ "kid", "alg", "privateKey" (PEM), "status": "active" | "previous", "createdAt" }] }
+ *
+ * Tokens are signed with the active key and carry its `kid`; any key in the
+ * ring verifies. Without a keyring, tokens fall back to HS256 with the
+ * JWT_SECRET / JWT_REFRESH_SECRET secrets, and those secrets keep verifying
+ * tokens without a `kid` so existing sessions survive the switch.
+ */
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+const DEFAULT_KEYS_PATH = path.join(__dirname, '..', 'keys', 'jwt-keys.json');
+
+let cache = { source: null, keys: [] };
+
+const getKeysPath = () => path.resolve(process.env.JWT_KEYS_PATH || DEFAULT_KEYS_PATH);
+
+const parseKeyring = (raw) => {
+  const { keys = [] } = JSON.parse(raw);
+
+  return keys.map((entry) => {
+    if (!entry.kid || !SUPPORTED_ALGORITHMS.includes(entry.alg) || !entry.privateKey) {
+      throw new Error(`Invalid JWT key entry "${entry.kid || 'unknown'}"`);
+    }
+
+    const privateKey = crypto.createPrivateKey(entry.privateKey);
+    return {
+      kid: entry.kid,
+      alg: entry.alg,
+      status: entry.status === 'active' ? 'active' : 'previous',
+      createdAt: entry.createdAt,
+      privateKey,
+      publicKey: crypto.createPublicKey(privateKey)
+    };
+  });
+};
+
+/**
+ * Load the keyring, reloading when the env value or file changes (rotation without restart)
+ */
+const getKeys = () => {
+  if (process.env.JWT_KEYS) {
+    if (cache.source !== process.env.JWT_KEYS) {
+      cache = { source: process.env.JWT_KEYS, keys: parseKeyring(process.env.JWT_KEYS) };
+    }
+    return cache.keys;
+  }
+
+  const keysPath = getKeysPath();
+  let stat;
+  try {
+    stat = fs.statSync(keysPath);
+  } catch (error) {
+    cache = { source: null, keys: [] };
+    return cache.keys;
+  }
+
+  const source = `${keysPath}:${stat.mtimeMs}`;
+  if (cache.source !== source) {
+    cache = { source, keys: parseKeyring(fs.readFileSync(keysPath, 'utf8')) };
+  }
+  return cache.keys;
+};
+
+/**
+ * The key new tokens are signed with, or null when no keyring is configured
+ */
+const getActiveKey = () => getKeys().find(key => key.status === 'active') || null;
+
+/**
+ * Sign a token with the active key (falls back to HS256 with `fallbackSecret`)
+ */
+const sign = (payload, fallbackSecret, options = {}) => {
+  const activeKey = getActiveKey();
+
+  if (!activeKey) {
+    return jwt.sign(payload, fallbackSecret, { ...options, algorithm: 'HS256' });
+  }
+
+  return jwt.sign(payload, activeKey.privateKey, {
+    ...options,
+    algorithm: activeKey.alg,
+    keyid: activeKey.kid
+  });
+};
+
+/**
+ * Verify a token against the keyring (by kid) or, for tokens without a kid, the fallback secret
+ * Throws jsonwebtoken errors.
+ */
+const verify = (token, fallbackSecret, options = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  if (!decoded.header.kid) {
+    return jwt.verify(token, fallbackSecret, { ...options, algorithms: ['HS256'] });
+  }
+
+  const key = getKeys().find(entry => entry.kid === decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.alg] });
+};
+
+/**
+ * Public keys as a JWK Set (for /.well-known/jwks.json)
+ */
+const getJwks = () => ({
+  keys: getKeys().map(key => ({
+    ...key.publicKey.export({ format: 'jwk' }),
+    kid: key.kid,
+    alg: key.alg,
+    use: 'sig'
+  }))
+});
+
+/**
+ * Generate a new key entry for the keyring file
+ */
+const generateKeyEntry = (alg = 'RS256') => {
+  if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+    throw new Error(`Unsupported algorithm ${alg}; use ${SUPPORTED_ALGORITHMS.join(' or ')}`);
+  }
+
+  const { privateKey } = alg === 'ES256'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  return {
+    kid: `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString('hex')}`,
+    alg,
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  };
+};
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  getKeysPath,
+  getActiveKey,
+  sign,
+  verify,
+  getJwks,
+  generateKeyEntry
+};
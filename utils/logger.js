@@ -141,6 +141,7 @@ logger.logError = (error, req = null, context = '') => {
     errorInfo.request = {
       method: req.method,
       url: req.originalUrl,
+      requestId: req.requestId,
       headers: req.headers,
       body: req.body,
       ip: req.ip,
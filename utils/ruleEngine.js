@@ -0,0 +1,180 @@
+/**
+ * Rule Engine - Evaluates conditional logic expressions against personalization data
+ *
+ * Expression format:
+ *   { field: 'financialSituation', op: 'eq', value: 'self_funded' }
+ *   { all: [expr, ...] }   every expression must match
+ *   { any: [expr, ...] }   at least one expression must match
+ *   { not: expr }          expression must not match
+ *
+ * Operators: eq (default), ne, in, gt, lt, exists.
+ * Fields may be nested using dot notation (e.g. 'course.lengthMonths').
+ */
+
+const { parseDate } = require('./dates');
+
+const OPERATORS = ['eq', 'ne', 'in', 'gt', 'lt', 'exists'];
+
+/**
+ * Read a dotted path from an object (supports Maps and mongoose documents)
+ */
+const getFieldValue = (data, field) => {
+  return field.split('.').reduce((value, key) => {
+    if (value === undefined || value === null) return undefined;
+    if (value instanceof Map) return value.get(key);
+    return value[key];
+  }, data);
+};
+
+/**
+ * Convert dates and numeric strings into comparable numbers
+ * DD/MM/YYYY strings (how personalization dates are stored) are read day-first.
+ */
+const toComparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') {
+    if (!isNaN(Number(value))) return Number(value);
+    if (/^\d{2}\/\d{2}\/\d{4}$/.test(value.trim())) {
+      const date = parseDate(value.trim());
+      return date ? date.getTime() : NaN;
+    }
+    const timestamp = Date.parse(value);
+    if (!isNaN(timestamp)) return timestamp;
+  }
+  return NaN;
+};
+
+const isPresent = (value) => {
+  return value !== undefined && value !== null && value !== '' &&
+    !(Array.isArray(value) && value.length === 0);
+};
+
+/**
+ * Apply a comparison operator
+ */
+const compare = (op, actual, expected) => {
+  switch (op) {
+    case 'eq':
+      return Array.isArray(actual) ? actual.includes(expected) : actual === expected;
+    case 'ne':
+      return Array.isArray(actual) ? !actual.includes(expected) : actual !== expected;
+    case 'in':
+      if (Array.isArray(actual)) {
+        return actual.some(item => expected.includes(item));
+      }
+      return expected.includes(actual);
+    case 'gt':
+    case 'lt': {
+      const left = toComparable(actual);
+      const right = toComparable(expected);
+      if (isNaN(left) || isNaN(right)) return false;
+      return op === 'gt' ? left > right : left < right;
+    }
+    case 'exists':
+      return isPresent(actual) === (expected !== false);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Evaluate a rule expression against data
+ * An empty or missing rule always matches.
+ */
+const evaluateRule = (rule, data = {}) => {
+  if (!rule || (typeof rule === 'object' && Object.keys(rule).length === 0)) {
+    return true;
+  }
+
+  if (Array.isArray(rule.all)) {
+    return rule.all.every(child => evaluateRule(child, data));
+  }
+
+  if (Array.isArray(rule.any)) {
+    return rule.any.some(child => evaluateRule(child, data));
+  }
+
+  if (rule.not !== undefined) {
+    return !evaluateRule(rule.not, data);
+  }
+
+  if (rule.field) {
+    return compare(rule.op || 'eq', getFieldValue(data, rule.field), rule.value);
+  }
+
+  return false;
+};
+
+/**
+ * Validate a rule expression, returning a list of problems (empty when valid)
+ */
+const validateRule = (rule, path = 'rule') => {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return [`${path} must be an object`];
+  }
+
+  const combinators = ['all', 'any', 'not'].filter(key => rule[key] !== undefined);
+
+  if (combinators.length > 1 || (combinators.length === 1 && rule.field !== undefined)) {
+    return [`${path} must contain exactly one of all, any, not or field`];
+  }
+
+  if (rule.all !== undefined || rule.any !== undefined) {
+    const key = rule.all !== undefined ? 'all' : 'any';
+    if (!Array.isArray(rule[key]) || rule[key].length === 0) {
+      return [`${path}.${key} must be a non-empty array`];
+    }
+    return rule[key].flatMap((child, index) => validateRule(child, `${path}.${key}[${index}]`));
+  }
+
+  if (rule.not !== undefined) {
+    return validateRule(rule.not, `${path}.not`);
+  }
+
+  if (typeof rule.field !== 'string' || rule.field.trim() === '') {
+    return [`${path}.field must be a non-empty string`];
+  }
+
+  const op = rule.op || 'eq';
+  if (!OPERATORS.includes(op)) {
+    return [`${path}.op must be one of ${OPERATORS.join(', ')}`];
+  }
+
+  if (op === 'in' && !Array.isArray(rule.value)) {
+    return [`${path}.value must be an array for the "in" operator`];
+  }
+
+  if ((op === 'gt' || op === 'lt') && isNaN(toComparable(rule.value))) {
+    return [`${path}.value must be a number or date for the "${op}" operator`];
+  }
+
+  return [];
+};
+
+/**
+ * Evaluate a VisaType conditionalLogic block
+ * Prefers the compound `rule`; falls back to the legacy single `showIf` equality check.
+ */
+const matchesConditionalLogic = (conditionalLogic, data = {}) => {
+  if (!conditionalLogic) return true;
+
+  if (conditionalLogic.rule) {
+    return evaluateRule(conditionalLogic.rule, data);
+  }
+
+  if (conditionalLogic.showIf && conditionalLogic.showIf.field) {
+    const { field, value } = conditionalLogic.showIf;
+    return evaluateRule({ field, op: 'eq', value }, data);
+  }
+
+  return true;
+};
+
+module.exports = {
+  OPERATORS,
+  getFieldValue,
+  evaluateRule,
+  validateRule,
+  matchesConditionalLogic
+};
@@ -0,0 +1,65 @@
+/**
+ * User-Agent parsing - Lightweight browser/OS/device detection for session listings
+ * Not exhaustive; unknown agents fall back to "Unknown".
+ */
+
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari/],
+  ['Postman', /PostmanRuntime\/([\d.]+)/],
+  ['curl', /curl\/([\d.]+)/]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /(?:iPhone|iPad|iPod).*OS ([\d_]+)/],
+  ['Android', /Android ([\d.]+)/],
+  ['Windows', /Windows NT ([\d.]+)/],
+  ['macOS', /Mac OS X ([\d_.]+)/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const matchFirst = (userAgent, patterns) => {
+  for (const [name, pattern] of patterns) {
+    const match = pattern.exec(userAgent);
+    if (match) {
+      const version = match[1] ? match[1].replace(/_/g, '.').split('.')[0] : undefined;
+      return version ? `${name} ${version}` : name;
+    }
+  }
+  return 'Unknown';
+};
+
+const getDeviceType = (userAgent) => {
+  if (/iPad|Tablet|(Android(?!.*Mobile))/i.test(userAgent)) return 'tablet';
+  if (/Mobi|iPhone|iPod|Android/i.test(userAgent)) return 'mobile';
+  if (/PostmanRuntime|curl|bot|spider/i.test(userAgent)) return 'other';
+  return 'desktop';
+};
+
+/**
+ * Parse a User-Agent header into { browser, os, type, label }
+ */
+const parseUserAgent = (userAgent = '') => {
+  if (!userAgent) {
+    return { browser: 'Unknown', os: 'Unknown', type: 'other', label: 'Unknown device' };
+  }
+
+  const browser = matchFirst(userAgent, BROWSERS);
+  const os = matchFirst(userAgent, OPERATING_SYSTEMS);
+
+  return {
+    browser,
+    os,
+    type: getDeviceType(userAgent),
+    label: `${browser} on ${os}`
+  };
+};
+
+module.exports = {
+  parseUserAgent
+};